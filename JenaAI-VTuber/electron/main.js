@@ -1,8 +1,14 @@
 const { app, BrowserWindow, Menu, ipcMain, shell } = require('electron');
 const path = require('path');
+const fs = require('fs').promises;
+const { OSCTransport } = require('./osc/oscTransport');
+const { OSCQueryService } = require('./osc/oscQuery');
 const isDev = process.env.NODE_ENV === 'development';
 
 let mainWindow;
+const oscTransport = new OSCTransport();
+const vmcTransport = new OSCTransport({ port: 39539 });
+const oscQueryService = new OSCQueryService({ name: 'JenaAI' });
 
 function createWindow() {
   // Create the browser window
@@ -252,6 +258,9 @@ function createMenu() {
 app.whenReady().then(createWindow);
 
 app.on('window-all-closed', () => {
+  oscTransport.disconnect();
+  vmcTransport.disconnect();
+  oscQueryService.stop();
   if (process.platform !== 'darwin') {
     app.quit();
   }
@@ -288,6 +297,160 @@ ipcMain.handle('close-window', () => {
   mainWindow.close();
 });
 
+// OSC transport
+ipcMain.handle('osc-connect', (event, options) => {
+  return oscTransport.connect(options);
+});
+
+ipcMain.handle('osc-listen', (event, options = {}) => {
+  return oscTransport.listen(options.port, options.host);
+});
+
+ipcMain.handle('osc-stop-listening', () => {
+  return oscTransport.stopListening().then(() => oscTransport.getStatus());
+});
+
+ipcMain.handle('osc-disconnect', () => {
+  return oscTransport.disconnect();
+});
+
+ipcMain.handle('osc-status', () => {
+  return oscTransport.getStatus();
+});
+
+// OSCQuery: advertise our receive port and find VRChat over mDNS
+ipcMain.handle('oscquery-start', () => {
+  return oscQueryService.start({ oscPort: oscTransport.receivePort });
+});
+
+ipcMain.handle('oscquery-stop', () => {
+  return oscQueryService.stop();
+});
+
+ipcMain.handle('oscquery-status', () => {
+  return oscQueryService.getStatus();
+});
+
+ipcMain.handle('oscquery-query-vrchat', (event, path) => {
+  return oscQueryService.queryVRChat(path);
+});
+
+// Socket and server errors are reported, not thrown: an 'error' event nobody
+// listens to would end the main process
+const forwardError = (channel) => (error) => {
+  console.error(`${channel} error:`, error.message);
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(`${channel}-error`, { message: error.message, code: error.code || null });
+  }
+};
+
+oscTransport.on('error', forwardError('osc'));
+vmcTransport.on('error', forwardError('vmc'));
+oscQueryService.on('error', forwardError('oscquery'));
+
+oscTransport.on('listening', (status) => {
+  if (oscQueryService.server) {
+    oscQueryService.setOSCPort(status.receivePort);
+  }
+});
+
+oscQueryService.on('vrchat', (peer) => {
+  oscTransport.configure({ address: peer.oscAddress, port: peer.oscPort });
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('oscquery-vrchat', peer);
+  }
+});
+
+// Read VRChat's per-avatar OSC configs (OSC/<user id>/Avatars/<avatar id>.json)
+ipcMain.handle('vrchat-read-avatar-configs', async () => {
+  const oscDir = path.join(app.getPath('home'), 'AppData', 'LocalLow', 'VRChat', 'VRChat', 'OSC');
+  const configs = [];
+
+  try {
+    const users = await fs.readdir(oscDir, { withFileTypes: true });
+    for (const user of users.filter((entry) => entry.isDirectory())) {
+      const avatarsDir = path.join(oscDir, user.name, 'Avatars');
+      const files = await fs.readdir(avatarsDir).catch(() => []);
+
+      for (const file of files.filter((name) => name.endsWith('.json'))) {
+        const configPath = path.join(avatarsDir, file);
+        configs.push({ path: configPath, content: await fs.readFile(configPath, 'utf8') });
+      }
+    }
+  } catch (error) {
+    console.warn(`VRChat OSC folder not readable (${oscDir}):`, error.message);
+  }
+
+  return configs;
+});
+
+// Forward everything VRChat sends back to the renderer
+oscTransport.on('message', (message) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('osc-message', message);
+  }
+});
+
+// Fire-and-forget so high-rate tracking updates don't wait on a round trip
+ipcMain.on('osc-send', (event, address, args) => {
+  try {
+    oscTransport.send(address, args);
+  } catch (error) {
+    console.error(`Failed to send OSC message ${address}:`, error.message);
+  }
+});
+
+ipcMain.on('osc-send-bundle', (event, elements, timetag) => {
+  try {
+    oscTransport.sendBundle(elements, timetag);
+  } catch (error) {
+    console.error('Failed to send OSC bundle:', error.message);
+  }
+});
+
+// VMC protocol transport (VSeeFace, VNyan, Warudo, ...), separate from VRChat's ports
+ipcMain.handle('vmc-connect', (event, options) => {
+  return vmcTransport.connect(options);
+});
+
+ipcMain.handle('vmc-listen', (event, options = {}) => {
+  return vmcTransport.listen(options.port, options.host);
+});
+
+ipcMain.handle('vmc-stop-listening', () => {
+  return vmcTransport.stopListening().then(() => vmcTransport.getStatus());
+});
+
+ipcMain.handle('vmc-disconnect', () => {
+  return vmcTransport.disconnect();
+});
+
+ipcMain.handle('vmc-status', () => {
+  return vmcTransport.getStatus();
+});
+
+vmcTransport.on('message', (message) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('vmc-message', message);
+  }
+});
+
+ipcMain.on('vmc-send', (event, address, args) => {
+  try {
+    vmcTransport.send(address, args);
+  } catch (error) {
+    console.error(`Failed to send VMC message ${address}:`, error.message);
+  }
+});
+
+ipcMain.on('vmc-send-bundle', (event, elements, timetag) => {
+  try {
+    vmcTransport.sendBundle(elements, timetag);
+  } catch (error) {
+    console.error('Failed to send VMC bundle:', error.message);
+  }
+});
+
 // Handle protocol for deep linking
 app.setAsDefaultProtocolClient('jena-ai');
 
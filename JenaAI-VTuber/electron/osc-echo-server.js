@@ -0,0 +1,79 @@
+/**
+ * Local OSC Echo Server
+ * Stands in for VRChat while testing: decodes and logs every OSC packet it
+ * receives and echoes it back, either to the sender or to a fixed reply port.
+ *
+ * Usage: node osc-echo-server.js [--port 9000] [--reply-port 9001] [--host 127.0.0.1]
+ */
+
+const dgram = require('dgram');
+const { decodePacket, flattenPacket } = require('./osc/oscCodec');
+
+function parseArgs(argv) {
+  const options = { port: 9000, replyPort: null, host: '127.0.0.1' };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port':
+        options.port = Number(argv[++i]);
+        break;
+      case '--reply-port':
+        options.replyPort = Number(argv[++i]);
+        break;
+      case '--host':
+        options.host = argv[++i];
+        break;
+    }
+  }
+
+  return options;
+}
+
+function formatArgs(args) {
+  return args
+    .map(({ type, value }) => `${type}:${value instanceof Uint8Array ? `<${value.length} bytes>` : value}`)
+    .join(' ');
+}
+
+function startEchoServer(options = {}) {
+  const { port = 9000, replyPort = null, host = '127.0.0.1' } = options;
+  const socket = dgram.createSocket('udp4');
+
+  socket.on('message', (buffer, rinfo) => {
+    try {
+      const packet = decodePacket(buffer);
+      flattenPacket(packet).forEach((message) => {
+        console.log(`OSC ${rinfo.address}:${rinfo.port} ${message.address} ${formatArgs(message.args)}`);
+      });
+
+      // Echo the raw packet so the sender's decoder sees exactly what it sent
+      socket.send(buffer, replyPort || rinfo.port, replyPort ? host : rinfo.address);
+    } catch (error) {
+      console.error(`Invalid OSC packet from ${rinfo.address}:${rinfo.port}:`, error.message);
+    }
+  });
+
+  socket.on('error', (error) => {
+    console.error('OSC echo server error:', error);
+  });
+
+  socket.bind(port, host, () => {
+    const target = replyPort ? `${host}:${replyPort}` : 'sender';
+    console.log(`OSC echo server listening on ${host}:${port}, echoing to ${target}`);
+  });
+
+  return socket;
+}
+
+// Start server if run directly
+if (require.main === module) {
+  const socket = startEchoServer(parseArgs(process.argv.slice(2)));
+
+  // Graceful shutdown
+  process.on('SIGINT', () => {
+    console.log('Shutting down OSC echo server...');
+    socket.close(() => process.exit(0));
+  });
+}
+
+module.exports = { startEchoServer };
@@ -0,0 +1,450 @@
+/**
+ * Minimal mDNS / DNS-SD
+ * Advertises and browses services (_oscjson._tcp, _osc._udp) on the local
+ * network so OSCQuery peers such as VRChat can find each other.
+ */
+
+const dgram = require('dgram');
+const { EventEmitter } = require('events');
+
+const MDNS_ADDRESS = '224.0.0.251';
+const MDNS_PORT = 5353;
+
+const TYPE_A = 1;
+const TYPE_PTR = 12;
+const TYPE_TXT = 16;
+const TYPE_SRV = 33;
+const TYPE_ANY = 255;
+const CLASS_IN = 1;
+const CACHE_FLUSH = 0x8000;
+const DEFAULT_TTL = 120;
+
+/**
+ * Encode a dotted domain name as DNS labels (no compression)
+ */
+function encodeName(name) {
+  const parts = name.replace(/\.$/, '').split('.').filter(Boolean);
+  const chunks = parts.map((part) => {
+    const label = Buffer.from(part, 'utf8');
+    return Buffer.concat([Buffer.from([label.length]), label]);
+  });
+  return Buffer.concat([...chunks, Buffer.from([0])]);
+}
+
+/**
+ * Decode a possibly compressed DNS name starting at offset
+ */
+function decodeName(buffer, offset) {
+  const labels = [];
+  let position = offset;
+  let end = null;
+  let jumps = 0;
+
+  while (position < buffer.length) {
+    const length = buffer[position];
+
+    if (length === 0) {
+      position++;
+      break;
+    }
+
+    if ((length & 0xc0) === 0xc0) {
+      if (++jumps > 16) throw new Error('DNS name compression loop');
+      if (end === null) end = position + 2;
+      position = ((length & 0x3f) << 8) | buffer[position + 1];
+      continue;
+    }
+
+    labels.push(buffer.toString('utf8', position + 1, position + 1 + length));
+    position += 1 + length;
+  }
+
+  return { name: labels.join('.'), offset: end === null ? position : end };
+}
+
+function encodeRecordData(record) {
+  switch (record.type) {
+    case TYPE_A:
+      return Buffer.from(record.data.split('.').map(Number));
+    case TYPE_PTR:
+      return encodeName(record.data);
+    case TYPE_SRV: {
+      const header = Buffer.alloc(6);
+      header.writeUInt16BE(record.data.priority || 0, 0);
+      header.writeUInt16BE(record.data.weight || 0, 2);
+      header.writeUInt16BE(record.data.port, 4);
+      return Buffer.concat([header, encodeName(record.data.target)]);
+    }
+    case TYPE_TXT: {
+      const entries = record.data.length > 0 ? record.data : [''];
+      return Buffer.concat(entries.map((entry) => {
+        const text = Buffer.from(entry, 'utf8');
+        return Buffer.concat([Buffer.from([text.length]), text]);
+      }));
+    }
+    default:
+      return Buffer.from(record.data || []);
+  }
+}
+
+function decodeRecordData(buffer, type, offset, length) {
+  switch (type) {
+    case TYPE_A:
+      return Array.from(buffer.subarray(offset, offset + 4)).join('.');
+    case TYPE_PTR:
+      return decodeName(buffer, offset).name;
+    case TYPE_SRV:
+      return {
+        priority: buffer.readUInt16BE(offset),
+        weight: buffer.readUInt16BE(offset + 2),
+        port: buffer.readUInt16BE(offset + 4),
+        target: decodeName(buffer, offset + 6).name
+      };
+    case TYPE_TXT: {
+      const entries = [];
+      let position = offset;
+      while (position < offset + length) {
+        const size = buffer[position];
+        if (size > 0) entries.push(buffer.toString('utf8', position + 1, position + 1 + size));
+        position += 1 + size;
+      }
+      return entries;
+    }
+    default:
+      return buffer.subarray(offset, offset + length);
+  }
+}
+
+/**
+ * Encode a DNS message ({ id, response, questions, answers, additionals })
+ */
+function encodePacket(packet) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(packet.id || 0, 0);
+  header.writeUInt16BE(packet.response ? 0x8400 : 0, 2);
+  header.writeUInt16BE((packet.questions || []).length, 4);
+  header.writeUInt16BE((packet.answers || []).length, 6);
+  header.writeUInt16BE(0, 8);
+  header.writeUInt16BE((packet.additionals || []).length, 10);
+
+  const questions = (packet.questions || []).map((question) => {
+    const fields = Buffer.alloc(4);
+    fields.writeUInt16BE(question.type, 0);
+    fields.writeUInt16BE(CLASS_IN, 2);
+    return Buffer.concat([encodeName(question.name), fields]);
+  });
+
+  const records = [...(packet.answers || []), ...(packet.additionals || [])].map((record) => {
+    const data = encodeRecordData(record);
+    const fields = Buffer.alloc(10);
+    fields.writeUInt16BE(record.type, 0);
+    fields.writeUInt16BE(CLASS_IN | (record.flush ? CACHE_FLUSH : 0), 2);
+    fields.writeUInt32BE(record.ttl === undefined ? DEFAULT_TTL : record.ttl, 4);
+    fields.writeUInt16BE(data.length, 8);
+    return Buffer.concat([encodeName(record.name), fields, data]);
+  });
+
+  return Buffer.concat([header, ...questions, ...records]);
+}
+
+/**
+ * Decode a DNS message
+ */
+function decodePacket(buffer) {
+  const flags = buffer.readUInt16BE(2);
+  const counts = [4, 6, 8, 10].map((offset) => buffer.readUInt16BE(offset));
+  const packet = {
+    id: buffer.readUInt16BE(0),
+    response: (flags & 0x8000) !== 0,
+    questions: [],
+    answers: [],
+    authorities: [],
+    additionals: []
+  };
+
+  let offset = 12;
+
+  for (let i = 0; i < counts[0]; i++) {
+    const name = decodeName(buffer, offset);
+    packet.questions.push({
+      name: name.name,
+      type: buffer.readUInt16BE(name.offset),
+      unicast: (buffer.readUInt16BE(name.offset + 2) & CACHE_FLUSH) !== 0
+    });
+    offset = name.offset + 4;
+  }
+
+  [packet.answers, packet.authorities, packet.additionals].forEach((section, index) => {
+    for (let i = 0; i < counts[index + 1]; i++) {
+      const name = decodeName(buffer, offset);
+      const type = buffer.readUInt16BE(name.offset);
+      const ttl = buffer.readUInt32BE(name.offset + 4);
+      const length = buffer.readUInt16BE(name.offset + 8);
+      const dataOffset = name.offset + 10;
+
+      section.push({ name: name.name, type, ttl, data: decodeRecordData(buffer, type, dataOffset, length) });
+      offset = dataOffset + length;
+    }
+  });
+
+  return packet;
+}
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+class MDNS extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.multicastAddress = options.multicastAddress || MDNS_ADDRESS;
+    this.port = options.port || MDNS_PORT;
+    this.interfaceAddress = options.interfaceAddress;
+    this.socket = null;
+    this.services = new Map();
+    this.browsers = new Map();
+    this.discovered = new Map();
+    // Instances seen in a PTR whose SRV hasn't arrived yet, by lowercased name
+    this.pending = new Map();
+  }
+
+  /**
+   * Join the multicast group
+   */
+  start() {
+    if (this.socket) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+      socket.on('message', (buffer, rinfo) => {
+        try {
+          this.handlePacket(decodePacket(buffer), rinfo);
+        } catch (error) {
+          // Other hosts' malformed or unsupported packets are not our problem
+        }
+      });
+
+      socket.once('error', reject);
+      socket.bind(this.port, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', (error) => this.emit('error', error));
+
+        try {
+          socket.addMembership(this.multicastAddress, this.interfaceAddress);
+          socket.setMulticastLoopback(true);
+          socket.setMulticastTTL(255);
+        } catch (error) {
+          console.warn('mDNS multicast setup failed:', error.message);
+        }
+
+        this.socket = socket;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Send goodbyes for every advertised service and leave the group
+   */
+  stop() {
+    if (!this.socket) return Promise.resolve();
+
+    this.services.forEach((service) => this.announce(service, 0));
+    this.browsers.forEach((timer) => clearInterval(timer));
+    this.browsers.clear();
+
+    return new Promise((resolve) => {
+      this.socket.close(() => {
+        this.socket = null;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Advertise a service instance, e.g. { name: 'JenaAI-1a2b', type: '_oscjson._tcp', port: 9010 }
+   */
+  advertise(options) {
+    const service = {
+      name: options.name,
+      type: options.type,
+      port: options.port,
+      host: options.host || `${options.name}.local`,
+      address: options.address || '127.0.0.1',
+      txt: options.txt || ['txtvers=1']
+    };
+    service.fqdn = `${service.name}.${service.type}.local`;
+
+    this.services.set(service.fqdn, service);
+    this.announce(service);
+    return service;
+  }
+
+  /**
+   * Stop advertising a service instance
+   */
+  unadvertise(service) {
+    if (!this.services.has(service.fqdn)) return;
+    this.announce(service, 0);
+    this.services.delete(service.fqdn);
+  }
+
+  /**
+   * Look for instances of a service type; 'service' events fire as they are resolved
+   */
+  browse(type, interval = 10000) {
+    const query = () => this.send({ questions: [{ name: `${type}.local`, type: TYPE_PTR }] });
+    query();
+
+    // A type is browsed (its answers handled) even when it isn't re-queried
+    if (!this.browsers.has(type)) {
+      this.browsers.set(type, interval > 0 ? setInterval(query, interval) : null);
+    }
+  }
+
+  getRecords(service, ttl = DEFAULT_TTL) {
+    return {
+      answers: [{ name: `${service.type}.local`, type: TYPE_PTR, ttl, data: service.fqdn }],
+      additionals: [
+        { name: service.fqdn, type: TYPE_SRV, ttl, flush: true, data: { port: service.port, target: service.host } },
+        { name: service.fqdn, type: TYPE_TXT, ttl, flush: true, data: service.txt },
+        { name: service.host, type: TYPE_A, ttl, flush: true, data: service.address }
+      ]
+    };
+  }
+
+  announce(service, ttl = DEFAULT_TTL) {
+    this.send({ response: true, ...this.getRecords(service, ttl) });
+  }
+
+  send(packet, port = this.port, address = this.multicastAddress) {
+    if (!this.socket) return;
+
+    this.socket.send(encodePacket(packet), port, address, (error) => {
+      if (error) this.emit('error', error);
+    });
+  }
+
+  handlePacket(packet, rinfo) {
+    if (packet.response) {
+      this.handleResponse(packet, rinfo);
+    } else {
+      this.handleQuery(packet, rinfo);
+    }
+  }
+
+  handleQuery(packet, rinfo) {
+    const answers = [];
+    const additionals = [];
+
+    packet.questions.forEach((question) => {
+      this.services.forEach((service) => {
+        const records = this.getRecords(service);
+        const matchesType = sameName(question.name, `${service.type}.local`) &&
+          (question.type === TYPE_PTR || question.type === TYPE_ANY);
+        const matchesInstance = sameName(question.name, service.fqdn);
+        const matchesHost = sameName(question.name, service.host) &&
+          (question.type === TYPE_A || question.type === TYPE_ANY);
+
+        if (matchesType) {
+          answers.push(...records.answers);
+          additionals.push(...records.additionals);
+        } else if (matchesInstance) {
+          answers.push(...records.additionals.filter((record) => sameName(record.name, service.fqdn)));
+        } else if (matchesHost) {
+          answers.push(records.additionals[2]);
+        }
+      });
+    });
+
+    if (answers.length === 0) return;
+
+    // Queries from a port other than 5353 are legacy unicast and expect a direct reply
+    if (rinfo.port !== this.port) {
+      this.send({ id: packet.id, response: true, questions: packet.questions, answers, additionals }, rinfo.port, rinfo.address);
+    } else {
+      this.send({ response: true, answers, additionals });
+    }
+  }
+
+  handleResponse(packet, rinfo) {
+    const records = [...packet.answers, ...packet.additionals];
+    const types = new Set([...this.browsers.keys()].map((type) => `${type}.local`.toLowerCase()));
+
+    records
+      .filter((record) => record.type === TYPE_PTR && types.has(record.name.toLowerCase()))
+      .forEach((pointer) => {
+        const key = pointer.data.toLowerCase();
+
+        // A goodbye only names the instance; whatever was resolved for it goes
+        if (pointer.ttl === 0) {
+          this.pending.delete(key);
+          this.removeService(key);
+          return;
+        }
+
+        if (!this.pending.has(key)) {
+          this.pending.set(key, { fqdn: pointer.data, pointerName: pointer.name, queried: false });
+        }
+      });
+
+    records
+      .filter((record) => record.type === TYPE_SRV && record.ttl === 0)
+      .forEach((srv) => {
+        this.pending.delete(srv.name.toLowerCase());
+        this.removeService(srv.name.toLowerCase());
+      });
+
+    this.pending.forEach((instance, key) => this.resolveInstance(instance, key, records, rinfo));
+  }
+
+  /**
+   * Turn a pointed-to instance into a service once its SRV is known. Responders
+   * may send the SRV and TXT in a later packet, or only when asked for them.
+   */
+  resolveInstance(instance, key, records, rinfo) {
+    const { fqdn, pointerName } = instance;
+    const srv = records.find((record) => record.type === TYPE_SRV && record.ttl > 0 && sameName(record.name, fqdn));
+
+    if (!srv) {
+      // Refreshed pointers of a service we already know need nothing more
+      if (this.discovered.has(key)) {
+        this.pending.delete(key);
+      } else if (!instance.queried) {
+        instance.queried = true;
+        this.send({ questions: [{ name: fqdn, type: TYPE_SRV }, { name: fqdn, type: TYPE_TXT }] });
+      }
+      return;
+    }
+
+    this.pending.delete(key);
+
+    const txt = records.find((record) => record.type === TYPE_TXT && sameName(record.name, fqdn));
+    const a = records.find((record) => record.type === TYPE_A && sameName(record.name, srv.data.target));
+    const previous = this.discovered.get(key);
+
+    const service = {
+      name: fqdn.slice(0, fqdn.length - pointerName.length - 1),
+      type: pointerName.replace(/\.local$/i, ''),
+      fqdn,
+      host: srv.data.target,
+      address: a ? a.data : rinfo.address,
+      port: srv.data.port,
+      txt: txt ? txt.data : previous?.txt || []
+    };
+
+    this.discovered.set(key, service);
+    if (!previous || previous.port !== service.port || previous.address !== service.address) {
+      this.emit('service', service);
+    }
+  }
+
+  removeService(key) {
+    const service = this.discovered.get(key);
+    if (!service) return;
+
+    this.discovered.delete(key);
+    this.emit('service-down', service);
+  }
+}
+
+module.exports = { MDNS, encodePacket, decodePacket, TYPE_A, TYPE_PTR, TYPE_SRV, TYPE_TXT };
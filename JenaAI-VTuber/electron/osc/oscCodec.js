@@ -0,0 +1,332 @@
+/**
+ * OSC 1.0 Codec
+ * Encodes and decodes Open Sound Control messages and bundles
+ */
+
+const BUNDLE_TAG = '#bundle';
+
+// Seconds between the NTP epoch (1900) and the Unix epoch (1970)
+const NTP_EPOCH_OFFSET = 2208988800;
+
+// Timetag with the special "execute immediately" meaning
+const IMMEDIATELY = { seconds: 0, fraction: 1 };
+
+/**
+ * Pad a byte length up to the next multiple of four
+ */
+function padLength(length) {
+  return (length + 3) & ~3;
+}
+
+/**
+ * Encode a null-terminated, 4-byte aligned OSC string
+ */
+function encodeString(value) {
+  const bytes = Buffer.from(String(value), 'utf8');
+  const buffer = Buffer.alloc(padLength(bytes.length + 1));
+  bytes.copy(buffer);
+  return buffer;
+}
+
+/**
+ * Encode a size-prefixed, 4-byte aligned OSC blob
+ */
+function encodeBlob(value) {
+  const bytes = Buffer.from(value);
+  const buffer = Buffer.alloc(4 + padLength(bytes.length));
+  buffer.writeInt32BE(bytes.length, 0);
+  bytes.copy(buffer, 4);
+  return buffer;
+}
+
+/**
+ * Convert a Date, millisecond timestamp or timetag object into an OSC timetag
+ */
+function toTimetag(time) {
+  if (time === undefined || time === null) {
+    return IMMEDIATELY;
+  }
+
+  if (typeof time === 'object' && !(time instanceof Date)) {
+    return { seconds: time.seconds >>> 0, fraction: time.fraction >>> 0 };
+  }
+
+  const milliseconds = time instanceof Date ? time.getTime() : Number(time);
+  const seconds = Math.floor(milliseconds / 1000);
+  const fraction = Math.round(((milliseconds % 1000) / 1000) * 0x100000000);
+
+  return {
+    seconds: (seconds + NTP_EPOCH_OFFSET) >>> 0,
+    fraction: Math.min(fraction, 0xffffffff) >>> 0
+  };
+}
+
+/**
+ * Convert an OSC timetag back into a millisecond timestamp
+ */
+function fromTimetag(timetag) {
+  if (timetag.seconds === IMMEDIATELY.seconds && timetag.fraction === IMMEDIATELY.fraction) {
+    return null;
+  }
+
+  return (timetag.seconds - NTP_EPOCH_OFFSET) * 1000 + (timetag.fraction / 0x100000000) * 1000;
+}
+
+/**
+ * Normalise a raw argument into a typed { type, value } pair.
+ * Typed arguments are passed through; plain values are inferred.
+ */
+function toTypedArgument(arg) {
+  if (arg && typeof arg === 'object' && typeof arg.type === 'string' && 'value' in arg) {
+    return arg;
+  }
+
+  if (typeof arg === 'boolean') {
+    return { type: arg ? 'T' : 'F', value: arg };
+  }
+
+  if (typeof arg === 'number') {
+    return Number.isInteger(arg) ? { type: 'i', value: arg } : { type: 'f', value: arg };
+  }
+
+  if (typeof arg === 'string') {
+    return { type: 's', value: arg };
+  }
+
+  if (arg instanceof Uint8Array || arg instanceof ArrayBuffer) {
+    return { type: 'b', value: arg };
+  }
+
+  if (arg === null || arg === undefined) {
+    return { type: 'N', value: null };
+  }
+
+  throw new TypeError(`Unsupported OSC argument: ${JSON.stringify(arg)}`);
+}
+
+/**
+ * Encode a single OSC message
+ */
+function encodeMessage(address, args = []) {
+  if (typeof address !== 'string' || !address.startsWith('/')) {
+    throw new TypeError(`Invalid OSC address: ${address}`);
+  }
+
+  const typedArgs = (Array.isArray(args) ? args : [args]).map(toTypedArgument);
+  let typeTags = ',';
+  const chunks = [];
+
+  typedArgs.forEach(({ type, value }) => {
+    typeTags += type;
+
+    switch (type) {
+      case 'i': {
+        const chunk = Buffer.alloc(4);
+        chunk.writeInt32BE(value | 0, 0);
+        chunks.push(chunk);
+        break;
+      }
+      case 'f': {
+        const chunk = Buffer.alloc(4);
+        chunk.writeFloatBE(Number(value), 0);
+        chunks.push(chunk);
+        break;
+      }
+      case 's':
+        chunks.push(encodeString(value));
+        break;
+      case 'b':
+        chunks.push(encodeBlob(value));
+        break;
+      case 'T':
+      case 'F':
+      case 'N':
+      case 'I':
+        break;
+      default:
+        throw new TypeError(`Unsupported OSC type tag: ${type}`);
+    }
+  });
+
+  return Buffer.concat([encodeString(address), encodeString(typeTags), ...chunks]);
+}
+
+/**
+ * Encode an OSC bundle. Elements may be messages or nested bundles.
+ */
+function encodeBundle(timetag, elements = []) {
+  const { seconds, fraction } = toTimetag(timetag);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(seconds, 0);
+  header.writeUInt32BE(fraction, 4);
+
+  const chunks = [encodeString(BUNDLE_TAG), header];
+
+  elements.forEach((element) => {
+    const content = encodePacket(element);
+    const size = Buffer.alloc(4);
+    size.writeInt32BE(content.length, 0);
+    chunks.push(size, content);
+  });
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Encode a message ({ address, args }) or bundle ({ timetag, elements })
+ */
+function encodePacket(packet) {
+  if (Array.isArray(packet.elements)) {
+    return encodeBundle(packet.timetag, packet.elements);
+  }
+
+  return encodeMessage(packet.address, packet.args);
+}
+
+/**
+ * Read a null-terminated OSC string starting at offset
+ */
+function readString(buffer, offset) {
+  const end = buffer.indexOf(0, offset);
+  if (end === -1) {
+    throw new RangeError('Unterminated OSC string');
+  }
+
+  return {
+    value: buffer.toString('utf8', offset, end),
+    offset: offset + padLength(end - offset + 1)
+  };
+}
+
+/**
+ * Decode a single OSC message
+ */
+function decodeMessage(buffer) {
+  const address = readString(buffer, 0);
+  const args = [];
+
+  if (address.offset >= buffer.length) {
+    return { address: address.value, args };
+  }
+
+  const typeTags = readString(buffer, address.offset);
+  if (!typeTags.value.startsWith(',')) {
+    throw new TypeError(`Malformed OSC type tag string: ${typeTags.value}`);
+  }
+
+  let offset = typeTags.offset;
+
+  for (const type of typeTags.value.slice(1)) {
+    switch (type) {
+      case 'i':
+        args.push({ type, value: buffer.readInt32BE(offset) });
+        offset += 4;
+        break;
+      case 'f':
+        args.push({ type, value: buffer.readFloatBE(offset) });
+        offset += 4;
+        break;
+      case 's': {
+        const string = readString(buffer, offset);
+        args.push({ type, value: string.value });
+        offset = string.offset;
+        break;
+      }
+      case 'b': {
+        const size = buffer.readInt32BE(offset);
+        const start = offset + 4;
+        if (start + size > buffer.length) {
+          throw new RangeError('OSC blob exceeds packet length');
+        }
+        args.push({ type, value: new Uint8Array(buffer.subarray(start, start + size)) });
+        offset = start + padLength(size);
+        break;
+      }
+      case 'T':
+        args.push({ type, value: true });
+        break;
+      case 'F':
+        args.push({ type, value: false });
+        break;
+      case 'N':
+        args.push({ type, value: null });
+        break;
+      case 'I':
+        args.push({ type, value: Infinity });
+        break;
+      default:
+        throw new TypeError(`Unsupported OSC type tag: ${type}`);
+    }
+  }
+
+  return { address: address.value, args };
+}
+
+/**
+ * Decode an OSC bundle and all of its elements
+ */
+function decodeBundle(buffer) {
+  const timetag = {
+    seconds: buffer.readUInt32BE(8),
+    fraction: buffer.readUInt32BE(12)
+  };
+  const elements = [];
+  let offset = 16;
+
+  while (offset < buffer.length) {
+    const size = buffer.readInt32BE(offset);
+    const start = offset + 4;
+    if (size <= 0 || start + size > buffer.length) {
+      throw new RangeError('OSC bundle element exceeds packet length');
+    }
+    elements.push(decodePacket(buffer.subarray(start, start + size)));
+    offset = start + size;
+  }
+
+  return { timetag, time: fromTimetag(timetag), elements };
+}
+
+/**
+ * Decode a raw UDP payload into a message or bundle
+ */
+function decodePacket(data) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+
+  if (buffer.length % 4 !== 0) {
+    throw new RangeError('OSC packet length must be a multiple of 4');
+  }
+
+  if (buffer.length >= 16 && buffer.toString('ascii', 0, 8) === `${BUNDLE_TAG}\0`) {
+    return decodeBundle(buffer);
+  }
+
+  if (buffer[0] !== 0x2f) {
+    throw new TypeError('OSC packet must start with an address or #bundle');
+  }
+
+  return decodeMessage(buffer);
+}
+
+/**
+ * Flatten a decoded packet into its messages, carrying the bundle time along
+ */
+function flattenPacket(packet, time = null) {
+  if (Array.isArray(packet.elements)) {
+    return packet.elements.flatMap((element) => flattenPacket(element, packet.time));
+  }
+
+  return [{ ...packet, time }];
+}
+
+module.exports = {
+  IMMEDIATELY,
+  toTimetag,
+  fromTimetag,
+  encodeMessage,
+  encodeBundle,
+  encodePacket,
+  decodeMessage,
+  decodeBundle,
+  decodePacket,
+  flattenPacket
+};
@@ -0,0 +1,288 @@
+/**
+ * OSCQuery Service
+ * Serves the OSCQuery JSON tree describing the addresses JenaAI receives,
+ * advertises it over mDNS, and discovers VRChat's own OSCQuery server so the
+ * OSC ports and live avatar parameters don't have to be hard-coded.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { MDNS } = require('./mdns');
+
+const ACCESS = { NONE: 0, READ: 1, WRITE: 2, READ_WRITE: 3 };
+
+const NODE_ATTRIBUTES = ['FULL_PATH', 'CONTENTS', 'TYPE', 'ACCESS', 'VALUE', 'DESCRIPTION', 'RANGE'];
+
+// What VRChat looks for before it will send avatar data to an OSCQuery peer
+const DEFAULT_ENDPOINTS = [
+  { path: '/avatar/change', type: 's', access: ACCESS.WRITE, description: 'Current avatar id' },
+  { path: '/avatar/parameters', description: 'Avatar parameter updates' }
+];
+
+/**
+ * Build a nested OSCQuery node tree from flat endpoint descriptions
+ */
+function buildTree(endpoints) {
+  const root = { FULL_PATH: '/', ACCESS: ACCESS.NONE, CONTENTS: {} };
+
+  endpoints.forEach((endpoint) => {
+    let node = root;
+    const parts = endpoint.path.split('/').filter(Boolean);
+
+    parts.forEach((part, index) => {
+      node.CONTENTS = node.CONTENTS || {};
+      if (!node.CONTENTS[part]) {
+        node.CONTENTS[part] = { FULL_PATH: `/${parts.slice(0, index + 1).join('/')}`, ACCESS: ACCESS.NONE };
+      }
+      node = node.CONTENTS[part];
+    });
+
+    if (endpoint.type) node.TYPE = endpoint.type;
+    if (endpoint.access !== undefined) node.ACCESS = endpoint.access;
+    if (endpoint.value !== undefined) node.VALUE = Array.isArray(endpoint.value) ? endpoint.value : [endpoint.value];
+    if (endpoint.description) node.DESCRIPTION = endpoint.description;
+    if (!endpoint.type && !node.CONTENTS) node.CONTENTS = {};
+  });
+
+  return root;
+}
+
+/**
+ * Find the node at an OSC path, or null
+ */
+function findNode(tree, path) {
+  return path.split('/').filter(Boolean).reduce(
+    (node, part) => (node && node.CONTENTS ? node.CONTENTS[part] || null : null),
+    tree
+  );
+}
+
+/**
+ * GET a JSON document from an OSCQuery server
+ */
+function fetchJSON(host, port, path, timeout = 3000) {
+  return new Promise((resolve, reject) => {
+    const request = http.get({ host, port, path, timeout }, (response) => {
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => { body += chunk; });
+      response.on('end', () => {
+        if (response.statusCode !== 200) {
+          reject(new Error(`OSCQuery ${host}:${port}${path} returned ${response.statusCode}`));
+          return;
+        }
+
+        try {
+          resolve(JSON.parse(body));
+        } catch (error) {
+          reject(new Error(`OSCQuery ${host}:${port}${path} returned invalid JSON`));
+        }
+      });
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`OSCQuery ${host}:${port} timed out`)));
+    request.on('error', reject);
+  });
+}
+
+class OSCQueryService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.name = options.name || 'JenaAI';
+    this.host = options.host || '127.0.0.1';
+    this.endpoints = options.endpoints || DEFAULT_ENDPOINTS;
+    this.mdns = new MDNS(options.mdns);
+    this.instanceName = `${this.name}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    this.server = null;
+    this.httpPort = null;
+    this.oscPort = null;
+    this.advertised = [];
+    this.peer = null;
+
+    this.mdns.on('service', (service) => this.handleService(service));
+    this.mdns.on('service-down', (service) => {
+      if (this.peer && this.peer.service === service.fqdn) {
+        this.peer = null;
+        this.emit('vrchat-lost', service);
+      }
+    });
+    this.mdns.on('error', (error) => console.error('mDNS error:', error));
+  }
+
+  /**
+   * Start the HTTP server and advertise the OSC receive port over mDNS
+   */
+  async start(options = {}) {
+    if (options.oscPort) this.oscPort = Number(options.oscPort);
+    if (!this.oscPort) {
+      throw new Error('OSCQuery needs the OSC receive port to advertise');
+    }
+
+    if (!this.server) {
+      await this.startServer(options.httpPort || 0);
+    }
+
+    await this.mdns.start();
+    this.advertise();
+    this.mdns.browse('_oscjson._tcp');
+
+    return this.getStatus();
+  }
+
+  startServer(port) {
+    return new Promise((resolve, reject) => {
+      const server = http.createServer((request, response) => this.handleRequest(request, response));
+
+      server.once('error', reject);
+      server.listen(port, this.host, () => {
+        server.removeListener('error', reject);
+        server.on('error', (error) => this.emit('error', error));
+
+        this.server = server;
+        this.httpPort = server.address().port;
+        resolve();
+      });
+    });
+  }
+
+  advertise() {
+    this.advertised.forEach((service) => this.mdns.unadvertise(service));
+    this.advertised = [
+      this.mdns.advertise({ name: this.instanceName, type: '_oscjson._tcp', port: this.httpPort, address: this.host }),
+      this.mdns.advertise({ name: this.instanceName, type: '_osc._udp', port: this.oscPort, address: this.host })
+    ];
+  }
+
+  /**
+   * Re-advertise after the OSC receive port changes
+   */
+  setOSCPort(port) {
+    this.oscPort = Number(port);
+    if (this.server) this.advertise();
+  }
+
+  async stop() {
+    this.advertised = [];
+    this.peer = null;
+    await this.mdns.stop();
+
+    if (!this.server) return;
+
+    await new Promise((resolve) => this.server.close(() => resolve()));
+    this.server = null;
+    this.httpPort = null;
+  }
+
+  getHostInfo() {
+    return {
+      NAME: this.instanceName,
+      EXTENSIONS: { ACCESS: true, VALUE: true, DESCRIPTION: true },
+      OSC_IP: this.host,
+      OSC_PORT: this.oscPort,
+      OSC_TRANSPORT: 'UDP'
+    };
+  }
+
+  /**
+   * Any local process can reach this server, so a bad request answers with
+   * an error status instead of throwing in the main process
+   */
+  handleRequest(request, response) {
+    try {
+      this.respond(request, response);
+    } catch (error) {
+      console.error('Failed to answer OSCQuery request:', error);
+      if (!response.headersSent) response.writeHead(500);
+      response.end();
+    }
+  }
+
+  respond(request, response) {
+    const url = new URL(request.url, `http://${this.host}`);
+    const query = url.search.slice(1);
+    let body;
+
+    if (query === 'HOST_INFO') {
+      body = this.getHostInfo();
+    } else {
+      let path;
+      try {
+        path = decodeURIComponent(url.pathname);
+      } catch (error) {
+        response.writeHead(400);
+        response.end();
+        return;
+      }
+
+      const node = findNode(buildTree(this.endpoints), path);
+
+      if (!node) {
+        response.writeHead(404);
+        response.end();
+        return;
+      }
+
+      if (NODE_ATTRIBUTES.includes(query)) {
+        if (node[query] === undefined) {
+          response.writeHead(204);
+          response.end();
+          return;
+        }
+        body = { [query]: node[query] };
+      } else {
+        body = node;
+      }
+    }
+
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  }
+
+  /**
+   * VRChat advertises itself as VRChat-Client-XXXXXX; its HOST_INFO carries the OSC port it listens on
+   */
+  async handleService(service) {
+    if (service.name === this.instanceName || !/^VRChat-Client/i.test(service.name)) return;
+
+    try {
+      const hostInfo = await fetchJSON(service.address, service.port, '/?HOST_INFO');
+
+      this.peer = {
+        name: hostInfo.NAME || service.name,
+        service: service.fqdn,
+        queryAddress: service.address,
+        queryPort: service.port,
+        oscAddress: hostInfo.OSC_IP || service.address,
+        oscPort: hostInfo.OSC_PORT
+      };
+
+      this.emit('vrchat', this.peer);
+    } catch (error) {
+      console.error('Failed to query VRChat OSCQuery host info:', error);
+    }
+  }
+
+  /**
+   * Fetch a node of the discovered VRChat client's tree (defaults to /avatar)
+   */
+  queryVRChat(path = '/avatar') {
+    if (!this.peer) {
+      return Promise.resolve(null);
+    }
+
+    return fetchJSON(this.peer.queryAddress, this.peer.queryPort, path);
+  }
+
+  getStatus() {
+    return {
+      running: this.server !== null,
+      name: this.instanceName,
+      httpPort: this.httpPort,
+      oscPort: this.oscPort,
+      vrchat: this.peer
+    };
+  }
+}
+
+module.exports = { OSCQueryService, ACCESS, buildTree, findNode, fetchJSON };
@@ -0,0 +1,174 @@
+/**
+ * OSC UDP Transport
+ * Sends encoded OSC packets to VRChat (or any OSC peer) over UDP and
+ * receives the packets VRChat sends back on its output port
+ */
+
+const dgram = require('dgram');
+const { EventEmitter } = require('events');
+const { encodeMessage, encodeBundle, decodePacket, flattenPacket } = require('./oscCodec');
+
+class OSCTransport extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.address = options.address || '127.0.0.1';
+    this.port = options.port || 9000;
+    this.socket = null;
+    this.receiveSocket = null;
+    this.receivePort = null;
+    this.messagesSent = 0;
+    this.messagesReceived = 0;
+  }
+
+  /**
+   * Open the outbound UDP socket
+   */
+  connect(options = {}) {
+    this.configure(options);
+
+    if (this.socket) {
+      return Promise.resolve(this.getStatus());
+    }
+
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+
+      socket.once('error', reject);
+      socket.bind(0, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', (error) => {
+          console.error('OSC socket error:', error);
+          this.emit('error', error);
+        });
+
+        this.socket = socket;
+        this.emit('connected', this.getStatus());
+        resolve(this.getStatus());
+      });
+    });
+  }
+
+  /**
+   * Update the destination address and port
+   */
+  configure(options = {}) {
+    if (options.address) this.address = options.address;
+    if (options.port) this.port = Number(options.port);
+    return this.getStatus();
+  }
+
+  /**
+   * Bind the inbound UDP socket. Every decoded message (bundles are
+   * flattened) is emitted as a 'message' event. Port 0 picks a free port,
+   * which OSCQuery then advertises.
+   */
+  listen(port = 9001, host = '127.0.0.1') {
+    if (this.receiveSocket && (Number(port) === 0 || this.receivePort === Number(port))) {
+      return Promise.resolve(this.getStatus());
+    }
+
+    return this.stopListening().then(() => new Promise((resolve, reject) => {
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+      socket.on('message', (buffer, rinfo) => {
+        try {
+          flattenPacket(decodePacket(buffer)).forEach((message) => {
+            this.messagesReceived++;
+            this.emit('message', message, rinfo);
+          });
+        } catch (error) {
+          console.error(`Dropped invalid OSC packet from ${rinfo.address}:${rinfo.port}:`, error.message);
+        }
+      });
+
+      socket.once('error', reject);
+      socket.bind(Number(port), host, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', (error) => {
+          console.error('OSC receive socket error:', error);
+          this.emit('error', error);
+        });
+
+        this.receiveSocket = socket;
+        this.receivePort = socket.address().port;
+        this.emit('listening', this.getStatus());
+        resolve(this.getStatus());
+      });
+    }));
+  }
+
+  /**
+   * Close the inbound UDP socket
+   */
+  stopListening() {
+    if (!this.receiveSocket) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      this.receiveSocket.close(() => {
+        this.receiveSocket = null;
+        this.receivePort = null;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Close both UDP sockets
+   */
+  disconnect() {
+    const closeSend = !this.socket ? Promise.resolve() : new Promise((resolve) => {
+      this.socket.close(() => {
+        this.socket = null;
+        this.emit('disconnected');
+        resolve();
+      });
+    });
+
+    return Promise.all([closeSend, this.stopListening()]).then(() => undefined);
+  }
+
+  /**
+   * Send a raw, already encoded packet
+   */
+  sendPacket(buffer) {
+    if (!this.socket) {
+      throw new Error('OSC transport is not connected');
+    }
+
+    this.socket.send(buffer, this.port, this.address, (error) => {
+      if (error) {
+        console.error('Failed to send OSC packet:', error);
+        this.emit('error', error);
+      }
+    });
+    this.messagesSent++;
+  }
+
+  /**
+   * Send a single OSC message
+   */
+  send(address, args) {
+    this.sendPacket(encodeMessage(address, args));
+  }
+
+  /**
+   * Send several messages (or nested bundles) as one OSC bundle
+   */
+  sendBundle(elements, timetag) {
+    this.sendPacket(encodeBundle(timetag, elements));
+  }
+
+  getStatus() {
+    return {
+      connected: this.socket !== null,
+      address: this.address,
+      port: this.port,
+      listening: this.receiveSocket !== null,
+      receivePort: this.receivePort,
+      messagesSent: this.messagesSent,
+      messagesReceived: this.messagesReceived
+    };
+  }
+}
+
+module.exports = { OSCTransport };
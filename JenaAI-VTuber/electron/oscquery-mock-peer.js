@@ -0,0 +1,78 @@
+/**
+ * Mock OSCQuery Peer
+ * Stands in for VRChat's OSCQuery server while testing: advertises itself as
+ * VRChat-Client-XXXXXX over mDNS, serves an /avatar tree with a few live
+ * parameters, and logs every OSCQuery service it discovers (JenaAI included).
+ * Pair it with osc-echo-server.js on the same --osc-port.
+ *
+ * Usage: node oscquery-mock-peer.js [--osc-port 9000] [--avatar avtr_mock]
+ */
+
+const { OSCQueryService, ACCESS, fetchJSON } = require('./osc/oscQuery');
+
+function parseArgs(argv) {
+  const options = { oscPort: 9000, avatarId: 'avtr_00000000-0000-0000-0000-000000000000' };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--osc-port':
+        options.oscPort = Number(argv[++i]);
+        break;
+      case '--avatar':
+        options.avatarId = argv[++i];
+        break;
+    }
+  }
+
+  return options;
+}
+
+function mockAvatarEndpoints(avatarId) {
+  return [
+    { path: '/avatar/change', type: 's', access: ACCESS.READ, value: avatarId },
+    { path: '/avatar/parameters/VRCEmote', type: 'i', access: ACCESS.READ_WRITE, value: 0 },
+    { path: '/avatar/parameters/MouthOpen', type: 'f', access: ACCESS.READ_WRITE, value: 0.25 },
+    { path: '/avatar/parameters/EyesClosed', type: 'T', access: ACCESS.READ_WRITE, value: false },
+    { path: '/avatar/parameters/FT/v2/JawOpen', type: 'f', access: ACCESS.READ_WRITE, value: 0 },
+    { path: '/avatar/parameters/Viseme', type: 'i', access: ACCESS.READ, value: 0 }
+  ];
+}
+
+async function startMockPeer(options = {}) {
+  const { oscPort = 9000, avatarId } = options;
+  const peer = new OSCQueryService({ name: 'VRChat-Client', endpoints: mockAvatarEndpoints(avatarId) });
+
+  peer.mdns.on('service', async (service) => {
+    if (service.fqdn === `${peer.instanceName}._oscjson._tcp.local`) return;
+
+    try {
+      const hostInfo = await fetchJSON(service.address, service.port, '/?HOST_INFO');
+      const tree = await fetchJSON(service.address, service.port, '/');
+      console.log(`Found ${service.name}: OSC ${hostInfo.OSC_IP}:${hostInfo.OSC_PORT}`);
+      console.log(JSON.stringify(tree, null, 2));
+    } catch (error) {
+      console.error(`Failed to query ${service.name}:`, error.message);
+    }
+  });
+
+  const status = await peer.start({ oscPort });
+  console.log(`Mock VRChat peer ${status.name} serving OSCQuery on 127.0.0.1:${status.httpPort}, OSC port ${oscPort}`);
+
+  return peer;
+}
+
+// Start peer if run directly
+if (require.main === module) {
+  startMockPeer(parseArgs(process.argv.slice(2))).then((peer) => {
+    // Graceful shutdown sends mDNS goodbyes so JenaAI drops the peer
+    process.on('SIGINT', () => {
+      console.log('Shutting down mock OSCQuery peer...');
+      peer.stop().then(() => process.exit(0));
+    });
+  }).catch((error) => {
+    console.error('Failed to start mock OSCQuery peer:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { startMockPeer };
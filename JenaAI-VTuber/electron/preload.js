@@ -12,6 +12,47 @@ contextBridge.exposeInMainWorld('electronAPI', {
   maximizeWindow: () => ipcRenderer.invoke('maximize-window'),
   closeWindow: () => ipcRenderer.invoke('close-window'),
   
+  // OSC transport
+  osc: {
+    connect: (options) => ipcRenderer.invoke('osc-connect', options),
+    listen: (options) => ipcRenderer.invoke('osc-listen', options),
+    stopListening: () => ipcRenderer.invoke('osc-stop-listening'),
+    disconnect: () => ipcRenderer.invoke('osc-disconnect'),
+    getStatus: () => ipcRenderer.invoke('osc-status'),
+    send: (address, args) => ipcRenderer.send('osc-send', address, args),
+    sendBundle: (elements, timetag) => ipcRenderer.send('osc-send-bundle', elements, timetag),
+    onMessage: (callback) => ipcRenderer.on('osc-message', callback),
+    onError: (callback) => ipcRenderer.on('osc-error', callback)
+  },
+  
+  // VMC protocol transport
+  vmc: {
+    connect: (options) => ipcRenderer.invoke('vmc-connect', options),
+    listen: (options) => ipcRenderer.invoke('vmc-listen', options),
+    stopListening: () => ipcRenderer.invoke('vmc-stop-listening'),
+    disconnect: () => ipcRenderer.invoke('vmc-disconnect'),
+    getStatus: () => ipcRenderer.invoke('vmc-status'),
+    send: (address, args) => ipcRenderer.send('vmc-send', address, args),
+    sendBundle: (elements, timetag) => ipcRenderer.send('vmc-send-bundle', elements, timetag),
+    onMessage: (callback) => ipcRenderer.on('vmc-message', callback),
+    onError: (callback) => ipcRenderer.on('vmc-error', callback)
+  },
+  
+  // OSCQuery discovery
+  oscQuery: {
+    start: () => ipcRenderer.invoke('oscquery-start'),
+    stop: () => ipcRenderer.invoke('oscquery-stop'),
+    getStatus: () => ipcRenderer.invoke('oscquery-status'),
+    queryVRChat: (path) => ipcRenderer.invoke('oscquery-query-vrchat', path),
+    onVRChatFound: (callback) => ipcRenderer.on('oscquery-vrchat', callback),
+    onError: (callback) => ipcRenderer.on('oscquery-error', callback)
+  },
+  
+  // VRChat files
+  vrchat: {
+    readAvatarConfigs: () => ipcRenderer.invoke('vrchat-read-avatar-configs')
+  },
+  
   // Menu events
   onMenuNewSession: (callback) => ipcRenderer.on('menu-new-session', callback),
   onMenuSaveState: (callback) => ipcRenderer.on('menu-save-state', callback),
@@ -10,11 +10,13 @@ import { useAvatarStore } from './store/avatarStore.js';
 import { virtualInputSystem } from './services/virtualInputSystem.js';
 import { vrTrackingSystem } from './services/vrTrackingSystem.js';
 import { moduleStatePersistence } from './services/moduleStatePersistence.js';
+import { animationStateMachine } from './services/animationStateMachine.js';
+import { trackingFilters } from './services/trackingFilters.js';
 
 function App() {
   const [isInitialized, setIsInitialized] = useState(false);
   const [currentView, setCurrentView] = useState('avatar');
-  const { loadFromIndexedDB } = useAvatarStore();
+  const { loadFromIndexedDB, filterSettings } = useAvatarStore();
 
   useEffect(() => {
     const initializeApp = async () => {
@@ -22,6 +24,9 @@ function App() {
         // Load data from IndexedDB
         await loadFromIndexedDB();
         
+        // Layered animation states, from the animations store
+        await animationStateMachine.loadDefinition();
+        
         // Initialize virtual input and VR tracking systems
         await virtualInputSystem.start();
         await vrTrackingSystem.start();
@@ -36,6 +41,11 @@ function App() {
     initializeApp();
   }, [loadFromIndexedDB]);
 
+  // Tracking filters run whichever view is open, so they're tuned from here
+  useEffect(() => {
+    trackingFilters.configure(filterSettings);
+  }, [filterSettings]);
+
   if (!isInitialized) {
     return (
       <div className="min-h-screen bg-slate-900 flex items-center justify-center">
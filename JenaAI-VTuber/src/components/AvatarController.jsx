@@ -1,11 +1,15 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useMemo } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from './ui/tabs';
 import { Slider } from './ui/slider';
 import { Button } from './ui/button';
 import { Badge } from './ui/badge';
-import { Eye, Smile, User, RotateCcw, MessageCircle, Music, Heart, Move, MousePointer2 } from 'lucide-react';
+import { Switch } from './ui/switch';
+import { Eye, Smile, User, RotateCcw, MessageCircle, Music, Heart, Move, MousePointer2, Wind, Plus, Trash2, Sliders, Activity } from 'lucide-react';
 import { useAvatarStore } from '../store/avatarStore.js';
+import { springBonePhysics, SPRING_BONE_QUALITY, DEFAULT_CHAIN_SETTINGS } from '../services/springBonePhysics.js';
+import { BLENDSHAPE_CONVENTIONS, createBlendshapeProfile, getMorphTargetNames } from '../services/blendshapeMapping.js';
+import { HUMANOID_BONES } from '../services/humanoidRetargeting.js';
 
 export default function AvatarController({ currentModel }) {
   const [eyeGaze, setEyeGaze] = useState({ x: 0, y: 0 });
@@ -16,6 +20,8 @@ export default function AvatarController({ currentModel }) {
     angry: 0,
     sad: 0,
     happy: 0,
+    relaxed: 0,
+    blink: 0,
     // Mouth controls
     mouthOpen: 0,
     mouthSmile: 0,
@@ -57,6 +63,48 @@ export default function AvatarController({ currentModel }) {
   const [isDragging, setIsDragging] = useState(false);
 
   const { setEyeGaze: setStoreEyeGaze, setFacialExpressions: setStoreFacialExpressions, setSkeletalControls: setStoreSkeletalControls } = useAvatarStore();
+  const { vrm, springBoneSettings, setSpringBoneSettings } = useAvatarStore();
+  const { facialExpressions: storeExpressions, blendshapeProfile, setBlendshapeProfile } = useAvatarStore();
+  const { humanoidRig, humanoidBoneOverrides, setHumanoidBoneOverrides } = useAvatarStore();
+  const { idleSettings, setIdleSettings } = useAvatarStore();
+  const humanoidBoneMap = humanoidRig ? humanoidRig.getBoneMap() : {};
+  const [newChainRoot, setNewChainRoot] = useState('');
+  const [newColliderBone, setNewColliderBone] = useState('');
+
+  // Bone names to build spring chains and colliders from on plain glTF models
+  const boneNames = useMemo(() => {
+    const names = [];
+    currentModel?.traverse((child) => {
+      if (child.isBone && child.name) names.push(child.name);
+    });
+    return names;
+  }, [currentModel]);
+
+  const updateChain = (index, changes) => {
+    const chains = springBoneSettings.chains.map((chain, i) => (i === index ? { ...chain, ...changes } : chain));
+    setSpringBoneSettings({ chains });
+  };
+
+  const updateCollider = (index, changes) => {
+    const colliders = springBoneSettings.colliders.map((collider, i) => (i === index ? { ...collider, ...changes } : collider));
+    setSpringBoneSettings({ colliders });
+  };
+
+  // Blendshape mapping: the saved profile, or the one Scene3D detects from the model
+  const expressionKeys = Object.keys(storeExpressions);
+  const morphNames = useMemo(() => Array.from(getMorphTargetNames(currentModel).values()), [currentModel]);
+  const activeProfile = useMemo(() => {
+    if (blendshapeProfile) return blendshapeProfile;
+    return currentModel ? createBlendshapeProfile(currentModel, expressionKeys) : null;
+  }, [currentModel, blendshapeProfile]);
+
+  const updateMappings = (mappings) => {
+    setBlendshapeProfile({ ...activeProfile, mappings });
+  };
+
+  const updateMapping = (index, changes) => {
+    updateMappings(activeProfile.mappings.map((mapping, i) => (i === index ? { ...mapping, ...changes } : mapping)));
+  };
 
   // Handle gaze control
   const handleGazeMove = (e) => {
@@ -133,6 +181,8 @@ export default function AvatarController({ currentModel }) {
         angry: 0,
         sad: 0,
         happy: 0,
+        relaxed: 0,
+        blink: 0,
         mouthOpen: 0,
         mouthSmile: 0,
         mouthFrown: 0,
@@ -256,12 +306,52 @@ export default function AvatarController({ currentModel }) {
             </div>
           </div>
 
+          {/* Idle Motion */}
+          <div className="mb-6 space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="text-white font-medium flex items-center gap-2">
+                <Activity className="w-4 h-4 text-emerald-400" />
+                Idle Motion
+              </h3>
+              <Switch
+                checked={idleSettings.enabled}
+                onCheckedChange={(enabled) => setIdleSettings({ enabled })}
+              />
+            </div>
+            {idleSettings.enabled && (
+              <div className="space-y-3">
+                <ControlSlider
+                  label="Blinking"
+                  value={idleSettings.blink}
+                  onChange={(val) => setIdleSettings({ blink: val })}
+                />
+                <ControlSlider
+                  label="Breathing"
+                  value={idleSettings.breathing}
+                  onChange={(val) => setIdleSettings({ breathing: val })}
+                />
+                <ControlSlider
+                  label="Eye Saccades"
+                  value={idleSettings.saccades}
+                  onChange={(val) => setIdleSettings({ saccades: val })}
+                />
+                <ControlSlider
+                  label="Head Sway"
+                  value={idleSettings.headSway}
+                  onChange={(val) => setIdleSettings({ headSway: val })}
+                />
+              </div>
+            )}
+          </div>
+
           <Tabs defaultValue="gaze" className="w-full">
-            <TabsList className="grid w-full grid-cols-4 bg-slate-700/50">
+            <TabsList className="grid w-full grid-cols-6 bg-slate-700/50">
               <TabsTrigger value="gaze" className="text-xs">Gaze</TabsTrigger>
               <TabsTrigger value="face" className="text-xs">Face</TabsTrigger>
               <TabsTrigger value="mouth" className="text-xs">Mouth</TabsTrigger>
               <TabsTrigger value="body" className="text-xs">Body</TabsTrigger>
+              <TabsTrigger value="physics" className="text-xs">Physics</TabsTrigger>
+              <TabsTrigger value="shapes" className="text-xs">Shapes</TabsTrigger>
             </TabsList>
 
             {/* Eye Gaze Control */}
@@ -385,6 +475,24 @@ export default function AvatarController({ currentModel }) {
                     setStoreFacialExpressions(newExpressions);
                   }}
                 />
+                <ControlSlider
+                  label="Relaxed"
+                  value={expressions.relaxed}
+                  onChange={(val) => {
+                    const newExpressions = { ...expressions, relaxed: val };
+                    setExpressions(newExpressions);
+                    setStoreFacialExpressions(newExpressions);
+                  }}
+                />
+                <ControlSlider
+                  label="Blink"
+                  value={expressions.blink}
+                  onChange={(val) => {
+                    const newExpressions = { ...expressions, blink: val };
+                    setExpressions(newExpressions);
+                    setStoreFacialExpressions(newExpressions);
+                  }}
+                />
                 <ControlSlider
                   label="Cheek Puff"
                   value={expressions.cheekPuff}
@@ -657,6 +765,335 @@ export default function AvatarController({ currentModel }) {
                   min={-0.3}
                   max={0.3}
                 />
+
+                {currentModel && !vrm && (
+                  <>
+                    <div className="text-sm font-medium text-slate-300 border-b border-slate-700 pb-2 pt-4 flex items-center justify-between">
+                      <span>Bone Mapping</span>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={Object.keys(humanoidBoneOverrides).length === 0}
+                        onClick={() => setHumanoidBoneOverrides({})}
+                        className="bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+                      >
+                        <RotateCcw className="w-3 h-3 mr-1" />
+                        Auto
+                      </Button>
+                    </div>
+                    <p className="text-xs text-slate-500">
+                      Which bone each humanoid bone drives. Detected from Mixamo, Rigify, VRoid and similar names.
+                    </p>
+                    <div className="space-y-2">
+                      {HUMANOID_BONES.map((name) => (
+                        <div key={name} className="flex items-center gap-2">
+                          <span className={`text-xs w-28 shrink-0 ${name in humanoidBoneOverrides ? 'text-blue-400' : 'text-slate-400'}`}>
+                            {name}
+                          </span>
+                          <select
+                            value={humanoidBoneMap[name] || ''}
+                            onChange={(e) => setHumanoidBoneOverrides({ ...humanoidBoneOverrides, [name]: e.target.value })}
+                            className="flex-1 min-w-0 h-8 rounded-md bg-slate-700 border border-slate-600 text-white text-xs px-2"
+                          >
+                            <option value="">(none)</option>
+                            {boneNames.map((boneName) => (
+                              <option key={boneName} value={boneName}>{boneName}</option>
+                            ))}
+                          </select>
+                        </div>
+                      ))}
+                    </div>
+                  </>
+                )}
+              </div>
+            </TabsContent>
+
+            {/* Spring Bone Physics */}
+            <TabsContent value="physics" className="mt-6">
+              <div className="space-y-4">
+                <h3 className="text-white font-medium flex items-center gap-2">
+                  <Wind className="w-4 h-4 text-cyan-400" />
+                  Spring Bones
+                </h3>
+
+                <div className="flex items-center justify-between">
+                  <span className="text-sm text-slate-300">Physics enabled</span>
+                  <Switch
+                    checked={springBoneSettings.enabled}
+                    onCheckedChange={(enabled) => setSpringBoneSettings({ enabled })}
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <span className="text-sm text-slate-300">Quality</span>
+                  <div className="grid grid-cols-3 gap-2">
+                    {Object.keys(SPRING_BONE_QUALITY).map((quality) => (
+                      <Button
+                        key={quality}
+                        variant="outline"
+                        size="sm"
+                        onClick={() => setSpringBoneSettings({ quality })}
+                        className={springBoneSettings.quality === quality
+                          ? 'bg-cyan-500/20 text-cyan-400 border-cyan-500/30 hover:bg-cyan-500/30 capitalize'
+                          : 'bg-slate-700 border-slate-600 text-white hover:bg-slate-600 capitalize'}
+                      >
+                        {quality}
+                      </Button>
+                    ))}
+                  </div>
+                </div>
+
+                {vrm ? (
+                  <div className="text-xs text-slate-400 bg-slate-900/50 rounded p-3">
+                    Using the VRM's own spring bones: {springBonePhysics.getStatus().joints} joints,{' '}
+                    {springBonePhysics.getStatus().colliders} colliders.
+                  </div>
+                ) : (
+                  <>
+                    <div className="text-sm font-medium text-slate-300 border-b border-slate-700 pb-2 pt-4">Chains</div>
+                    <p className="text-xs text-slate-500">
+                      A chain runs from its root bone down through the first child bone of each bone.
+                    </p>
+                    <div className="flex gap-2">
+                      <select
+                        value={newChainRoot}
+                        onChange={(e) => setNewChainRoot(e.target.value)}
+                        className="flex-1 h-9 rounded-md bg-slate-700 border border-slate-600 text-white text-sm px-2"
+                      >
+                        <option value="">Root bone...</option>
+                        {boneNames.map((name) => (
+                          <option key={name} value={name}>{name}</option>
+                        ))}
+                      </select>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={!newChainRoot}
+                        onClick={() => {
+                          setSpringBoneSettings({
+                            chains: [...springBoneSettings.chains, { root: newChainRoot, ...DEFAULT_CHAIN_SETTINGS }]
+                          });
+                          setNewChainRoot('');
+                        }}
+                        className="bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+                      >
+                        <Plus className="w-3 h-3" />
+                      </Button>
+                    </div>
+
+                    {springBoneSettings.chains.map((chain, index) => (
+                      <div key={`${chain.root}-${index}`} className="space-y-3 bg-slate-900/50 rounded p-3">
+                        <div className="flex items-center justify-between">
+                          <span className="text-sm text-white">{chain.root}</span>
+                          <button
+                            onClick={() => setSpringBoneSettings({
+                              chains: springBoneSettings.chains.filter((_, i) => i !== index)
+                            })}
+                            className="text-slate-500 hover:text-red-400"
+                          >
+                            <Trash2 className="w-3 h-3" />
+                          </button>
+                        </div>
+                        <ControlSlider
+                          label="Stiffness"
+                          value={chain.stiffness}
+                          onChange={(val) => updateChain(index, { stiffness: val })}
+                          max={4}
+                        />
+                        <ControlSlider
+                          label="Gravity"
+                          value={chain.gravityPower}
+                          onChange={(val) => updateChain(index, { gravityPower: val })}
+                          max={2}
+                        />
+                        <ControlSlider
+                          label="Drag"
+                          value={chain.dragForce}
+                          onChange={(val) => updateChain(index, { dragForce: val })}
+                        />
+                      </div>
+                    ))}
+
+                    <div className="text-sm font-medium text-slate-300 border-b border-slate-700 pb-2 pt-4">Colliders</div>
+                    <p className="text-xs text-slate-500">
+                      Spheres on the head or body that chains can't pass through.
+                    </p>
+                    <div className="flex gap-2">
+                      <select
+                        value={newColliderBone}
+                        onChange={(e) => setNewColliderBone(e.target.value)}
+                        className="flex-1 h-9 rounded-md bg-slate-700 border border-slate-600 text-white text-sm px-2"
+                      >
+                        <option value="">Bone...</option>
+                        {boneNames.map((name) => (
+                          <option key={name} value={name}>{name}</option>
+                        ))}
+                      </select>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={!newColliderBone}
+                        onClick={() => {
+                          setSpringBoneSettings({
+                            colliders: [...springBoneSettings.colliders, { bone: newColliderBone, radius: 0.1, offset: [0, 0, 0] }]
+                          });
+                          setNewColliderBone('');
+                        }}
+                        className="bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+                      >
+                        <Plus className="w-3 h-3" />
+                      </Button>
+                    </div>
+
+                    {springBoneSettings.colliders.map((collider, index) => (
+                      <div key={`${collider.bone}-${index}`} className="space-y-3 bg-slate-900/50 rounded p-3">
+                        <div className="flex items-center justify-between">
+                          <span className="text-sm text-white">{collider.bone}</span>
+                          <button
+                            onClick={() => setSpringBoneSettings({
+                              colliders: springBoneSettings.colliders.filter((_, i) => i !== index)
+                            })}
+                            className="text-slate-500 hover:text-red-400"
+                          >
+                            <Trash2 className="w-3 h-3" />
+                          </button>
+                        </div>
+                        <ControlSlider
+                          label="Radius"
+                          value={collider.radius}
+                          onChange={(val) => updateCollider(index, { radius: val })}
+                          min={0.01}
+                          max={0.5}
+                        />
+                      </div>
+                    ))}
+                  </>
+                )}
+              </div>
+            </TabsContent>
+
+            {/* Blendshape Mapping */}
+            <TabsContent value="shapes" className="mt-6">
+              <div className="space-y-4">
+                <h3 className="text-white font-medium flex items-center gap-2">
+                  <Sliders className="w-4 h-4 text-green-400" />
+                  Blendshape Mapping
+                  {activeProfile && !vrm && (
+                    <Badge variant="outline" className="bg-green-500/10 text-green-400 border-green-500/30 ml-auto">
+                      {BLENDSHAPE_CONVENTIONS[activeProfile.convention]?.label || 'Custom'}
+                      {blendshapeProfile ? '' : ' (detected)'}
+                    </Badge>
+                  )}
+                </h3>
+
+                {vrm ? (
+                  <div className="text-xs text-slate-400 bg-slate-900/50 rounded p-3">
+                    VRM models use their expression presets instead of a morph target mapping.
+                  </div>
+                ) : !activeProfile ? (
+                  <div className="text-xs text-slate-400 bg-slate-900/50 rounded p-3">
+                    Load a model to map its morph targets.
+                  </div>
+                ) : (
+                  <>
+                    <div className="space-y-2">
+                      <span className="text-sm text-slate-300">Naming convention</span>
+                      <div className="grid grid-cols-2 gap-2">
+                        {Object.entries(BLENDSHAPE_CONVENTIONS).map(([id, convention]) => (
+                          <Button
+                            key={id}
+                            variant="outline"
+                            size="sm"
+                            onClick={() => setBlendshapeProfile(createBlendshapeProfile(currentModel, expressionKeys, id))}
+                            className={activeProfile.convention === id
+                              ? 'bg-green-500/20 text-green-400 border-green-500/30 hover:bg-green-500/30'
+                              : 'bg-slate-700 border-slate-600 text-white hover:bg-slate-600'}
+                          >
+                            {convention.label}
+                          </Button>
+                        ))}
+                      </div>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={!blendshapeProfile}
+                        onClick={() => setBlendshapeProfile(null)}
+                        className="w-full bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+                      >
+                        <RotateCcw className="w-3 h-3 mr-1" />
+                        Detect Again
+                      </Button>
+                    </div>
+
+                    <div className="text-sm font-medium text-slate-300 border-b border-slate-700 pb-2 pt-4 flex items-center justify-between">
+                      <span>Mappings ({activeProfile.mappings.length})</span>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={morphNames.length === 0}
+                        onClick={() => updateMappings([
+                          ...activeProfile.mappings,
+                          { key: expressionKeys[0], morph: morphNames[0], scale: 1, offset: 0 }
+                        ])}
+                        className="bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+                      >
+                        <Plus className="w-3 h-3" />
+                      </Button>
+                    </div>
+                    {morphNames.length === 0 && (
+                      <p className="text-xs text-slate-500">This model has no morph targets.</p>
+                    )}
+
+                    {activeProfile.mappings.map((mapping, index) => (
+                      <div key={index} className="space-y-3 bg-slate-900/50 rounded p-3">
+                        <div className="flex items-center gap-2">
+                          <select
+                            value={mapping.key}
+                            onChange={(e) => updateMapping(index, { key: e.target.value })}
+                            className="flex-1 min-w-0 h-8 rounded-md bg-slate-700 border border-slate-600 text-white text-xs px-2"
+                          >
+                            {expressionKeys.map((key) => (
+                              <option key={key} value={key}>{key}</option>
+                            ))}
+                          </select>
+                          <span className="text-slate-500 text-xs">→</span>
+                          <select
+                            value={mapping.morph}
+                            onChange={(e) => updateMapping(index, { morph: e.target.value })}
+                            className="flex-1 min-w-0 h-8 rounded-md bg-slate-700 border border-slate-600 text-white text-xs px-2"
+                          >
+                            {!morphNames.includes(mapping.morph) && (
+                              <option value={mapping.morph}>{mapping.morph} (missing)</option>
+                            )}
+                            {morphNames.map((name) => (
+                              <option key={name} value={name}>{name}</option>
+                            ))}
+                          </select>
+                          <button
+                            onClick={() => updateMappings(activeProfile.mappings.filter((_, i) => i !== index))}
+                            className="text-slate-500 hover:text-red-400"
+                          >
+                            <Trash2 className="w-3 h-3" />
+                          </button>
+                        </div>
+                        <ControlSlider
+                          label="Scale"
+                          value={mapping.scale}
+                          onChange={(val) => updateMapping(index, { scale: val })}
+                          min={-2}
+                          max={2}
+                        />
+                        <ControlSlider
+                          label="Offset"
+                          value={mapping.offset}
+                          onChange={(val) => updateMapping(index, { offset: val })}
+                          min={-1}
+                          max={1}
+                        />
+                      </div>
+                    ))}
+                  </>
+                )}
               </div>
             </TabsContent>
           </Tabs>
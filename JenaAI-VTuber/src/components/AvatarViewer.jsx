@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import Scene3D from './Scene3D.jsx';
 import FileUpload from './FileUpload.jsx';
 import AvatarController from './AvatarController.jsx';
+import TimelineEditor from './TimelineEditor.jsx';
 import WebLLMAIController from './WebLLMAIController.jsx';
 import TTSController from './TTSController.jsx';
 import WebSpeechTTS from './WebSpeechTTS.jsx';
@@ -16,6 +17,7 @@ import { useAvatarStore } from '../store/avatarStore.js';
 
 const AvatarViewer = () => {
   const [activeTab, setActiveTab] = useState('controls');
+  const [showTimeline, setShowTimeline] = useState(false);
   const { model, isLoading } = useAvatarStore();
 
   const builtInModels = [
@@ -74,6 +76,17 @@ const AvatarViewer = () => {
           </div>
           
           <div className="flex items-center gap-4">
+            <button
+              onClick={() => setShowTimeline(!showTimeline)}
+              className={`px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
+                showTimeline
+                  ? 'bg-purple-500/20 text-purple-400'
+                  : 'text-slate-400 hover:text-white hover:bg-slate-700/50'
+              }`}
+            >
+              🎞️ Timeline
+            </button>
+
             <div className="flex items-center gap-2">
               <div className={`w-3 h-3 rounded-full ${model ? 'bg-green-500' : 'bg-red-500'}`}></div>
               <span className="text-sm text-slate-300">
@@ -92,9 +105,16 @@ const AvatarViewer = () => {
       </header>
 
       <div className="flex h-[calc(100vh-80px)]">
-        {/* 3D Scene */}
-        <div className="flex-1 relative">
-          <Scene3D />
+        {/* 3D Scene, with the timeline docked below it */}
+        <div className="flex-1 flex flex-col min-w-0">
+          <div className="flex-1 min-h-0 relative">
+            <Scene3D />
+          </div>
+          {showTimeline && (
+            <div className="h-80 border-t border-slate-700/50">
+              <TimelineEditor />
+            </div>
+          )}
         </div>
 
         {/* Control Panel */}
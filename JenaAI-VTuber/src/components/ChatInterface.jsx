@@ -17,6 +17,7 @@ import {
   CheckCircle,
   Loader2
 } from 'lucide-react';
+import { animationStateMachine } from '../services/animationStateMachine.js';
 
 const ChatInterface = () => {
   const [messages, setMessages] = useState([]);
@@ -96,6 +97,7 @@ const ChatInterface = () => {
         break;
       case 'ai_response':
         addMessage('ai', message.data.response, 'info');
+        animationStateMachine.dispatch('chatMessage', { text: message.data.response, sender: 'ai' });
         break;
       case 'code_generated':
         setGeneratedCode(message.data.code);
@@ -140,6 +142,7 @@ const ChatInterface = () => {
 
     // Add user message to chat
     addMessage('user', userMessage, 'user');
+    animationStateMachine.dispatch('chatMessage', { text: userMessage, sender: 'user' });
 
     try {
       // Send message to server for AI processing
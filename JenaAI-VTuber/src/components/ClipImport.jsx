@@ -0,0 +1,262 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Slider } from './ui/slider';
+import { Film, Upload, Play, Square, Save, CheckCircle, AlertCircle } from 'lucide-react';
+import { useAvatarStore } from '../store/avatarStore.js';
+import { animationService } from '../services/animationService.js';
+import { loadClipFile, retargetClip, CLIP_FILE_EXTENSIONS } from '../services/clipImport.js';
+
+// Shortest clip the trim sliders allow, in seconds
+const MIN_CLIP_LENGTH = 0.1;
+
+export default function ClipImport() {
+  const [source, setSource] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [clipIndex, setClipIndex] = useState(0);
+  const [clipName, setClipName] = useState('');
+  const [trim, setTrim] = useState({ start: 0, end: 0 });
+  const [previewing, setPreviewing] = useState(false);
+  const [status, setStatus] = useState(null);
+  const fileInputRef = useRef(null);
+  const { humanoidRig, facialExpressions, animationHistory } = useAvatarStore();
+
+  const clip = source?.clips[clipIndex] || null;
+
+  // Saved clips by name, not state machine definitions
+  const savedClips = useMemo(() => Array.from(new Set(animationHistory
+    .filter((animation) => Array.isArray(animation.data?.tracks))
+    .map((animation) => animation.name))), [animationHistory]);
+
+  const selectClip = (loaded, index, baseName) => {
+    const selected = loaded.clips[index];
+    setClipIndex(index);
+    setClipName(loaded.clips.length > 1 ? `${baseName} ${selected.name || index + 1}` : baseName);
+    setTrim({ start: 0, end: selected.duration });
+  };
+
+  const stopPreview = () => {
+    if (!previewing) return;
+    animationService.stopAnimation();
+    setPreviewing(false);
+  };
+
+  const handleFile = async (file) => {
+    if (!file) return;
+
+    if (!CLIP_FILE_EXTENSIONS.some((extension) => file.name.toLowerCase().endsWith(extension))) {
+      setStatus({ type: 'error', message: 'Please select a .bvh, .fbx, .gltf or .glb file.' });
+      return;
+    }
+
+    stopPreview();
+    setStatus({ type: 'loading', message: `Loading ${file.name}...` });
+
+    try {
+      const loaded = await loadClipFile(file);
+      if (loaded.clips.length === 0) {
+        setSource(null);
+        setStatus({ type: 'error', message: `${file.name} has no animations.` });
+        return;
+      }
+
+      const baseName = file.name.replace(/\.[^.]+$/, '');
+      setSource(loaded);
+      setFileName(baseName);
+      selectClip(loaded, 0, baseName);
+      setStatus({
+        type: 'success',
+        message: `${loaded.clips.length} ${loaded.clips.length === 1 ? 'clip' : 'clips'} found in ${file.name}`
+      });
+    } catch (error) {
+      console.error('Failed to import animation:', error);
+      setStatus({ type: 'error', message: `Could not read ${file.name}.` });
+    }
+  };
+
+  // Sampled onto the humanoid bones the current avatar maps
+  const retarget = () => {
+    const data = retargetClip(source, clip, {
+      start: trim.start,
+      end: trim.end,
+      bones: humanoidRig ? Object.keys(humanoidRig.getBoneMap()) : null,
+      expressionKeys: Object.keys(facialExpressions)
+    });
+
+    if (data.tracks.length === 0) {
+      setStatus({ type: 'error', message: 'No humanoid bones or expressions found in this clip.' });
+      return null;
+    }
+    return data;
+  };
+
+  const handlePreview = () => {
+    if (previewing) {
+      stopPreview();
+      return;
+    }
+
+    const data = retarget();
+    if (data && animationService.playAnimationData(clipName || fileName, data, { loop: 'repeat' })) {
+      setPreviewing(true);
+    }
+  };
+
+  const handleSave = async () => {
+    const name = clipName.trim();
+    const data = name ? retarget() : null;
+    if (!data) return;
+
+    stopPreview();
+    const saved = await animationService.loadAnimation(name, data);
+    setStatus(saved
+      ? { type: 'success', message: `Saved ${name} (${data.duration.toFixed(1)}s)` }
+      : { type: 'error', message: `Failed to save ${name}.` });
+  };
+
+  const handlePlaySaved = (name) => {
+    setPreviewing(false);
+    animationService.playAnimation(name);
+  };
+
+  return (
+    <Card className="bg-slate-800/50 backdrop-blur-sm border-slate-700/50">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-white text-lg flex items-center gap-2">
+          <Film className="w-5 h-5 text-green-400" />
+          Import Animation
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={CLIP_FILE_EXTENSIONS.join(',')}
+          onChange={(e) => {
+            handleFile(e.target.files?.[0]);
+            e.target.value = '';
+          }}
+          className="hidden"
+        />
+        <Button
+          variant="outline"
+          size="sm"
+          className="w-full bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+          onClick={() => fileInputRef.current?.click()}
+        >
+          <Upload className="w-4 h-4 mr-2" />
+          BVH, FBX or glTF File
+        </Button>
+
+        {clip && (
+          <div className="space-y-3">
+            {source.clips.length > 1 && (
+              <select
+                value={clipIndex}
+                onChange={(e) => {
+                  stopPreview();
+                  selectClip(source, Number(e.target.value), fileName);
+                }}
+                className="w-full h-8 rounded-md bg-slate-700 border border-slate-600 text-white text-xs px-2"
+              >
+                {source.clips.map((sourceClip, index) => (
+                  <option key={index} value={index}>
+                    {sourceClip.name || `Clip ${index + 1}`} ({sourceClip.duration.toFixed(1)}s)
+                  </option>
+                ))}
+              </select>
+            )}
+
+            <Input
+              value={clipName}
+              onChange={(e) => setClipName(e.target.value)}
+              placeholder="Clip name"
+              className="h-8 bg-slate-700 border-slate-600 text-white text-sm"
+            />
+
+            <div className="space-y-2">
+              <div className="flex justify-between items-center">
+                <span className="text-sm text-slate-300">Start</span>
+                <span className="text-xs text-slate-500 bg-slate-800 px-2 py-1 rounded">{trim.start.toFixed(2)}s</span>
+              </div>
+              <Slider
+                value={[trim.start]}
+                onValueChange={([value]) => setTrim((prev) => ({ ...prev, start: Math.min(value, prev.end - MIN_CLIP_LENGTH) }))}
+                min={0}
+                max={clip.duration}
+                step={0.01}
+              />
+              <div className="flex justify-between items-center">
+                <span className="text-sm text-slate-300">End</span>
+                <span className="text-xs text-slate-500 bg-slate-800 px-2 py-1 rounded">{trim.end.toFixed(2)}s</span>
+              </div>
+              <Slider
+                value={[trim.end]}
+                onValueChange={([value]) => setTrim((prev) => ({ ...prev, end: Math.max(value, prev.start + MIN_CLIP_LENGTH) }))}
+                min={0}
+                max={clip.duration}
+                step={0.01}
+              />
+            </div>
+
+            <div className="flex gap-2">
+              <Button
+                variant="outline"
+                size="sm"
+                className="flex-1 bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+                onClick={handlePreview}
+              >
+                {previewing ? <Square className="w-4 h-4 mr-2" /> : <Play className="w-4 h-4 mr-2" />}
+                {previewing ? 'Stop' : 'Preview'}
+              </Button>
+              <Button
+                size="sm"
+                className="flex-1 bg-green-600 hover:bg-green-700 text-white"
+                onClick={handleSave}
+                disabled={!clipName.trim()}
+              >
+                <Save className="w-4 h-4 mr-2" />
+                Save
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {status && (
+          <div className={`p-3 rounded-lg flex items-center gap-3 ${
+            status.type === 'error'
+              ? 'bg-red-500/10 text-red-400'
+              : status.type === 'success'
+              ? 'bg-green-500/10 text-green-400'
+              : 'bg-blue-500/10 text-blue-400'
+          }`}>
+            {status.type === 'error' && <AlertCircle className="w-4 h-4 shrink-0" />}
+            {status.type === 'success' && <CheckCircle className="w-4 h-4 shrink-0" />}
+            {status.type === 'loading' && (
+              <div className="w-4 h-4 border-2 border-blue-400 border-t-transparent rounded-full animate-spin shrink-0" />
+            )}
+            <span className="text-sm">{status.message}</span>
+          </div>
+        )}
+
+        {savedClips.length > 0 && (
+          <div className="space-y-1">
+            <span className="text-xs text-slate-400">Saved Clips</span>
+            {savedClips.map((name) => (
+              <div key={name} className="flex items-center justify-between p-2 rounded-lg bg-slate-700/30">
+                <span className="text-sm text-white truncate">{name}</span>
+                <button
+                  onClick={() => handlePlaySaved(name)}
+                  className="text-slate-400 hover:text-green-400"
+                >
+                  <Play className="w-3 h-3" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
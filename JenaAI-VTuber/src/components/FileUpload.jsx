@@ -4,6 +4,9 @@ import { Button } from './ui/button';
 import { Badge } from './ui/badge';
 import { Upload, FileText, Image, CheckCircle, AlertCircle, SkipForward, Download } from 'lucide-react';
 import { useAvatarStore } from '../store/avatarStore.js';
+import ClipImport from './ClipImport.jsx';
+import PoseSequenceImport from './PoseSequenceImport.jsx';
+import RecordTake from './RecordTake.jsx';
 
 export default function FileUpload({ onFileLoad, onLoadingChange, builtInModels, onBuiltInModelSelect, currentModelIndex }) {
   const [dragActive, setDragActive] = useState(false);
@@ -15,10 +18,10 @@ export default function FileUpload({ onFileLoad, onLoadingChange, builtInModels,
     if (!file) return;
 
     const fileNameLower = file.name.toLowerCase();
-    if (!fileNameLower.endsWith('.gltf') && !fileNameLower.endsWith('.glb')) {
+    if (!['.gltf', '.glb', '.vrm'].some((extension) => fileNameLower.endsWith(extension))) {
       setUploadStatus({
         type: 'error',
-        message: 'Please select a valid .gltf or .glb file.'
+        message: 'Please select a valid .gltf, .glb or .vrm file.'
       });
       return;
     }
@@ -31,7 +34,7 @@ export default function FileUpload({ onFileLoad, onLoadingChange, builtInModels,
 
     const url = URL.createObjectURL(file);
     setTimeout(() => {
-      setModelUrl(url);
+      setModelUrl(url, file.name);
       onFileLoad(url, file.name);
       setUploadStatus({
         type: 'success',
@@ -89,7 +92,7 @@ export default function FileUpload({ onFileLoad, onLoadingChange, builtInModels,
             <input 
               ref={fileInputRef} 
               type="file" 
-              accept=".gltf,.glb" 
+              accept=".gltf,.glb,.vrm" 
               onChange={handleFileInput} 
               className="hidden" 
             />
@@ -103,7 +106,7 @@ export default function FileUpload({ onFileLoad, onLoadingChange, builtInModels,
                 )}
               </div>
               <h3 className="text-white font-semibold mb-2">
-                {dragActive ? "Drop your file here" : "Drag & Drop GLTF/GLB"}
+                {dragActive ? "Drop your file here" : "Drag & Drop GLTF/GLB/VRM"}
               </h3>
               <p className="text-slate-400 text-sm mb-4">
                 or click to browse files
@@ -115,6 +118,9 @@ export default function FileUpload({ onFileLoad, onLoadingChange, builtInModels,
                 <Badge variant="outline" className="bg-purple-500/10 text-purple-400 border-purple-500/30">
                   .glb
                 </Badge>
+                <Badge variant="outline" className="bg-pink-500/10 text-pink-400 border-pink-500/30">
+                  .vrm
+                </Badge>
               </div>
             </div>
           </div>
@@ -139,6 +145,15 @@ export default function FileUpload({ onFileLoad, onLoadingChange, builtInModels,
         </CardContent>
       </Card>
 
+      {/* Animation clips from BVH, FBX and glTF files */}
+      <ClipImport />
+
+      {/* Clips solved from OpenPose or MediaPipe video analysis */}
+      <PoseSequenceImport />
+
+      {/* Takes recorded from the avatar controls and tracking */}
+      <RecordTake />
+
       {/* Built-in Models */}
       <Card className="bg-slate-800/50 backdrop-blur-sm border-slate-700/50">
         <CardHeader className="pb-3">
@@ -0,0 +1,229 @@
+import React, { useRef, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Slider } from './ui/slider';
+import { Video, FolderOpen, FileArchive, Play, Square, Save, CheckCircle, AlertCircle } from 'lucide-react';
+import { animationService, openPoseService } from '../services/animationService.js';
+import {
+  loadPoseSequence,
+  bakePoseSequence,
+  getSequenceConfidence,
+  POSE_SEQUENCE_EXTENSIONS,
+  DEFAULT_FRAME_RATE,
+  DEFAULT_SMOOTHING
+} from '../services/poseSequenceImport.js';
+
+export default function PoseSequenceImport() {
+  const [sequence, setSequence] = useState(null);
+  const [clipName, setClipName] = useState('');
+  const [frameRate, setFrameRate] = useState(DEFAULT_FRAME_RATE);
+  const [smoothing, setSmoothing] = useState(DEFAULT_SMOOTHING);
+  const [previewing, setPreviewing] = useState(false);
+  const [status, setStatus] = useState(null);
+  const folderInputRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  // OpenPose frames carry no timestamps; MediaPipe ones usually do
+  const needsFrameRate = sequence?.frames.some(({ time }) => time === null);
+
+  const stopPreview = () => {
+    if (!previewing) return;
+    animationService.stopAnimation();
+    setPreviewing(false);
+  };
+
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList || [])
+      .filter((file) => POSE_SEQUENCE_EXTENSIONS.some((extension) => file.name.toLowerCase().endsWith(extension)));
+    if (files.length === 0) {
+      setStatus({ type: 'error', message: 'Please select OpenPose or MediaPipe .json files, a folder of them, or a .zip.' });
+      return;
+    }
+
+    stopPreview();
+    setStatus({ type: 'loading', message: `Reading ${files.length} ${files.length === 1 ? 'file' : 'files'}...` });
+
+    try {
+      const loaded = await loadPoseSequence(files);
+      if (!loaded.format || loaded.frames.every(({ pose }) => !pose)) {
+        setSequence(null);
+        setStatus({ type: 'error', message: 'No body keypoints found in the selected files.' });
+        return;
+      }
+
+      // A folder's name is the first part of its files' relative paths
+      const baseName = (files[0].webkitRelativePath || files[0].name).split('/')[0].replace(/\.[^.]+$/, '');
+      setSequence(loaded);
+      setClipName(baseName);
+      setStatus({
+        type: 'success',
+        message: `${loaded.frames.length} ${loaded.format === 'openpose' ? 'OpenPose' : 'MediaPipe'} frames, ${Math.round(getSequenceConfidence(loaded.frames) * 100)}% confidence`
+      });
+    } catch (error) {
+      console.error('Failed to import pose sequence:', error);
+      setStatus({ type: 'error', message: 'Could not read the selected files.' });
+    }
+  };
+
+  const handlePreview = () => {
+    if (previewing) {
+      stopPreview();
+      return;
+    }
+
+    const { data } = bakePoseSequence(sequence, { frameRate, smoothing });
+    if (!data || data.tracks.length === 0) {
+      setStatus({ type: 'error', message: 'The detected poses did not move the avatar.' });
+      return;
+    }
+    if (animationService.playAnimationData(clipName, data, { loop: 'repeat' })) {
+      setPreviewing(true);
+    }
+  };
+
+  const handleSave = async () => {
+    const name = clipName.trim();
+    if (!name) return;
+
+    stopPreview();
+    const result = await openPoseService.savePoseSequence(name, sequence, { frameRate, smoothing });
+    setStatus(result
+      ? { type: 'success', message: `Saved ${name} (${result.data.duration.toFixed(1)}s, ${Math.round(result.confidence * 100)}% confidence)` }
+      : { type: 'error', message: `Failed to save ${name}.` });
+  };
+
+  const fileInputProps = {
+    type: 'file',
+    multiple: true,
+    onChange: (e) => {
+      handleFiles(e.target.files);
+      e.target.value = '';
+    },
+    className: 'hidden'
+  };
+
+  return (
+    <Card className="bg-slate-800/50 backdrop-blur-sm border-slate-700/50">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-white text-lg flex items-center gap-2">
+          <Video className="w-5 h-5 text-orange-400" />
+          Import Video Poses
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-xs text-slate-400">
+          OpenPose *_keypoints.json frames or MediaPipe pose landmarks, solved into a clip.
+        </p>
+
+        <input ref={folderInputRef} webkitdirectory="" directory="" {...fileInputProps} />
+        <input ref={fileInputRef} accept={POSE_SEQUENCE_EXTENSIONS.join(',')} {...fileInputProps} />
+        <div className="flex gap-2">
+          <Button
+            variant="outline"
+            size="sm"
+            className="flex-1 bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+            onClick={() => folderInputRef.current?.click()}
+          >
+            <FolderOpen className="w-4 h-4 mr-2" />
+            Folder
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            className="flex-1 bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+            onClick={() => fileInputRef.current?.click()}
+          >
+            <FileArchive className="w-4 h-4 mr-2" />
+            JSON or Zip
+          </Button>
+        </div>
+
+        {sequence && (
+          <div className="space-y-3">
+            <Input
+              value={clipName}
+              onChange={(e) => setClipName(e.target.value)}
+              placeholder="Clip name"
+              className="h-8 bg-slate-700 border-slate-600 text-white text-sm"
+            />
+
+            {needsFrameRate && (
+              <div className="flex justify-between items-center">
+                <span className="text-sm text-slate-300">Video FPS</span>
+                <Input
+                  type="number"
+                  min={1}
+                  max={240}
+                  value={frameRate}
+                  onChange={(e) => {
+                    stopPreview();
+                    setFrameRate(Math.max(1, Number(e.target.value) || DEFAULT_FRAME_RATE));
+                  }}
+                  className="h-8 w-20 bg-slate-700 border-slate-600 text-white text-sm"
+                />
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <div className="flex justify-between items-center">
+                <span className="text-sm text-slate-300">Smoothing</span>
+                <span className="text-xs text-slate-500 bg-slate-800 px-2 py-1 rounded">
+                  {smoothing === 0 ? 'Off' : `±${smoothing} frames`}
+                </span>
+              </div>
+              <Slider
+                value={[smoothing]}
+                onValueChange={([value]) => {
+                  stopPreview();
+                  setSmoothing(value);
+                }}
+                min={0}
+                max={8}
+                step={1}
+              />
+            </div>
+
+            <div className="flex gap-2">
+              <Button
+                variant="outline"
+                size="sm"
+                className="flex-1 bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+                onClick={handlePreview}
+              >
+                {previewing ? <Square className="w-4 h-4 mr-2" /> : <Play className="w-4 h-4 mr-2" />}
+                {previewing ? 'Stop' : 'Preview'}
+              </Button>
+              <Button
+                size="sm"
+                className="flex-1 bg-green-600 hover:bg-green-700 text-white"
+                onClick={handleSave}
+                disabled={!clipName.trim()}
+              >
+                <Save className="w-4 h-4 mr-2" />
+                Save
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {status && (
+          <div className={`p-3 rounded-lg flex items-center gap-3 ${
+            status.type === 'error'
+              ? 'bg-red-500/10 text-red-400'
+              : status.type === 'success'
+              ? 'bg-green-500/10 text-green-400'
+              : 'bg-blue-500/10 text-blue-400'
+          }`}>
+            {status.type === 'error' && <AlertCircle className="w-4 h-4 shrink-0" />}
+            {status.type === 'success' && <CheckCircle className="w-4 h-4 shrink-0" />}
+            {status.type === 'loading' && (
+              <div className="w-4 h-4 border-2 border-blue-400 border-t-transparent rounded-full animate-spin shrink-0" />
+            )}
+            <span className="text-sm">{status.message}</span>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
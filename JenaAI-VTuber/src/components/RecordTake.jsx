@@ -0,0 +1,131 @@
+import React, { useEffect, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Clapperboard, Circle, Square, X, CheckCircle, AlertCircle } from 'lucide-react';
+import { takeRecorder } from '../services/takeRecorder.js';
+
+export default function RecordTake() {
+  const [takeName, setTakeName] = useState('');
+  const [recorder, setRecorder] = useState(takeRecorder.getStatus());
+  const [status, setStatus] = useState(null);
+
+  // The elapsed time ticks while recording; the recorder can also stop itself when a take gets too long
+  useEffect(() => {
+    const refresh = () => setRecorder(takeRecorder.getStatus());
+    const timer = recorder.recording ? setInterval(refresh, 100) : null;
+
+    takeRecorder.on('take:stopped', refresh);
+    return () => {
+      clearInterval(timer);
+      takeRecorder.off('take:stopped', refresh);
+    };
+  }, [recorder.recording]);
+
+  const handleRecord = () => {
+    takeRecorder.start();
+    setRecorder(takeRecorder.getStatus());
+    setStatus({ type: 'loading', message: 'Recording... perform the gesture, then stop.' });
+  };
+
+  const handleStop = async () => {
+    const name = takeName.trim() || `Take ${new Date().toLocaleTimeString()}`;
+    const data = await takeRecorder.stop(name);
+    setRecorder(takeRecorder.getStatus());
+
+    if (data) {
+      const keyframes = data.tracks.reduce((sum, track) => sum + track.times.length, 0);
+      setStatus({ type: 'success', message: `Saved ${name}: ${data.tracks.length} tracks, ${keyframes} keyframes` });
+      setTakeName('');
+    } else {
+      setStatus({ type: 'error', message: 'Nothing moved during the take, or it could not be saved.' });
+    }
+  };
+
+  const handleCancel = () => {
+    takeRecorder.cancel();
+    setRecorder(takeRecorder.getStatus());
+    setStatus(null);
+  };
+
+  // Stopped by the sample limit: the take is still there to save
+  const pending = !recorder.recording && recorder.samples > 0;
+
+  return (
+    <Card className="bg-slate-800/50 backdrop-blur-sm border-slate-700/50">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-white text-lg flex items-center gap-2">
+          <Clapperboard className="w-5 h-5 text-red-400" />
+          Record Take
+          {recorder.recording && (
+            <span className="ml-auto text-xs text-red-400 bg-red-500/10 px-2 py-1 rounded">
+              {recorder.duration.toFixed(1)}s
+            </span>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <p className="text-xs text-slate-400">
+          Records the avatar controls, VMC and OSC face tracking, then saves them as a clip.
+        </p>
+
+        <Input
+          value={takeName}
+          onChange={(e) => setTakeName(e.target.value)}
+          placeholder="Take name"
+          className="h-8 bg-slate-700 border-slate-600 text-white text-sm"
+        />
+
+        <div className="flex gap-2">
+          {recorder.recording || pending ? (
+            <Button
+              size="sm"
+              className="flex-1 bg-red-600 hover:bg-red-700 text-white"
+              onClick={handleStop}
+            >
+              <Square className="w-4 h-4 mr-2" />
+              {pending ? 'Save' : 'Stop'}
+            </Button>
+          ) : (
+            <Button
+              variant="outline"
+              size="sm"
+              className="flex-1 bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+              onClick={handleRecord}
+            >
+              <Circle className="w-4 h-4 mr-2 text-red-400" />
+              Record
+            </Button>
+          )}
+          {(recorder.recording || pending) && (
+            <Button
+              variant="outline"
+              size="sm"
+              className="bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+              onClick={handleCancel}
+            >
+              <X className="w-4 h-4" />
+            </Button>
+          )}
+        </div>
+
+        {status && (
+          <div className={`p-3 rounded-lg flex items-center gap-3 ${
+            status.type === 'error'
+              ? 'bg-red-500/10 text-red-400'
+              : status.type === 'success'
+              ? 'bg-green-500/10 text-green-400'
+              : 'bg-blue-500/10 text-blue-400'
+          }`}>
+            {status.type === 'error' && <AlertCircle className="w-4 h-4 shrink-0" />}
+            {status.type === 'success' && <CheckCircle className="w-4 h-4 shrink-0" />}
+            {status.type === 'loading' && (
+              <div className="w-4 h-4 border-2 border-blue-400 border-t-transparent rounded-full animate-spin shrink-0" />
+            )}
+            <span className="text-sm">{status.message}</span>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,24 +1,190 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { Glasses } from 'lucide-react';
 import { useAvatarStore } from '../store/avatarStore.js';
-import { movementService, expressionService } from '../services/animationService.js';
+import { animationService, movementService, expressionService } from '../services/animationService.js';
+import { animationStateMachine } from '../services/animationStateMachine.js';
+import {
+  registerVRMLoader,
+  setupVRM,
+  disposeVRM,
+  applyVRMExpressions,
+  applyVRMLookAt,
+  getVRMBoneNode
+} from '../services/vrmAvatar.js';
+import { springBonePhysics } from '../services/springBonePhysics.js';
+import { createBlendshapeProfile, applyBlendshapeProfile } from '../services/blendshapeMapping.js';
+import { createHumanoidRig, createVRMHumanoidRig, EYE_GAZE_RANGE } from '../services/humanoidRetargeting.js';
+import { idleBehavior, getClipIdleChannels, IDLE_CHANNELS } from '../services/idleBehavior.js';
+import { lipSync, LIP_SYNC_EXPRESSIONS } from '../services/lipSync.js';
+
+// The controls effect walks the whole model, so headset gaze is throttled
+const XR_GAZE_INTERVAL = 1 / 30;
+
+// Where the avatar stands in VR, in front of the viewer's starting position
+const XR_AVATAR_DISTANCE = 1;
+
+/**
+ * Swap the flat view's fit-to-screen layout for VR: authored size, feet on
+ * the floor, facing the viewer. The flat layout is kept for restoreFromXR.
+ */
+const placeForXR = (model) => {
+  model.userData.viewTransform = { position: model.position.clone(), scale: model.scale.clone() };
+  model.scale.divideScalar(model.userData.fitScale || 1);
+  model.position.set(0, 0, 0);
+  model.updateMatrixWorld(true);
+
+  const box = new THREE.Box3().setFromObject(model);
+  const center = box.getCenter(new THREE.Vector3());
+  model.position.set(-center.x, -box.min.y, -XR_AVATAR_DISTANCE - center.z);
+  model.updateMatrixWorld(true);
+
+  // Gaze from the head bone, or from roughly eye height when there isn't one
+  let headBone = model.userData.vrm ? getVRMBoneNode(model.userData.vrm, 'head') : null;
+  model.traverse((child) => {
+    if (!headBone && child.isBone && /head|skull/.test(child.name.toLowerCase())) headBone = child;
+  });
+  const eyePoint = new THREE.Vector3(0, (box.max.y - box.min.y) * 0.92, -XR_AVATAR_DISTANCE);
+  model.userData.gazeOrigin = headBone || model.worldToLocal(eyePoint);
+};
+
+const restoreFromXR = (model) => {
+  const { viewTransform } = model.userData;
+  if (!viewTransform) return;
+
+  model.position.copy(viewTransform.position);
+  model.scale.copy(viewTransform.scale);
+  delete model.userData.viewTransform;
+  delete model.userData.gazeOrigin;
+};
+
+/**
+ * eyeGaze (-1..1, +x to screen right, +y up) that points the avatar's eyes at a world position
+ */
+const getGazeTowards = (model, target) => {
+  const origin = model.userData.gazeOrigin;
+  if (!origin) return null;
+
+  const from = origin.isBone ? origin.getWorldPosition(new THREE.Vector3()) : model.localToWorld(origin.clone());
+  const direction = target.clone().sub(from).applyQuaternion(model.getWorldQuaternion(new THREE.Quaternion()).invert());
+  const yaw = Math.atan2(direction.x, direction.z);
+  const pitch = Math.atan2(direction.y, Math.hypot(direction.x, direction.z));
+  const clamp = (value) => Math.max(-1, Math.min(1, value));
+
+  return { x: clamp(yaw / EYE_GAZE_RANGE), y: clamp(pitch / EYE_GAZE_RANGE) };
+};
+
+/**
+ * Turn eye meshes (eye, pupil) on models without a VRM lookAt
+ */
+const applyMeshEyeGaze = (model, gaze) => {
+  model.traverse((child) => {
+    if (!child.isMesh) return;
+    const name = child.name.toLowerCase();
+    if (name.includes('eye') || name.includes('pupil')) {
+      // Positive x rotation tips the eye down, and eyeGaze.y is up
+      child.rotation.x = -gaze.y * EYE_GAZE_RANGE;
+      child.rotation.y = gaze.x * EYE_GAZE_RANGE;
+    }
+  });
+};
+
+/**
+ * Set only the morphs mapped from the given expression keys, leaving the rest
+ * of the face to whatever the mixer applied this frame
+ */
+const applyBlendshapeKeys = (model, profile, expressions) => {
+  if (!profile) return;
+  const mappings = profile.mappings.filter(({ key }) => key in expressions);
+  applyBlendshapeProfile(model, { ...profile, mappings }, expressions);
+};
+
+/**
+ * Add this frame's idle motion and lip sync on top of the store's pose. Only
+ * channels that are running are re-applied, so clips on other bones keep playing.
+ */
+const applyIdleLayer = (model, vrm, blendshapeProfile, idle, mouth) => {
+  const { eyeGaze, facialExpressions, skeletalControls, humanoidRig } = useAvatarStore.getState();
+  const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+
+  if (humanoidRig && idle.spine) {
+    humanoidRig.applySkeletalControls({ spine: add(skeletalControls.spine, idle.spine) });
+  }
+
+  if (humanoidRig && idle.head) {
+    const { head, headTilt, headNod, headShake } = skeletalControls;
+    humanoidRig.applySkeletalControls({ head: add(head, idle.head), headTilt, headNod, headShake });
+  }
+
+  if (idle.blink !== null) {
+    const blink = Math.max(facialExpressions.blink || 0, idle.blink);
+    if (vrm) {
+      vrm.expressionManager?.setValue('blink', blink);
+    } else {
+      // Per-eye keys drive the same morphs, so they take part in the max
+      applyBlendshapeKeys(model, blendshapeProfile, {
+        blink,
+        blinkLeft: facialExpressions.blinkLeft || 0,
+        blinkRight: facialExpressions.blinkRight || 0
+      });
+    }
+  }
+
+  if (mouth) {
+    // Only the mouth shapes lip sync owns are written, opened at least as far
+    // as the store does; the rest of the face stays with the clip mixer
+    const expressions = {};
+    LIP_SYNC_EXPRESSIONS.forEach((key) => {
+      expressions[key] = Math.max(facialExpressions[key] || 0, mouth[key] || 0);
+    });
+
+    if (vrm) {
+      applyVRMExpressions(vrm, expressions);
+    } else {
+      applyBlendshapeKeys(model, blendshapeProfile, expressions);
+    }
+  }
+
+  if (idle.gaze) {
+    const clamp = (value) => Math.max(-1, Math.min(1, value));
+    const gaze = { x: clamp(eyeGaze.x + idle.gaze.x), y: clamp(eyeGaze.y + idle.gaze.y) };
+    if (vrm) {
+      applyVRMLookAt(vrm, gaze, EYE_GAZE_RANGE);
+    } else {
+      applyMeshEyeGaze(model, gaze);
+    }
+  }
+};
 
 export const Scene3D = () => {
   const mountRef = useRef(null);
   const sceneRef = useRef(null);
   const loadedModelRef = useRef(null);
   const mixerRef = useRef(null);
+  const vrmRef = useRef(null);
+  const blendshapeProfileRef = useRef(null);
+  const [xrSupported, setXrSupported] = useState(false);
+  const [xrPresenting, setXrPresenting] = useState(false);
   
   const {
     modelUrl,
     isLoading,
+    model,
+    vrm,
+    springBoneSettings,
+    blendshapeProfile,
+    humanoidRig,
+    humanoidBoneOverrides,
+    idleSettings,
     eyeGaze,
     facialExpressions,
     skeletalControls,
     setModel,
     setMixer,
+    setVrm,
+    setHumanoidRig,
     setIsLoading
   } = useAvatarStore();
 
@@ -76,6 +242,7 @@ export const Scene3D = () => {
     renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     renderer.toneMapping = THREE.ACESFilmicToneMapping;
     renderer.toneMappingExposure = 1.2;
+    renderer.xr.enabled = true;
     mountRef.current.appendChild(renderer.domElement);
 
     // Controls
@@ -148,38 +315,109 @@ export const Scene3D = () => {
       clock
     };
 
-    // Animation loop
+    // Stand Jena up at real scale while a headset is presenting
+    const viewerPosition = new THREE.Vector3();
+    let gazeElapsed = 0;
+
+    const handleXRSessionStart = () => {
+      controls.enabled = false;
+      if (loadedModelRef.current) placeForXR(loadedModelRef.current);
+      springBonePhysics.reset();
+      setXrPresenting(true);
+    };
+
+    const handleXRSessionEnd = () => {
+      controls.enabled = true;
+      if (loadedModelRef.current) restoreFromXR(loadedModelRef.current);
+      springBonePhysics.reset();
+      useAvatarStore.setState({ eyeGaze: { x: 0, y: 0 } });
+      setXrPresenting(false);
+    };
+
+    renderer.xr.addEventListener('sessionstart', handleXRSessionStart);
+    renderer.xr.addEventListener('sessionend', handleXRSessionEnd);
+
+    /**
+     * Point her eyes at the headset. Set on the store directly: this runs
+     * every frame and shouldn't be logged to IndexedDB like manual gaze.
+     */
+    const updateXRGaze = () => {
+      renderer.xr.getCamera().getWorldPosition(viewerPosition);
+      const gaze = getGazeTowards(loadedModelRef.current, viewerPosition);
+      if (!gaze) return;
+
+      const { eyeGaze } = useAvatarStore.getState();
+      if (Math.abs(gaze.x - eyeGaze.x) > 0.01 || Math.abs(gaze.y - eyeGaze.y) > 0.01) {
+        useAvatarStore.setState({ eyeGaze: gaze });
+      }
+    };
+
+    // Animation loop; setAnimationLoop keeps rendering at the headset's rate in VR
     const animate = () => {
-      requestAnimationFrame(animate);
-      
       const delta = clock.getDelta();
       const elapsed = clock.getElapsedTime();
       
       // Animate particles
       particles.rotation.y = elapsed * 0.1;
       
+      // Layer weights for this frame, then the mixer poses the model
+      animationStateMachine.update(delta);
       if (mixerRef.current) {
         mixerRef.current.update(delta);
       }
       
-      controls.update();
+      // Blinks, breathing, saccades, head sway and lip sync on top of the store's pose
+      const idle = idleBehavior.update(delta);
+      const mouth = lipSync.update(delta);
+      if (loadedModelRef.current) {
+        applyIdleLayer(loadedModelRef.current, vrmRef.current, blendshapeProfileRef.current, idle, mouth);
+      }
+      
+      // Copies normalized bones to the skeleton and applies expressions and lookAt
+      if (vrmRef.current) {
+        vrmRef.current.update(delta);
+      }
+      
+      // Hair and clothing settle after the pose for this frame is set
+      springBonePhysics.update(delta);
+      
+      if (renderer.xr.isPresenting && loadedModelRef.current) {
+        gazeElapsed += delta;
+        if (gazeElapsed >= XR_GAZE_INTERVAL) {
+          gazeElapsed = 0;
+          updateXRGaze();
+        }
+      } else {
+        controls.update();
+      }
+      
       renderer.render(scene, camera);
     };
     
-    animate();
+    renderer.setAnimationLoop(animate);
 
-    // Window resize handler
+    // Fit the canvas to its container, which also shrinks when the timeline opens
+    const mount = mountRef.current;
     const handleResize = () => {
-      camera.aspect = window.innerWidth / window.innerHeight;
+      // The headset owns the render size while presenting
+      if (renderer.xr.isPresenting || !mount.clientWidth || !mount.clientHeight) return;
+      
+      camera.aspect = mount.clientWidth / mount.clientHeight;
       camera.updateProjectionMatrix();
-      renderer.setSize(window.innerWidth, window.innerHeight);
+      renderer.setSize(mount.clientWidth, mount.clientHeight);
     };
     
-    window.addEventListener('resize', handleResize);
+    const resizeObserver = new ResizeObserver(handleResize);
+    resizeObserver.observe(mount);
 
     // Cleanup function
     return () => {
-      window.removeEventListener('resize', handleResize);
+      resizeObserver.disconnect();
+      springBonePhysics.detach();
+      renderer.xr.removeEventListener('sessionstart', handleXRSessionStart);
+      renderer.xr.removeEventListener('sessionend', handleXRSessionEnd);
+      renderer.xr.getSession()?.end();
+      renderer.setAnimationLoop(null);
       if (mountRef.current && renderer.domElement) {
         mountRef.current.removeChild(renderer.domElement);
       }
@@ -187,26 +425,72 @@ export const Scene3D = () => {
     };
   }, []);
 
+  // Offer VR only where WebXR can actually start an immersive session
+  useEffect(() => {
+    if (typeof navigator === 'undefined' || !navigator.xr) return;
+
+    const checkSupport = () => {
+      navigator.xr.isSessionSupported('immersive-vr')
+        .then(setXrSupported)
+        .catch(() => setXrSupported(false));
+    };
+
+    checkSupport();
+    // Headsets (and the WebXR emulator's device picker) can come and go
+    navigator.xr.addEventListener('devicechange', checkSupport);
+    return () => navigator.xr.removeEventListener('devicechange', checkSupport);
+  }, []);
+
+  const handleToggleXR = async () => {
+    const { renderer } = sceneRef.current;
+    const currentSession = renderer.xr.getSession();
+
+    if (currentSession) {
+      await currentSession.end();
+      return;
+    }
+
+    try {
+      const session = await navigator.xr.requestSession('immersive-vr', {
+        optionalFeatures: ['local-floor', 'bounded-floor']
+      });
+      renderer.xr.setReferenceSpaceType('local-floor');
+      await renderer.xr.setSession(session);
+    } catch (error) {
+      console.error('Failed to enter VR:', error);
+    }
+  };
+
   // Load model when URL changes
   useEffect(() => {
     if (!modelUrl || !sceneRef.current) return;
 
-    const { scene, THREE } = sceneRef.current;
+    const { scene } = sceneRef.current;
     setIsLoading(true);
 
     // Clean up previous model
     if (loadedModelRef.current) {
       scene.remove(loadedModelRef.current);
     }
+    springBonePhysics.detach();
+    animationService.stopAnimation(0);
     if (mixerRef.current) {
       mixerRef.current.stopAllAction();
+      idleBehavior.release(IDLE_CHANNELS, 'mixer');
+    }
+    if (vrmRef.current) {
+      disposeVRM(vrmRef.current);
+      vrmRef.current = null;
+      setVrm(null);
     }
 
-    const loader = new GLTFLoader();
+    // .vrm files are glTF with VRM extensions; plain .gltf/.glb load as before
+    const loader = registerVRMLoader(new GLTFLoader());
     loader.load(
       modelUrl,
       (gltf) => {
-        const model = gltf.scene;
+        const vrm = gltf.userData.vrm ? setupVRM(gltf.userData.vrm) : null;
+        const model = vrm ? vrm.scene : gltf.scene;
         model.userData.isModel = true;
 
         // Center and scale model
@@ -218,9 +502,8 @@ export const Scene3D = () => {
         
         // Scale to reasonable size
         const maxDim = Math.max(size.x, size.y, size.z);
-        if (maxDim > 0) {
-          model.scale.multiplyScalar(2 / maxDim);
-        }
+        model.userData.fitScale = maxDim > 0 ? 2 / maxDim : 1;
+        model.scale.multiplyScalar(model.userData.fitScale);
 
         // Enable shadows and enhance materials
         model.traverse((child) => {
@@ -236,17 +519,28 @@ export const Scene3D = () => {
 
         scene.add(model);
         loadedModelRef.current = model;
+        if (sceneRef.current.renderer.xr.isPresenting) {
+          placeForXR(model);
+        }
         setModel(model);
-
-        // Setup animations
+        vrmRef.current = vrm;
+        setVrm(vrm);
+        springBonePhysics.attach(model, vrm);
+
+        // Setup animations; AnimationService plays stored clips on the same mixer
+        const mixer = new THREE.AnimationMixer(model);
+        mixerRef.current = mixer;
+        setMixer(mixer);
+        
         if (gltf.animations && gltf.animations.length > 0) {
-          const mixer = new THREE.AnimationMixer(model);
           gltf.animations.forEach((clip) => {
             const action = mixer.clipAction(clip);
             action.play();
           });
-          mixerRef.current = mixer;
-          setMixer(mixer);
+          
+          // Idle motion stays off whatever the model's own animation moves
+          const channels = gltf.animations.flatMap(getClipIdleChannels);
+          if (channels.length > 0) idleBehavior.suppress(channels, 'mixer');
         }
 
         setIsLoading(false);
@@ -257,7 +551,6 @@ export const Scene3D = () => {
         setIsLoading(false);
         
         // Create error placeholder
-        const { THREE } = sceneRef.current;
         const geometry = new THREE.ConeGeometry(0.5, 1, 8);
         const material = new THREE.MeshPhongMaterial({ color: 0xef4444 });
         const errorCone = new THREE.Mesh(geometry, material);
@@ -267,7 +560,33 @@ export const Scene3D = () => {
         loadedModelRef.current = errorCone;
       }
     );
-  }, [modelUrl, setModel, setMixer, setIsLoading]);
+  }, [modelUrl, setModel, setMixer, setVrm, setIsLoading]);
+
+  // Per-avatar physics toggle, quality and glTF chains
+  useEffect(() => {
+    springBonePhysics.configure(springBoneSettings);
+  }, [springBoneSettings]);
+
+  useEffect(() => {
+    idleBehavior.configure(idleSettings);
+  }, [idleSettings]);
+
+  // Map the rig to humanoid bones once per model, and again when a bone is reassigned
+  useEffect(() => {
+    if (!model) return;
+
+    const previous = useAvatarStore.getState().humanoidRig;
+    if (previous?.model === model) previous.resetPose();
+
+    setHumanoidRig(vrm ? createVRMHumanoidRig(vrm) : createHumanoidRig(model, humanoidBoneOverrides));
+  }, [model, vrm, humanoidBoneOverrides, setHumanoidRig]);
+
+  // The avatar's saved mapping, or one detected from its morph target names
+  const activeBlendshapeProfile = useMemo(() => {
+    if (blendshapeProfile) return blendshapeProfile;
+    return model ? createBlendshapeProfile(model, Object.keys(facialExpressions)) : null;
+  }, [model, blendshapeProfile]);
+  blendshapeProfileRef.current = activeBlendshapeProfile;
 
   // Apply avatar controls
   useEffect(() => {
@@ -279,85 +598,34 @@ export const Scene3D = () => {
     movementService.recordMovement('gaze', eyeGaze);
     expressionService.recordExpression('current', facialExpressions);
 
-    model.traverse((child) => {
-      // Apply eye gaze
-      if (child.isMesh) {
-        const name = child.name.toLowerCase();
-        if (name.includes('eye') || name.includes('pupil')) {
-          child.rotation.x = eyeGaze.y * 0.3;
-          child.rotation.y = eyeGaze.x * 0.3;
-        }
-      }
-      
-      // Apply facial expressions via morph targets
-      if (child.isMesh && child.morphTargetInfluences) {
-        Object.entries(facialExpressions).forEach(([expression, value]) => {
-          const variations = [
-            expression,
-            expression.toLowerCase(),
-            expression.toUpperCase(),
-            expression.charAt(0).toUpperCase() + expression.slice(1),
-            expression.replace(/([A-Z])/g, '_$1').toLowerCase(),
-            expression.replace(/([A-Z])/g, '-$1').toLowerCase()
-          ];
-          
-          variations.forEach(variant => {
-            const morphIndex = child.morphTargetDictionary?.[variant];
-            if (morphIndex !== undefined) {
-              child.morphTargetInfluences[morphIndex] = value;
-            }
-          });
-        });
-      }
-      
-      // Apply skeletal controls
-      if (child.isBone) {
-        const boneName = child.name.toLowerCase();
-        Object.entries(skeletalControls).forEach(([joint, rotation]) => {
-          const jointVariations = [
-            joint.toLowerCase(),
-            joint.replace(/([A-Z])/g, '_$1').toLowerCase(),
-            joint.replace(/([A-Z])/g, '-$1').toLowerCase(),
-            joint.replace(/([A-Z])/g, ' $1').toLowerCase(),
-            `mixamorig${joint.toLowerCase()}`,
-            `mixamorig_${joint.toLowerCase()}`
-          ];
-          
-          const matchesJoint = jointVariations.some(variant => 
-            boneName.includes(variant) || 
-            boneName === variant ||
-            boneName.startsWith(variant) ||
-            boneName.endsWith(variant)
-          );
-          
-          if (matchesJoint) {
-            child.rotation.x = rotation.x;
-            child.rotation.y = rotation.y;
-            child.rotation.z = rotation.z;
-          }
-        });
-      }
-
-      // Apply enhanced head controls with better bone matching
-      if (child.isBone) {
-        const boneName = child.name.toLowerCase();
-
-        // Head rotation controls
-        if (boneName.includes('head') || boneName.includes('skull')) {
-          child.rotation.x += skeletalControls.headTilt.x + skeletalControls.headNod.x;
-          child.rotation.y += skeletalControls.headTilt.y + skeletalControls.headShake.y;
-          child.rotation.z += skeletalControls.headTilt.z + skeletalControls.headShake.z;
-        }
+    // Bones go through the humanoid rig, whatever the rig's naming and rest pose
+    humanoidRig?.applySkeletalControls(skeletalControls);
 
-        // Neck controls
-        if (boneName.includes('neck') || boneName.includes('cervical')) {
-          child.rotation.x += skeletalControls.neck.x;
-          child.rotation.y += skeletalControls.neck.y;
-          child.rotation.z += skeletalControls.neck.z;
-        }
-      }
-    });
-  }, [eyeGaze, facialExpressions, skeletalControls]);
+    // VRM models are driven by expression preset and lookAt
+    if (vrmRef.current) {
+      applyVRMExpressions(vrmRef.current, facialExpressions);
+      applyVRMLookAt(vrmRef.current, eyeGaze, EYE_GAZE_RANGE);
+      return;
+    }
 
-  return <div ref={mountRef} className="absolute inset-0" />;
+    // Facial expressions via the blendshape mapping profile
+    applyBlendshapeProfile(model, activeBlendshapeProfile, facialExpressions);
+
+    applyMeshEyeGaze(model, eyeGaze);
+  }, [eyeGaze, facialExpressions, skeletalControls, vrm, activeBlendshapeProfile, humanoidRig]);
+
+  return (
+    <div className="absolute inset-0">
+      <div ref={mountRef} className="absolute inset-0" />
+      {xrSupported && (
+        <button
+          onClick={handleToggleXR}
+          className="absolute bottom-4 left-4 flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium bg-purple-600 hover:bg-purple-700 text-white transition-colors"
+        >
+          <Glasses className="w-4 h-4" />
+          {xrPresenting ? 'Exit VR' : 'Enter VR'}
+        </button>
+      )}
+    </div>
+  );
 };
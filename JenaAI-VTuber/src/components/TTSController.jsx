@@ -4,8 +4,10 @@ import { Button } from './ui/button';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
 import { Textarea } from './ui/textarea';
 import { Badge } from './ui/badge';
+import { Switch } from './ui/switch';
 import { Volume2, Play, Pause, Download, Settings, Sparkles } from 'lucide-react';
-import { piperTTSService } from '../services/ttsServices.js';
+import { piperTTSService, ttsServiceManager } from '../services/ttsServices.js';
+import { lipSync } from '../services/lipSync.js';
 
 const TTSController = () => {
   const [isInitialized, setIsInitialized] = useState(false);
@@ -18,6 +20,8 @@ const TTSController = () => {
   const [storedVoices, setStoredVoices] = useState([]);
   const [speechRate, setSpeechRate] = useState(1.0);
   const [pitch, setPitch] = useState(1.0);
+  const [lipSyncEnabled, setLipSyncEnabled] = useState(lipSync.settings.enabled);
+  const [viseme, setViseme] = useState(lipSync.viseme);
 
   const audioRef = useRef(null);
 
@@ -49,6 +53,18 @@ const TTSController = () => {
     }
   ];
 
+  // Show the viseme lip sync is on
+  useEffect(() => {
+    const handleViseme = ({ viseme: current }) => setViseme(current);
+    lipSync.on('lipsync:viseme', handleViseme);
+    return () => lipSync.off('lipsync:viseme', handleViseme);
+  }, []);
+
+  const toggleLipSync = (enabled) => {
+    lipSync.configure({ enabled });
+    setLipSyncEnabled(enabled);
+  };
+
   // Initialize TTS
   useEffect(() => {
     const initializeTTS = async () => {
@@ -117,6 +133,7 @@ const TTSController = () => {
         };
 
         await audioRef.current.play();
+        ttsServiceManager.notifySpeech(textToSpeak, audioRef.current, { speed: speechRate });
       }
     } catch (error) {
       console.error('Error generating speech:', error);
@@ -254,6 +271,15 @@ const TTSController = () => {
           </div>
         </div>
 
+        {/* Lip Sync */}
+        <div className="flex items-center justify-between p-3 bg-slate-900/50 rounded-lg">
+          <div>
+            <span className="text-sm text-slate-300">Lip Sync</span>
+            <p className="text-xs text-slate-500">Viseme: {viseme}</p>
+          </div>
+          <Switch checked={lipSyncEnabled} onCheckedChange={toggleLipSync} />
+        </div>
+
         {/* Quick Phrases */}
         <div>
           <label className="text-sm text-slate-300 mb-2 block">Quick Phrases</label>
@@ -0,0 +1,710 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Slider } from './ui/slider';
+import { Clock, Play, Pause, Square, Plus, Trash2, Copy, ClipboardPaste, Scissors, Save, CheckCircle, AlertCircle } from 'lucide-react';
+import { animationService } from '../services/animationService.js';
+import {
+  EASING_PRESETS,
+  getTrackKey,
+  getClipDuration,
+  getKeyframeValue,
+  updateTrack,
+  moveKeyframe,
+  setKeyframeValue,
+  setSegmentEasing,
+  insertKeyframe,
+  deleteKeyframes,
+  copyKeyframes,
+  pasteKeyframes,
+  trimClip,
+  rotationToEuler,
+  eulerToRotation
+} from '../services/clipEditing.js';
+
+// Shortest clip trimming may leave, in seconds
+const MIN_CLIP_LENGTH = 0.1;
+
+// Ruler spacing: the first that fits about ten labels
+const RULER_STEPS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 30];
+
+// Easing curve editor size in pixels; y runs from -0.5 to 1.5 so handles can overshoot
+const CURVE_WIDTH = 160;
+const CURVE_HEIGHT = 120;
+
+const PREVIEW_OPTIONS = { loop: 'repeat', fadeIn: 0, fadeOut: 0 };
+
+const isSelected = (selection, trackKey, index) => selection.some((key) => key.trackKey === trackKey && key.index === index);
+
+const getPresetName = (easing) => {
+  const match = Object.entries(EASING_PRESETS).find(([, preset]) => JSON.stringify(preset) === JSON.stringify(easing ?? null));
+  return match ? match[0] : 'custom';
+};
+
+/**
+ * Cubic-bezier easing with draggable control points
+ */
+function EasingCurve({ easing, onChange }) {
+  const svgRef = useRef(null);
+  const [dragging, setDragging] = useState(null);
+  const [x1, y1, x2, y2] = easing;
+
+  const toX = (x) => x * CURVE_WIDTH;
+  const toY = (y) => CURVE_HEIGHT * (1.5 - y) / 2;
+
+  const handleMove = (e) => {
+    if (dragging === null) return;
+    const rect = svgRef.current.getBoundingClientRect();
+    const x = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    const y = Math.max(-0.5, Math.min(1.5, 1.5 - ((e.clientY - rect.top) / rect.height) * 2));
+    const round = (value) => Math.round(value * 100) / 100;
+
+    onChange(dragging === 0 ? [round(x), round(y), x2, y2] : [x1, y1, round(x), round(y)]);
+  };
+
+  return (
+    <svg
+      ref={svgRef}
+      width={CURVE_WIDTH}
+      height={CURVE_HEIGHT}
+      className="bg-slate-900/50 rounded border border-slate-700 touch-none"
+      onPointerMove={handleMove}
+      onPointerUp={() => setDragging(null)}
+    >
+      <line x1={toX(0)} y1={toY(0)} x2={toX(1)} y2={toY(0)} className="stroke-slate-700" />
+      <line x1={toX(0)} y1={toY(1)} x2={toX(1)} y2={toY(1)} className="stroke-slate-700" />
+      <line x1={toX(0)} y1={toY(0)} x2={toX(x1)} y2={toY(y1)} className="stroke-slate-500" />
+      <line x1={toX(1)} y1={toY(1)} x2={toX(x2)} y2={toY(y2)} className="stroke-slate-500" />
+      <path
+        d={`M ${toX(0)} ${toY(0)} C ${toX(x1)} ${toY(y1)}, ${toX(x2)} ${toY(y2)}, ${toX(1)} ${toY(1)}`}
+        className="stroke-blue-400 fill-none"
+        strokeWidth={2}
+      />
+      {[[x1, y1], [x2, y2]].map(([x, y], index) => (
+        <circle
+          key={index}
+          cx={toX(x)}
+          cy={toY(y)}
+          r={5}
+          className="fill-yellow-400 cursor-pointer"
+          onPointerDown={(e) => {
+            svgRef.current.setPointerCapture(e.pointerId);
+            setDragging(index);
+          }}
+        />
+      ))}
+    </svg>
+  );
+}
+
+export default function TimelineEditor() {
+  const [records, setRecords] = useState([]);
+  const [clipName, setClipName] = useState('');
+  const [versionIndex, setVersionIndex] = useState(0);
+  const [data, setData] = useState(null);
+  const [dirty, setDirty] = useState(false);
+  const [selection, setSelection] = useState([]);
+  const [activeTrackKey, setActiveTrackKey] = useState(null);
+  const [playhead, setPlayhead] = useState(0);
+  const [trim, setTrim] = useState({ start: 0, end: 0 });
+  const [preview, setPreview] = useState(null);
+  const [status, setStatus] = useState(null);
+  const clipboardRef = useRef([]);
+  const dragRef = useRef(null);
+  const previewIdRef = useRef(null);
+
+  // Stored clips by name, each with its versions oldest first
+  const clips = useMemo(() => {
+    const byName = new Map();
+    records
+      .filter((record) => record.type !== 'stateMachine' && Array.isArray(record.data?.tracks))
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach((record) => {
+        if (!byName.has(record.name)) byName.set(record.name, []);
+        byName.get(record.name).push(record);
+      });
+    return byName;
+  }, [records]);
+
+  const versions = clips.get(clipName) || [];
+  const duration = data ? getClipDuration(data) : 0;
+
+  // Bones first, then blendshapes, each keeping its index into data.tracks
+  const rows = useMemo(() => {
+    if (!data) return [];
+    const indexed = data.tracks.map((track, trackIndex) => ({ track, trackIndex, trackKey: getTrackKey(track) }));
+    return [...indexed.filter(({ track }) => track.bone), ...indexed.filter(({ track }) => !track.bone)];
+  }, [data]);
+
+  const rulerStep = RULER_STEPS.find((step) => duration / step <= 10) || RULER_STEPS[RULER_STEPS.length - 1];
+  const rulerMarks = Array.from({ length: Math.floor(duration / rulerStep) + 1 }, (_, index) => index * rulerStep);
+
+  const refreshRecords = useCallback(async () => {
+    const animations = await animationService.getAllAnimations();
+    setRecords(animations);
+    return animations;
+  }, []);
+
+  useEffect(() => {
+    refreshRecords();
+  }, [refreshRecords]);
+
+  const isPreviewing = () => preview && animationService.getPlaybackStatus()?.id === preview.id;
+
+  const startPreview = (clipData, time, paused) => {
+    if (!animationService.playAnimationData(clipName, clipData, PREVIEW_OPTIONS)) {
+      setPreview(null);
+      return;
+    }
+    animationService.seekAnimation(time, paused);
+    previewIdRef.current = animationService.getPlaybackStatus().id;
+    setPreview({ id: previewIdRef.current, paused });
+  };
+
+  const stopPreview = () => {
+    if (isPreviewing()) animationService.stopAnimation(0);
+    previewIdRef.current = null;
+    setPreview(null);
+  };
+
+  // Follow the playhead while the preview plays; another clip taking over ends the preview
+  useEffect(() => {
+    if (!preview || preview.paused) return undefined;
+
+    let frame = requestAnimationFrame(function follow() {
+      const playback = animationService.getPlaybackStatus();
+      if (playback?.id !== preview.id) {
+        setPreview(null);
+        return;
+      }
+      setPlayhead(playback.time);
+      frame = requestAnimationFrame(follow);
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [preview]);
+
+  // The avatar stops previewing when the editor closes
+  useEffect(() => () => {
+    const playback = animationService.getPlaybackStatus();
+    if (playback && playback.id === previewIdRef.current) animationService.stopAnimation(0);
+  }, []);
+
+  const openVersion = (name, index) => {
+    const record = clips.get(name)?.[index];
+    stopPreview();
+    setClipName(name);
+    setVersionIndex(index);
+    setSelection([]);
+    setActiveTrackKey(null);
+    setPlayhead(0);
+    setDirty(false);
+    setStatus(null);
+
+    if (!record) {
+      setData(null);
+      return;
+    }
+
+    setData(record.data);
+    setTrim({ start: 0, end: getClipDuration(record.data) });
+  };
+
+  /**
+   * Apply an edit to the working copy and show it on the avatar straight away
+   */
+  const edit = (next) => {
+    setData(next);
+    setDirty(true);
+    if (isPreviewing()) startPreview(next, playhead, preview.paused);
+  };
+
+  const scrub = (time) => {
+    const clamped = Math.max(0, Math.min(duration, time));
+    setPlayhead(clamped);
+    if (isPreviewing()) {
+      animationService.seekAnimation(clamped);
+    } else if (data) {
+      startPreview(data, clamped, true);
+    }
+  };
+
+  const togglePlay = () => {
+    if (!data) return;
+    if (!isPreviewing()) {
+      startPreview(data, playhead, false);
+      return;
+    }
+    const paused = !preview.paused;
+    animationService.seekAnimation(animationService.getPlaybackStatus().time, paused);
+    setPreview({ ...preview, paused });
+  };
+
+  const timeAt = (e, element) => {
+    const rect = element.getBoundingClientRect();
+    return Math.max(0, Math.min(duration, ((e.clientX - rect.left) / rect.width) * duration));
+  };
+
+  const handleKeyframeDown = (e, trackKey, index) => {
+    e.stopPropagation();
+    const key = { trackKey, index };
+    let nextSelection;
+    if (e.shiftKey) {
+      nextSelection = isSelected(selection, trackKey, index)
+        ? selection.filter((selected) => selected.trackKey !== trackKey || selected.index !== index)
+        : [...selection, key];
+    } else {
+      nextSelection = isSelected(selection, trackKey, index) ? selection : [key];
+    }
+    setSelection(nextSelection);
+    setActiveTrackKey(trackKey);
+
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = {
+      lane: e.currentTarget.parentElement,
+      startTime: timeAt(e, e.currentTarget.parentElement),
+      origin: data,
+      keys: nextSelection
+    };
+  };
+
+  // Selected keyframes move together; each stops at its unselected neighbours
+  const handleKeyframeMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag?.origin) return;
+
+    const delta = timeAt(e, drag.lane) - drag.startTime;
+    let next = drag.origin;
+
+    rows.forEach(({ trackIndex, trackKey }) => {
+      const indices = drag.keys.filter((key) => key.trackKey === trackKey).map((key) => key.index);
+      if (indices.length === 0) return;
+
+      let track = drag.origin.tracks[trackIndex];
+      indices.sort((a, b) => (delta > 0 ? b - a : a - b)).forEach((index) => {
+        track = moveKeyframe(track, index, drag.origin.tracks[trackIndex].times[index] + delta, duration);
+      });
+      next = updateTrack(next, trackIndex, track);
+    });
+
+    edit(next);
+  };
+
+  const handleKeyframeUp = () => {
+    dragRef.current = null;
+  };
+
+  const addKeyframe = () => {
+    const row = rows.find(({ trackKey }) => trackKey === activeTrackKey);
+    if (!row) return;
+    edit(updateTrack(data, row.trackIndex, insertKeyframe(row.track, playhead)));
+  };
+
+  const deleteSelected = () => {
+    let next = data;
+    // Later tracks first, so removing an emptied track doesn't shift the others
+    [...rows].sort((a, b) => b.trackIndex - a.trackIndex).forEach(({ track, trackIndex, trackKey }) => {
+      const indices = selection.filter((key) => key.trackKey === trackKey).map((key) => key.index);
+      if (indices.length > 0) next = updateTrack(next, trackIndex, deleteKeyframes(track, indices));
+    });
+    setSelection([]);
+    edit(next);
+  };
+
+  const copySelected = () => {
+    if (selection.length === 0) return;
+    clipboardRef.current = copyKeyframes(data, selection);
+    setStatus({ type: 'success', message: `Copied ${clipboardRef.current.length} keyframes` });
+  };
+
+  const paste = () => {
+    if (clipboardRef.current.length === 0) return;
+    setSelection([]);
+    edit(pasteKeyframes(data, clipboardRef.current, playhead, activeTrackKey));
+  };
+
+  const applyTrim = () => {
+    stopPreview();
+    setSelection([]);
+    setPlayhead(0);
+    const next = trimClip(data, trim.start, trim.end);
+    setData(next);
+    setDirty(true);
+    setTrim({ start: 0, end: getClipDuration(next) });
+  };
+
+  // Saving adds a version; older versions stay in the animations store
+  const handleSave = async () => {
+    const saved = await animationService.loadAnimation(clipName, data);
+    if (!saved) {
+      setStatus({ type: 'error', message: `Failed to save ${clipName}.` });
+      return;
+    }
+
+    const animations = await refreshRecords();
+    const count = animations.filter((record) => record.name === clipName && record.type !== 'stateMachine').length;
+    setVersionIndex(count - 1);
+    setDirty(false);
+    setStatus({ type: 'success', message: `Saved ${clipName} as version ${count}` });
+  };
+
+  const handleKeyDown = (e) => {
+    if (!data || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+    const command = e.ctrlKey || e.metaKey;
+
+    if (command && e.key === 'c') copySelected();
+    else if (command && e.key === 'v') paste();
+    else if (e.key === 'Delete' || e.key === 'Backspace') deleteSelected();
+    else if (e.key === ' ') togglePlay();
+    else return;
+    e.preventDefault();
+  };
+
+  const selectedRow = selection.length === 1 ? rows.find(({ trackKey }) => trackKey === selection[0].trackKey) : null;
+  const selectedIndex = selectedRow ? selection[0].index : null;
+
+  const editSelected = (change) => edit(updateTrack(data, selectedRow.trackIndex, change(selectedRow.track)));
+
+  const renderInspector = () => {
+    if (!selectedRow || selectedIndex >= selectedRow.track.times.length) {
+      return (
+        <p className="text-xs text-slate-500">
+          {selection.length > 1 ? `${selection.length} keyframes selected` : 'Select a keyframe to edit it.'}
+        </p>
+      );
+    }
+
+    const { track } = selectedRow;
+    const value = getKeyframeValue(track, selectedIndex);
+    const isLast = selectedIndex === track.times.length - 1;
+    const easing = track.easing?.[selectedIndex] ?? null;
+    const euler = track.bone ? rotationToEuler(value) : null;
+
+    return (
+      <div className="space-y-3">
+        <div className="flex items-center gap-2">
+          <span className="text-sm text-white truncate flex-1">{track.bone || track.expression}</span>
+          <Input
+            type="number"
+            step={0.01}
+            value={Number(track.times[selectedIndex].toFixed(3))}
+            onChange={(e) => editSelected((current) => moveKeyframe(current, selectedIndex, Number(e.target.value) || 0, duration))}
+            className="h-7 w-24 bg-slate-700 border-slate-600 text-white text-xs"
+          />
+          <span className="text-xs text-slate-500">s</span>
+        </div>
+
+        {track.bone ? ['x', 'y', 'z'].map((axis) => (
+          <div key={axis} className="space-y-1">
+            <div className="flex justify-between items-center">
+              <span className="text-xs text-slate-300">Rotation {axis.toUpperCase()}</span>
+              <span className="text-xs text-slate-500">{euler[axis].toFixed(2)}</span>
+            </div>
+            <Slider
+              value={[euler[axis]]}
+              onValueChange={([angle]) => editSelected((current) => setKeyframeValue(current, selectedIndex, eulerToRotation({ ...euler, [axis]: angle })))}
+              min={-Math.PI}
+              max={Math.PI}
+              step={0.01}
+            />
+          </div>
+        )) : (
+          <div className="space-y-1">
+            <div className="flex justify-between items-center">
+              <span className="text-xs text-slate-300">Weight</span>
+              <span className="text-xs text-slate-500">{value.toFixed(2)}</span>
+            </div>
+            <Slider
+              value={[value]}
+              onValueChange={([weight]) => editSelected((current) => setKeyframeValue(current, selectedIndex, weight))}
+              min={0}
+              max={1}
+              step={0.01}
+            />
+          </div>
+        )}
+
+        {!isLast && (
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <span className="text-xs text-slate-300">Easing to next keyframe</span>
+              <select
+                value={getPresetName(easing)}
+                onChange={(e) => {
+                  const preset = e.target.value === 'custom' ? [0.25, 0.1, 0.25, 1] : EASING_PRESETS[e.target.value];
+                  editSelected((current) => setSegmentEasing(current, selectedIndex, preset));
+                }}
+                className="h-7 rounded-md bg-slate-700 border border-slate-600 text-white text-xs px-2"
+              >
+                <option value="linear">Linear</option>
+                <option value="step">Step</option>
+                <option value="easeIn">Ease In</option>
+                <option value="easeOut">Ease Out</option>
+                <option value="easeInOut">Ease In Out</option>
+                <option value="custom">Custom</option>
+              </select>
+            </div>
+            {Array.isArray(easing) && (
+              <EasingCurve
+                easing={easing}
+                onChange={(curve) => editSelected((current) => setSegmentEasing(current, selectedIndex, curve))}
+              />
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const position = (time) => `${duration > 0 ? (time / duration) * 100 : 0}%`;
+
+  return (
+    <Card className="bg-slate-800/50 backdrop-blur-sm border-slate-700/50 h-full flex flex-col overflow-hidden">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-white text-lg flex items-center gap-2">
+          <Clock className="w-5 h-5 text-purple-400" />
+          Animation Timeline
+          {dirty && <span className="text-xs text-yellow-400 font-normal">unsaved changes</span>}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="flex-1 min-h-0 flex flex-col gap-3 outline-none" tabIndex={0} onKeyDown={handleKeyDown}>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={clipName}
+            onChange={(e) => openVersion(e.target.value, (clips.get(e.target.value)?.length || 1) - 1)}
+            className="h-8 rounded-md bg-slate-700 border border-slate-600 text-white text-xs px-2"
+          >
+            <option value="">Select a clip...</option>
+            {Array.from(clips.keys()).map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          {versions.length > 1 && (
+            <select
+              value={versionIndex}
+              onChange={(e) => openVersion(clipName, Number(e.target.value))}
+              className="h-8 rounded-md bg-slate-700 border border-slate-600 text-white text-xs px-2"
+            >
+              {versions.map((record, index) => (
+                <option key={record.id ?? index} value={index}>
+                  Version {index + 1} ({new Date(record.timestamp).toLocaleString()})
+                </option>
+              ))}
+            </select>
+          )}
+
+          {data && (
+            <>
+              <Button
+                variant="outline"
+                size="sm"
+                className="bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+                onClick={togglePlay}
+              >
+                {preview && !preview.paused ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                className="bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+                onClick={stopPreview}
+                disabled={!preview}
+              >
+                <Square className="w-4 h-4" />
+              </Button>
+              <span className="text-xs text-slate-400 bg-slate-800 px-2 py-1 rounded">
+                {playhead.toFixed(2)}s / {duration.toFixed(2)}s
+              </span>
+
+              <div className="flex items-center gap-1 ml-auto">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  className="bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+                  onClick={addKeyframe}
+                  disabled={!activeTrackKey}
+                  title="Add a keyframe at the playhead"
+                >
+                  <Plus className="w-4 h-4" />
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  className="bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+                  onClick={deleteSelected}
+                  disabled={selection.length === 0}
+                  title="Delete keyframes"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  className="bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+                  onClick={copySelected}
+                  disabled={selection.length === 0}
+                  title="Copy keyframes"
+                >
+                  <Copy className="w-4 h-4" />
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  className="bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+                  onClick={paste}
+                  title="Paste keyframes at the playhead"
+                >
+                  <ClipboardPaste className="w-4 h-4" />
+                </Button>
+                <Button
+                  size="sm"
+                  className="bg-green-600 hover:bg-green-700 text-white"
+                  onClick={handleSave}
+                  disabled={!dirty}
+                >
+                  <Save className="w-4 h-4 mr-2" />
+                  Save Version
+                </Button>
+              </div>
+            </>
+          )}
+        </div>
+
+        {status && (
+          <div className={`px-3 py-2 rounded-lg flex items-center gap-2 ${
+            status.type === 'error' ? 'bg-red-500/10 text-red-400' : 'bg-green-500/10 text-green-400'
+          }`}>
+            {status.type === 'error' ? <AlertCircle className="w-4 h-4 shrink-0" /> : <CheckCircle className="w-4 h-4 shrink-0" />}
+            <span className="text-sm">{status.message}</span>
+          </div>
+        )}
+
+        {data ? (
+          <div className="flex-1 min-h-0 flex gap-4">
+            <div className="flex-1 min-w-0 overflow-y-auto">
+              <div className="flex">
+                {/* Track names */}
+                <div className="w-32 shrink-0">
+                  <div className="h-6" />
+                  {rows.map(({ track, trackKey }, rowIndex) => (
+                    <React.Fragment key={trackKey}>
+                      {(rowIndex === 0 || !!rows[rowIndex - 1].track.bone !== !!track.bone) && (
+                        <div className="h-5 text-[10px] uppercase tracking-wide text-slate-500">
+                          {track.bone ? 'Bones' : 'Blendshapes'}
+                        </div>
+                      )}
+                      <div
+                        onClick={() => setActiveTrackKey(trackKey)}
+                        className={`h-6 text-xs truncate cursor-pointer pr-2 leading-6 ${
+                          activeTrackKey === trackKey ? 'text-blue-400' : 'text-slate-300'
+                        }`}
+                      >
+                        {track.bone || track.expression}
+                      </div>
+                    </React.Fragment>
+                  ))}
+                </div>
+
+                {/* Lanes */}
+                <div className="flex-1 relative">
+                  <div
+                    className="h-6 relative border-b border-slate-700 cursor-pointer select-none"
+                    onPointerDown={(e) => {
+                      e.currentTarget.setPointerCapture(e.pointerId);
+                      scrub(timeAt(e, e.currentTarget));
+                    }}
+                    onPointerMove={(e) => {
+                      if (e.buttons === 1) scrub(timeAt(e, e.currentTarget));
+                    }}
+                  >
+                    {rulerMarks.map((time) => (
+                      <span
+                        key={time}
+                        className="absolute top-1 text-[10px] text-slate-500 -translate-x-1/2"
+                        style={{ left: position(time) }}
+                      >
+                        {Number(time.toFixed(2))}
+                      </span>
+                    ))}
+                  </div>
+
+                  {rows.map(({ track, trackKey }, rowIndex) => (
+                    <React.Fragment key={trackKey}>
+                      {(rowIndex === 0 || !!rows[rowIndex - 1].track.bone !== !!track.bone) && <div className="h-5" />}
+                      <div
+                        className={`h-6 relative border-b border-slate-700/30 ${activeTrackKey === trackKey ? 'bg-slate-700/40' : ''}`}
+                        onPointerDown={(e) => {
+                          setActiveTrackKey(trackKey);
+                          if (!e.shiftKey) setSelection([]);
+                          scrub(timeAt(e, e.currentTarget));
+                        }}
+                      >
+                        {track.times.map((time, index) => (
+                          <div
+                            key={index}
+                            onPointerDown={(e) => handleKeyframeDown(e, trackKey, index)}
+                            onPointerMove={handleKeyframeMove}
+                            onPointerUp={handleKeyframeUp}
+                            className={`absolute top-1/2 w-2.5 h-2.5 -translate-x-1/2 -translate-y-1/2 rotate-45 cursor-ew-resize ${
+                              isSelected(selection, trackKey, index) ? 'bg-yellow-400' : track.easing?.[index] ? 'bg-purple-400' : 'bg-blue-400'
+                            }`}
+                            style={{ left: position(time) }}
+                          />
+                        ))}
+                      </div>
+                    </React.Fragment>
+                  ))}
+
+                  {/* Trimmed-off spans and the playhead */}
+                  <div className="absolute top-0 bottom-0 left-0 bg-black/40 pointer-events-none" style={{ width: position(trim.start) }} />
+                  <div className="absolute top-0 bottom-0 right-0 bg-black/40 pointer-events-none" style={{ width: position(duration - trim.end) }} />
+                  <div className="absolute top-0 bottom-0 w-px bg-red-400 pointer-events-none" style={{ left: position(playhead) }} />
+                </div>
+              </div>
+            </div>
+
+            {/* Keyframe inspector and trimming */}
+            <div className="w-64 shrink-0 overflow-y-auto space-y-4">
+              {renderInspector()}
+
+              <div className="space-y-2 pt-3 border-t border-slate-700/50">
+                <div className="flex justify-between items-center">
+                  <span className="text-xs text-slate-300">Trim</span>
+                  <span className="text-xs text-slate-500">{trim.start.toFixed(2)}s – {trim.end.toFixed(2)}s</span>
+                </div>
+                <Slider
+                  value={[trim.start]}
+                  onValueChange={([value]) => setTrim((prev) => ({ ...prev, start: Math.min(value, prev.end - MIN_CLIP_LENGTH) }))}
+                  min={0}
+                  max={duration}
+                  step={0.01}
+                />
+                <Slider
+                  value={[trim.end]}
+                  onValueChange={([value]) => setTrim((prev) => ({ ...prev, end: Math.max(value, prev.start + MIN_CLIP_LENGTH) }))}
+                  min={0}
+                  max={duration}
+                  step={0.01}
+                />
+                <Button
+                  variant="outline"
+                  size="sm"
+                  className="w-full bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+                  onClick={applyTrim}
+                  disabled={trim.start <= 0 && trim.end >= duration}
+                >
+                  <Scissors className="w-4 h-4 mr-2" />
+                  Trim Clip
+                </Button>
+              </div>
+            </div>
+          </div>
+        ) : (
+          <p className="text-sm text-slate-400">
+            Pick a stored clip to see its bone and blendshape tracks. Imported clips and recorded takes show up here.
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,184 @@
+import React, { useEffect, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Slider } from './ui/slider';
+import { SlidersHorizontal, RotateCcw } from 'lucide-react';
+import { useAvatarStore } from '../store/avatarStore.js';
+import {
+  trackingFilters,
+  DEFAULT_FILTER_SETTINGS,
+  FILTER_TYPES,
+  ROTATION_FILTER_TYPES
+} from '../services/trackingFilters.js';
+
+const CHANNEL_LABELS = {
+  trackers: 'Trackers',
+  face: 'Face',
+  pose: 'Pose'
+};
+
+const FILTER_LABELS = {
+  none: 'Off',
+  oneEuro: 'One Euro',
+  exponential: 'Exponential',
+  kalman: 'Kalman',
+  slerp: 'Slerp'
+};
+
+// Jitter readout per channel: metres as mm, face values and body heights as %
+const JITTER_UNITS = {
+  trackers: { scale: 1000, unit: 'mm' },
+  face: { scale: 100, unit: '%' },
+  pose: { scale: 100, unit: '%' }
+};
+
+const PARAMETERS = {
+  minCutoff: { label: 'Min Cutoff', unit: 'Hz', min: 0.05, max: 10, step: 0.05 },
+  beta: { label: 'Speed Response', unit: '', min: 0, max: 5, step: 0.05 },
+  dCutoff: { label: 'Speed Cutoff', unit: 'Hz', min: 0.1, max: 5, step: 0.1 },
+  timeConstant: { label: 'Time Constant', unit: 's', min: 0, max: 0.5, step: 0.01 },
+  processNoise: { label: 'Process Noise', unit: '', min: 0.5, max: 100, step: 0.5 },
+  measurementNoise: { label: 'Measurement Noise', unit: '', min: 0.001, max: 0.1, step: 0.001 }
+};
+
+// Parameters each filter reads; rotations reuse the One Euro or slerp ones
+const FILTER_PARAMETERS = {
+  none: [],
+  oneEuro: ['minCutoff', 'beta', 'dCutoff'],
+  exponential: ['timeConstant'],
+  kalman: ['processNoise', 'measurementNoise'],
+  slerp: ['timeConstant']
+};
+
+const STATS_INTERVAL = 500;
+
+export default function TrackingFilterPanel() {
+  const { filterSettings, setFilterSettings } = useAvatarStore();
+  const [channel, setChannel] = useState('trackers');
+  const [stats, setStats] = useState(() => trackingFilters.getStats());
+
+  useEffect(() => {
+    const timer = setInterval(() => setStats(trackingFilters.getStats()), STATS_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  const settings = filterSettings[channel];
+  const parameters = [...new Set([
+    ...FILTER_PARAMETERS[settings.type],
+    ...(settings.rotation ? FILTER_PARAMETERS[settings.rotation] : [])
+  ])];
+
+  const { scale, unit } = JITTER_UNITS[channel];
+  const { samples, rawJitter, jitter, latency } = stats[channel];
+  const reduction = rawJitter > 0 ? Math.round((1 - jitter / rawJitter) * 100) : 0;
+
+  const selectClassName = 'h-8 flex-1 rounded-md bg-slate-700 border border-slate-600 text-white text-sm px-2';
+
+  return (
+    <Card className="bg-slate-800/50 backdrop-blur-sm border-slate-700/50">
+      <CardHeader>
+        <CardTitle className="text-white flex items-center gap-2">
+          <SlidersHorizontal className="w-5 h-5 text-cyan-400" />
+          Tracking Filters
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex gap-2">
+          {Object.entries(CHANNEL_LABELS).map(([name, label]) => (
+            <Button
+              key={name}
+              variant="outline"
+              size="sm"
+              onClick={() => setChannel(name)}
+              className={`flex-1 border-slate-600 text-white ${
+                channel === name ? 'bg-cyan-600 hover:bg-cyan-700' : 'bg-slate-700 hover:bg-slate-600'
+              }`}
+            >
+              {label}
+              <span className="ml-2 text-xs text-slate-300">{FILTER_LABELS[filterSettings[name].type]}</span>
+            </Button>
+          ))}
+        </div>
+
+        <div className="flex items-center gap-2">
+          <span className="text-sm text-slate-300 w-20">{channel === 'trackers' ? 'Position' : 'Filter'}</span>
+          <select
+            value={settings.type}
+            onChange={(e) => setFilterSettings(channel, { type: e.target.value })}
+            className={selectClassName}
+          >
+            {FILTER_TYPES.map((type) => (
+              <option key={type} value={type}>{FILTER_LABELS[type]}</option>
+            ))}
+          </select>
+        </div>
+
+        {settings.rotation && (
+          <div className="flex items-center gap-2">
+            <span className="text-sm text-slate-300 w-20">Rotation</span>
+            <select
+              value={settings.rotation}
+              onChange={(e) => setFilterSettings(channel, { rotation: e.target.value })}
+              className={selectClassName}
+            >
+              {ROTATION_FILTER_TYPES.map((type) => (
+                <option key={type} value={type}>{FILTER_LABELS[type]}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {parameters.map((key) => {
+          const { label, unit: parameterUnit, min, max, step } = PARAMETERS[key];
+          return (
+            <div key={key}>
+              <label className="text-xs text-slate-400 mb-1 block">
+                {label}: {settings[key]}{parameterUnit && ` ${parameterUnit}`}
+              </label>
+              <Slider
+                value={[settings[key]]}
+                onValueChange={([value]) => setFilterSettings(channel, { [key]: value })}
+                min={min}
+                max={max}
+                step={step}
+                className="w-full"
+              />
+            </div>
+          );
+        })}
+
+        <div className="bg-slate-900/50 rounded p-3 grid grid-cols-3 gap-2 text-xs font-mono">
+          <div>
+            <p className="text-slate-500">Raw jitter</p>
+            <p className="text-slate-300">{(rawJitter * scale).toFixed(2)} {unit}</p>
+          </div>
+          <div>
+            <p className="text-slate-500">Filtered</p>
+            <p className="text-green-400">
+              {(jitter * scale).toFixed(2)} {unit}{samples > 0 && ` (-${Math.max(0, reduction)}%)`}
+            </p>
+          </div>
+          <div>
+            <p className="text-slate-500">Latency</p>
+            <p className="text-yellow-400">{Math.round(latency)} ms</p>
+          </div>
+        </div>
+
+        <div className="flex justify-between items-center">
+          <span className="text-xs text-slate-500">
+            {samples > 0 ? `${samples} samples` : 'No samples filtered yet'}
+          </span>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setFilterSettings(channel, DEFAULT_FILTER_SETTINGS[channel])}
+            className="bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+          >
+            <RotateCcw className="w-4 h-4 mr-2" />
+            Defaults
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -4,6 +4,8 @@ import { Button } from './ui/button';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from './ui/tabs';
 import { Badge } from './ui/badge';
 import { Slider } from './ui/slider';
+import { Switch } from './ui/switch';
+import { Input } from './ui/input';
 import { 
   Headphones, 
   Camera, 
@@ -19,19 +21,45 @@ import {
   Frown,
   Eye,
   Mic,
-  MicOff
+  MicOff,
+  FolderOpen,
+  FileJson,
+  Radio,
+  Circle,
+  Save,
+  Upload,
+  Trash2,
+  History
 } from 'lucide-react';
 import { vrTrackingSystem } from '../services/vrTrackingSystem.js';
+import { vmcService } from '../services/vmcProtocol.js';
+import { vrchatChatbox, CHATBOX_MAX_LENGTH } from '../services/vrchatChatbox.js';
+import { trackerEmulator } from '../services/vrchatTrackers.js';
+import { oscRecorder, getMessagesBefore } from '../services/oscRecorder.js';
+import TrackingFilterPanel from './TrackingFilterPanel.jsx';
 
 const VRChatIntegration = () => {
   const [isConnected, setIsConnected] = useState(false);
   const [oscConnected, setOscConnected] = useState(false);
   const [vrcftConnected, setVrcftConnected] = useState(false);
+  const [vrcftEncoding, setVrcftEncoding] = useState(null);
   const [avatarId, setAvatarId] = useState('');
+  const [oscQueryPeer, setOscQueryPeer] = useState(null);
+  const [vmcSettings, setVmcSettings] = useState({
+    address: vmcService.target.address,
+    port: vmcService.target.port,
+    receivePort: vmcService.receivePort
+  });
+  const [vmcSending, setVmcSending] = useState(vmcService.sending);
+  const [vmcReceiving, setVmcReceiving] = useState(vmcService.receiving);
   const [worldId, setWorldId] = useState('');
   const [isInVR, setIsInVR] = useState(false);
   const [isMuted, setIsMuted] = useState(false);
   const [isSpeaking, setIsSpeaking] = useState(false);
+  const [parameterSchema, setParameterSchema] = useState(vrTrackingSystem.vrchat.parameterSchema);
+  const [recorderStatus, setRecorderStatus] = useState(oscRecorder.getStatus());
+  const [recordings, setRecordings] = useState([]);
+  const [replayFilter, setReplayFilter] = useState('');
   
   // Avatar parameters
   const [avatarParameters, setAvatarParameters] = useState({
@@ -73,11 +101,17 @@ const VRChatIntegration = () => {
     leftFoot: { position: { x: -0.1, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0, w: 1 } },
     rightFoot: { position: { x: 0.1, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0, w: 1 } },
     hip: { position: { x: 0, y: 0.9, z: 0 }, rotation: { x: 0, y: 0, z: 0, w: 1 } },
-    chest: { position: { x: 0, y: 1.3, z: 0 }, rotation: { x: 0, y: 0, z: 0, w: 1 } }
+    chest: { position: { x: 0, y: 1.3, z: 0 }, rotation: { x: 0, y: 0, z: 0, w: 1 } },
+    leftElbow: { position: { x: -0.2, y: 1.0, z: 0.2 }, rotation: { x: 0, y: 0, z: 0, w: 1 } },
+    rightElbow: { position: { x: 0.2, y: 1.0, z: 0.2 }, rotation: { x: 0, y: 0, z: 0, w: 1 } },
+    leftKnee: { position: { x: -0.1, y: 0.5, z: 0 }, rotation: { x: 0, y: 0, z: 0, w: 1 } },
+    rightKnee: { position: { x: 0.1, y: 0.5, z: 0 }, rotation: { x: 0, y: 0, z: 0, w: 1 } }
   });
+  const [trackerConfig, setTrackerConfig] = useState(trackerEmulator.getConfig());
   
   const [chatMessage, setChatMessage] = useState('');
   const [chatHistory, setChatHistory] = useState([]);
+  const [mirrorSpeech, setMirrorSpeech] = useState(vrchatChatbox.mirrorSpeech);
   const [gesturePresets, setGesturePresets] = useState({
     wave: { left: 1, right: 1 },
     point: { left: 2, right: 2 },
@@ -107,6 +141,9 @@ const VRChatIntegration = () => {
   
   const statusRef = useRef(null);
   const trackingIntervalRef = useRef(null);
+  const configFileInputRef = useRef(null);
+  const configFolderInputRef = useRef(null);
+  const recordingFileInputRef = useRef(null);
 
   useEffect(() => {
     initializeVRChat();
@@ -115,6 +152,20 @@ const VRChatIntegration = () => {
         clearInterval(trackingIntervalRef.current);
       }
       vrTrackingSystem.stop();
+      vmcService.stop();
+    };
+  }, []);
+
+  useEffect(() => {
+    const updateRecorderStatus = () => setRecorderStatus(oscRecorder.getStatus());
+    const events = ['recorder:started', 'recorder:stopped', 'replay:loaded', 'replay:playing', 'replay:paused', 'replay:progress', 'replay:ended'];
+    
+    events.forEach((event) => oscRecorder.on(event, updateRecorderStatus));
+    oscRecorder.getSessions().then(setRecordings);
+    
+    return () => {
+      events.forEach((event) => oscRecorder.off(event, updateRecorderStatus));
+      oscRecorder.pause();
     };
   }, []);
 
@@ -144,6 +195,24 @@ const VRChatIntegration = () => {
         setVrcftConnected(true);
       });
       
+      vrTrackingSystem.on('vrchat:avatar_loaded', (loadedAvatarId) => {
+        console.log('VRChat avatar loaded:', loadedAvatarId);
+        setAvatarId(loadedAvatarId || '');
+      });
+      
+      vrTrackingSystem.on('vrchat:schema_changed', (schema) => {
+        setParameterSchema(schema);
+      });
+      
+      vrTrackingSystem.on('vrcft:layout', (layout) => {
+        setVrcftEncoding(layout ? layout.encoding : null);
+      });
+      
+      vrTrackingSystem.on('oscquery:vrchat_found', (peer) => {
+        console.log(`VRChat found over OSCQuery at ${peer.oscAddress}:${peer.oscPort}`);
+        setOscQueryPeer(peer);
+      });
+      
     } catch (error) {
       console.error('Failed to initialize VRChat:', error);
     }
@@ -164,6 +233,20 @@ const VRChatIntegration = () => {
           ...currentTrackingData.faceTracking
         }));
       }
+      
+      // Reflect the parameter values VRChat reports back over OSC
+      const liveParameters = Object.entries(currentTrackingData.avatarParameters);
+      if (liveParameters.length > 0) {
+        setAvatarParameters(prev => ({
+          ...prev,
+          ...Object.fromEntries(liveParameters.map(([name, value]) => [name, Number(value)]))
+        }));
+      }
+      
+      // Keep the message count moving while a capture runs
+      if (oscRecorder.recording) {
+        setRecorderStatus(oscRecorder.getStatus());
+      }
     }, 100); // Update every 100ms
   };
 
@@ -189,7 +272,21 @@ const VRChatIntegration = () => {
     
     // Send to VRChat via OSC
     if (oscConnected) {
-      vrTrackingSystem.osc.sendAvatarParameters({ [parameter]: value });
+      vrTrackingSystem.vrchat.updateAvatarParameters({ [parameter]: value });
+    }
+  };
+
+  const handleImportAvatarConfigs = async (event) => {
+    const files = event.target.files;
+    if (!files || files.length === 0) return;
+    
+    try {
+      const schemas = await vrTrackingSystem.vrchat.importAvatarConfigs(files);
+      console.log(`Imported ${schemas.length} avatar OSC config(s)`);
+    } catch (error) {
+      console.error('Failed to import avatar OSC configs:', error);
+    } finally {
+      event.target.value = '';
     }
   };
 
@@ -209,6 +306,10 @@ const VRChatIntegration = () => {
     }
   };
 
+  const handleTrackerConfigChange = (options) => {
+    setTrackerConfig(trackerEmulator.configure(options));
+  };
+
   const handleGesture = (gestureName) => {
     const gesture = gesturePresets[gestureName];
     if (gesture) {
@@ -250,6 +351,11 @@ const VRChatIntegration = () => {
     }
   };
 
+  const handleMirrorSpeechChange = (enabled) => {
+    vrchatChatbox.setMirrorSpeech(enabled);
+    setMirrorSpeech(enabled);
+  };
+
   const handleMuteToggle = () => {
     setIsMuted(!isMuted);
     handleAvatarParameterChange('Mute', isMuted ? 0 : 1);
@@ -260,6 +366,101 @@ const VRChatIntegration = () => {
     handleAvatarParameterChange('Voice', isSpeaking ? 0 : 1);
   };
 
+  const handleVmcSendingChange = async (enabled) => {
+    if (enabled) {
+      setVmcSending(await vmcService.startSending({ address: vmcSettings.address, port: Number(vmcSettings.port) }));
+    } else {
+      vmcService.stopSending();
+      setVmcSending(false);
+    }
+  };
+
+  const handleVmcReceivingChange = async (enabled) => {
+    if (enabled) {
+      setVmcReceiving(await vmcService.startReceiving({ port: Number(vmcSettings.receivePort) }));
+    } else {
+      await vmcService.stopReceiving();
+      setVmcReceiving(false);
+    }
+  };
+
+  const handleRecordToggle = () => {
+    if (oscRecorder.recording) {
+      // Load the capture straight into the timeline
+      oscRecorder.load(oscRecorder.stopRecording());
+    } else {
+      oscRecorder.startRecording();
+    }
+    setRecorderStatus(oscRecorder.getStatus());
+  };
+
+  const handleSaveRecording = async () => {
+    if (!oscRecorder.replay.session) return;
+    
+    const saved = await oscRecorder.saveSession(oscRecorder.replay.session);
+    if (saved) {
+      oscRecorder.load(saved);
+      setRecordings(await oscRecorder.getSessions());
+    }
+  };
+
+  const handleExportRecording = () => {
+    const session = oscRecorder.replay.session;
+    if (!session) return;
+    
+    const blob = new Blob([oscRecorder.exportSession(session)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${session.name.replace(/[^a-z0-9-_]+/gi, '_')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImportRecording = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    
+    try {
+      const session = oscRecorder.importSession(await file.text());
+      oscRecorder.load({ ...session, name: session.name || file.name });
+    } catch (error) {
+      console.error('Failed to import OSC recording:', error);
+    } finally {
+      event.target.value = '';
+    }
+  };
+
+  const handleDeleteRecording = async (id) => {
+    try {
+      await oscRecorder.deleteSession(id);
+      setRecordings(await oscRecorder.getSessions());
+    } catch (error) {
+      console.error('Failed to delete OSC recording:', error);
+    }
+  };
+
+  const handleReplayToggle = () => {
+    if (oscRecorder.replay.playing) {
+      oscRecorder.pause();
+    } else {
+      oscRecorder.play({ filter: replayFilter });
+    }
+  };
+
+  const handleReplayFilterChange = (value) => {
+    setReplayFilter(value);
+    setRecorderStatus({ ...oscRecorder.getStatus(), replay: oscRecorder.configureReplay({ filter: value }) });
+  };
+
+  const handleReplaySpeedChange = (speed) => {
+    setRecorderStatus({ ...oscRecorder.getStatus(), replay: oscRecorder.configureReplay({ speed }) });
+  };
+
+  const formatOSCArgs = (args) => args.map(({ type, value }) => (
+    type === 'f' ? Number(value).toFixed(3) : type === 's' ? `"${value}"` : String(value)
+  )).join(' ');
+
   const handleDownloadVRCFT = async () => {
     try {
       await vrTrackingSystem.vrcft.downloadMod('https://github.com/vrcft/vrcft-mod');
@@ -342,8 +543,156 @@ const VRChatIntegration = () => {
     </div>
   );
 
+  const renderSchemaParameters = () => (
+    <div className="space-y-4">
+      {Array.from(parameterSchema.parameters.values()).map((parameter) => {
+        const value = Number(avatarParameters[parameter.name] ?? 0);
+        
+        return (
+          <div key={parameter.name}>
+            <div className="flex items-center justify-between mb-2">
+              <label className="text-sm font-medium text-slate-300 truncate">{parameter.name}</label>
+              <div className="flex items-center gap-2">
+                {!parameter.writable && (
+                  <Badge variant="outline" className="text-xs bg-slate-700/50 text-slate-400 border-slate-600">
+                    read-only
+                  </Badge>
+                )}
+                <Badge variant="outline" className="text-xs bg-slate-700/50 text-slate-300 border-slate-600">
+                  {parameter.type}
+                </Badge>
+              </div>
+            </div>
+            {parameter.type === 'Bool' ? (
+              <Switch
+                checked={value >= 0.5}
+                onCheckedChange={(checked) => handleAvatarParameterChange(parameter.name, checked ? 1 : 0)}
+                disabled={!parameter.writable}
+              />
+            ) : (
+              <Slider
+                value={[value]}
+                onValueChange={([newValue]) => handleAvatarParameterChange(parameter.name, newValue)}
+                min={parameter.min}
+                max={parameter.max}
+                step={parameter.step}
+                disabled={!parameter.writable}
+                className="w-full"
+              />
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  const renderRecorderTimeline = () => {
+    const { replay } = recorderStatus;
+    const session = oscRecorder.replay.session;
+    const messages = session ? getMessagesBefore(session, replay.position, { count: 12, filter: replay.filter }) : [];
+    
+    return (
+      <div className="space-y-3">
+        <div className="flex items-center gap-2">
+          <Button
+            onClick={handleReplayToggle}
+            disabled={!replay.loaded || recorderStatus.recording}
+            size="sm"
+            className="bg-purple-600 hover:bg-purple-700 text-white"
+          >
+            {replay.playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+          </Button>
+          <Button
+            onClick={() => oscRecorder.stopReplay()}
+            disabled={!replay.loaded}
+            size="sm"
+            variant="outline"
+            className="bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+          >
+            <Square className="w-4 h-4" />
+          </Button>
+          <span className="text-xs text-slate-400 font-mono">
+            {(replay.position / 1000).toFixed(2)}s / {(replay.duration / 1000).toFixed(2)}s
+          </span>
+          <span className="ml-auto text-xs text-slate-400 truncate">{replay.name || 'No session loaded'}</span>
+        </div>
+        
+        <Slider
+          value={[replay.position]}
+          onValueChange={([value]) => oscRecorder.seek(value)}
+          max={Math.max(replay.duration, 1)}
+          step={10}
+          disabled={!replay.loaded}
+          className="w-full"
+        />
+        
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="text-xs text-slate-400 mb-1 block">Speed: {replay.speed}x</label>
+            <Slider
+              value={[replay.speed]}
+              onValueChange={([value]) => handleReplaySpeedChange(value)}
+              min={0.25}
+              max={4}
+              step={0.25}
+              className="w-full"
+            />
+          </div>
+          <div>
+            <label className="text-xs text-slate-400 mb-1 block">Address Filter</label>
+            <Input
+              value={replayFilter}
+              onChange={(e) => handleReplayFilterChange(e.target.value)}
+              placeholder="/avatar/parameters/* or //JawOpen"
+              className="bg-slate-700 border-slate-600 text-white font-mono text-xs"
+            />
+          </div>
+        </div>
+        
+        <div className="max-h-48 overflow-y-auto scrollbar-hide bg-slate-900/50 rounded p-2 font-mono text-xs space-y-0.5">
+          {messages.length === 0 && <p className="text-slate-500">No messages before the cursor</p>}
+          {messages.map((message, index) => (
+            <div key={`${message.t}-${index}`} className="flex gap-2 text-slate-400">
+              <span className="text-slate-500">+{(message.t / 1000).toFixed(3)}</span>
+              <span className={message.direction === 'out' ? 'text-cyan-400' : 'text-green-400'}>
+                {message.direction === 'out' ? '→' : '←'}
+              </span>
+              <span className="text-slate-300 truncate">{message.address}</span>
+              <span className="ml-auto">{formatOSCArgs(message.args)}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
   const renderTrackingControls = () => (
     <div className="space-y-4">
+      <div className="bg-slate-700/50 rounded-lg p-4 grid grid-cols-2 gap-4">
+        <div>
+          <label className="text-xs text-slate-400 mb-1 block">Update Rate: {trackerConfig.rate} Hz</label>
+          <Slider
+            value={[trackerConfig.rate]}
+            onValueChange={([value]) => handleTrackerConfigChange({ rate: value })}
+            min={5}
+            max={90}
+            step={5}
+            className="w-full"
+          />
+        </div>
+        <div>
+          <label className="text-xs text-slate-400 mb-1 block">Smoothing: {Math.round(trackerConfig.smoothing * 100)}%</label>
+          <Slider
+            value={[trackerConfig.smoothing]}
+            onValueChange={([value]) => handleTrackerConfigChange({ smoothing: value })}
+            min={0}
+            max={0.95}
+            step={0.05}
+            className="w-full"
+          />
+        </div>
+      </div>
+      
       {Object.entries(trackingData).map(([trackerName, data]) => (
         <div key={trackerName} className="bg-slate-700/50 rounded-lg p-4">
           <h4 className="text-sm font-medium text-white mb-3 capitalize">{trackerName.replace(/([A-Z])/g, ' $1')}</h4>
@@ -479,11 +828,55 @@ const VRChatIntegration = () => {
             <CardHeader>
               <CardTitle className="text-white flex items-center gap-2">
                 <Smile className="w-5 h-5 text-pink-400" />
-                Face Tracking
+                {parameterSchema ? 'Avatar Parameters' : 'Face Tracking'}
+                {parameterSchema && (
+                  <Badge variant="outline" className="ml-auto bg-pink-500/10 text-pink-400 border-pink-500/30 truncate">
+                    {parameterSchema.avatarName}
+                  </Badge>
+                )}
               </CardTitle>
             </CardHeader>
-            <CardContent>
-              {renderFaceTracking()}
+            <CardContent className="space-y-4">
+              <div className="flex gap-2">
+                <input
+                  ref={configFileInputRef}
+                  type="file"
+                  accept=".json"
+                  multiple
+                  onChange={handleImportAvatarConfigs}
+                  className="hidden"
+                />
+                <input
+                  ref={configFolderInputRef}
+                  type="file"
+                  webkitdirectory=""
+                  directory=""
+                  onChange={handleImportAvatarConfigs}
+                  className="hidden"
+                />
+                <Button
+                  onClick={() => configFileInputRef.current?.click()}
+                  variant="outline"
+                  size="sm"
+                  className="bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+                >
+                  <FileJson className="w-4 h-4 mr-2" />
+                  Import OSC Config
+                </Button>
+                <Button
+                  onClick={() => configFolderInputRef.current?.click()}
+                  variant="outline"
+                  size="sm"
+                  className="bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+                >
+                  <FolderOpen className="w-4 h-4 mr-2" />
+                  Import Folder
+                </Button>
+              </div>
+              
+              <div className="max-h-96 overflow-y-auto scrollbar-hide">
+                {parameterSchema ? renderSchemaParameters() : renderFaceTracking()}
+              </div>
             </CardContent>
           </Card>
 
@@ -571,7 +964,14 @@ const VRChatIntegration = () => {
             </CardHeader>
             <CardContent className="space-y-4">
               <div>
-                <h4 className="text-sm font-medium text-slate-300 mb-2">Chat Message</h4>
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className="text-sm font-medium text-slate-300">Chat Message</h4>
+                  <span className={`text-xs ${chatMessage.length > CHATBOX_MAX_LENGTH ? 'text-yellow-400' : 'text-slate-400'}`}>
+                    {chatMessage.length > CHATBOX_MAX_LENGTH
+                      ? `${Math.ceil(chatMessage.length / (CHATBOX_MAX_LENGTH - 8))} pages`
+                      : `${chatMessage.length}/${CHATBOX_MAX_LENGTH}`}
+                  </span>
+                </div>
                 <div className="flex gap-2">
                   <input
                     type="text"
@@ -593,6 +993,13 @@ const VRChatIntegration = () => {
                     Send
                   </Button>
                 </div>
+                <div className="flex items-center justify-between mt-3">
+                  <div>
+                    <p className="text-sm text-slate-300">Speech Subtitles</p>
+                    <p className="text-xs text-slate-400">Mirror every spoken line into the chatbox</p>
+                  </div>
+                  <Switch checked={mirrorSpeech} onCheckedChange={handleMirrorSpeechChange} />
+                </div>
               </div>
               
               <div>
@@ -645,13 +1052,17 @@ const VRChatIntegration = () => {
               <div className="text-center">
                 <div className={`w-3 h-3 rounded-full mx-auto mb-2 ${oscConnected ? 'bg-green-500' : 'bg-red-500'}`}></div>
                 <p className="text-sm text-slate-300">OSC</p>
-                <p className="text-xs text-slate-400">{oscConnected ? 'Connected' : 'Disconnected'}</p>
+                <p className="text-xs text-slate-400">
+                  {!oscConnected ? 'Disconnected' : oscQueryPeer ? `OSCQuery :${oscQueryPeer.oscPort}` : 'Connected'}
+                </p>
               </div>
               
               <div className="text-center">
                 <div className={`w-3 h-3 rounded-full mx-auto mb-2 ${vrcftConnected ? 'bg-green-500' : 'bg-red-500'}`}></div>
                 <p className="text-sm text-slate-300">VRCFT</p>
-                <p className="text-xs text-slate-400">{vrcftConnected ? 'Connected' : 'Disconnected'}</p>
+                <p className="text-xs text-slate-400">
+                  {!vrcftConnected ? 'Disconnected' : vrcftEncoding ? `v2 (${vrcftEncoding})` : 'Connected'}
+                </p>
               </div>
               
               <div className="text-center">
@@ -667,7 +1078,10 @@ const VRChatIntegration = () => {
               </div>
             </div>
             
-            <div className="mt-4 pt-4 border-t border-slate-700/50">
+            <div className="mt-4 pt-4 border-t border-slate-700/50 flex items-center justify-between gap-4">
+              <div className="text-sm text-slate-300 truncate">
+                Avatar: <span className="text-slate-400 font-mono text-xs">{avatarId || 'Waiting for VRChat...'}</span>
+              </div>
               <Button
                 onClick={handleDownloadVRCFT}
                 variant="outline"
@@ -679,6 +1093,157 @@ const VRChatIntegration = () => {
             </div>
           </CardContent>
         </Card>
+
+        {/* VMC Protocol */}
+        <Card className="mt-6 bg-slate-800/50 backdrop-blur-sm border-slate-700/50">
+          <CardHeader>
+            <CardTitle className="text-white flex items-center gap-2">
+              <Radio className="w-5 h-5 text-pink-400" />
+              VMC Protocol
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="space-y-3">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm text-slate-300">Send Avatar</p>
+                  <p className="text-xs text-slate-400">Bones and blendshapes to VSeeFace, VNyan, Warudo...</p>
+                </div>
+                <Switch checked={vmcSending} onCheckedChange={handleVmcSendingChange} />
+              </div>
+              <div className="flex gap-2">
+                <Input
+                  value={vmcSettings.address}
+                  onChange={(e) => setVmcSettings(prev => ({ ...prev, address: e.target.value }))}
+                  disabled={vmcSending}
+                  className="bg-slate-700 border-slate-600 text-white"
+                />
+                <Input
+                  type="number"
+                  value={vmcSettings.port}
+                  onChange={(e) => setVmcSettings(prev => ({ ...prev, port: e.target.value }))}
+                  disabled={vmcSending}
+                  className="w-28 bg-slate-700 border-slate-600 text-white"
+                />
+              </div>
+            </div>
+            
+            <div className="space-y-3">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm text-slate-300">Receive Tracking</p>
+                  <p className="text-xs text-slate-400">Drive the avatar from an external VMC tracker</p>
+                </div>
+                <Switch checked={vmcReceiving} onCheckedChange={handleVmcReceivingChange} />
+              </div>
+              <Input
+                type="number"
+                value={vmcSettings.receivePort}
+                onChange={(e) => setVmcSettings(prev => ({ ...prev, receivePort: e.target.value }))}
+                disabled={vmcReceiving}
+                className="w-28 bg-slate-700 border-slate-600 text-white"
+              />
+            </div>
+          </CardContent>
+        </Card>
+
+        {/* OSC Recorder */}
+        <Card className="mt-6 bg-slate-800/50 backdrop-blur-sm border-slate-700/50">
+          <CardHeader>
+            <CardTitle className="text-white flex items-center gap-2">
+              <History className="w-5 h-5 text-orange-400" />
+              OSC Recorder
+              {recorderStatus.recording && (
+                <Badge variant="outline" className="ml-auto bg-red-500/10 text-red-400 border-red-500/30">
+                  Recording {recorderStatus.messages} msgs
+                </Badge>
+              )}
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div className="space-y-3">
+              <div className="flex flex-wrap gap-2">
+                <Button
+                  onClick={handleRecordToggle}
+                  size="sm"
+                  className={recorderStatus.recording ? 'bg-red-600 hover:bg-red-700 text-white' : 'bg-purple-600 hover:bg-purple-700 text-white'}
+                >
+                  {recorderStatus.recording ? <Square className="w-4 h-4 mr-2" /> : <Circle className="w-4 h-4 mr-2" />}
+                  {recorderStatus.recording ? 'Stop' : 'Record'}
+                </Button>
+                <Button
+                  onClick={handleSaveRecording}
+                  disabled={!recorderStatus.replay.loaded}
+                  size="sm"
+                  variant="outline"
+                  className="bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+                >
+                  <Save className="w-4 h-4 mr-2" />
+                  Save
+                </Button>
+                <Button
+                  onClick={handleExportRecording}
+                  disabled={!recorderStatus.replay.loaded}
+                  size="sm"
+                  variant="outline"
+                  className="bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+                >
+                  <Download className="w-4 h-4 mr-2" />
+                  Export
+                </Button>
+                <input
+                  ref={recordingFileInputRef}
+                  type="file"
+                  accept=".json"
+                  onChange={handleImportRecording}
+                  className="hidden"
+                />
+                <Button
+                  onClick={() => recordingFileInputRef.current?.click()}
+                  size="sm"
+                  variant="outline"
+                  className="bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+                >
+                  <Upload className="w-4 h-4 mr-2" />
+                  Import
+                </Button>
+              </div>
+              
+              <div>
+                <h4 className="text-sm font-medium text-slate-300 mb-2">Saved Sessions</h4>
+                <div className="max-h-48 overflow-y-auto scrollbar-hide space-y-1">
+                  {recordings.length === 0 && <p className="text-xs text-slate-500">No saved sessions</p>}
+                  {recordings.map((recording) => (
+                    <div key={recording.id} className="flex items-center gap-2">
+                      <button
+                        onClick={() => oscRecorder.load(recording)}
+                        className="flex-1 text-left text-xs text-slate-300 hover:text-white truncate"
+                      >
+                        {recording.name}
+                        <span className="text-slate-500"> · {recording.messages.length} msgs</span>
+                      </button>
+                      <button
+                        onClick={() => handleDeleteRecording(recording.id)}
+                        className="text-slate-500 hover:text-red-400"
+                      >
+                        <Trash2 className="w-3 h-3" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+            
+            <div className="md:col-span-2">
+              {renderRecorderTimeline()}
+            </div>
+          </CardContent>
+        </Card>
+
+        {/* Tracking Filters */}
+        <div className="mt-6">
+          <TrackingFilterPanel />
+        </div>
       </div>
     </div>
   );
@@ -1,7 +1,7 @@
 import React from 'react';
 import { cn } from '../../utils/cn.js';
 
-const Slider = React.forwardRef(({ className, ...props }, ref) => (
+const Slider = React.forwardRef(({ className, value, onValueChange, onChange, ...props }, ref) => (
   <input
     type="range"
     className={cn(
@@ -9,6 +9,11 @@ const Slider = React.forwardRef(({ className, ...props }, ref) => (
       className
     )}
     ref={ref}
+    value={Array.isArray(value) ? value[0] : value}
+    onChange={(e) => {
+      onChange?.(e);
+      onValueChange?.([parseFloat(e.target.value)]);
+    }}
     {...props}
   />
 ));
@@ -0,0 +1,236 @@
+import * as THREE from 'three';
+import { getMorphWeights } from './blendshapeMapping.js';
+import { getVRMExpressionWeights } from './vrmAvatar.js';
+
+/**
+ * Animation Clips
+ * Builds THREE.AnimationClips for the loaded model from the keyframe data
+ * AnimationService stores. Keyframes don't depend on the rig: bone tracks hold
+ * normalized humanoid rotations (see humanoidRetargeting.js) and expression
+ * tracks hold facialExpressions weights, so one clip plays on any avatar.
+ *
+ * {
+ *   duration: 2, // seconds, defaults to the last keyframe
+ *   tracks: [
+ *     { bone: 'leftUpperArm', times: [0, 1, 2], values: [x, y, z, w, ...] },
+ *     { expression: 'smile', times: [0, 1, 2], values: [0, 1, 0], easing: [[0.42, 0, 0.58, 1], 'step'] }
+ *   ]
+ * }
+ *
+ * `easing` is optional and shapes the curve from each keyframe to the next:
+ * null for linear, 'step' to hold until the next keyframe, or cubic-bezier
+ * control points [x1, y1, x2, y2] as in CSS.
+ */
+
+// Keyframes per second that eased segments are sampled into for playback
+const EASING_SAMPLE_RATE = 30;
+
+const cubicBezier = (a, b, t) => 3 * a * t * (1 - t) * (1 - t) + 3 * b * t * t * (1 - t) + t * t * t;
+
+/**
+ * Progress (0..1 in, eased out) through a segment with the given easing
+ */
+export const evaluateEasing = (easing, t) => {
+  if (!easing) return t;
+  if (easing === 'step') return t < 1 ? 0 : 1;
+
+  // Solve x(u) = t by bisection, then the curve's y at u
+  const [x1, y1, x2, y2] = easing;
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 20; i++) {
+    const u = (low + high) / 2;
+    if (cubicBezier(x1, x2, u) < t) low = u;
+    else high = u;
+  }
+
+  return cubicBezier(y1, y2, (low + high) / 2);
+};
+
+/**
+ * Keyframe before `time` and the eased progress from it to the next one;
+ * t is 0 or 1 past the ends
+ */
+const findSegment = ({ times, easing }, time) => {
+  const last = times.length - 1;
+  if (last === 0 || time <= times[0]) return { index: 0, t: 0 };
+  if (time >= times[last]) return { index: last - 1, t: 1 };
+
+  let index = 1;
+  while (times[index] < time) index++;
+
+  const t = (time - times[index - 1]) / (times[index] - times[index - 1]);
+  return { index: index - 1, t: evaluateEasing(easing?.[index - 1], t) };
+};
+
+/**
+ * Value of an expression track at `time`, held past the ends
+ */
+export const sampleTrack = (track, time) => {
+  const { values } = track;
+  const { index, t } = findSegment(track, time);
+  if (values.length === 1) return values[0];
+  return values[index] + (values[index + 1] - values[index]) * t;
+};
+
+/**
+ * Rotation of a bone track at `time`, slerped between keyframes
+ */
+export const sampleRotation = (track, time, target = new THREE.Quaternion()) => {
+  const { values } = track;
+  const { index, t } = findSegment(track, time);
+  if (values.length === 4) return target.fromArray(values);
+
+  const next = new THREE.Quaternion().fromArray(values, index * 4 + 4);
+  return target.fromArray(values, index * 4).slerp(next, t);
+};
+
+/**
+ * The track as linear keyframes, with eased segments sampled so the mixer
+ * can play them
+ */
+const linearizeTrack = (track) => {
+  const { times, values, easing } = track;
+  if (!easing || easing.every((segment) => !segment)) return track;
+
+  const size = track.bone ? 4 : 1;
+  const rotation = new THREE.Quaternion();
+  const linear = { ...track, times: [], values: [] };
+  delete linear.easing;
+
+  const push = (time) => {
+    linear.times.push(time);
+    if (track.bone) linear.values.push(...sampleRotation(track, time, rotation).toArray());
+    else linear.values.push(sampleTrack(track, time));
+  };
+
+  times.forEach((time, index) => {
+    const segment = easing[index];
+    if (index === times.length - 1 || !segment) {
+      linear.times.push(time);
+      linear.values.push(...values.slice(index * size, index * size + size));
+      return;
+    }
+
+    const next = times[index + 1];
+    if (segment === 'step') {
+      linear.times.push(time, next - Math.min(0.001, (next - time) / 2));
+      linear.values.push(...values.slice(index * size, index * size + size), ...values.slice(index * size, index * size + size));
+      return;
+    }
+
+    const steps = Math.max(4, Math.ceil((next - time) * EASING_SAMPLE_RATE));
+    for (let step = 0; step < steps; step++) push(time + ((next - time) * step) / steps);
+  });
+
+  return linear;
+};
+
+const createBoneTracks = (humanoidRig, boneTracks) => {
+  const rotation = new THREE.Quaternion();
+  const tracks = [];
+
+  boneTracks.forEach(({ bone, times, values }) => {
+    const node = humanoidRig?.getBoneNode(bone);
+    if (!node) return;
+
+    const localValues = [];
+    for (let i = 0; i < values.length; i += 4) {
+      humanoidRig.toLocalRotation(bone, rotation.fromArray(values, i), rotation).toArray(localValues, i);
+    }
+
+    // By uuid: bone names repeat across some rigs, and VRM normalized bones share the model
+    tracks.push(new THREE.QuaternionKeyframeTrack(`${node.uuid}.quaternion`, times, localValues));
+  });
+
+  return tracks;
+};
+
+/**
+ * facialExpressions values at every time any expression track has a keyframe.
+ * Expressions are combined per frame before turning into morphs, because one
+ * morph can be driven by several keys.
+ */
+const sampleExpressionFrames = (expressionTracks) => {
+  const times = Array.from(new Set(expressionTracks.flatMap((track) => track.times))).sort((a, b) => a - b);
+
+  return times.map((time) => ({
+    time,
+    expressions: Object.fromEntries(expressionTracks.map((track) => [track.expression, sampleTrack(track, time)]))
+  }));
+};
+
+/**
+ * One track per weight that changes, from per-frame Maps of target -> weight
+ */
+const collectWeightTracks = (frames, getWeights, getTrackName) => {
+  const weights = new Map();
+
+  frames.forEach(({ expressions }, frame) => {
+    getWeights(expressions).forEach((weight, target) => {
+      if (!weights.has(target)) weights.set(target, new Array(frames.length).fill(0));
+      weights.get(target)[frame] = weight;
+    });
+  });
+
+  const times = frames.map(({ time }) => time);
+  return Array.from(weights, ([target, values]) => new THREE.NumberKeyframeTrack(getTrackName(target), times, values));
+};
+
+const createMorphTracks = (model, blendshapeProfile, frames, keys) => {
+  if (!blendshapeProfile) return [];
+
+  // Morphs driven only by keys the clip doesn't animate are left alone
+  const profile = { ...blendshapeProfile, mappings: blendshapeProfile.mappings.filter(({ key }) => keys.has(key)) };
+  const tracks = [];
+
+  model.traverse((child) => {
+    if (!child.isMesh || !child.morphTargetDictionary || !child.morphTargetInfluences) return;
+
+    tracks.push(...collectWeightTracks(
+      frames,
+      (expressions) => getMorphWeights(child, profile, expressions),
+      (index) => `${child.uuid}.morphTargetInfluences[${index}]`
+    ));
+  });
+
+  return tracks;
+};
+
+/**
+ * VRM expressions are scene nodes whose weight vrm.update() applies to the morphs
+ */
+const createVRMExpressionTracks = (vrm, frames) => collectWeightTracks(
+  frames,
+  (expressions) => getVRMExpressionWeights(vrm, expressions),
+  (name) => `${vrm.expressionManager.getExpression(name).uuid}.weight`
+);
+
+/**
+ * Build a clip for the loaded model; bones the rig doesn't map and
+ * expressions the model lacks are skipped
+ */
+export const createAnimationClip = (name, data, { model, vrm, humanoidRig, blendshapeProfile }) => {
+  const boneTracks = data.tracks.filter((track) => track.bone).map(linearizeTrack);
+  const expressionTracks = data.tracks.filter((track) => track.expression).map(linearizeTrack);
+
+  const tracks = createBoneTracks(humanoidRig, boneTracks);
+
+  if (expressionTracks.length > 0) {
+    const frames = sampleExpressionFrames(expressionTracks);
+    const keys = new Set(expressionTracks.map((track) => track.expression));
+    tracks.push(...(vrm ? createVRMExpressionTracks(vrm, frames) : createMorphTracks(model, blendshapeProfile, frames, keys)));
+  }
+
+  return new THREE.AnimationClip(name, data.duration ?? -1, tracks);
+};
+
+/**
+ * Humanoid bones a clip's keyframe data rotates
+ */
+export const getAnimatedBones = (data) => data.tracks.filter((track) => track.bone).map((track) => track.bone);
+
+/**
+ * Whether a clip's keyframe data animates facial expressions
+ */
+export const animatesExpressions = (data) => data.tracks.some((track) => track.expression);
@@ -1,16 +1,80 @@
+import { EventEmitter } from 'events';
+import * as THREE from 'three';
 import * as db from '../store/indexedDB.js';
+import { useAvatarStore } from '../store/avatarStore.js';
+import { createAnimationClip, getAnimatedBones, animatesExpressions } from './animationClip.js';
+import { idleBehavior, getIdleChannels } from './idleBehavior.js';
+import { applyVRMExpressions } from './vrmAvatar.js';
+import { createBlendshapeProfile, applyBlendshapeProfile } from './blendshapeMapping.js';
+import { PoseSolver, bakePoseClip } from './poseSolver.js';
+import { bakePoseSequence } from './poseSequenceImport.js';
+import { trackingFilters } from './trackingFilters.js';
+import {
+  GestureDetector,
+  normalizePose,
+  getPostureFeatures,
+  clusterPostures,
+  classifyPosture,
+  detectGestures
+} from './poseAnalysis.js';
+
+// Loop modes for playAnimation; 'once' holds the last frame until it fades out
+export const LOOP_MODES = {
+  once: THREE.LoopOnce,
+  repeat: THREE.LoopRepeat,
+  pingpong: THREE.LoopPingPong
+};
+
+export const DEFAULT_PLAYBACK_OPTIONS = {
+  loop: 'once',
+  // Loops before finishing, for 'repeat' and 'pingpong'
+  repetitions: Infinity,
+  speed: 1,
+  // Seconds
+  fadeIn: 0.3,
+  fadeOut: 0.3,
+  onFinished: null
+};
+
+/**
+ * The avatar's saved blendshape mapping, or one detected from its morph names
+ */
+export const getActiveBlendshapeProfile = () => {
+  const { model, blendshapeProfile, facialExpressions } = useAvatarStore.getState();
+  if (blendshapeProfile) return blendshapeProfile;
+  return model ? createBlendshapeProfile(model, Object.keys(facialExpressions)) : null;
+};
+
+/**
+ * Pose the model from the store again once a clip lets go of it
+ */
+export const applyStorePose = () => {
+  const { model, vrm, humanoidRig, skeletalControls, facialExpressions } = useAvatarStore.getState();
+  if (!model) return;
+
+  humanoidRig?.applySkeletalControls(skeletalControls);
+
+  if (vrm) {
+    applyVRMExpressions(vrm, facialExpressions);
+  } else {
+    applyBlendshapeProfile(model, getActiveBlendshapeProfile(), facialExpressions);
+  }
+};
 
 class AnimationService {
   constructor() {
     this.animations = new Map();
     this.currentAnimation = null;
     this.isPlaying = false;
+    this.current = null;
+    this.playbackCount = 0;
   }
 
-  async loadAnimation(name, animationData) {
+  async loadAnimation(name, animationData, metadata = {}) {
     try {
-      // Store animation in IndexedDB
-      await db.saveAnimation({
+      // Store animation in IndexedDB and list it in the animation history
+      await useAvatarStore.getState().addToAnimationHistory({
+        ...metadata,
         name,
         data: animationData,
         timestamp: Date.now()
@@ -35,7 +99,9 @@ class AnimationService {
     // Load from IndexedDB
     try {
       const animations = await db.getAnimations();
-      const animation = animations.find(a => a.name === name);
+      // State machine definitions share the store (see animationStateMachine.js);
+      // a clip saved again under the same name replaces the older one
+      const animation = animations.filter(a => a.name === name && a.type !== 'stateMachine').pop();
       
       if (animation) {
         this.animations.set(name, animation.data);
@@ -49,30 +115,152 @@ class AnimationService {
     }
   }
 
-  async playAnimation(name, callback) {
+  /**
+   * Play a stored clip on the loaded model through the store's mixer. A clip
+   * already playing crossfades into this one over `fadeIn`.
+   */
+  async playAnimation(name, options = {}) {
     const animation = await this.getAnimation(name);
     if (!animation) {
       console.error(`Animation ${name} not found`);
       return false;
     }
-    
+
+    return this.playAnimationData(name, animation, options);
+  }
+
+  /**
+   * Play keyframe data that isn't stored (yet), e.g. to preview an import
+   */
+  playAnimationData(name, animation, options = {}) {
+    if (!Array.isArray(animation.tracks)) {
+      console.error(`Animation ${name} has no keyframes`);
+      return false;
+    }
+
+    const { model, vrm, mixer, humanoidRig } = useAvatarStore.getState();
+    if (!model || !mixer) {
+      console.error('Cannot play animation without a loaded model');
+      return false;
+    }
+
+    const settings = { ...DEFAULT_PLAYBACK_OPTIONS, ...options };
+    const clip = createAnimationClip(name, animation, {
+      model,
+      vrm,
+      humanoidRig,
+      blendshapeProfile: getActiveBlendshapeProfile()
+    });
+
+    const action = mixer.clipAction(clip);
+    action.setLoop(LOOP_MODES[settings.loop] ?? THREE.LoopOnce, settings.loop === 'once' ? 1 : settings.repetitions);
+    action.clampWhenFinished = true;
+    action.timeScale = settings.speed;
+    action.reset();
+    // Played backwards, a clip starts from its end
+    if (settings.speed < 0) action.time = clip.duration;
+
+    const previous = this.current;
+    if (previous) {
+      if (previous.mixer === mixer) {
+        this.endPlayback(previous, settings.fadeIn);
+      } else {
+        this.releasePlayback(previous);
+      }
+    }
+
+    const playback = {
+      id: ++this.playbackCount,
+      name,
+      clip,
+      action,
+      mixer,
+      settings,
+      idleChannels: getIdleChannels(getAnimatedBones(animation), animatesExpressions(animation)),
+      ending: false,
+      timer: null
+    };
+    playback.handleFinished = (event) => {
+      if (event.action !== action) return;
+      this.endPlayback(playback, settings.fadeOut);
+      if (settings.onFinished) settings.onFinished(name);
+    };
+
+    // Idle motion would overwrite the bones and morphs the clip animates
+    if (playback.idleChannels.length > 0) idleBehavior.suppress(playback.idleChannels, `clip:${playback.id}`);
+
+    mixer.addEventListener('finished', playback.handleFinished);
+    action.fadeIn(settings.fadeIn).play();
+
+    this.current = playback;
     this.currentAnimation = name;
     this.isPlaying = true;
-    
-    // Simulate animation playback
-    const duration = animation.duration || 1000;
-    
-    setTimeout(() => {
-      this.isPlaying = false;
-      if (callback) callback();
-    }, duration);
-    
+
     return true;
   }
 
-  stopAnimation() {
-    this.isPlaying = false;
+  /**
+   * Fade the current clip out; its bones and expressions return to the store's pose
+   */
+  stopAnimation(fadeOut = this.current?.settings.fadeOut ?? 0) {
+    if (this.current) this.endPlayback(this.current, fadeOut);
+  }
+
+  /**
+   * The current clip's id, name, position and length in seconds, or null
+   */
+  getPlaybackStatus() {
+    if (!this.current) return null;
+    const { id, name, action, clip } = this.current;
+    return { id, name, time: action.time, duration: clip.duration, paused: action.paused };
+  }
+
+  /**
+   * Jump the current clip to `time` (seconds). A paused clip holds that
+   * frame on the avatar, which is how the timeline scrubs.
+   */
+  seekAnimation(time, paused = this.current?.action.paused) {
+    if (!this.current) return false;
+    const { action, clip } = this.current;
+    action.time = Math.max(0, Math.min(clip.duration, time));
+    action.paused = paused;
+    return true;
+  }
+
+  endPlayback(playback, fadeOut) {
+    this.clearCurrent(playback);
+    if (playback.ending) return;
+    playback.ending = true;
+
+    if (fadeOut <= 0) {
+      this.releasePlayback(playback);
+      return;
+    }
+
+    playback.action.fadeOut(fadeOut);
+    playback.timer = setTimeout(() => this.releasePlayback(playback), fadeOut * 1000);
+  }
+
+  clearCurrent(playback) {
+    if (this.current !== playback) return;
+    this.current = null;
     this.currentAnimation = null;
+    this.isPlaying = false;
+  }
+
+  /**
+   * Stop a clip for good. Stopping puts what it animated back as it was when
+   * it started, so the store's current pose is applied over that.
+   */
+  releasePlayback(playback) {
+    this.clearCurrent(playback);
+    clearTimeout(playback.timer);
+    playback.mixer.removeEventListener('finished', playback.handleFinished);
+    playback.action.stop();
+    playback.mixer.uncacheClip(playback.clip);
+
+    if (playback.idleChannels.length > 0) idleBehavior.release(playback.idleChannels, `clip:${playback.id}`);
+    applyStorePose();
   }
 
   async getAllAnimations() {
@@ -188,9 +376,89 @@ class ExpressionService {
   }
 }
 
-class OpenPoseService {
+/**
+ * Emits pose:gesture ({ gesture, side, score, start, end }) for gestures in
+ * live poses, pose:posture ({ posture, previous }) when the live pose moves
+ * to another of the postures the last analysis found, and pose:trends with
+ * each analysis (see poseAnalysis.js).
+ */
+class OpenPoseService extends EventEmitter {
   constructor() {
+    super();
     this.poseHistory = [];
+    this.solver = new PoseSolver();
+    this.gestureDetector = new GestureDetector();
+    this.postures = [];
+    this.currentPosture = null;
+  }
+
+  /**
+   * Drive the avatar from one frame of keypoints; joints the detector is
+   * unsure of keep their previous rotation
+   */
+  applyPose(poseData) {
+    const timestamp = poseData.timestamp ?? Date.now();
+    const keypoints = trackingFilters.filterKeypoints(poseData.keypoints ?? poseData, timestamp);
+    const controls = this.solver.solve(keypoints);
+    useAvatarStore.getState().setSkeletalControls(controls);
+    this.observePose(keypoints, timestamp);
+    return controls;
+  }
+
+  /**
+   * Feed a live pose to gesture detection and posture tracking
+   */
+  observePose(keypoints, timestamp) {
+    this.gestureDetector.push(keypoints, timestamp / 1000)
+      .forEach((detection) => this.emit('pose:gesture', detection));
+
+    const pose = normalizePose(keypoints);
+    const posture = pose && this.postures.length > 0 ? classifyPosture(getPostureFeatures(pose), this.postures) : null;
+    if (posture && posture.name !== this.currentPosture?.name) {
+      this.emit('pose:posture', { posture, previous: this.currentPosture });
+      this.currentPosture = posture;
+    }
+  }
+
+  /**
+   * Bake a sequence of poses ({ keypoints, timestamp }) into a stored clip
+   */
+  async savePoseClip(name, poses, options = {}) {
+    try {
+      const data = bakePoseClip(poses, options);
+      if (!data || data.tracks.length === 0) return null;
+
+      return (await animationService.loadAnimation(name, data)) ? data : null;
+    } catch (error) {
+      console.error('Failed to save pose clip:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Smooth, solve and save a sequence from loadPoseSequence as a clip. The
+   * sequence's confidence goes with the clip and with the keypoints, which
+   * are kept in the openpose store. Resolves to { data, confidence } or null.
+   */
+  async savePoseSequence(name, sequence, options = {}) {
+    try {
+      const { data, confidence, poses } = bakePoseSequence(sequence, options);
+      if (!data || data.tracks.length === 0) return null;
+
+      await db.saveOpenPose({
+        type: 'sequence',
+        name,
+        format: sequence.format,
+        keypoints: poses,
+        confidence
+      });
+
+      const saved = await animationService.loadAnimation(name, data, { source: sequence.format, confidence });
+      return saved ? { data, confidence } : null;
+    } catch (error) {
+      console.error('Failed to save pose sequence:', error);
+      return null;
+    }
   }
 
   async recordPose(poseData) {
@@ -206,6 +474,7 @@ class OpenPoseService {
       
       // Add to history
       this.poseHistory.push(pose);
+      this.observePose(pose.keypoints, pose.timestamp);
       
       // Keep only last 200 poses
       if (this.poseHistory.length > 200) {
@@ -228,34 +497,48 @@ class OpenPoseService {
     }
   }
 
-  async analyzePoseTrends() {
+  /**
+   * Find recurring postures and gestures in the stored poses. Postures are
+   * named clusters ({ name, count, share, spread, keypoints }, most common
+   * first); gestures are { gesture, side, score, start, end } with times in ms.
+   */
+  async analyzePoseTrends(limit = 200) {
     try {
-      const poses = await db.getOpenPose(100);
-      
+      // Imported sequences share the store with single poses and don't count toward the limit
+      const poses = (await db.getOpenPose(limit, (pose) => pose.type !== 'sequence'))
+        .sort((a, b) => a.timestamp - b.timestamp);
+
       if (poses.length < 10) {
         return { message: 'Not enough data for analysis' };
       }
-      
-      // Analyze pose trends
-      const recentPoses = poses.slice(-10);
-      const avgConfidence = recentPoses.reduce((sum, pose) => sum + pose.confidence, 0) / recentPoses.length;
-      
-      // Detect common poses
-      const poseCounts = {};
-      recentPoses.forEach(pose => {
-        const poseHash = JSON.stringify(pose.keypoints);
-        poseCounts[poseHash] = (poseCounts[poseHash] || 0) + 1;
-      });
-      
-      const mostCommonPose = Object.keys(poseCounts).reduce((a, b) => 
-        poseCounts[a] > poseCounts[b] ? a : b
-      );
-      
-      return {
-        averageConfidence: avgConfidence,
-        mostCommonPose: JSON.parse(mostCommonPose),
-        poseFrequency: poseCounts[mostCommonPose] / recentPoses.length
+
+      const confidences = poses.map((pose) => pose.confidence).filter((confidence) => typeof confidence === 'number');
+      const analyzed = poses
+        .map((pose) => ({ pose, normalized: normalizePose(pose.keypoints) }))
+        .filter(({ normalized }) => normalized);
+
+      const { postures } = clusterPostures(analyzed.map(({ normalized }) => getPostureFeatures(normalized)));
+      this.postures = postures.map((posture) => ({ ...posture, keypoints: analyzed[posture.medoid].pose.keypoints }));
+
+      const gestures = detectGestures(poses).map((gesture) => ({
+        ...gesture,
+        start: gesture.start * 1000,
+        end: gesture.end * 1000
+      }));
+
+      const trends = {
+        poseCount: poses.length,
+        averageConfidence: confidences.length > 0
+          ? confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length
+          : null,
+        postures: this.postures,
+        mostCommonPose: this.postures[0]?.keypoints ?? null,
+        poseFrequency: this.postures[0]?.share ?? 0,
+        gestures
       };
+
+      this.emit('pose:trends', trends);
+      return trends;
     } catch (error) {
       console.error('Failed to analyze pose trends:', error);
       return { message: 'Analysis failed' };
@@ -0,0 +1,491 @@
+import { EventEmitter } from 'events';
+import * as THREE from 'three';
+import * as db from '../store/indexedDB.js';
+import { useAvatarStore } from '../store/avatarStore.js';
+import { animationService, openPoseService, LOOP_MODES, getActiveBlendshapeProfile, applyStorePose } from './animationService.js';
+import { createAnimationClip } from './animationClip.js';
+import { idleBehavior, getIdleChannels } from './idleBehavior.js';
+import { ttsServiceManager } from './ttsServices.js';
+
+/**
+ * Animation State Machine
+ * Layered clip playback driven by states. Each state names a clip (or a 1D
+ * blend tree of clips) per layer; events from TTS, chat and detected gestures
+ * move between states with a crossfade. Override layers replace the layers
+ * below them on whatever they animate inside their mask; additive layers add
+ * on top. The whole definition is JSON and is saved in the animations store
+ * next to the clips.
+ */
+
+export const STATE_MACHINE_TYPE = 'stateMachine';
+
+export const DEFAULT_TRANSITION_DURATION = 0.3;
+
+// Without audio to watch, speech is assumed to end after this many characters a second
+const SPOKEN_CHARS_PER_SECOND = 15;
+
+export const DEFAULT_STATE_MACHINE = {
+  name: 'default',
+  initial: 'idle',
+  // Blend tree inputs, set with setParameter()
+  parameters: { energy: 0 },
+  // Lowest first
+  layers: [
+    { name: 'base', mask: null, blending: 'override' },
+    { name: 'gesture', mask: 'upperBody', blending: 'override' },
+    { name: 'face', mask: 'face', blending: 'additive' }
+  ],
+  // Humanoid bones, and true or a list of facialExpressions keys
+  masks: {
+    upperBody: {
+      bones: [
+        'spine', 'chest', 'upperChest', 'neck', 'head',
+        'leftShoulder', 'leftUpperArm', 'leftLowerArm', 'leftHand',
+        'rightShoulder', 'rightUpperArm', 'rightLowerArm', 'rightHand'
+      ],
+      expressions: false
+    },
+    face: { bones: [], expressions: true }
+  },
+  states: {
+    idle: {
+      layers: {
+        base: { clips: [{ clip: 'idle', at: 0 }, { clip: 'idleBouncy', at: 1 }], parameter: 'energy', loop: 'repeat' }
+      }
+    },
+    talking: {
+      layers: {
+        base: { clips: [{ clip: 'idle', at: 0 }, { clip: 'idleBouncy', at: 1 }], parameter: 'energy', loop: 'repeat' },
+        gesture: { clip: 'talking', loop: 'repeat' },
+        face: { clip: 'talkingFace', loop: 'repeat' }
+      }
+    },
+    excited: {
+      layers: {
+        base: { clips: [{ clip: 'idle', at: 0 }, { clip: 'idleBouncy', at: 1 }], parameter: 'energy', loop: 'repeat' },
+        gesture: { clip: 'excited', loop: 'once' },
+        face: { clip: 'excitedFace', loop: 'once' }
+      },
+      // Seconds before moving on to `next` by itself
+      exitAfter: 3,
+      next: 'idle'
+    }
+  },
+  transitions: [
+    { from: ['idle', 'excited'], to: 'talking', event: 'speechStart', duration: 0.3 },
+    { from: 'talking', to: 'idle', event: 'speechEnd', duration: 0.5 },
+    { from: '*', to: 'excited', event: 'chatMessage', match: '!|\\b(wow|amazing|awesome|yay)\\b', duration: 0.2 }
+  ]
+};
+
+/**
+ * Problems with a definition, as messages; empty when it can be used
+ */
+export const validateStateMachine = (definition) => {
+  const errors = [];
+  const states = definition?.states || {};
+  const layers = definition?.layers || [];
+  const masks = definition?.masks || {};
+  const layerNames = new Set(layers.map((layer) => layer.name));
+
+  if (!definition?.name) errors.push('Missing name');
+  if (!states[definition?.initial]) errors.push(`Initial state ${definition?.initial} does not exist`);
+
+  layers.forEach((layer) => {
+    if (layer.mask && !masks[layer.mask]) errors.push(`Layer ${layer.name} uses unknown mask ${layer.mask}`);
+    if (!['override', 'additive'].includes(layer.blending)) errors.push(`Layer ${layer.name} has unknown blending ${layer.blending}`);
+  });
+
+  Object.entries(states).forEach(([name, state]) => {
+    Object.entries(state.layers || {}).forEach(([layer, motion]) => {
+      if (!layerNames.has(layer)) errors.push(`State ${name} uses unknown layer ${layer}`);
+      if (!motion.clip && !motion.clips?.length) errors.push(`State ${name} has no clip on layer ${layer}`);
+    });
+    if (state.next && !states[state.next]) errors.push(`State ${name} moves on to unknown state ${state.next}`);
+  });
+
+  (definition?.transitions || []).forEach((transition, index) => {
+    if (!states[transition.to]) errors.push(`Transition ${index} goes to unknown state ${transition.to}`);
+    [].concat(transition.from).forEach((from) => {
+      if (from !== '*' && !states[from]) errors.push(`Transition ${index} comes from unknown state ${from}`);
+    });
+    if (transition.match) {
+      try {
+        new RegExp(transition.match, 'i');
+      } catch (error) {
+        errors.push(`Transition ${index} has an invalid match pattern: ${error.message}`);
+      }
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Weight of each blend tree clip for a parameter value: the two clips either
+ * side of it share the weight linearly
+ */
+export const getBlendWeights = (positions, value) => {
+  const weights = positions.map(() => 0);
+  const order = positions.map((at, index) => ({ at, index })).sort((a, b) => a.at - b.at);
+  const first = order[0];
+  const last = order[order.length - 1];
+
+  if (value <= first.at) {
+    weights[first.index] = 1;
+  } else if (value >= last.at) {
+    weights[last.index] = 1;
+  } else {
+    const upper = order.findIndex(({ at }) => at >= value);
+    const t = (value - order[upper - 1].at) / (order[upper].at - order[upper - 1].at);
+    weights[order[upper - 1].index] = 1 - t;
+    weights[order[upper].index] = t;
+  }
+
+  return weights;
+};
+
+const maskCovers = (mask, track) => {
+  if (!mask) return true;
+  if (track.bone) return (mask.bones || []).includes(track.bone);
+  return mask.expressions === true || (Array.isArray(mask.expressions) && mask.expressions.includes(track.expression));
+};
+
+const getTrackKey = (track) => (track.bone ? `bone:${track.bone}` : `expression:${track.expression}`);
+
+const getKeyframeDuration = (data) => Math.max(0, ...data.tracks.map((track) => track.times[track.times.length - 1] ?? 0));
+
+class AnimationStateMachine extends EventEmitter {
+  constructor() {
+    super();
+    this.definition = null;
+    this.state = null;
+    this.stateTime = 0;
+    this.parameters = {};
+    // One per layer motion that is playing or fading out
+    this.entries = [];
+    this.entryCount = 0;
+    // The humanoid rig the running actions were built for
+    this.rig = null;
+    this.speechCount = 0;
+    // Transition -> compiled `match` pattern
+    this.patterns = new Map();
+
+    ttsServiceManager.onSpeech((text, audio, options) => this.handleSpeech(text, audio, options));
+    openPoseService.on('pose:gesture', ({ gesture, side, score }) => this.dispatch('gesture', { text: gesture, side, score }));
+  }
+
+  /**
+   * Use a definition, starting in its initial state
+   */
+  configure(definition) {
+    const errors = validateStateMachine(definition);
+    if (errors.length > 0) {
+      console.error('Invalid animation state machine:', errors);
+      return false;
+    }
+
+    this.entries.forEach((entry) => this.removeEntry(entry));
+    this.definition = definition;
+    this.patterns = new Map((definition.transitions || [])
+      .filter((transition) => transition.match)
+      .map((transition) => [transition, new RegExp(transition.match, 'i')]));
+    this.parameters = { ...definition.parameters };
+    this.enterState(definition.initial, 0);
+
+    this.emit('statemachine:configured', definition.name);
+    return true;
+  }
+
+  async saveDefinition(definition = this.definition) {
+    try {
+      await db.saveAnimation({
+        name: definition.name,
+        type: STATE_MACHINE_TYPE,
+        data: definition,
+        timestamp: Date.now()
+      });
+      return true;
+    } catch (error) {
+      console.error('Failed to save animation state machine:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Configure from the latest saved definition with this name, or the default one
+   */
+  async loadDefinition(name = DEFAULT_STATE_MACHINE.name) {
+    try {
+      const animations = await db.getAnimations();
+      const saved = animations.filter((a) => a.type === STATE_MACHINE_TYPE && a.name === name).pop();
+      return this.configure(saved ? saved.data : DEFAULT_STATE_MACHINE);
+    } catch (error) {
+      console.error('Failed to load animation state machine:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Take the first transition out of the current state that matches the
+   * event; `match` is tested against payload.text
+   */
+  dispatch(event, payload = {}) {
+    if (!this.definition) return false;
+
+    const transition = this.definition.transitions.find((candidate) => candidate.event === event
+      && candidate.to !== this.state
+      && (candidate.from === '*' || [].concat(candidate.from).includes(this.state))
+      && (!candidate.match || this.patterns.get(candidate).test(payload.text || '')));
+
+    this.emit('statemachine:event', { event, payload, transition: transition || null });
+    if (!transition) return false;
+
+    this.enterState(transition.to, transition.duration ?? DEFAULT_TRANSITION_DURATION);
+    return true;
+  }
+
+  /**
+   * Go to a state directly, crossfading over `duration` seconds
+   */
+  transition(state, duration = DEFAULT_TRANSITION_DURATION) {
+    if (!this.definition?.states[state]) return false;
+    this.enterState(state, duration);
+    return true;
+  }
+
+  setParameter(name, value) {
+    this.parameters[name] = value;
+  }
+
+  enterState(name, duration) {
+    const state = this.definition.states[name];
+    const previous = this.state;
+    this.state = name;
+    this.stateTime = 0;
+
+    this.definition.layers.forEach((layer) => {
+      const motion = state.layers?.[layer.name] || null;
+      const current = this.entries.find((entry) => entry.layer === layer.name && entry.target === 1);
+
+      // The same motion in both states carries on instead of restarting
+      if (current && motion && JSON.stringify(current.motion) === JSON.stringify(motion)) return;
+
+      if (current) this.fadeEntry(current, duration);
+      if (motion) this.startEntry(layer.name, motion, duration);
+    });
+
+    this.emit('statemachine:state', { state: name, previous });
+  }
+
+  startEntry(layer, motion, duration) {
+    const entry = {
+      id: ++this.entryCount,
+      layer,
+      motion,
+      weight: duration > 0 ? 0 : 1,
+      target: 1,
+      fadeTime: duration,
+      // [{ at, actions: [{ action, covering, trackKey }] }], one per clip once built
+      clips: [],
+      // Bones and expressions the built clips animate, as track keys
+      trackKeys: new Set(),
+      idleChannels: [],
+      stopped: false
+    };
+
+    this.entries.push(entry);
+    if (this.rig) this.buildEntry(entry);
+  }
+
+  fadeEntry(entry, duration) {
+    entry.target = 0;
+    entry.fadeTime = duration;
+  }
+
+  /**
+   * Build the entry's clips for the current model. Tracks that an override
+   * layer above could cover get an action each, so every bone can give way
+   * to whatever the layers above are animating on it.
+   */
+  async buildEntry(entry) {
+    const rig = this.rig;
+    const { model, vrm, mixer } = useAvatarStore.getState();
+    if (!model || !mixer) return;
+
+    const layers = this.definition.layers;
+    const layerIndex = layers.findIndex((layer) => layer.name === entry.layer);
+    const layer = layers[layerIndex];
+    const mask = layer.mask ? this.definition.masks[layer.mask] : null;
+    const additive = layer.blending === 'additive';
+    const above = additive ? [] : layers.slice(layerIndex + 1).filter((other) => other.blending === 'override');
+
+    const refs = entry.motion.clips || [{ clip: entry.motion.clip, at: 0 }];
+    const clipData = await Promise.all(refs.map(({ clip }) => animationService.getAnimation(clip)));
+    if (entry.stopped || this.rig !== rig) return;
+
+    const context = { model, vrm, humanoidRig: rig, blendshapeProfile: getActiveBlendshapeProfile() };
+    const bones = [];
+    let animatesMorphs = false;
+
+    entry.clips = refs.map((ref, index) => {
+      const data = clipData[index];
+      if (!Array.isArray(data?.tracks)) {
+        console.warn(`Animation ${ref.clip} for layer ${entry.layer} not found`);
+        return { at: ref.at ?? 0, actions: [] };
+      }
+
+      // Every part keeps the clip's full length so the parts stay in step
+      const duration = data.duration ?? getKeyframeDuration(data);
+      const partitions = new Map();
+      data.tracks.filter((track) => maskCovers(mask, track)).forEach((track) => {
+        const covering = above
+          .filter((other) => maskCovers(other.mask ? this.definition.masks[other.mask] : null, track))
+          .map((other) => other.name);
+        const trackKey = getTrackKey(track);
+        const key = covering.length > 0 ? trackKey : '';
+        if (!partitions.has(key)) partitions.set(key, { covering, trackKey: covering.length > 0 ? trackKey : null, tracks: [] });
+        partitions.get(key).tracks.push(track);
+
+        entry.trackKeys.add(trackKey);
+        if (track.bone) bones.push(track.bone);
+        if (track.expression) animatesMorphs = true;
+      });
+
+      const actions = Array.from(partitions.values(), ({ covering, trackKey, tracks }) => {
+        const clip = createAnimationClip(`${entry.layer}:${ref.clip}`, { duration, tracks }, context);
+        if (additive) THREE.AnimationUtils.makeClipAdditive(clip);
+
+        const action = mixer.clipAction(clip, undefined, additive ? THREE.AdditiveAnimationBlendMode : THREE.NormalAnimationBlendMode);
+        action.setLoop(LOOP_MODES[entry.motion.loop] ?? THREE.LoopRepeat, entry.motion.loop === 'once' ? 1 : Infinity);
+        action.clampWhenFinished = true;
+        action.timeScale = entry.motion.speed ?? 1;
+        action.setEffectiveWeight(0).play();
+        return { action, covering, trackKey };
+      });
+
+      return { at: ref.at ?? 0, actions };
+    });
+
+    // Idle motion would overwrite the bones and morphs this layer animates
+    entry.idleChannels = getIdleChannels(bones, animatesMorphs);
+    if (entry.idleChannels.length > 0) idleBehavior.suppress(entry.idleChannels, `state:${entry.id}`);
+  }
+
+  /**
+   * Stop an entry's actions; what they animated goes back to its pose before they started
+   */
+  stopActions(entry) {
+    entry.clips.forEach(({ actions }) => actions.forEach(({ action }) => {
+      action.stop();
+      action.getMixer().uncacheClip(action.getClip());
+    }));
+    entry.clips = [];
+    entry.trackKeys = new Set();
+
+    if (entry.idleChannels.length > 0) idleBehavior.release(entry.idleChannels, `state:${entry.id}`);
+    entry.idleChannels = [];
+  }
+
+  removeEntry(entry) {
+    entry.stopped = true;
+    this.stopActions(entry);
+    this.entries = this.entries.filter((other) => other !== entry);
+    applyStorePose();
+  }
+
+  /**
+   * Rebuild running entries once a new model or bone mapping has its rig
+   */
+  syncRig() {
+    const { model, humanoidRig } = useAvatarStore.getState();
+    if (!humanoidRig || humanoidRig.model !== model || humanoidRig === this.rig) return;
+
+    this.rig = humanoidRig;
+    this.entries.forEach((entry) => {
+      this.stopActions(entry);
+      this.buildEntry(entry);
+    });
+  }
+
+  /**
+   * Advance fades and set every action's weight; call once per frame before mixer.update()
+   */
+  update(delta) {
+    if (!this.definition) return;
+    this.syncRig();
+
+    this.stateTime += delta;
+    const state = this.definition.states[this.state];
+    if (state.exitAfter && state.next && this.stateTime >= state.exitAfter) {
+      this.enterState(state.next, state.exitDuration ?? DEFAULT_TRANSITION_DURATION);
+    }
+
+    this.entries.forEach((entry) => {
+      const step = entry.fadeTime > 0 ? delta / entry.fadeTime : 1;
+      entry.weight = entry.target > entry.weight
+        ? Math.min(entry.target, entry.weight + step)
+        : Math.max(entry.target, entry.weight - step);
+    });
+    this.entries
+      .filter((entry) => entry.target === 0 && entry.weight === 0)
+      .forEach((entry) => this.removeEntry(entry));
+
+    // How much each layer is showing on each bone and expression it animates
+    const coverage = {};
+    this.entries.forEach((entry) => {
+      const layer = coverage[entry.layer] || (coverage[entry.layer] = new Map());
+      entry.trackKeys.forEach((trackKey) => {
+        layer.set(trackKey, Math.min(1, (layer.get(trackKey) || 0) + entry.weight));
+      });
+    });
+
+    this.entries.forEach((entry) => {
+      const { parameter } = entry.motion;
+      const clipWeights = entry.clips.length > 1
+        ? getBlendWeights(entry.clips.map(({ at }) => at), this.parameters[parameter] ?? 0)
+        : [1];
+
+      entry.clips.forEach(({ actions }, index) => {
+        actions.forEach(({ action, covering, trackKey }) => {
+          const shown = covering.reduce((weight, layer) => weight * (1 - (coverage[layer]?.get(trackKey) || 0)), 1);
+          action.setEffectiveWeight(entry.weight * clipWeights[index] * shown);
+        });
+      });
+    });
+  }
+
+  /**
+   * speechStart now, speechEnd when the audio stops or, without audio, after
+   * roughly the time it takes to say the line
+   */
+  handleSpeech(text, audio = null, options = {}) {
+    const line = ++this.speechCount;
+    this.dispatch('speechStart', { text });
+
+    // A newer line supersedes this one's end
+    const end = () => {
+      if (line === this.speechCount) this.dispatch('speechEnd', { text });
+    };
+
+    if (audio) {
+      audio.addEventListener('ended', end, { once: true });
+      audio.addEventListener('pause', end, { once: true });
+      return;
+    }
+
+    const rate = options.speed || options.rate || 1;
+    setTimeout(end, (String(text).length / SPOKEN_CHARS_PER_SECOND / rate) * 1000);
+  }
+
+  getStatus() {
+    return {
+      name: this.definition?.name || null,
+      state: this.state,
+      parameters: { ...this.parameters },
+      layers: this.entries.map(({ layer, motion, weight, target }) => ({ layer, motion, weight, fadingOut: target === 0 }))
+    };
+  }
+}
+
+export const animationStateMachine = new AnimationStateMachine();
@@ -0,0 +1,210 @@
+import { oscBool, oscInt, oscFloat } from './oscBridge.js';
+
+/**
+ * Avatar Parameter Schema
+ * Builds typed parameter schemas from the per-avatar OSC config files VRChat
+ * writes under its OSC folder, and coerces values before they are sent.
+ */
+
+// Value ranges VRChat syncs for each parameter type
+export const PARAMETER_RANGES = {
+  Bool: { min: 0, max: 1, step: 1 },
+  Int: { min: 0, max: 255, step: 1 },
+  Float: { min: -1, max: 1, step: 0.01 }
+};
+
+/**
+ * Parse one avatar OSC config (JSON string or object) into a schema
+ */
+export const parseAvatarConfig = (config) => {
+  // VRChat writes these files with a UTF-8 byte order mark
+  const data = typeof config === 'string' ? JSON.parse(config.replace(/^\uFEFF/, '')) : config;
+
+  if (!data || !Array.isArray(data.parameters)) {
+    throw new Error('Not a VRChat avatar OSC config: missing parameters array');
+  }
+
+  const parameters = new Map();
+
+  data.parameters.forEach((parameter) => {
+    const endpoint = parameter.input || parameter.output;
+    if (!parameter.name || !endpoint) return;
+
+    const type = PARAMETER_RANGES[endpoint.type] ? endpoint.type : 'Float';
+
+    parameters.set(parameter.name, {
+      name: parameter.name,
+      type,
+      ...PARAMETER_RANGES[type],
+      inputAddress: parameter.input?.address || null,
+      outputAddress: parameter.output?.address || null,
+      writable: !!parameter.input
+    });
+  });
+
+  return {
+    avatarId: data.id || null,
+    avatarName: data.name || data.id || 'Unknown Avatar',
+    parameters
+  };
+};
+
+// OSCQuery type tags for each parameter type
+const OSCQUERY_TYPES = { f: 'Float', i: 'Int', T: 'Bool', F: 'Bool' };
+
+/**
+ * Build a schema and current values from the /avatar node of VRChat's OSCQuery tree
+ */
+export const parseOSCQueryAvatar = (avatarNode) => {
+  const avatarId = avatarNode?.CONTENTS?.change?.VALUE?.[0] || null;
+  const parameters = new Map();
+  const values = new Map();
+  const prefix = '/avatar/parameters/';
+
+  // Parameter names may contain slashes (FT/v2/JawOpen), which nest as containers
+  const collect = (node) => {
+    Object.values(node?.CONTENTS || {}).forEach((child) => {
+      if (child.TYPE) {
+        const name = child.FULL_PATH.slice(prefix.length);
+        const type = OSCQUERY_TYPES[child.TYPE] || 'Float';
+
+        parameters.set(name, {
+          name,
+          type,
+          ...PARAMETER_RANGES[type],
+          inputAddress: child.FULL_PATH,
+          outputAddress: child.FULL_PATH,
+          writable: (child.ACCESS & 2) !== 0
+        });
+
+        if (Array.isArray(child.VALUE) && child.VALUE.length > 0) {
+          values.set(name, child.VALUE[0]);
+        }
+      }
+
+      collect(child);
+    });
+  };
+
+  collect(avatarNode?.CONTENTS?.parameters);
+
+  return {
+    schema: { avatarId, avatarName: avatarId || 'Unknown Avatar', parameters },
+    values
+  };
+};
+
+/**
+ * Clamp and convert a value to the parameter's type, returning a typed OSC argument
+ */
+export const coerceParameterValue = (parameter, value) => {
+  switch (parameter.type) {
+    case 'Bool':
+      return oscBool(typeof value === 'number' ? value >= 0.5 : !!value);
+    case 'Int': {
+      const number = Math.round(Number(value));
+      if (Number.isNaN(number)) throw new TypeError(`${parameter.name} expects an Int`);
+      return oscInt(Math.max(parameter.min, Math.min(parameter.max, number)));
+    }
+    default: {
+      const number = Number(value);
+      if (Number.isNaN(number)) throw new TypeError(`${parameter.name} expects a Float`);
+      return oscFloat(Math.max(parameter.min, Math.min(parameter.max, number)));
+    }
+  }
+};
+
+/**
+ * Validate a { name: value } map against a schema.
+ * Returns OSC-ready messages plus the parameters that were rejected and why.
+ */
+export const validateParameters = (schema, parameters) => {
+  const messages = [];
+  const rejected = [];
+
+  Object.entries(parameters).forEach(([name, value]) => {
+    const parameter = schema.parameters.get(name);
+
+    if (!parameter) {
+      rejected.push({ name, reason: 'not on this avatar' });
+      return;
+    }
+
+    if (!parameter.writable) {
+      rejected.push({ name, reason: 'read-only' });
+      return;
+    }
+
+    try {
+      messages.push({ name, address: parameter.inputAddress, arg: coerceParameterValue(parameter, value) });
+    } catch (error) {
+      rejected.push({ name, reason: error.message });
+    }
+  });
+
+  return { messages, rejected };
+};
+
+/**
+ * Registry of every avatar schema imported this session, keyed by avatar id
+ */
+class AvatarSchemaRegistry {
+  constructor() {
+    this.schemas = new Map();
+  }
+
+  add(schema) {
+    this.schemas.set(schema.avatarId || schema.avatarName, schema);
+    return schema;
+  }
+
+  get(avatarId) {
+    return this.schemas.get(avatarId) || null;
+  }
+
+  getAll() {
+    return Array.from(this.schemas.values());
+  }
+
+  /**
+   * Import a list of File objects (from a file or folder picker)
+   */
+  async importFiles(files) {
+    const schemas = [];
+
+    for (const file of Array.from(files)) {
+      if (!file.name.toLowerCase().endsWith('.json')) continue;
+
+      try {
+        schemas.push(this.add(parseAvatarConfig(await file.text())));
+      } catch (error) {
+        console.error(`Failed to import avatar config ${file.name}:`, error);
+      }
+    }
+
+    return schemas;
+  }
+
+  /**
+   * Import every config from VRChat's OSC folder (desktop app only)
+   */
+  async importFromVRChatFolder() {
+    const readConfigs = typeof window !== 'undefined' ? window.electronAPI?.vrchat?.readAvatarConfigs : null;
+    if (!readConfigs) return [];
+
+    const configs = await readConfigs();
+    const schemas = [];
+
+    configs.forEach(({ path, content }) => {
+      try {
+        schemas.push(this.add(parseAvatarConfig(content)));
+      } catch (error) {
+        console.error(`Failed to import avatar config ${path}:`, error);
+      }
+    });
+
+    return schemas;
+  }
+}
+
+export const avatarSchemaRegistry = new AvatarSchemaRegistry();
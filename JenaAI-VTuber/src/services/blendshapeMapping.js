@@ -0,0 +1,309 @@
+/**
+ * Blendshape Mapping
+ * Maps facialExpressions keys onto a model's morph targets. Profiles are
+ * detected from the model's naming convention (ARKit 52, VRM, MMD, Ready
+ * Player Me) and can be edited by hand; each mapping drives one morph from
+ * one store key with a scale and offset.
+ */
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// A morph called Smile or Blink on its own doesn't make a rig ARKit or VRM
+const MIN_SIGNATURE_MATCHES = 3;
+
+// Morph index by normalized name, per mesh
+const morphIndexCache = new WeakMap();
+
+export const ARKIT_BLENDSHAPES = [
+  'browDownLeft', 'browDownRight', 'browInnerUp', 'browOuterUpLeft', 'browOuterUpRight',
+  'cheekPuff', 'cheekSquintLeft', 'cheekSquintRight',
+  'eyeBlinkLeft', 'eyeBlinkRight', 'eyeLookDownLeft', 'eyeLookDownRight', 'eyeLookInLeft', 'eyeLookInRight',
+  'eyeLookOutLeft', 'eyeLookOutRight', 'eyeLookUpLeft', 'eyeLookUpRight', 'eyeSquintLeft', 'eyeSquintRight',
+  'eyeWideLeft', 'eyeWideRight',
+  'jawForward', 'jawLeft', 'jawOpen', 'jawRight',
+  'mouthClose', 'mouthDimpleLeft', 'mouthDimpleRight', 'mouthFrownLeft', 'mouthFrownRight', 'mouthFunnel',
+  'mouthLeft', 'mouthLowerDownLeft', 'mouthLowerDownRight', 'mouthPressLeft', 'mouthPressRight', 'mouthPucker',
+  'mouthRight', 'mouthRollLower', 'mouthRollUpper', 'mouthShrugLower', 'mouthShrugUpper',
+  'mouthSmileLeft', 'mouthSmileRight', 'mouthStretchLeft', 'mouthStretchRight',
+  'mouthUpperUpLeft', 'mouthUpperUpRight', 'noseSneerLeft', 'noseSneerRight', 'tongueOut'
+];
+
+const ARKIT_MAPPING = {
+  smile: ['mouthSmileLeft', 'mouthSmileRight'],
+  frown: ['mouthFrownLeft', 'mouthFrownRight'],
+  surprised: ['eyeWideLeft', 'eyeWideRight', 'browInnerUp', 'browOuterUpLeft', 'browOuterUpRight'],
+  angry: ['browDownLeft', 'browDownRight', 'noseSneerLeft', 'noseSneerRight'],
+  sad: ['browInnerUp', 'mouthFrownLeft', 'mouthFrownRight'],
+  happy: ['mouthSmileLeft', 'mouthSmileRight', 'cheekSquintLeft', 'cheekSquintRight'],
+  relaxed: [{ morph: 'eyeSquintLeft', scale: 0.5 }, { morph: 'eyeSquintRight', scale: 0.5 }, { morph: 'mouthSmileLeft', scale: 0.3 }, { morph: 'mouthSmileRight', scale: 0.3 }],
+  mouthOpen: ['jawOpen'],
+  mouthSmile: ['mouthSmileLeft', 'mouthSmileRight'],
+  mouthFrown: ['mouthFrownLeft', 'mouthFrownRight'],
+  mouthPucker: ['mouthPucker'],
+  mouthFunnel: ['mouthFunnel'],
+  mouthLeft: ['mouthLeft'],
+  mouthRight: ['mouthRight'],
+  jawOpen: ['jawOpen'],
+  jawForward: ['jawForward'],
+  jawLeft: ['jawLeft'],
+  jawRight: ['jawRight'],
+  cheekPuff: ['cheekPuff'],
+  cheekSquint: ['cheekSquintLeft', 'cheekSquintRight'],
+  tongueOut: ['tongueOut'],
+  lipRollUpper: ['mouthRollUpper'],
+  lipRollLower: ['mouthRollLower'],
+  blink: ['eyeBlinkLeft', 'eyeBlinkRight'],
+  blinkLeft: ['eyeBlinkLeft'],
+  blinkRight: ['eyeBlinkRight'],
+  aa: ['jawOpen'],
+  ih: [{ morph: 'jawOpen', scale: 0.3 }, { morph: 'mouthStretchLeft', scale: 0.5 }, { morph: 'mouthStretchRight', scale: 0.5 }],
+  ou: ['mouthPucker'],
+  ee: [{ morph: 'jawOpen', scale: 0.2 }, { morph: 'mouthSmileLeft', scale: 0.5 }, { morph: 'mouthSmileRight', scale: 0.5 }],
+  oh: ['mouthFunnel', { morph: 'jawOpen', scale: 0.4 }]
+};
+
+// Ready Player Me ships ARKit shapes plus Oculus visemes and a few extras of its own
+const RPM_MAPPING = {
+  mouthOpen: ['mouthOpen'],
+  mouthSmile: ['mouthSmile'],
+  smile: ['mouthSmile'],
+  blink: ['eyesClosed'],
+  aa: ['viseme_aa'],
+  ih: ['viseme_I'],
+  ou: ['viseme_U'],
+  ee: ['viseme_E'],
+  oh: ['viseme_O']
+};
+
+// VRoid exports (Fcl_*) and VRM 0.x preset names left as morph names
+const VRM_MAPPING = {
+  smile: ['Fcl_ALL_Joy', 'Joy'],
+  frown: ['Fcl_BRW_Angry'],
+  surprised: ['Fcl_ALL_Surprised', 'Surprised'],
+  angry: ['Fcl_ALL_Angry', 'Angry'],
+  sad: ['Fcl_ALL_Sorrow', 'Sorrow', 'Sad'],
+  happy: ['Fcl_ALL_Joy', 'Joy', 'Happy'],
+  relaxed: ['Fcl_ALL_Fun', 'Fun', 'Relaxed'],
+  mouthOpen: ['Fcl_MTH_A', 'A'],
+  mouthSmile: ['Fcl_MTH_Joy'],
+  mouthFrown: ['Fcl_MTH_Angry'],
+  mouthPucker: ['Fcl_MTH_U', 'U'],
+  mouthFunnel: ['Fcl_MTH_O', 'O'],
+  jawOpen: ['Fcl_MTH_A', 'A'],
+  blink: ['Fcl_EYE_Close', 'Blink'],
+  blinkLeft: ['Fcl_EYE_Close_L', 'Blink_L'],
+  blinkRight: ['Fcl_EYE_Close_R', 'Blink_R'],
+  aa: ['Fcl_MTH_A', 'A', 'aa'],
+  ih: ['Fcl_MTH_I', 'I', 'ih'],
+  ou: ['Fcl_MTH_U', 'U', 'ou'],
+  ee: ['Fcl_MTH_E', 'E', 'ee'],
+  oh: ['Fcl_MTH_O', 'O', 'oh']
+};
+
+// MikuMikuDance morph names
+const MMD_MAPPING = {
+  smile: ['にこり'],
+  frown: ['口角下げ'],
+  surprised: ['びっくり'],
+  angry: ['怒り'],
+  sad: ['困る'],
+  happy: ['にこり', { morph: '笑い', scale: 0.5 }],
+  relaxed: ['なごみ'],
+  mouthOpen: ['あ'],
+  mouthSmile: ['口角上げ'],
+  mouthFrown: ['口角下げ'],
+  mouthPucker: ['う'],
+  mouthFunnel: ['お'],
+  jawOpen: ['あ'],
+  tongueOut: ['ぺろっ'],
+  blink: ['まばたき'],
+  blinkLeft: ['ウィンク'],
+  blinkRight: ['ウィンク右'],
+  aa: ['あ'],
+  ih: ['い'],
+  ou: ['う'],
+  ee: ['え'],
+  oh: ['お']
+};
+
+/**
+ * Naming conventions in detection order; on a tie the earlier one wins.
+ * `extends` fills in keys whose own morphs are missing from the model.
+ */
+export const BLENDSHAPE_CONVENTIONS = {
+  arkit: { label: 'ARKit 52', mapping: ARKIT_MAPPING, signature: ARKIT_BLENDSHAPES },
+  rpm: {
+    label: 'Ready Player Me',
+    mapping: RPM_MAPPING,
+    extends: 'arkit',
+    signature: [...ARKIT_BLENDSHAPES, 'mouthOpen', 'mouthSmile', 'eyesClosed', 'eyesLookUp', 'eyesLookDown',
+      'viseme_sil', 'viseme_PP', 'viseme_FF', 'viseme_TH', 'viseme_DD', 'viseme_kk', 'viseme_CH',
+      'viseme_SS', 'viseme_nn', 'viseme_RR', 'viseme_aa', 'viseme_E', 'viseme_I', 'viseme_O', 'viseme_U']
+  },
+  vrm: {
+    label: 'VRM',
+    mapping: VRM_MAPPING,
+    signature: ['Fcl_ALL_Joy', 'Fcl_ALL_Angry', 'Fcl_ALL_Sorrow', 'Fcl_ALL_Fun', 'Fcl_ALL_Surprised',
+      'Fcl_EYE_Close', 'Fcl_EYE_Close_L', 'Fcl_EYE_Close_R', 'Fcl_MTH_A', 'Fcl_MTH_I', 'Fcl_MTH_U', 'Fcl_MTH_E', 'Fcl_MTH_O',
+      'Joy', 'Angry', 'Sorrow', 'Fun', 'Blink', 'Blink_L', 'Blink_R', 'A', 'I', 'U', 'E', 'O']
+  },
+  mmd: {
+    label: 'MMD',
+    mapping: MMD_MAPPING,
+    signature: ['あ', 'い', 'う', 'え', 'お', 'まばたき', 'ウィンク', 'ウィンク右', '笑い', 'にこり', '怒り', '困る', 'びっくり']
+  }
+};
+
+/**
+ * Compare morph names loosely: exporter prefixes (blendShape1.jawOpen), case,
+ * separators and _L/_R for Left/Right don't matter
+ */
+export const normalizeMorphName = (name) => name
+  .split('.')
+  .pop()
+  .replace(/[_\-\s]+([LR])$/, (match, side) => (side === 'L' ? 'Left' : 'Right'))
+  .replace(/[_\-\s]/g, '')
+  .toLowerCase();
+
+/**
+ * Every morph target name on the model's meshes, by normalized name
+ */
+export const getMorphTargetNames = (model) => {
+  const names = new Map();
+
+  model?.traverse((child) => {
+    if (!child.isMesh || !child.morphTargetDictionary) return;
+    Object.keys(child.morphTargetDictionary).forEach((name) => {
+      if (!names.has(normalizeMorphName(name))) names.set(normalizeMorphName(name), name);
+    });
+  });
+
+  return names;
+};
+
+/**
+ * Which convention the model's morph names follow, or null if none match
+ */
+export const detectConvention = (morphNames) => {
+  let best = null;
+  let bestScore = MIN_SIGNATURE_MATCHES - 1;
+
+  Object.entries(BLENDSHAPE_CONVENTIONS).forEach(([id, convention]) => {
+    const score = convention.signature.filter((name) => morphNames.has(normalizeMorphName(name))).length;
+    if (score > bestScore) {
+      best = id;
+      bestScore = score;
+    }
+  });
+
+  return best;
+};
+
+const toTarget = (target) => (typeof target === 'string' ? { morph: target, scale: 1 } : target);
+
+/**
+ * Mappings for the morphs of a convention that exist on the model
+ */
+const buildConventionMappings = (conventionId, morphNames) => {
+  const convention = BLENDSHAPE_CONVENTIONS[conventionId];
+  const parent = convention.extends ? BLENDSHAPE_CONVENTIONS[convention.extends].mapping : {};
+  const keys = new Set([...Object.keys(parent), ...Object.keys(convention.mapping)]);
+  const mappings = [];
+
+  keys.forEach((key) => {
+    const resolve = (targets = []) => targets
+      .map(toTarget)
+      .filter(({ morph }) => morphNames.has(normalizeMorphName(morph)));
+
+    let targets = resolve(convention.mapping[key]);
+    if (targets.length === 0) targets = resolve(parent[key]);
+
+    // Alternative names for the same shape (Fcl_MTH_A / A) would double up
+    const seen = new Set();
+    targets.forEach(({ morph, scale }) => {
+      const name = morphNames.get(normalizeMorphName(morph));
+      if (seen.has(name)) return;
+      seen.add(name);
+      mappings.push({ key, morph: name, scale, offset: 0 });
+    });
+  });
+
+  return mappings;
+};
+
+/**
+ * Fallback for unrecognised rigs: morphs named after the store keys
+ * (smile, Smile, mouth_open, mouth-open, ...)
+ */
+const buildNameMappings = (keys, morphNames) => {
+  const mappings = [];
+
+  keys.forEach((key) => {
+    const name = morphNames.get(normalizeMorphName(key));
+    if (name) mappings.push({ key, morph: name, scale: 1, offset: 0 });
+  });
+
+  return mappings;
+};
+
+/**
+ * Build a profile for a model, from the given convention or the detected one.
+ * `keys` are the facialExpressions keys, used when no convention matches.
+ */
+export const createBlendshapeProfile = (model, keys, conventionId = null) => {
+  const morphNames = getMorphTargetNames(model);
+  const convention = conventionId || detectConvention(morphNames);
+
+  return {
+    convention: convention || 'custom',
+    mappings: convention ? buildConventionMappings(convention, morphNames) : buildNameMappings(keys, morphNames)
+  };
+};
+
+const getMorphIndices = (mesh) => {
+  if (!morphIndexCache.has(mesh)) {
+    const indices = new Map();
+    Object.entries(mesh.morphTargetDictionary).forEach(([name, index]) => {
+      indices.set(normalizeMorphName(name), index);
+    });
+    morphIndexCache.set(mesh, indices);
+  }
+
+  return morphIndexCache.get(mesh);
+};
+
+/**
+ * Morph index -> influence on one mesh for facialExpressions. Several keys may
+ * drive one morph (Smile and Happy both smile); the strongest wins. Morphs
+ * match by normalized name, so face and teeth meshes with different prefixes
+ * both move.
+ */
+export const getMorphWeights = (mesh, profile, facialExpressions) => {
+  const indices = getMorphIndices(mesh);
+  const weights = new Map();
+
+  profile.mappings.forEach(({ key, morph, scale = 1, offset = 0 }) => {
+    const index = indices.get(normalizeMorphName(morph));
+    if (index === undefined) return;
+
+    const weight = clamp((facialExpressions[key] || 0) * scale + offset, 0, 1);
+    weights.set(index, Math.max(weights.get(index) ?? 0, weight));
+  });
+
+  return weights;
+};
+
+/**
+ * Set morph influences from facialExpressions
+ */
+export const applyBlendshapeProfile = (model, profile, facialExpressions) => {
+  if (!profile) return;
+
+  model.traverse((child) => {
+    if (!child.isMesh || !child.morphTargetDictionary || !child.morphTargetInfluences) return;
+
+    getMorphWeights(child, profile, facialExpressions).forEach((weight, index) => {
+      child.morphTargetInfluences[index] = weight;
+    });
+  });
+};
@@ -0,0 +1,237 @@
+import * as THREE from 'three';
+import { sampleTrack, sampleRotation } from './animationClip.js';
+
+/**
+ * Clip Editing
+ * Edits on the keyframe data AnimationService stores (see animationClip.js),
+ * for the timeline editor. Every function returns new data and leaves its
+ * input alone, so the editor's working copy never touches the stored version.
+ * Keyframes keep their order: a moved keyframe stops at its neighbours, so
+ * indices and easing stay aligned.
+ */
+
+// Closest two keyframes on one track may get, in seconds
+export const MIN_KEYFRAME_GAP = 1 / 120;
+
+// Easing presets for a segment, as cubic-bezier control points
+export const EASING_PRESETS = {
+  linear: null,
+  step: 'step',
+  easeIn: [0.42, 0, 1, 1],
+  easeOut: [0, 0, 0.58, 1],
+  easeInOut: [0.42, 0, 0.58, 1]
+};
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Stable id for a track: 'bone:leftUpperArm' or 'expression:smile'
+ */
+export const getTrackKey = (track) => (track.bone ? `bone:${track.bone}` : `expression:${track.expression}`);
+
+const valueSize = (track) => (track.bone ? 4 : 1);
+
+/**
+ * Length of a clip: its duration, or its last keyframe
+ */
+export const getClipDuration = (data) => data.duration
+  ?? Math.max(0, ...data.tracks.map(({ times }) => times[times.length - 1] ?? 0));
+
+/**
+ * Value of a track at a keyframe: a number, or [x, y, z, w] for bones
+ */
+export const getKeyframeValue = (track, index) => (track.bone
+  ? track.values.slice(index * 4, index * 4 + 4)
+  : track.values[index]);
+
+/**
+ * Value of a track at any time, following its easing
+ */
+export const sampleTrackValue = (track, time) => (track.bone
+  ? sampleRotation(track, time).toArray()
+  : sampleTrack(track, time));
+
+/**
+ * Easing of each segment, padded so it lines up with the keyframes
+ */
+const getEasing = (track) => Array.from({ length: Math.max(0, track.times.length - 1) }, (_, index) => track.easing?.[index] ?? null);
+
+/**
+ * Build a track from keyframes ({ time, value, easing }), sorted by time;
+ * easing is dropped when every segment is linear
+ */
+const fromKeyframes = (track, keyframes) => {
+  const sorted = [...keyframes].sort((a, b) => a.time - b.time);
+  const next = {
+    ...track,
+    times: sorted.map(({ time }) => time),
+    values: sorted.flatMap(({ value }) => value)
+  };
+
+  delete next.easing;
+
+  const segments = sorted.slice(0, -1).map((keyframe) => keyframe.easing ?? null);
+  if (segments.some(Boolean)) next.easing = segments;
+  return next;
+};
+
+const toKeyframes = (track) => {
+  const easing = getEasing(track);
+  return track.times.map((time, index) => ({ time, value: getKeyframeValue(track, index), easing: easing[index] ?? null }));
+};
+
+/**
+ * Replace the track at `trackIndex`; a null track removes it
+ */
+export const updateTrack = (data, trackIndex, track) => ({
+  ...data,
+  tracks: track
+    ? data.tracks.map((existing, index) => (index === trackIndex ? track : existing))
+    : data.tracks.filter((_, index) => index !== trackIndex)
+});
+
+/**
+ * Move a keyframe in time, between its neighbours and inside the clip
+ */
+export const moveKeyframe = (track, index, time, duration = Infinity) => {
+  const min = index > 0 ? track.times[index - 1] + MIN_KEYFRAME_GAP : 0;
+  const max = index < track.times.length - 1 ? track.times[index + 1] - MIN_KEYFRAME_GAP : duration;
+  const times = [...track.times];
+  times[index] = clamp(time, min, Math.max(min, max));
+  return { ...track, times };
+};
+
+export const setKeyframeValue = (track, index, value) => {
+  const size = valueSize(track);
+  const values = [...track.values];
+  values.splice(index * size, size, ...[].concat(value));
+  return { ...track, values };
+};
+
+/**
+ * Set the easing from keyframe `index` to the next one
+ */
+export const setSegmentEasing = (track, index, easing) => {
+  const keyframes = toKeyframes(track);
+  keyframes[index] = { ...keyframes[index], easing };
+  return fromKeyframes(track, keyframes);
+};
+
+/**
+ * Add a keyframe at `time`, by default with the value the track already has
+ * there so the curve doesn't change. A keyframe that close already is replaced.
+ */
+export const insertKeyframe = (track, time, value = sampleTrackValue(track, time)) => {
+  const keyframes = toKeyframes(track);
+  const existing = keyframes.findIndex((keyframe) => Math.abs(keyframe.time - time) < MIN_KEYFRAME_GAP);
+
+  if (existing !== -1) {
+    keyframes[existing] = { ...keyframes[existing], value };
+  } else {
+    // Both halves of a split segment keep its easing
+    const previous = keyframes.filter((keyframe) => keyframe.time < time).pop();
+    keyframes.push({ time, value, easing: previous?.easing ?? null });
+  }
+
+  return fromKeyframes(track, keyframes);
+};
+
+/**
+ * Remove keyframes by index; null when none are left
+ */
+export const deleteKeyframes = (track, indices) => {
+  const keyframes = toKeyframes(track).filter((_, index) => !indices.includes(index));
+  return keyframes.length > 0 ? fromKeyframes(track, keyframes) : null;
+};
+
+/**
+ * Copy selected keyframes ({ trackKey, index }) with times relative to the earliest
+ */
+export const copyKeyframes = (data, selection) => {
+  const copied = selection
+    .map(({ trackKey, index }) => {
+      const track = data.tracks.find((candidate) => getTrackKey(candidate) === trackKey);
+      return track && index < track.times.length
+        ? { trackKey, time: track.times[index], value: getKeyframeValue(track, index), easing: getEasing(track)[index] ?? null }
+        : null;
+    })
+    .filter(Boolean);
+
+  const start = Math.min(...copied.map(({ time }) => time));
+  return copied.map((keyframe) => ({ ...keyframe, time: keyframe.time - start }));
+};
+
+/**
+ * Paste copied keyframes starting at `time`. Keys go back to their own tracks,
+ * or to `targetTrackKey` when they all came from one track of the same kind.
+ */
+export const pasteKeyframes = (data, clipboard, time, targetTrackKey = null) => {
+  const sourceKeys = new Set(clipboard.map(({ trackKey }) => trackKey));
+  const [sourceKey] = sourceKeys;
+  const retarget = targetTrackKey && sourceKeys.size === 1
+    && sourceKey.split(':')[0] === targetTrackKey.split(':')[0];
+
+  const duration = getClipDuration(data);
+  const pasted = clipboard.map(({ trackKey, time: offset, value, easing }) => ({
+    key: retarget ? targetTrackKey : trackKey,
+    at: Math.min(duration, time + offset),
+    value,
+    easing
+  }));
+  const findTrack = (tracks, key) => tracks.findIndex((track) => getTrackKey(track) === key);
+  let next = data;
+
+  pasted.forEach(({ key, at, value }) => {
+    const trackIndex = findTrack(next.tracks, key);
+    if (trackIndex === -1) {
+      const [kind, name] = key.split(':');
+      next = { ...next, tracks: [...next.tracks, { [kind]: name, times: [at], values: [].concat(value) }] };
+    } else {
+      next = updateTrack(next, trackIndex, insertKeyframe(next.tracks[trackIndex], at, value));
+    }
+  });
+
+  // Easing once every key is in, since it belongs to the segment after each one
+  pasted.forEach(({ key, at, easing }) => {
+    const trackIndex = findTrack(next.tracks, key);
+    const track = next.tracks[trackIndex];
+    const index = track.times.findIndex((keyTime) => Math.abs(keyTime - at) < MIN_KEYFRAME_GAP);
+    if (index < track.times.length - 1) next = updateTrack(next, trackIndex, setSegmentEasing(track, index, easing));
+  });
+
+  return next;
+};
+
+/**
+ * Cut a clip down to start..end (seconds). Tracks get keyframes at both cuts
+ * with their values there, so the trimmed clip plays exactly that span.
+ */
+export const trimClip = (data, start, end) => {
+  const from = clamp(start, 0, getClipDuration(data));
+  const to = clamp(end, from, getClipDuration(data));
+
+  const tracks = data.tracks.map((track) => {
+    const inside = toKeyframes(track).filter(({ time }) => time > from + MIN_KEYFRAME_GAP && time < to - MIN_KEYFRAME_GAP);
+    const before = toKeyframes(track).filter(({ time }) => time <= from + MIN_KEYFRAME_GAP).pop();
+
+    const keyframes = [
+      { time: from, value: sampleTrackValue(track, from), easing: before?.easing ?? null },
+      ...inside,
+      { time: to, value: sampleTrackValue(track, to), easing: null }
+    ].map((keyframe) => ({ ...keyframe, time: keyframe.time - from }));
+
+    return fromKeyframes(track, to > from ? keyframes : keyframes.slice(0, 1));
+  });
+
+  return { ...data, duration: to - from, tracks };
+};
+
+/**
+ * A bone keyframe as euler angles (radians, XYZ), for editing
+ */
+export const rotationToEuler = (value) => {
+  const euler = new THREE.Euler().setFromQuaternion(new THREE.Quaternion().fromArray(value));
+  return { x: euler.x, y: euler.y, z: euler.z };
+};
+
+export const eulerToRotation = ({ x, y, z }) => new THREE.Quaternion().setFromEuler(new THREE.Euler(x, y, z)).toArray();
@@ -0,0 +1,152 @@
+import * as THREE from 'three';
+import { BVHLoader } from 'three/examples/jsm/loaders/BVHLoader.js';
+import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { createHumanoidRig } from './humanoidRetargeting.js';
+import { createBlendshapeProfile, normalizeMorphName } from './blendshapeMapping.js';
+
+/**
+ * Clip Import
+ * Reads animation clips from BVH mocap, FBX and glTF files and converts them
+ * to the keyframe data AnimationService stores (see animationClip.js). A clip
+ * is played on the file's own skeleton and sampled through a HumanoidRig, so
+ * it comes out as normalized humanoid rotations that any avatar can play.
+ * Morph animation is read back into facialExpressions keys through the
+ * file's detected blendshape convention.
+ */
+
+export const CLIP_FILE_EXTENSIONS = ['.bvh', '.fbx', '.gltf', '.glb'];
+
+// Keyframes per second when sampling a clip
+export const DEFAULT_SAMPLE_RATE = 30;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Load a file's skeleton and clips as { root, clips }. glTF files must be
+ * self-contained (.glb, or .gltf with embedded buffers).
+ */
+export const loadClipFile = async (file) => {
+  const fileName = file.name.toLowerCase();
+  const baseName = file.name.replace(/\.[^.]+$/, '');
+
+  if (fileName.endsWith('.bvh')) {
+    const { skeleton, clip } = new BVHLoader().parse(await file.text());
+    const root = new THREE.Group();
+    root.add(skeleton.bones[0]);
+    clip.name = baseName;
+    return { root, clips: [clip] };
+  }
+
+  if (fileName.endsWith('.fbx')) {
+    const root = new FBXLoader().parse(await file.arrayBuffer(), '');
+    return { root, clips: root.animations };
+  }
+
+  if (fileName.endsWith('.gltf') || fileName.endsWith('.glb')) {
+    const gltf = await new GLTFLoader().parseAsync(await file.arrayBuffer(), '');
+    return { root: gltf.scene, clips: gltf.animations };
+  }
+
+  throw new Error(`Unsupported animation file: ${file.name}`);
+};
+
+/**
+ * Morph tracks in a clip as { mesh, index, key, scale, offset }, keyed to
+ * facialExpressions through the source's blendshape profile
+ */
+const findExpressionTargets = (root, clip, expressionKeys) => {
+  const profile = createBlendshapeProfile(root, expressionKeys);
+  const targets = [];
+
+  clip.tracks.forEach((track) => {
+    const { nodeName, propertyName, propertyIndex } = THREE.PropertyBinding.parseTrackName(track.name);
+    if (propertyName !== 'morphTargetInfluences') return;
+
+    const mesh = root.getObjectByName(nodeName);
+    if (!mesh?.morphTargetDictionary) return;
+
+    const index = mesh.morphTargetDictionary[propertyIndex] ?? Number(propertyIndex);
+    const morphName = Object.keys(mesh.morphTargetDictionary).find((name) => mesh.morphTargetDictionary[name] === index);
+    if (morphName === undefined) return;
+
+    profile.mappings
+      .filter(({ morph }) => normalizeMorphName(morph) === normalizeMorphName(morphName))
+      .forEach(({ key, scale = 1, offset = 0 }) => targets.push({ mesh, index, key, scale, offset }));
+  });
+
+  return targets;
+};
+
+/**
+ * Sample a clip into keyframe data for the animations store.
+ * `bones` limits it to the humanoid bones the current avatar maps;
+ * `start` and `end` trim it, in seconds.
+ */
+export const retargetClip = ({ root }, clip, options = {}) => {
+  const {
+    start = 0,
+    end = clip.duration,
+    sampleRate = DEFAULT_SAMPLE_RATE,
+    bones = null,
+    expressionKeys = []
+  } = options;
+
+  // Built before anything plays, so the rig sees the file's rest pose
+  const rig = createHumanoidRig(root);
+
+  const animatedNodes = new Set(clip.tracks
+    .map((track) => THREE.PropertyBinding.parseTrackName(track.name))
+    .filter(({ propertyName }) => propertyName === 'quaternion')
+    .map(({ nodeName }) => nodeName));
+
+  const boneNames = Object.entries(rig.getBoneMap())
+    .filter(([name, nodeName]) => animatedNodes.has(nodeName) && (!bones || bones.includes(name)))
+    .map(([name]) => name);
+  const expressionTargets = findExpressionTargets(root, clip, expressionKeys);
+  const expressionNames = Array.from(new Set(expressionTargets.map(({ key }) => key)));
+
+  const mixer = new THREE.AnimationMixer(root);
+  const action = mixer.clipAction(clip);
+  action.setLoop(THREE.LoopOnce, 1);
+  action.clampWhenFinished = true;
+  action.play();
+
+  const trimmedEnd = clamp(end, start, clip.duration);
+  const frameCount = Math.max(2, Math.round((trimmedEnd - start) * sampleRate) + 1);
+  const times = [];
+  const boneValues = Object.fromEntries(boneNames.map((name) => [name, []]));
+  const expressionValues = Object.fromEntries(expressionNames.map((key) => [key, []]));
+  const rotation = new THREE.Quaternion();
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const time = Math.min(trimmedEnd, start + frame / sampleRate);
+    mixer.setTime(time);
+    times.push(time - start);
+
+    boneNames.forEach((name) => {
+      rig.getNormalizedRotation(name, rotation).toArray(boneValues[name], frame * 4);
+    });
+
+    // Several morphs can map back to one key; the strongest wins
+    expressionNames.forEach((key) => {
+      expressionValues[key][frame] = 0;
+    });
+    expressionTargets.forEach(({ mesh, index, key, scale, offset }) => {
+      const value = clamp((mesh.morphTargetInfluences[index] - offset) / (scale || 1), 0, 1);
+      expressionValues[key][frame] = Math.max(expressionValues[key][frame], value);
+    });
+  }
+
+  action.stop();
+  mixer.uncacheRoot(root);
+  rig.resetPose();
+
+  return {
+    duration: trimmedEnd - start,
+    tracks: [
+      ...boneNames.map((bone) => ({ bone, times, values: boneValues[bone] })),
+      ...expressionNames.map((expression) => ({ expression, times, values: expressionValues[expression] }))
+    ]
+  };
+};
@@ -0,0 +1,290 @@
+import * as THREE from 'three';
+
+/**
+ * Humanoid Retargeting
+ * Maps a rig's bones onto the VRM humanoid bone set once at model load and
+ * converts rotations between a rig-independent "normalized" space and each
+ * bone's local space. A normalized rotation is relative to the parent and
+ * expressed in the model's axes (+Y up, facing +Z) with the rest pose as
+ * identity, like three-vrm's normalized bones, so the same value bends an
+ * elbow the same way on Mixamo, Rigify, VRoid or VRM rigs.
+ */
+
+export const HUMANOID_BONES = [
+  'hips', 'spine', 'chest', 'upperChest', 'neck', 'head', 'leftEye', 'rightEye',
+  'leftShoulder', 'leftUpperArm', 'leftLowerArm', 'leftHand',
+  'rightShoulder', 'rightUpperArm', 'rightLowerArm', 'rightHand',
+  'leftUpperLeg', 'leftLowerLeg', 'leftFoot', 'leftToes',
+  'rightUpperLeg', 'rightLowerLeg', 'rightFoot', 'rightToes'
+];
+
+// skeletalControls key -> humanoid bone
+export const SKELETAL_CONTROL_BONES = {
+  hips: 'hips',
+  spine: 'spine',
+  neck: 'neck',
+  head: 'head',
+  leftShoulder: 'leftShoulder',
+  rightShoulder: 'rightShoulder',
+  leftArm: 'leftUpperArm',
+  rightArm: 'rightUpperArm',
+  leftForearm: 'leftLowerArm',
+  rightForearm: 'rightLowerArm'
+};
+
+// How far (radians) eyes turn at full eyeGaze
+export const EYE_GAZE_RANGE = 0.3;
+
+// Side-less names (lowercase, separators removed) -> humanoid bone. Mixamo's
+// Spine1/Spine2 are chest/upperChest, its Arm/ForeArm/UpLeg/Leg the limbs;
+// Unreal's mannequin numbers spine_01..03 and calls the toes ball.
+const CENTER_ALIASES = {
+  hips: 'hips', hip: 'hips', pelvis: 'hips',
+  spine: 'spine', spine01: 'spine', spine1: 'chest', spine02: 'chest', chest: 'chest',
+  spine2: 'upperChest', spine03: 'upperChest', upperchest: 'upperChest',
+  neck: 'neck', neck01: 'neck', head: 'head'
+};
+
+const LIMB_ALIASES = {
+  eye: 'Eye',
+  shoulder: 'Shoulder', clavicle: 'Shoulder',
+  upperarm: 'UpperArm', arm: 'UpperArm',
+  lowerarm: 'LowerArm', forearm: 'LowerArm',
+  hand: 'Hand',
+  upperleg: 'UpperLeg', upleg: 'UpperLeg', thigh: 'UpperLeg',
+  lowerleg: 'LowerLeg', leg: 'LowerLeg', shin: 'LowerLeg', calf: 'LowerLeg',
+  foot: 'Foot',
+  toes: 'Toes', toebase: 'Toes', toe: 'Toes', ball: 'Toes'
+};
+
+// Rigify numbers its spine: DEF-spine is the hips, DEF-spine.006 the head
+const RIGIFY_SPINE = {
+  spine: 'hips', spine001: 'spine', spine002: 'chest', spine003: 'upperChest', spine004: 'neck', spine006: 'head'
+};
+
+const strip = (name) => name.replace(/[\s_.:-]/g, '').toLowerCase();
+
+/**
+ * Humanoid bone for a bone name, or null. GLTFLoader strips '.' and ':' from
+ * node names, so Rigify's upper_arm.L arrives as upper_armL and Mixamo's
+ * mixamorig:Hips as mixamorigHips.
+ */
+export const findHumanoidBoneName = (boneName) => {
+  let name = boneName
+    .replace(/^mixamorig\d*[:_]?/i, '')
+    .replace(/^J_Bip_/, '');
+
+  const rigify = /^DEF-/.test(name);
+  name = name.replace(/^DEF-/, '');
+
+  let side = null;
+  let match;
+  if ((match = name.match(/^(left|right)[\s_.-]?(.+)$/i))) {
+    side = match[1].toLowerCase();
+    name = match[2];
+  } else if ((match = name.match(/^([LR])[\s_.-](.+)$/i))) {
+    side = match[1].toUpperCase() === 'L' ? 'left' : 'right';
+    name = match[2];
+  } else if ((match = name.match(/^(.+?)[\s_.-](left|right|l|r)$/i)) || (match = name.match(/^(.+?[a-z])([LR])$/))) {
+    side = /^l/i.test(match[2]) ? 'left' : 'right';
+    name = match[1];
+  }
+
+  name = strip(name.replace(/^C[\s_.-]/, ''));
+
+  if (!side) {
+    if (rigify && RIGIFY_SPINE[name]) return RIGIFY_SPINE[name];
+    return CENTER_ALIASES[name] || null;
+  }
+
+  return LIMB_ALIASES[name] ? `${side}${LIMB_ALIASES[name]}` : null;
+};
+
+/**
+ * Humanoid bone -> bone name for a model; the first bone found for each humanoid
+ * bone wins, which is the deform bone on rigs that add helper bones below it
+ */
+export const detectHumanoidBones = (model) => {
+  const bones = {};
+
+  model?.traverse((child) => {
+    if (!child.isBone) return;
+    const humanoidBone = findHumanoidBoneName(child.name);
+    if (humanoidBone && !bones[humanoidBone]) bones[humanoidBone] = child.name;
+  });
+
+  return bones;
+};
+
+const getRestQuaternion = (node) => node.userData.restQuaternion || node.quaternion;
+
+/**
+ * Remember every bone's loaded rotation as its rest pose. Runs once per model,
+ * so rigs rebuilt later (e.g. after a mapping override) still see the rest pose.
+ */
+const captureRestPose = (model) => {
+  model.traverse((child) => {
+    if (child.isBone && !child.userData.restQuaternion) {
+      child.userData.restQuaternion = child.quaternion.clone();
+    }
+  });
+};
+
+const _quaternion = new THREE.Quaternion();
+const _euler = new THREE.Euler();
+
+/**
+ * Normalized euler angles per humanoid bone for skeletalControls; the head
+ * adds its tilt/nod/shake offsets
+ */
+export const getSkeletalControlEulers = (skeletalControls) => {
+  const eulers = {};
+
+  Object.entries(SKELETAL_CONTROL_BONES).forEach(([key, name]) => {
+    const rotation = skeletalControls[key];
+    if (!rotation) return;
+
+    if (key === 'head' && skeletalControls.headTilt && skeletalControls.headNod && skeletalControls.headShake) {
+      const { headTilt, headNod, headShake } = skeletalControls;
+      eulers[name] = {
+        x: rotation.x + headTilt.x + headNod.x,
+        y: rotation.y + headTilt.y + headShake.y,
+        z: rotation.z + headTilt.z + headShake.z
+      };
+      return;
+    }
+
+    eulers[name] = rotation;
+  });
+
+  return eulers;
+};
+
+/**
+ * Normalized eye rotation for eyeGaze (-1..1, +x to screen right, +y up).
+ * Positive x rotation tips the eye down, so gaze.y is negated.
+ */
+export const getEyeGazeEuler = (gaze) => ({ x: -gaze.y * EYE_GAZE_RANGE, y: gaze.x * EYE_GAZE_RANGE, z: 0 });
+
+export class HumanoidRig {
+  /**
+   * @param model the model root; rest rotations are taken relative to it
+   * @param nodes humanoid bone -> Object3D
+   */
+  constructor(model, nodes) {
+    this.model = model;
+    this.bones = new Map();
+
+    Object.entries(nodes).forEach(([name, node]) => {
+      if (!node) return;
+
+      // Rest rotation of the bone relative to the model root
+      const restWorld = getRestQuaternion(node).clone();
+      for (let parent = node.parent; parent && parent !== model; parent = parent.parent) {
+        restWorld.premultiply(getRestQuaternion(parent));
+      }
+
+      this.bones.set(name, {
+        node,
+        restLocal: getRestQuaternion(node).clone(),
+        restWorld,
+        restWorldInverse: restWorld.clone().invert()
+      });
+    });
+  }
+
+  getBoneNode(name) {
+    return this.bones.get(name)?.node || null;
+  }
+
+  /**
+   * Humanoid bone -> bone name, as saved for mapping overrides
+   */
+  getBoneMap() {
+    return Object.fromEntries(Array.from(this.bones, ([name, { node }]) => [name, node.name]));
+  }
+
+  /**
+   * Bone-local rotation for a normalized rotation: restLocal * restWorld^-1 * rotation * restWorld
+   */
+  toLocalRotation(name, rotation, target = new THREE.Quaternion()) {
+    const bone = this.bones.get(name);
+    if (!bone) return target.copy(rotation);
+
+    _quaternion.copy(bone.restWorldInverse).multiply(rotation).multiply(bone.restWorld);
+    return target.copy(bone.restLocal).multiply(_quaternion);
+  }
+
+  /**
+   * Pose a bone from a normalized rotation
+   */
+  setNormalizedRotation(name, rotation) {
+    const bone = this.bones.get(name);
+    if (!bone) return;
+
+    this.toLocalRotation(name, rotation, bone.node.quaternion);
+  }
+
+  /**
+   * The normalized rotation of a bone's current pose, e.g. to read a clip or record it
+   */
+  getNormalizedRotation(name, target = new THREE.Quaternion()) {
+    const bone = this.bones.get(name);
+    if (!bone) return target.identity();
+
+    return target
+      .copy(bone.restLocal)
+      .invert()
+      .multiply(bone.node.quaternion)
+      .premultiply(bone.restWorld)
+      .multiply(bone.restWorldInverse);
+  }
+
+  /**
+   * Euler angles in normalized space, as skeletalControls holds them
+   */
+  setNormalizedEuler(name, { x, y, z }) {
+    this.setNormalizedRotation(name, new THREE.Quaternion().setFromEuler(_euler.set(x, y, z)));
+  }
+
+  /**
+   * Apply skeletalControls; the head adds its tilt/nod/shake offsets
+   */
+  applySkeletalControls(skeletalControls) {
+    Object.entries(getSkeletalControlEulers(skeletalControls)).forEach(([name, rotation]) => {
+      this.setNormalizedEuler(name, rotation);
+    });
+  }
+
+  resetPose() {
+    this.bones.forEach(({ node, restLocal }) => node.quaternion.copy(restLocal));
+  }
+}
+
+/**
+ * Rig for a plain glTF model from detected bone names, with `overrides`
+ * (humanoid bone -> bone name, '' to unmap) taking precedence
+ */
+export const createHumanoidRig = (model, overrides = {}) => {
+  captureRestPose(model);
+
+  const boneNames = { ...detectHumanoidBones(model), ...overrides };
+  const nodes = {};
+  Object.entries(boneNames).forEach(([name, boneName]) => {
+    if (boneName) nodes[name] = model.getObjectByName(boneName);
+  });
+
+  return new HumanoidRig(model, nodes);
+};
+
+/**
+ * Rig over a VRM's normalized bones, whose rest pose is already identity
+ */
+export const createVRMHumanoidRig = (vrm) => {
+  const nodes = {};
+  HUMANOID_BONES.forEach((name) => {
+    nodes[name] = vrm.humanoid.getNormalizedBoneNode(name);
+  });
+
+  return new HumanoidRig(vrm.scene, nodes);
+};
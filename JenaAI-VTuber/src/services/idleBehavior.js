@@ -0,0 +1,236 @@
+import { EventEmitter } from 'events';
+import * as THREE from 'three';
+import { findHumanoidBoneName } from './humanoidRetargeting.js';
+
+/**
+ * Idle Behavior
+ * Procedural motion layered on top of the avatar store every frame: blinks,
+ * breathing on the spine, eye saccades around eyeGaze and a slow head sway.
+ * Nothing is written to the store. Anything else that drives a channel (a
+ * playing clip, lip sync, VMC tracking) suppresses it, and the channel fades
+ * out so the hand-over doesn't pop.
+ */
+
+export const IDLE_CHANNELS = ['blink', 'breathing', 'saccades', 'headSway'];
+
+// Intensity per channel, 0 (off) to 1; blink intensity scales how often she blinks
+export const DEFAULT_IDLE_SETTINGS = {
+  enabled: true,
+  blink: 1,
+  breathing: 0.5,
+  saccades: 0.5,
+  headSway: 0.5
+};
+
+// Seconds for a channel to fade in or out
+const FADE_TIME = 0.3;
+
+// Blink shape in seconds: quick close, short hold, slower open
+const BLINK_CLOSE = 0.06;
+const BLINK_HOLD = 0.03;
+const BLINK_OPEN = 0.12;
+const DOUBLE_BLINK_CHANCE = 0.15;
+
+// About 15 breaths a minute; spine pitch in radians at full intensity
+const BREATH_RATE = 0.25;
+const BREATH_AMPLITUDE = 0.02;
+
+// Saccade reach in eyeGaze units and how fast the eyes jump (1/s)
+const SACCADE_RANGE = 0.15;
+const SACCADE_SPEED = 30;
+
+// Head sway: radians at full intensity, from a few slow incommensurate sines
+const SWAY_AMPLITUDE = 0.03;
+const SWAY_FREQUENCIES = { x: [0.11, 0.23], y: [0.07, 0.17], z: [0.09, 0.19] };
+
+const randomBetween = (min, max) => min + Math.random() * (max - min);
+
+// Humanoid bones whose animation takes over an idle channel
+const BONE_CHANNELS = {
+  spine: 'breathing',
+  chest: 'breathing',
+  upperChest: 'breathing',
+  neck: 'headSway',
+  head: 'headSway',
+  leftEye: 'saccades',
+  rightEye: 'saccades'
+};
+
+/**
+ * Idle channels taken over by rotating these humanoid bones; any morph
+ * animation takes over blinking
+ */
+export const getIdleChannels = (humanoidBones, animatesMorphs = false) => {
+  const channels = new Set(humanoidBones.map((bone) => BONE_CHANNELS[bone]).filter(Boolean));
+  if (animatesMorphs) channels.add('blink');
+  return Array.from(channels);
+};
+
+/**
+ * Idle channels an animation clip drives, so playing it can suppress them
+ */
+export const getClipIdleChannels = (clip) => {
+  const bones = [];
+  let animatesMorphs = false;
+
+  clip.tracks.forEach((track) => {
+    const { nodeName, propertyName } = THREE.PropertyBinding.parseTrackName(track.name);
+    if (propertyName === 'morphTargetInfluences') animatesMorphs = true;
+    if (propertyName === 'quaternion') bones.push(findHumanoidBoneName(nodeName));
+  });
+
+  return getIdleChannels(bones, animatesMorphs);
+};
+
+class IdleBehavior extends EventEmitter {
+  constructor() {
+    super();
+    this.settings = { ...DEFAULT_IDLE_SETTINGS };
+    this.time = 0;
+    this.suppressions = new Map(IDLE_CHANNELS.map((channel) => [channel, new Set()]));
+    this.channels = new Map(IDLE_CHANNELS.map((channel) => [channel, { weight: 0, settled: true }]));
+
+    this.blink = { nextAt: randomBetween(1, 4), startedAt: null, double: false };
+    this.saccade = { nextAt: 0, target: { x: 0, y: 0 }, current: { x: 0, y: 0 } };
+  }
+
+  configure(settings = {}) {
+    this.settings = { ...this.settings, ...settings };
+    this.emit('idle:configured', { ...this.settings });
+    return { ...this.settings };
+  }
+
+  /**
+   * Mark channels as driven by `source` (e.g. 'clip', 'lipsync', 'vmc') until released
+   */
+  suppress(channels, source) {
+    [].concat(channels).forEach((channel) => this.suppressions.get(channel)?.add(source));
+    this.emit('idle:suppressed', { channels, source });
+  }
+
+  release(channels, source) {
+    [].concat(channels).forEach((channel) => this.suppressions.get(channel)?.delete(source));
+    this.emit('idle:released', { channels, source });
+  }
+
+  isSuppressed(channel) {
+    return this.suppressions.get(channel)?.size > 0;
+  }
+
+  isActive(channel) {
+    return this.settings.enabled && this.settings[channel] > 0 && !this.isSuppressed(channel);
+  }
+
+  /**
+   * Ease a channel's weight toward on/off. Returns null once it has been off
+   * for a frame; the frame it reaches zero still returns 0 so the caller can
+   * put the base pose back.
+   */
+  updateWeight(channel, delta) {
+    const state = this.channels.get(channel);
+    const step = delta / FADE_TIME;
+    state.weight = this.isActive(channel) ? Math.min(1, state.weight + step) : Math.max(0, state.weight - step);
+
+    if (state.weight > 0) {
+      state.settled = false;
+      return state.weight;
+    }
+
+    if (state.settled) return null;
+    state.settled = true;
+    return 0;
+  }
+
+  /**
+   * Advance one frame. Each channel is null when idle, otherwise an offset to
+   * add to the store's value: blink (0..1), gaze ({x, y}), spine and head (radians).
+   */
+  update(delta) {
+    this.time += delta;
+
+    const blinkWeight = this.updateWeight('blink', delta);
+    const breathingWeight = this.updateWeight('breathing', delta);
+    const saccadeWeight = this.updateWeight('saccades', delta);
+    const swayWeight = this.updateWeight('headSway', delta);
+
+    return {
+      blink: blinkWeight === null ? null : this.updateBlink() * blinkWeight,
+      spine: breathingWeight === null ? null : this.updateBreathing(breathingWeight),
+      gaze: saccadeWeight === null ? null : this.updateSaccades(delta, saccadeWeight),
+      head: swayWeight === null ? null : this.updateHeadSway(swayWeight)
+    };
+  }
+
+  updateBlink() {
+    const blink = this.blink;
+
+    if (blink.startedAt === null && this.time >= blink.nextAt) {
+      blink.startedAt = this.time;
+    }
+    if (blink.startedAt === null) return 0;
+
+    const t = this.time - blink.startedAt;
+    if (t < BLINK_CLOSE) return t / BLINK_CLOSE;
+    if (t < BLINK_CLOSE + BLINK_HOLD) return 1;
+    if (t < BLINK_CLOSE + BLINK_HOLD + BLINK_OPEN) return 1 - (t - BLINK_CLOSE - BLINK_HOLD) / BLINK_OPEN;
+
+    // Now and then a second blink follows straight away
+    const rate = Math.max(0.1, this.settings.blink);
+    if (!blink.double && Math.random() < DOUBLE_BLINK_CHANCE) {
+      blink.double = true;
+      blink.nextAt = this.time + 0.1;
+    } else {
+      blink.double = false;
+      blink.nextAt = this.time + randomBetween(2, 6) / rate;
+    }
+    blink.startedAt = null;
+    return 0;
+  }
+
+  updateBreathing(weight) {
+    const amplitude = BREATH_AMPLITUDE * this.settings.breathing * weight;
+    return { x: Math.sin(this.time * BREATH_RATE * Math.PI * 2) * amplitude, y: 0, z: 0 };
+  }
+
+  /**
+   * Fixations of 0.3-2.5s, mostly small jumps near the gaze point and often back to it
+   */
+  updateSaccades(delta, weight) {
+    const saccade = this.saccade;
+
+    if (this.time >= saccade.nextAt) {
+      const range = SACCADE_RANGE * this.settings.saccades;
+      saccade.target = Math.random() < 0.4
+        ? { x: 0, y: 0 }
+        : { x: randomBetween(-range, range), y: randomBetween(-range, range) * 0.6 };
+      saccade.nextAt = this.time + randomBetween(0.3, 2.5);
+    }
+
+    const step = Math.min(1, delta * SACCADE_SPEED);
+    saccade.current.x += (saccade.target.x - saccade.current.x) * step;
+    saccade.current.y += (saccade.target.y - saccade.current.y) * step;
+
+    return { x: saccade.current.x * weight, y: saccade.current.y * weight };
+  }
+
+  updateHeadSway(weight) {
+    const amplitude = SWAY_AMPLITUDE * this.settings.headSway * weight;
+    const sway = (frequencies) => frequencies
+      .reduce((sum, frequency) => sum + Math.sin(this.time * frequency * Math.PI * 2 + frequency * 10), 0) / frequencies.length;
+
+    return {
+      x: sway(SWAY_FREQUENCIES.x) * amplitude,
+      y: sway(SWAY_FREQUENCIES.y) * amplitude,
+      z: sway(SWAY_FREQUENCIES.z) * amplitude * 0.5
+    };
+  }
+
+  getStatus() {
+    return {
+      settings: { ...this.settings },
+      suppressed: IDLE_CHANNELS.filter((channel) => this.isSuppressed(channel))
+    };
+  }
+}
+
+export const idleBehavior = new IdleBehavior();
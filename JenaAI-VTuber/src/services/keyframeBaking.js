@@ -0,0 +1,160 @@
+import * as THREE from 'three';
+import { getSkeletalControlEulers, getEyeGazeEuler } from './humanoidRetargeting.js';
+
+/**
+ * Keyframe Baking
+ * Turns a timestamped stream of avatar state (skeletalControls,
+ * facialExpressions, eyeGaze) into the keyframe data AnimationService stores
+ * (see animationClip.js). The stream is resampled at a fixed rate, then
+ * keyframes that interpolation rebuilds within tolerance are dropped. Only
+ * channels that change become tracks.
+ */
+
+// Keyframes per second when baking, before reduction
+export const BAKE_SAMPLE_RATE = 30;
+
+// Largest error reduction may introduce: radians for bones, weight for expressions
+export const DEFAULT_TOLERANCES = {
+  rotation: 0.005,
+  expression: 0.01
+};
+
+const _euler = new THREE.Euler();
+const _quaternion = new THREE.Quaternion();
+const _interpolated = new THREE.Quaternion();
+
+/**
+ * Humanoid bone -> normalized quaternion for one sample's pose; eyeGaze turns both eyes
+ */
+const getSampleRotations = ({ skeletalControls = {}, eyeGaze }) => {
+  const eulers = getSkeletalControlEulers(skeletalControls);
+  if (eyeGaze) {
+    eulers.leftEye = getEyeGazeEuler(eyeGaze);
+    eulers.rightEye = getEyeGazeEuler(eyeGaze);
+  }
+
+  return Object.entries(eulers).map(([bone, { x, y, z }]) => [bone, new THREE.Quaternion().setFromEuler(_euler.set(x, y, z))]);
+};
+
+/**
+ * Samples at a fixed rate, each holding the latest recorded state at its time
+ */
+const resample = (samples, duration, sampleRate) => {
+  const frameCount = Math.max(2, Math.ceil(duration * sampleRate) + 1);
+  const frames = [];
+  let index = 0;
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const time = Math.min(duration, frame / sampleRate);
+    while (index + 1 < samples.length && samples[index + 1].t <= time) index++;
+    frames.push({ time, state: samples[index] });
+  }
+
+  return frames;
+};
+
+/**
+ * Indices of the keyframes to keep (Ramer-Douglas-Peucker): a keyframe is
+ * dropped when `error(first, last, index)` stays within tolerance for it
+ * between the keyframes kept around it
+ */
+export const reduceKeyframes = (times, error, tolerance) => {
+  const last = times.length - 1;
+  const keep = new Set([0, last]);
+  const spans = [[0, last]];
+
+  while (spans.length > 0) {
+    const [first, end] = spans.pop();
+    let worst = -1;
+    let worstError = tolerance;
+
+    for (let index = first + 1; index < end; index++) {
+      const value = error(first, end, index);
+      if (value > worstError) {
+        worst = index;
+        worstError = value;
+      }
+    }
+
+    if (worst !== -1) {
+      keep.add(worst);
+      spans.push([first, worst], [worst, end]);
+    }
+  }
+
+  return Array.from(keep).sort((a, b) => a - b);
+};
+
+const alpha = (times, first, last, index) => (times[index] - times[first]) / (times[last] - times[first]);
+
+/**
+ * Quaternion track reduced against slerp, as QuaternionKeyframeTrack plays it
+ */
+const reduceRotationTrack = (times, values, tolerance) => {
+  const quaternion = (index) => new THREE.Quaternion().fromArray(values, index * 4);
+  const kept = reduceKeyframes(times, (first, last, index) => {
+    _interpolated.slerpQuaternions(quaternion(first), quaternion(last), alpha(times, first, last, index));
+    return _interpolated.angleTo(_quaternion.fromArray(values, index * 4));
+  }, tolerance);
+
+  return {
+    times: kept.map((index) => times[index]),
+    values: kept.flatMap((index) => values.slice(index * 4, index * 4 + 4))
+  };
+};
+
+const reduceScalarTrack = (times, values, tolerance) => {
+  const kept = reduceKeyframes(times, (first, last, index) => {
+    const interpolated = values[first] + (values[last] - values[first]) * alpha(times, first, last, index);
+    return Math.abs(interpolated - values[index]);
+  }, tolerance);
+
+  return { times: kept.map((index) => times[index]), values: kept.map((index) => values[index]) };
+};
+
+/**
+ * Bake samples ({ t, skeletalControls, facialExpressions, eyeGaze }, t in
+ * seconds, in time order) into keyframe data; any of the three may be left out
+ */
+export const bakeKeyframes = (samples, duration, options = {}) => {
+  const { sampleRate = BAKE_SAMPLE_RATE, tolerances = DEFAULT_TOLERANCES } = options;
+  const frames = resample(samples, duration, sampleRate);
+  const times = frames.map(({ time }) => time);
+
+  const rotations = new Map();
+  const expressions = new Map();
+
+  frames.forEach(({ state }, frame) => {
+    getSampleRotations(state).forEach(([bone, rotation]) => {
+      if (!rotations.has(bone)) rotations.set(bone, []);
+      const values = rotations.get(bone);
+
+      // Stay on the previous keyframe's side so slerp takes the short way round
+      if (frame > 0 && rotation.dot(_quaternion.fromArray(values, (frame - 1) * 4)) < 0) {
+        rotation.set(-rotation.x, -rotation.y, -rotation.z, -rotation.w);
+      }
+      rotation.toArray(values, frame * 4);
+    });
+
+    Object.entries(state.facialExpressions || {}).forEach(([key, value]) => {
+      if (typeof value !== 'number') return;
+      if (!expressions.has(key)) expressions.set(key, new Array(frames.length).fill(0));
+      expressions.get(key)[frame] = value;
+    });
+  });
+
+  const tracks = [];
+
+  rotations.forEach((values, bone) => {
+    const first = new THREE.Quaternion().fromArray(values, 0);
+    const changed = times.some((time, frame) => first.angleTo(_quaternion.fromArray(values, frame * 4)) > tolerances.rotation);
+    if (changed) tracks.push({ bone, ...reduceRotationTrack(times, values, tolerances.rotation) });
+  });
+
+  expressions.forEach((values, expression) => {
+    const changed = values.some((value) => Math.abs(value - values[0]) > tolerances.expression);
+    if (changed) tracks.push({ expression, ...reduceScalarTrack(times, values, tolerances.expression) });
+  });
+
+  return { duration, tracks };
+};
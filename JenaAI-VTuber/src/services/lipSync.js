@@ -0,0 +1,384 @@
+import { EventEmitter } from 'events';
+import { ttsServiceManager } from './ttsServices.js';
+
+/**
+ * Lip Sync
+ * Drives the mouth from speech. Audio from any TTS engine is tapped through
+ * WebAudio and read as visemes from its spectrum (loudness, sibilance and the
+ * first two formants); engines that report phoneme timings are followed
+ * exactly instead. Either way the result is the Oculus 15-viseme set, which
+ * is layered onto the mouth's facialExpressions keys every frame (nothing is
+ * written to the store) and sent to VRChat as its Viseme parameter.
+ */
+
+// Oculus / VRChat order: the index is VRChat's Viseme parameter value
+export const OCULUS_VISEMES = ['sil', 'PP', 'FF', 'TH', 'DD', 'kk', 'CH', 'SS', 'nn', 'RR', 'aa', 'E', 'ih', 'oh', 'ou'];
+
+// Each viseme as facialExpressions keys, built from the VRM vowels every profile maps
+export const VISEME_EXPRESSIONS = {
+  sil: {},
+  PP: { lipRollUpper: 0.4, lipRollLower: 0.4 },
+  FF: { lipRollLower: 0.6, ih: 0.2 },
+  TH: { tongueOut: 0.3, ih: 0.3 },
+  DD: { ih: 0.5, aa: 0.15 },
+  kk: { ih: 0.5, aa: 0.25 },
+  CH: { ih: 0.3, ou: 0.4 },
+  SS: { ih: 0.7 },
+  nn: { ih: 0.4, aa: 0.1 },
+  RR: { ou: 0.4, oh: 0.3 },
+  aa: { aa: 1 },
+  E: { ee: 0.9, aa: 0.2 },
+  ih: { ih: 0.9 },
+  oh: { oh: 1 },
+  ou: { ou: 1 }
+};
+
+export const LIP_SYNC_EXPRESSIONS = [...new Set(Object.values(VISEME_EXPRESSIONS).flatMap(Object.keys))];
+
+// ARPAbet (CMUdict, stress digits dropped) and common IPA phonemes
+const PHONEME_VISEMES = {
+  sil: 'sil', sp: 'sil', pau: 'sil', '': 'sil',
+  P: 'PP', B: 'PP', M: 'PP',
+  F: 'FF', V: 'FF',
+  TH: 'TH', DH: 'TH',
+  T: 'DD', D: 'DD',
+  K: 'kk', G: 'kk', HH: 'kk',
+  CH: 'CH', JH: 'CH', SH: 'CH', ZH: 'CH',
+  S: 'SS', Z: 'SS',
+  N: 'nn', NG: 'nn', L: 'nn',
+  R: 'RR', ER: 'RR',
+  AA: 'aa', AH: 'aa', AW: 'aa', AY: 'aa',
+  AE: 'E', EH: 'E', EY: 'E',
+  IH: 'ih', IY: 'ih', Y: 'ih',
+  AO: 'oh', OW: 'oh', OY: 'oh',
+  UH: 'ou', UW: 'ou', W: 'ou',
+  p: 'PP', b: 'PP', m: 'PP',
+  f: 'FF', v: 'FF',
+  'θ': 'TH', 'ð': 'TH',
+  t: 'DD', d: 'DD',
+  k: 'kk', g: 'kk', h: 'kk',
+  'tʃ': 'CH', 'dʒ': 'CH', 'ʃ': 'CH', 'ʒ': 'CH',
+  s: 'SS', z: 'SS',
+  n: 'nn', 'ŋ': 'nn', l: 'nn',
+  'ɹ': 'RR', r: 'RR', 'ɚ': 'RR', 'ɝ': 'RR',
+  a: 'aa', 'ɑ': 'aa', 'ʌ': 'aa', 'ə': 'aa', 'aɪ': 'aa', 'aʊ': 'aa',
+  'æ': 'E', e: 'E', 'ɛ': 'E', 'eɪ': 'E',
+  i: 'ih', 'ɪ': 'ih', j: 'ih',
+  o: 'oh', 'ɔ': 'oh', 'oʊ': 'oh', 'ɔɪ': 'oh',
+  u: 'ou', 'ʊ': 'ou', w: 'ou'
+};
+
+export const DEFAULT_LIP_SYNC_SETTINGS = {
+  enabled: true,
+  // 'auto' follows phoneme timings when the engine has them and analyses audio otherwise
+  mode: 'auto',
+  // How far the mouth opens
+  gain: 1,
+  // Output level (dB) below which the mouth closes, and the level it opens fully at
+  silenceLevel: -50,
+  loudLevel: -20
+};
+
+// Seconds for a viseme to come in and to fade out
+const ATTACK_TIME = 0.04;
+const RELEASE_TIME = 0.08;
+
+// A viseme must reach this weight to be sent to VRChat
+const VRCHAT_VISEME_THRESHOLD = 0.3;
+
+// First and second formant (Hz) of each vowel, for a higher (female) voice
+const VOWEL_FORMANTS = {
+  aa: [850, 1250],
+  E: [600, 2100],
+  ih: [400, 2500],
+  oh: [550, 950],
+  ou: [380, 950]
+};
+
+// Spread of a vowel's formant match, in octaves
+const FORMANT_SPREAD = 0.35;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Oculus viseme for an ARPAbet or IPA phoneme, or a viseme name or index
+ */
+export const phonemeToViseme = (phoneme) => {
+  if (typeof phoneme === 'number') return OCULUS_VISEMES[phoneme] || 'sil';
+  if (OCULUS_VISEMES.includes(phoneme)) return phoneme;
+
+  const symbol = String(phoneme ?? '').replace(/[0-2ˈˌː]/g, '');
+  return PHONEME_VISEMES[symbol] ?? PHONEME_VISEMES[symbol.toUpperCase()] ?? PHONEME_VISEMES[symbol[0]] ?? 'sil';
+};
+
+/**
+ * Viseme timeline from phoneme timings: [{ phoneme or viseme, start, end or
+ * duration }] in seconds. A missing end runs to the next phoneme's start.
+ */
+export const toVisemeTimeline = (phonemes) => {
+  const sorted = [...phonemes].sort((a, b) => a.start - b.start);
+  return sorted.map((entry, index) => ({
+    viseme: phonemeToViseme(entry.viseme ?? entry.phoneme),
+    start: entry.start,
+    end: entry.end ?? (entry.duration !== undefined ? entry.start + entry.duration : sorted[index + 1]?.start ?? entry.start + 0.1)
+  }));
+};
+
+/**
+ * Where a power spectrum peaks (Hz) between two frequencies: the centre of
+ * mass of its power to the fourth, which lands between harmonics when a
+ * formant does
+ */
+const findPeak = (power, binHz, from, to) => {
+  let sum = 0;
+  let weighted = 0;
+  for (let bin = Math.ceil(from / binHz); bin <= Math.min(power.length - 1, Math.floor(to / binHz)); bin += 1) {
+    sum += power[bin] ** 4;
+    weighted += power[bin] ** 4 * bin * binHz;
+  }
+  return sum > 0 ? weighted / sum : null;
+};
+
+const bandPower = (power, binHz, from, to) => {
+  let sum = 0;
+  for (let bin = Math.ceil(from / binHz); bin <= Math.min(power.length - 1, Math.floor(to / binHz)); bin += 1) {
+    sum += power[bin];
+  }
+  return sum;
+};
+
+/**
+ * Viseme weights for one frame of audio: `spectrum` is an AnalyserNode's
+ * getFloatFrequencyData (dB) and `level` the frame's RMS level in dB.
+ * Loudness opens the mouth, high-frequency hiss reads as SS and the two
+ * lowest formants pick the vowel.
+ */
+export const getSpectrumVisemes = (spectrum, sampleRate, level, settings = DEFAULT_LIP_SYNC_SETTINGS) => {
+  const { silenceLevel, loudLevel } = { ...DEFAULT_LIP_SYNC_SETTINGS, ...settings };
+  const open = clamp((level - silenceLevel) / (loudLevel - silenceLevel), 0, 1);
+  if (open === 0) return { sil: 1 };
+
+  const binHz = sampleRate / 2 / spectrum.length;
+
+  // Power, averaged over ~150 Hz so single harmonics don't pass for formants
+  const raw = Array.from(spectrum, (db) => (Number.isFinite(db) ? 10 ** (db / 10) : 0));
+  const radius = Math.max(1, Math.round(75 / binHz));
+  const power = raw.map((_, bin) => {
+    let sum = 0;
+    let count = 0;
+    for (let i = Math.max(0, bin - radius); i <= Math.min(raw.length - 1, bin + radius); i += 1) {
+      sum += raw[i];
+      count += 1;
+    }
+    return sum / count;
+  });
+
+  const voiced = bandPower(power, binHz, 80, 3000);
+  const hiss = bandPower(power, binHz, 3500, 8000);
+  const sibilance = clamp((hiss / (voiced + hiss + 1e-12) - 0.3) / 0.3, 0, 1);
+
+  const f1 = findPeak(power, binHz, 250, 1000);
+  const f2 = f1 === null ? null : findPeak(power, binHz, Math.max(800, f1 + 250), 3000);
+
+  const weights = { sil: 1 - open };
+  if (sibilance > 0) weights.SS = open * sibilance;
+
+  if (f1 !== null && f2 !== null) {
+    const matches = Object.entries(VOWEL_FORMANTS).map(([viseme, [vowelF1, vowelF2]]) => {
+      const distance = (Math.log2(f1 / vowelF1) ** 2 + Math.log2(f2 / vowelF2) ** 2) / (FORMANT_SPREAD ** 2);
+      return [viseme, Math.exp(-distance / 2)];
+    });
+    const total = matches.reduce((sum, [, match]) => sum + match, 0);
+    matches.forEach(([viseme, match]) => {
+      weights[viseme] = total > 0 ? open * (1 - sibilance) * (match / total) : 0;
+    });
+  } else {
+    weights.aa = open * (1 - sibilance);
+  }
+
+  return weights;
+};
+
+/**
+ * facialExpressions values for viseme weights, strongest contribution winning
+ */
+export const getVisemeExpressions = (weights, gain = 1) => {
+  const expressions = Object.fromEntries(LIP_SYNC_EXPRESSIONS.map((key) => [key, 0]));
+  Object.entries(weights).forEach(([viseme, weight]) => {
+    Object.entries(VISEME_EXPRESSIONS[viseme] || {}).forEach(([key, value]) => {
+      expressions[key] = Math.max(expressions[key], clamp(value * weight * gain, 0, 1));
+    });
+  });
+  return expressions;
+};
+
+class LipSync extends EventEmitter {
+  constructor() {
+    super();
+    this.settings = { ...DEFAULT_LIP_SYNC_SETTINGS };
+    this.weights = Object.fromEntries(OCULUS_VISEMES.map((viseme) => [viseme, 0]));
+    this.viseme = 'sil';
+    this.settled = true;
+
+    this.context = null;
+    this.analyser = null;
+    this.sources = new WeakMap();
+    this.audio = null;
+    this.timeline = null;
+
+    ttsServiceManager.onSpeech((text, audio, options) => this.handleSpeech(audio, options));
+  }
+
+  configure(settings = {}) {
+    this.settings = { ...this.settings, ...settings };
+    if (!this.settings.enabled) this.stop();
+    this.emit('lipsync:configured', { ...this.settings });
+    return { ...this.settings };
+  }
+
+  /**
+   * A TTS line started: follow its phoneme timings (options.phonemes) when
+   * there are any, otherwise listen to its audio
+   */
+  handleSpeech(audio = null, options = {}) {
+    if (!this.settings.enabled) return;
+
+    const { mode } = this.settings;
+    if (options.phonemes?.length > 0 && mode !== 'audio') {
+      this.playPhonemes(options.phonemes, { audio });
+    } else if (audio && mode !== 'phonemes') {
+      this.attachAudio(audio);
+    }
+  }
+
+  /**
+   * Analyse an audio element's output. Its sound is routed through WebAudio
+   * from here on, so it keeps playing through the speakers.
+   */
+  attachAudio(audio) {
+    try {
+      if (!this.context) {
+        this.context = new (window.AudioContext || window.webkitAudioContext)();
+        this.analyser = this.context.createAnalyser();
+        this.analyser.fftSize = 1024;
+        this.analyser.smoothingTimeConstant = 0.3;
+      }
+      this.context.resume();
+
+      // An element can only be given one source node, ever
+      if (!this.sources.has(audio)) {
+        const source = this.context.createMediaElementSource(audio);
+        source.connect(this.analyser);
+        source.connect(this.context.destination);
+        this.sources.set(audio, source);
+      }
+
+      this.timeline = null;
+      this.audio = audio;
+      this.emit('lipsync:started', { mode: 'audio' });
+      return true;
+    } catch (error) {
+      console.error('Failed to attach lip sync to audio:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Follow phoneme timings, in step with `audio` when given and from now otherwise
+   */
+  playPhonemes(phonemes, { audio = null, offset = 0 } = {}) {
+    const visemes = toVisemeTimeline(phonemes);
+    if (visemes.length === 0) return false;
+
+    const startedAt = performance.now() / 1000 - offset;
+    this.audio = null;
+    this.timeline = {
+      visemes,
+      clock: audio ? () => audio.currentTime : () => performance.now() / 1000 - startedAt
+    };
+    this.emit('lipsync:started', { mode: 'phonemes' });
+    return true;
+  }
+
+  stop() {
+    if (!this.audio && !this.timeline) return;
+    this.audio = null;
+    this.timeline = null;
+    this.emit('lipsync:stopped');
+  }
+
+  /**
+   * Viseme weights to aim for this frame
+   */
+  getTargets() {
+    if (this.timeline) {
+      const { visemes, clock } = this.timeline;
+      const time = clock();
+      if (time > visemes[visemes.length - 1].end) {
+        this.stop();
+        return { sil: 1 };
+      }
+      const current = visemes.find(({ start, end }) => time >= start && time < end);
+      return { [current?.viseme || 'sil']: 1 };
+    }
+
+    if (this.audio && this.analyser && !this.audio.paused && !this.audio.ended) {
+      const spectrum = new Float32Array(this.analyser.frequencyBinCount);
+      const samples = new Float32Array(this.analyser.fftSize);
+      this.analyser.getFloatFrequencyData(spectrum);
+      this.analyser.getFloatTimeDomainData(samples);
+
+      const rms = Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+      return getSpectrumVisemes(spectrum, this.context.sampleRate, 20 * Math.log10(rms + 1e-9), this.settings);
+    }
+
+    if (this.audio?.ended) this.stop();
+    return { sil: 1 };
+  }
+
+  /**
+   * Advance one frame. Returns facialExpressions values for the mouth, or
+   * null when silent; the frame it falls silent still returns zeros so the
+   * caller can put the store's mouth back.
+   */
+  update(delta) {
+    const targets = this.settings.enabled ? this.getTargets() : { sil: 1 };
+
+    let active = false;
+    OCULUS_VISEMES.forEach((viseme) => {
+      const target = targets[viseme] || 0;
+      const time = target > this.weights[viseme] ? ATTACK_TIME : RELEASE_TIME;
+      this.weights[viseme] += (target - this.weights[viseme]) * (1 - Math.exp(-delta / time));
+      if (viseme !== 'sil' && this.weights[viseme] > 0.001) active = true;
+    });
+
+    // VRChat takes a single viseme
+    const [strongest, weight] = OCULUS_VISEMES.slice(1)
+      .map((viseme) => [viseme, this.weights[viseme]])
+      .reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+    const viseme = weight >= VRCHAT_VISEME_THRESHOLD ? strongest : 'sil';
+    if (viseme !== this.viseme) {
+      this.viseme = viseme;
+      this.emit('lipsync:viseme', { viseme, index: OCULUS_VISEMES.indexOf(viseme) });
+    }
+
+    if (!active) {
+      if (this.settled) return null;
+      this.settled = true;
+      return getVisemeExpressions({});
+    }
+
+    this.settled = false;
+    return getVisemeExpressions(this.weights, this.settings.gain);
+  }
+
+  getStatus() {
+    return {
+      enabled: this.settings.enabled,
+      mode: this.timeline ? 'phonemes' : this.audio ? 'audio' : null,
+      viseme: this.viseme
+    };
+  }
+}
+
+export const lipSync = new LipSync();
@@ -0,0 +1,218 @@
+/**
+ * OSC Bridge
+ * Renderer-side access to the OSC UDP transports running in the Electron main
+ * process: 'osc' talks to VRChat, 'vmc' to VMC protocol apps
+ */
+
+const getTransport = (channel = 'osc') => {
+  if (typeof window === 'undefined') return null;
+  return window.electronAPI?.[channel] || null;
+};
+
+const getOSCQuery = () => {
+  if (typeof window === 'undefined') return null;
+  return window.electronAPI?.oscQuery || null;
+};
+
+/**
+ * Typed argument helpers. Plain JS numbers are sent as int when they have no
+ * fractional part, so anything VRChat expects as a float must be tagged.
+ */
+export const oscFloat = (value) => ({ type: 'f', value: Number(value) || 0 });
+export const oscInt = (value) => ({ type: 'i', value: Math.round(Number(value) || 0) });
+export const oscBool = (value) => ({ type: value ? 'T' : 'F', value: !!value });
+export const oscString = (value) => ({ type: 's', value: String(value) });
+
+class OSCBridge {
+  constructor(channel = 'osc') {
+    this.channel = channel;
+    this.connected = false;
+    this.listening = false;
+    this.warnedUnavailable = false;
+    this.messageHandlers = new Set();
+    this.sendHandlers = new Set();
+    this.subscribed = false;
+    this.peerHandlers = new Set();
+    this.subscribedToOSCQuery = false;
+  }
+
+  isAvailable() {
+    return getTransport(this.channel) !== null;
+  }
+
+  hasOSCQuery() {
+    return getOSCQuery() !== null;
+  }
+
+  async connect(options = {}) {
+    const transport = getTransport(this.channel);
+    if (!transport) {
+      throw new Error('OSC transport is only available in the desktop app');
+    }
+
+    this.subscribeToTransport(transport);
+    const status = await transport.connect(options);
+    this.connected = status.connected;
+    return status;
+  }
+
+  /**
+   * Start receiving OSC on the given port (VRChat sends on 9001)
+   */
+  async listen(port = 9001) {
+    const transport = getTransport(this.channel);
+    if (!transport) {
+      throw new Error('OSC transport is only available in the desktop app');
+    }
+
+    this.subscribeToTransport(transport);
+    const status = await transport.listen({ port });
+    this.listening = status.listening;
+    return status;
+  }
+
+  /**
+   * Stop receiving but keep the send socket open
+   */
+  async stopListening() {
+    const transport = getTransport(this.channel);
+    this.listening = false;
+    if (transport) {
+      await transport.stopListening();
+    }
+  }
+
+  /**
+   * Register a handler for inbound messages. Returns an unsubscribe function.
+   */
+  onMessage(handler) {
+    this.messageHandlers.add(handler);
+    return () => this.messageHandlers.delete(handler);
+  }
+
+  /**
+   * Register a handler for every outbound message, bundle elements included.
+   * It runs whether or not the transport is connected. Returns an unsubscribe function.
+   */
+  onSend(handler) {
+    this.sendHandlers.add(handler);
+    return () => this.sendHandlers.delete(handler);
+  }
+
+  notifySend(address, args) {
+    this.sendHandlers.forEach((handler) => {
+      try {
+        handler(address, args);
+      } catch (error) {
+        console.error(`OSC send handler failed for ${address}:`, error);
+      }
+    });
+  }
+
+  subscribeToTransport(transport) {
+    if (this.subscribed) return;
+    this.subscribed = true;
+
+    transport.onMessage((event, message) => {
+      this.messageHandlers.forEach((handler) => {
+        try {
+          handler(message);
+        } catch (error) {
+          console.error(`OSC handler failed for ${message.address}:`, error);
+        }
+      });
+    });
+
+    // Send and socket errors stay in the main process; they are only reported here
+    transport.onError?.((event, error) => {
+      console.error(`${this.channel.toUpperCase()} transport error:`, error.message);
+    });
+  }
+
+  /**
+   * Advertise the current receive port over OSCQuery/mDNS and start looking for VRChat
+   */
+  async startOSCQuery() {
+    const oscQuery = getOSCQuery();
+    if (!oscQuery) {
+      throw new Error('OSCQuery is only available in the desktop app');
+    }
+
+    if (!this.subscribedToOSCQuery) {
+      this.subscribedToOSCQuery = true;
+      oscQuery.onVRChatFound((event, peer) => {
+        this.peerHandlers.forEach((handler) => handler(peer));
+      });
+      oscQuery.onError?.((event, error) => console.error('OSCQuery error:', error.message));
+    }
+
+    return oscQuery.start();
+  }
+
+  /**
+   * Register a handler for VRChat clients found over OSCQuery. Returns an unsubscribe function.
+   */
+  onVRChatFound(handler) {
+    this.peerHandlers.add(handler);
+    return () => this.peerHandlers.delete(handler);
+  }
+
+  /**
+   * Read a node of the discovered VRChat client's OSCQuery tree, or null if none was found
+   */
+  async queryVRChat(path = '/avatar') {
+    const oscQuery = getOSCQuery();
+    return oscQuery ? oscQuery.queryVRChat(path) : null;
+  }
+
+  async disconnect() {
+    const transport = getTransport(this.channel);
+    this.connected = false;
+    this.listening = false;
+    if (transport) {
+      await transport.disconnect();
+    }
+    if (this.channel === 'osc' && getOSCQuery()) {
+      await getOSCQuery().stop();
+    }
+  }
+
+  send(address, args) {
+    this.notifySend(address, Array.isArray(args) ? args : [args]);
+
+    const transport = getTransport(this.channel);
+    if (!transport || !this.connected) {
+      this.warnUnavailable();
+      return false;
+    }
+
+    transport.send(address, Array.isArray(args) ? args : [args]);
+    return true;
+  }
+
+  sendBundle(elements, timetag) {
+    const notify = (element) => {
+      if (element.elements) element.elements.forEach(notify);
+      else this.notifySend(element.address, element.args || []);
+    };
+    elements.forEach(notify);
+
+    const transport = getTransport(this.channel);
+    if (!transport || !this.connected) {
+      this.warnUnavailable();
+      return false;
+    }
+
+    transport.sendBundle(elements, timetag);
+    return true;
+  }
+
+  warnUnavailable() {
+    if (this.warnedUnavailable) return;
+    this.warnedUnavailable = true;
+    console.warn(`${this.channel.toUpperCase()} transport not connected; messages are only emitted locally`);
+  }
+}
+
+export const oscBridge = new OSCBridge('osc');
+export const vmcBridge = new OSCBridge('vmc');
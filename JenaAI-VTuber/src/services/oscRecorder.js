@@ -0,0 +1,418 @@
+import { EventEmitter } from 'events';
+import { oscBridge, oscBool, oscFloat, oscInt, oscString } from './oscBridge.js';
+import { vrTrackingSystem } from './vrTrackingSystem.js';
+import { saveOSCRecording, getOSCRecordings, deleteOSCRecording } from '../store/indexedDB.js';
+
+/**
+ * OSC Recorder
+ * Captures every OSC message the bridge sends and receives, timestamped
+ * from the start of the session, keeps sessions in IndexedDB or JSON files,
+ * and replays them in real time or scaled, filtered by OSC address pattern
+ */
+
+export const RECORDING_VERSION = 1;
+
+// Long sessions at tracking rates get big; recording stops here
+const MAX_MESSAGES = 200000;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * Type plain values the way the main-process encoder would, so recorded
+ * sends and receives look the same
+ */
+export const normalizeOSCArgs = (data) => {
+  const args = data === undefined ? [] : Array.isArray(data) ? data : [data];
+
+  return args.map((arg) => {
+    if (arg && typeof arg === 'object' && typeof arg.type === 'string') return { type: arg.type, value: arg.value };
+    if (typeof arg === 'boolean') return oscBool(arg);
+    if (typeof arg === 'number') return Number.isInteger(arg) ? oscInt(arg) : oscFloat(arg);
+    return oscString(arg);
+  });
+};
+
+/**
+ * Compile an OSC address pattern (?, *, [a-z], [!a-z], {foo,bar}) to a RegExp.
+ * OSC 1.1's // matches any number of path segments, so //JawOpen finds it anywhere.
+ */
+export const compileAddressPattern = (pattern) => {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const close = { '[': ']', '{': '}' }[char];
+    const end = close ? pattern.indexOf(close, i) : -1;
+
+    if (char === '/' && pattern[i + 1] === '/') {
+      source += '(?:/[^/]+)*/';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && end !== -1) {
+      const body = pattern.slice(i + 1, end);
+      source += body.startsWith('!')
+        ? `[^/${body.slice(1).replace(/[\\\]^]/g, '\\$&')}]`
+        : `[${body.replace(/[\\\]^]/g, '\\$&')}]`;
+      i = end;
+    } else if (char === '{' && end !== -1) {
+      source += `(?:${pattern.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Predicate for an address pattern; an empty pattern matches everything
+ */
+export const matchAddress = (pattern) => {
+  if (!pattern || !pattern.trim()) return () => true;
+  const regex = compileAddressPattern(pattern.trim());
+  return (address) => regex.test(address);
+};
+
+/**
+ * The last `count` matching messages at or before `position` (ms), for the timeline viewer
+ */
+export const getMessagesBefore = (session, position, { count = 20, filter = '' } = {}) => {
+  const matches = matchAddress(filter);
+  const results = [];
+
+  for (let i = findIndexAt(session.messages, position) - 1; i >= 0 && results.length < count; i--) {
+    if (matches(session.messages[i].address)) results.unshift(session.messages[i]);
+  }
+
+  return results;
+};
+
+/**
+ * Index of the first message after `position` (ms); messages are sorted by t
+ */
+export const findIndexAt = (messages, position) => {
+  let low = 0;
+  let high = messages.length;
+
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (messages[mid].t <= position) low = mid + 1;
+    else high = mid;
+  }
+
+  return low;
+};
+
+/**
+ * Check a session read from IndexedDB or a file and put its messages in time order
+ */
+export const parseSession = (data) => {
+  const session = typeof data === 'string' ? JSON.parse(data) : data;
+  if (!session || !Array.isArray(session.messages)) {
+    throw new Error('Not an OSC recording: missing messages');
+  }
+
+  const messages = session.messages
+    .filter((message) => typeof message.address === 'string' && Number.isFinite(message.t))
+    .map((message) => ({
+      t: message.t,
+      direction: message.direction === 'in' ? 'in' : 'out',
+      address: message.address,
+      args: normalizeOSCArgs(message.args)
+    }))
+    .sort((a, b) => a.t - b.t);
+
+  return {
+    ...session,
+    version: session.version || RECORDING_VERSION,
+    name: session.name || 'Imported recording',
+    duration: Math.max(session.duration || 0, messages.length > 0 ? messages[messages.length - 1].t : 0),
+    messages
+  };
+};
+
+class OSCRecorder extends EventEmitter {
+  constructor() {
+    super();
+    this.recording = false;
+    this.session = null;
+    this.clockStart = 0;
+
+    this.replay = {
+      session: null,
+      playing: false,
+      position: 0,
+      index: 0,
+      speed: 1,
+      filter: '',
+      matches: () => true,
+      directions: ['out', 'in'],
+      timer: null,
+      clockStart: 0,
+      positionAtStart: 0
+    };
+
+    // Tracker bundles and chatbox sends skip VRTrackingSystem, so tap the bridge itself
+    oscBridge.onSend((address, args) => this.capture('out', address, args));
+    oscBridge.onMessage((message) => this.capture('in', message.address, message.args));
+  }
+
+  /**
+   * Start a new session; a running replay is stopped so it isn't captured
+   */
+  startRecording(name) {
+    if (this.recording) return this.session;
+    this.stopReplay();
+
+    const startedAt = new Date();
+    this.session = {
+      version: RECORDING_VERSION,
+      name: name || `Session ${startedAt.toLocaleString()}`,
+      startedAt: startedAt.toISOString(),
+      avatarId: vrTrackingSystem.vrchat.avatarId,
+      duration: 0,
+      messages: []
+    };
+    this.clockStart = performance.now();
+    this.recording = true;
+
+    this.emit('recorder:started', this.session);
+    return this.session;
+  }
+
+  stopRecording() {
+    if (!this.recording) return this.session;
+    this.recording = false;
+    this.session.duration = performance.now() - this.clockStart;
+
+    this.emit('recorder:stopped', this.session);
+    return this.session;
+  }
+
+  capture(direction, address, data) {
+    if (!this.recording) return;
+
+    this.session.messages.push({
+      t: performance.now() - this.clockStart,
+      direction,
+      address,
+      args: normalizeOSCArgs(data)
+    });
+
+    if (this.session.messages.length >= MAX_MESSAGES) {
+      console.warn(`OSC recording reached ${MAX_MESSAGES} messages and was stopped`);
+      this.stopRecording();
+    }
+  }
+
+  /**
+   * Store a session in IndexedDB; resolves to the stored session with its id
+   */
+  async saveSession(session = this.session) {
+    try {
+      const data = { ...session };
+      delete data.id;
+      const storedId = await saveOSCRecording(data);
+      this.emit('recorder:saved', storedId);
+      return { ...data, id: storedId };
+    } catch (error) {
+      console.error('Failed to save OSC recording:', error);
+      this.emit('recorder:error', error);
+      return null;
+    }
+  }
+
+  /**
+   * Stored sessions, newest first
+   */
+  async getSessions() {
+    try {
+      const sessions = await getOSCRecordings();
+      return sessions.map(parseSession).sort((a, b) => b.timestamp - a.timestamp);
+    } catch (error) {
+      console.error('Failed to load OSC recordings:', error);
+      return [];
+    }
+  }
+
+  async deleteSession(id) {
+    await deleteOSCRecording(id);
+    if (this.replay.session?.id === id) this.load(null);
+    this.emit('recorder:deleted', id);
+  }
+
+  exportSession(session = this.session) {
+    const data = { ...session };
+    delete data.id;
+    delete data.timestamp;
+    return JSON.stringify(data);
+  }
+
+  importSession(json) {
+    return parseSession(json);
+  }
+
+  /**
+   * Load a session for replay and rewind to its start
+   */
+  load(session) {
+    this.pause();
+    this.replay.session = session ? parseSession(session) : null;
+    this.replay.position = 0;
+    this.replay.index = 0;
+    this.emit('replay:loaded', this.replay.session);
+  }
+
+  /**
+   * Replay from the current position. Outgoing messages are re-sent to VRChat,
+   * incoming ones are fed back through VRTrackingSystem as if VRChat sent them.
+   */
+  play(options = {}) {
+    if (!this.replay.session) return false;
+    if (this.recording) this.stopRecording();
+
+    clearTimeout(this.replay.timer);
+    this.configureReplay(options);
+    if (this.replay.index >= this.replay.session.messages.length) this.seek(0);
+
+    this.replay.playing = true;
+    this.restartClock();
+    this.emit('replay:playing', this.getReplayStatus());
+    this.step();
+    return true;
+  }
+
+  pause() {
+    if (!this.replay.playing) return;
+    clearTimeout(this.replay.timer);
+    this.replay.timer = null;
+    this.replay.playing = false;
+    this.emit('replay:paused', this.getReplayStatus());
+  }
+
+  stopReplay() {
+    this.pause();
+    if (this.replay.session) this.seek(0);
+  }
+
+  /**
+   * Move the replay cursor (ms into the session); nothing is sent for the skipped span
+   */
+  seek(position) {
+    const { session } = this.replay;
+    if (!session) return;
+
+    this.replay.position = Math.max(0, Math.min(session.duration, position));
+    this.replay.index = findIndexAt(session.messages, this.replay.position);
+
+    if (this.replay.playing) {
+      clearTimeout(this.replay.timer);
+      this.restartClock();
+      this.step();
+    }
+
+    this.emit('replay:progress', this.getReplayStatus());
+  }
+
+  /**
+   * Speed (1 = real time), address pattern filter and which directions to replay
+   */
+  configureReplay(options = {}) {
+    if (options.speed !== undefined) {
+      this.replay.speed = Math.max(0.1, Math.min(10, Number(options.speed) || 1));
+      this.restartClock();
+    }
+
+    if (options.filter !== undefined) {
+      try {
+        this.replay.matches = matchAddress(options.filter);
+        this.replay.filter = options.filter;
+      } catch (error) {
+        console.error(`Invalid OSC address pattern ${options.filter}:`, error);
+        this.emit('recorder:error', error);
+      }
+    }
+
+    if (options.directions) this.replay.directions = [...options.directions];
+    return this.getReplayStatus();
+  }
+
+  restartClock() {
+    this.replay.clockStart = performance.now();
+    this.replay.positionAtStart = this.replay.position;
+  }
+
+  /**
+   * Send everything that is due, then sleep until the next message
+   */
+  step() {
+    const { session, speed } = this.replay;
+    const { messages } = session;
+    const position = this.replay.positionAtStart + (performance.now() - this.replay.clockStart) * speed;
+
+    while (this.replay.index < messages.length && messages[this.replay.index].t <= position) {
+      const message = messages[this.replay.index++];
+      if (this.replay.directions.includes(message.direction) && this.replay.matches(message.address)) {
+        this.dispatch(message);
+      }
+    }
+
+    this.replay.position = Math.min(position, session.duration);
+    this.emit('replay:progress', this.getReplayStatus());
+
+    if (this.replay.index >= messages.length) {
+      this.replay.playing = false;
+      this.replay.position = session.duration;
+      this.emit('replay:ended', this.getReplayStatus());
+      return;
+    }
+
+    const wait = (messages[this.replay.index].t - position) / speed;
+    this.replay.timer = setTimeout(() => this.step(), Math.max(0, wait));
+  }
+
+  dispatch(message) {
+    try {
+      if (message.direction === 'out') {
+        oscBridge.send(message.address, message.args);
+      } else {
+        vrTrackingSystem.handleOSCMessage({ address: message.address, args: message.args, replayed: true });
+      }
+      this.emit('replay:message', message);
+    } catch (error) {
+      console.error(`Failed to replay ${message.address}:`, error);
+      this.emit('recorder:error', error);
+    }
+  }
+
+  getReplayStatus() {
+    const { session } = this.replay;
+    return {
+      loaded: !!session,
+      name: session?.name || null,
+      playing: this.replay.playing,
+      position: this.replay.position,
+      duration: session?.duration || 0,
+      messages: session?.messages.length || 0,
+      speed: this.replay.speed,
+      filter: this.replay.filter,
+      directions: [...this.replay.directions]
+    };
+  }
+
+  getStatus() {
+    return {
+      recording: this.recording,
+      name: this.session?.name || null,
+      messages: this.session?.messages.length || 0,
+      duration: this.recording ? performance.now() - this.clockStart : this.session?.duration || 0,
+      replay: this.getReplayStatus()
+    };
+  }
+}
+
+export const oscRecorder = new OSCRecorder();
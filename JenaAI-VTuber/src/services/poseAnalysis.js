@@ -0,0 +1,546 @@
+import { KEYPOINT_LAYOUTS, normalizeKeypoints } from './poseSolver.js';
+
+/**
+ * Pose Analysis
+ * Finds recurring postures and gestures in body keypoints (any layout
+ * poseSolver.js reads). Poses are first normalized: moved so the neck is at
+ * the origin, turned so the torso points up and scaled to one torso length,
+ * so the same posture matches wherever and however large the person stands
+ * in the image.
+ *
+ * Postures are clustered with k-medoids on limb angles and named after their
+ * medoid. Gestures (wave, nod, shrug, point) are matched against templates
+ * with dynamic time warping, so they are found at any speed.
+ */
+
+// Keypoints below this confidence are treated as missing
+export const MIN_KEYPOINT_CONFIDENCE = 0.3;
+
+// Poses within this mean limb angle difference (radians) of a medoid belong to its posture
+export const POSTURE_RADIUS = 0.35;
+
+// Postures seen in fewer poses than this share are transitions, not postures
+export const MIN_POSTURE_SHARE = 0.1;
+
+// Gesture channels are resampled to this rate before matching
+const GESTURE_SAMPLE_RATE = 10;
+
+// A pause longer than this (seconds) starts a new gesture sequence
+const MAX_FRAME_GAP = 0.5;
+
+// Torso length in shoulder widths, for poses without hips
+const TORSO_PER_SHOULDER_WIDTH = 1.3;
+
+// Limb angles clustering compares: name -> [from joint, to joint]
+const POSTURE_SEGMENTS = {
+  leftArm: ['leftShoulder', 'leftElbow'],
+  leftForearm: ['leftElbow', 'leftWrist'],
+  rightArm: ['rightShoulder', 'rightElbow'],
+  rightForearm: ['rightElbow', 'rightWrist'],
+  head: ['neck', 'nose']
+};
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const wrapAngle = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+
+const midpoint = (a, b) => (a && b ? { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, confidence: Math.min(a.confidence, b.confidence) } : null);
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * Joints of a pose normalized for translation, rotation and scale, with +y up
+ * and lengths in torso lengths; null without enough of the torso to measure.
+ * The shoulder width (in torso lengths) is kept for head measurements.
+ */
+export const normalizePose = (keypoints) => {
+  const normalized = normalizeKeypoints(keypoints);
+  if (!normalized) return null;
+
+  const joints = {};
+  Object.entries(KEYPOINT_LAYOUTS[normalized.layout].joints).forEach(([name, index]) => {
+    const point = normalized.points[index];
+    if (point && point.confidence >= MIN_KEYPOINT_CONFIDENCE) {
+      joints[name] = { x: point.x, y: -point.y, confidence: point.confidence };
+    }
+  });
+
+  joints.neck = joints.neck || midpoint(joints.leftShoulder, joints.rightShoulder);
+  joints.midHip = joints.midHip || midpoint(joints.leftHip, joints.rightHip);
+  if (!joints.neck) return null;
+
+  // Torso direction, or square to the shoulders without hips
+  let up = null;
+  let torso = 0;
+  if (joints.midHip) {
+    up = { x: joints.neck.x - joints.midHip.x, y: joints.neck.y - joints.midHip.y };
+    torso = Math.hypot(up.x, up.y);
+  } else if (joints.leftShoulder && joints.rightShoulder) {
+    up = { x: joints.rightShoulder.y - joints.leftShoulder.y, y: joints.leftShoulder.x - joints.rightShoulder.x };
+    torso = Math.hypot(up.x, up.y) * TORSO_PER_SHOULDER_WIDTH;
+  }
+  if (!up || torso === 0) return null;
+
+  const angle = Math.atan2(up.x, up.y);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const origin = joints.neck;
+
+  const result = {};
+  Object.entries(joints).forEach(([name, joint]) => {
+    const x = (joint.x - origin.x) / torso;
+    const y = (joint.y - origin.y) / torso;
+    result[name] = { x: x * cos - y * sin, y: x * sin + y * cos, confidence: joint.confidence };
+  });
+
+  return {
+    joints: result,
+    shoulderWidth: result.leftShoulder && result.rightShoulder ? distance(result.leftShoulder, result.rightShoulder) : null
+  };
+};
+
+/**
+ * Limb angles of a normalized pose (radians, 0 pointing to the person's left,
+ * PI / 2 up); null for limbs that aren't visible
+ */
+export const getPostureFeatures = (pose) => {
+  const features = {};
+  Object.entries(POSTURE_SEGMENTS).forEach(([name, [from, to]]) => {
+    const a = pose.joints[from];
+    const b = pose.joints[to];
+    features[name] = a && b ? Math.atan2(b.y - a.y, b.x - a.x) : null;
+  });
+  return features;
+};
+
+/**
+ * Mean angle difference over the limbs both poses show; PI when they share none
+ */
+export const postureDistance = (a, b) => {
+  const shared = Object.keys(POSTURE_SEGMENTS).filter((name) => a[name] !== null && b[name] !== null);
+  if (shared.length === 0) return Math.PI;
+  return shared.reduce((sum, name) => sum + Math.abs(wrapAngle(a[name] - b[name])), 0) / shared.length;
+};
+
+/**
+ * Describe an arm by how high the upper arm points: down, out or raised.
+ * A forearm pointing up makes a lowered arm 'hand up' and an arm held out
+ * 'hand raised'.
+ */
+const describeArm = (features, side) => {
+  const sign = side === 'left' ? 1 : -1;
+  const elevation = (angle) => Math.atan2(Math.sin(angle), sign * Math.cos(angle));
+  const arm = features[`${side}Arm`];
+  const forearm = features[`${side}Forearm`];
+  if (arm === null) return null;
+
+  if (elevation(arm) > 0.8) return 'raised';
+  if (elevation(arm) > -0.6) return forearm !== null && elevation(forearm) > 1 ? 'hand raised' : 'out';
+  return forearm !== null && elevation(forearm) > 0 ? 'hand up' : 'down';
+};
+
+/**
+ * A readable name for a posture from its medoid's limb angles
+ */
+export const namePosture = (features) => {
+  const arms = { left: describeArm(features, 'left'), right: describeArm(features, 'right') };
+  const parts = [];
+
+  if (arms.left && arms.left === arms.right) {
+    parts.push(arms.left.startsWith('hand') ? `Both hands ${arms.left.slice(5)}` : `Arms ${arms.left}`);
+  } else {
+    ['left', 'right'].forEach((side) => {
+      const state = arms[side];
+      if (!state || state === 'down') return;
+      parts.push(state.startsWith('hand') ? `${side} ${state}` : `${side} arm ${state}`);
+    });
+    if (parts.length === 0 && (arms.left || arms.right)) parts.push('Arms down');
+  }
+
+  if (features.head !== null) {
+    const tilt = wrapAngle(features.head - Math.PI / 2);
+    if (Math.abs(tilt) > 0.25) parts.push(`head tilted ${tilt < 0 ? 'left' : 'right'}`);
+  }
+
+  const name = parts.join(', ');
+  return name ? name[0].toUpperCase() + name.slice(1) : 'Unknown posture';
+};
+
+/**
+ * Cluster posture features with k-medoids. k isn't fixed: medoids are added
+ * farthest-first until every pose is within POSTURE_RADIUS of one, then
+ * refined. Clusters under minShare of the poses are left out. Returns
+ * [{ name, medoid, features, count, share, spread }] by count, where medoid
+ * is an index into `features`, and each pose's cluster index (or -1).
+ */
+export const clusterPostures = (features, options = {}) => {
+  const { radius = POSTURE_RADIUS, minShare = MIN_POSTURE_SHARE, maxClusters = 8, iterations = 10 } = options;
+  const count = features.length;
+  if (count === 0) return { postures: [], assignments: [] };
+
+  const distances = features.map((a) => features.map((b) => postureDistance(a, b)));
+  const nearest = (medoids, index) => medoids.reduce((best, medoid, cluster) => (
+    distances[index][medoid] < distances[index][medoids[best]] ? cluster : best
+  ), 0);
+
+  // Start from the most central pose, then keep adding the pose farthest from every medoid
+  const total = (index) => distances[index].reduce((sum, value) => sum + value, 0);
+  let medoids = [features.map((_, index) => index).reduce((best, index) => (total(index) < total(best) ? index : best), 0)];
+  while (medoids.length < maxClusters) {
+    const gaps = features.map((_, index) => Math.min(...medoids.map((medoid) => distances[index][medoid])));
+    const farthest = gaps.indexOf(Math.max(...gaps));
+    if (gaps[farthest] <= radius) break;
+    medoids.push(farthest);
+  }
+
+  // Alternate assigning poses and moving each medoid to its cluster's most central pose
+  let assignments = [];
+  for (let iteration = 0; iteration < iterations; iteration += 1) {
+    assignments = features.map((_, index) => nearest(medoids, index));
+    const next = medoids.map((medoid, cluster) => {
+      const members = assignments.map((assigned, index) => (assigned === cluster ? index : -1)).filter((index) => index !== -1);
+      const cost = (candidate) => members.reduce((sum, index) => sum + distances[candidate][index], 0);
+      return members.reduce((best, index) => (cost(index) < cost(best) ? index : best), medoid);
+    });
+    if (next.every((medoid, cluster) => medoid === medoids[cluster])) break;
+    medoids = next;
+  }
+  assignments = features.map((_, index) => nearest(medoids, index));
+
+  const clusters = medoids
+    .map((medoid, cluster) => {
+      const members = assignments.filter((assigned) => assigned === cluster).length;
+      const spread = assignments.reduce((sum, assigned, index) => sum + (assigned === cluster ? distances[index][medoid] : 0), 0);
+      return { cluster, medoid, features: features[medoid], count: members, share: members / count, spread: spread / Math.max(members, 1) };
+    })
+    .filter(({ share }) => share >= minShare)
+    .sort((a, b) => b.count - a.count);
+
+  // Same names get numbered
+  const names = {};
+  const postures = clusters.map((cluster) => {
+    const base = namePosture(cluster.features);
+    names[base] = (names[base] || 0) + 1;
+
+    const posture = { name: names[base] > 1 ? `${base} ${names[base]}` : base, ...cluster };
+    delete posture.cluster;
+    return posture;
+  });
+
+  return {
+    postures,
+    assignments: assignments.map((assigned) => clusters.findIndex(({ cluster }) => cluster === assigned))
+  };
+};
+
+/**
+ * The posture (from clusterPostures) a pose's features match, or null
+ */
+export const classifyPosture = (features, postures, radius = POSTURE_RADIUS) => {
+  const ranked = postures
+    .map((posture) => ({ posture, distance: postureDistance(features, posture.features) }))
+    .sort((a, b) => a.distance - b.distance);
+  return ranked[0] && ranked[0].distance <= radius ? ranked[0].posture : null;
+};
+
+/**
+ * Measurements gestures are matched on; NaN where a joint isn't visible.
+ * Wrists are relative to their shoulder with x pointing away from the body,
+ * in torso lengths; head measurements are in shoulder widths.
+ */
+const getGestureChannels = (pose) => {
+  const { joints, shoulderWidth } = pose || { joints: {} };
+  const channels = {};
+
+  ['left', 'right'].forEach((side) => {
+    const sign = side === 'left' ? 1 : -1;
+    const shoulder = joints[`${side}Shoulder`];
+    const elbow = joints[`${side}Elbow`];
+    const wrist = joints[`${side}Wrist`];
+
+    channels[`${side}WristOut`] = shoulder && wrist ? sign * (wrist.x - shoulder.x) : NaN;
+    channels[`${side}WristUp`] = shoulder && wrist ? wrist.y - shoulder.y : NaN;
+    // 1 with the arm straight
+    channels[`${side}Reach`] = shoulder && elbow && wrist
+      ? distance(shoulder, wrist) / Math.max(distance(shoulder, elbow) + distance(elbow, wrist), 1e-6)
+      : NaN;
+  });
+
+  const ears = midpoint(joints.leftEar, joints.rightEar) || midpoint(joints.leftEye, joints.rightEye);
+  const shoulders = midpoint(joints.leftShoulder, joints.rightShoulder);
+  channels.headPitch = ears && joints.nose && shoulderWidth ? (joints.nose.y - ears.y) / shoulderWidth : NaN;
+  channels.headHeight = ears && shoulders && shoulderWidth ? (ears.y - shoulders.y) / shoulderWidth : NaN;
+
+  return channels;
+};
+
+/**
+ * Template values over `duration` seconds at the gesture sample rate
+ */
+const sampleTemplate = (duration, shape) => Array.from(
+  { length: Math.round(duration * GESTURE_SAMPLE_RATE) + 1 },
+  (_, index) => shape(index / Math.round(duration * GESTURE_SAMPLE_RATE))
+);
+
+const channelValues = (samples, name) => samples.map((sample) => sample[name]).filter((value) => !Number.isNaN(value));
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : NaN);
+
+/**
+ * Copy of channel vectors with each channel's mean removed and its range
+ * scaled to 1, so only the shape of the movement counts
+ */
+const normalizeChannels = (vectors) => {
+  const scales = (vectors[0] || []).map((_, channel) => {
+    const values = vectors.map((vector) => vector[channel]).filter((value) => !Number.isNaN(value));
+    const range = values.length > 0 ? Math.max(...values) - Math.min(...values) : 0;
+    return { mean: mean(values), range: range || 1 };
+  });
+  return vectors.map((vector) => vector.map((value, channel) => (value - scales[channel].mean) / scales[channel].range));
+};
+
+/**
+ * Gesture templates: the shape of some channels' movement, with a variant per
+ * starting phase for repeated movements. A window only counts when every
+ * matched channel moves at least minRange and `requires` holds (where the
+ * hands are, say). threshold is the largest mean difference per channel, in
+ * ranges, that still matches.
+ */
+const createGestureTemplates = () => {
+  const templates = [];
+
+  ['left', 'right'].forEach((side) => {
+    const other = side === 'left' ? 'right' : 'left';
+
+    // Hand held above the shoulder, swinging side to side twice
+    templates.push({
+      gesture: 'wave',
+      side,
+      channels: [`${side}WristOut`],
+      variants: [0, 1, 2, 3, 4, 5].map((phase) => sampleTemplate(1.2, (t) => [Math.sin(t * Math.PI * 4 + phase * Math.PI / 3)])),
+      minRange: 0.15,
+      threshold: 0.15,
+      requires: (samples) => {
+        const heights = channelValues(samples, `${side}WristUp`);
+        return heights.length > 0 && Math.min(...heights) > 0;
+      }
+    });
+
+    // Hand comes up to shoulder height on a straight arm and stays, with the other arm down
+    templates.push({
+      gesture: 'point',
+      side,
+      channels: [`${side}WristUp`],
+      variants: [sampleTemplate(1, (t) => [-0.8 + 0.9 * Math.min(1, t / 0.35) ** 2])],
+      minRange: 0.45,
+      threshold: 0.1,
+      requires: (samples) => {
+        const end = samples.slice(-3);
+        return mean(channelValues(end, `${side}Reach`)) > 0.85
+          && Math.abs(mean(channelValues(end, `${side}WristUp`))) < 0.35
+          && !(mean(channelValues(end, `${other}WristUp`)) > -0.3);
+      }
+    });
+  });
+
+  // Head dips and comes back up
+  templates.push({
+    gesture: 'nod',
+    side: null,
+    channels: ['headPitch'],
+    variants: [sampleTemplate(0.6, (t) => [-Math.sin(t * Math.PI)])],
+    minRange: 0.06,
+    threshold: 0.1,
+    requires: () => true
+  });
+
+  // Shoulders rise toward the ears, hold and drop
+  templates.push({
+    gesture: 'shrug',
+    side: null,
+    channels: ['headHeight'],
+    variants: [sampleTemplate(1, (t) => [-Math.min(1, Math.sin(t * Math.PI) * 1.5)])],
+    minRange: 0.075,
+    threshold: 0.1,
+    requires: () => true
+  });
+
+  return templates.map((template) => ({ ...template, variants: template.variants.map(normalizeChannels) }));
+};
+
+export const GESTURE_TEMPLATES = createGestureTemplates();
+
+/**
+ * Dynamic time warping distance between two sequences of channel vectors,
+ * as the mean per-channel difference along the best alignment. Missing
+ * values cost 1.
+ */
+export const dtwDistance = (a, b) => {
+  const rows = a.length;
+  const columns = b.length;
+  if (rows === 0 || columns === 0) return Infinity;
+
+  // Alignments may stretch either sequence to about twice its length
+  const band = Math.max(Math.abs(rows - columns), Math.ceil(Math.max(rows, columns) / 2));
+  const cost = (i, j) => a[i].reduce((sum, value, channel) => (
+    sum + (Number.isNaN(value) || Number.isNaN(b[j][channel]) ? 1 : Math.abs(value - b[j][channel]))
+  ), 0) / a[i].length;
+
+  let previous = new Array(columns + 1).fill(Infinity);
+  let previousSteps = new Array(columns + 1).fill(0);
+  previous[0] = 0;
+
+  for (let i = 1; i <= rows; i += 1) {
+    const current = new Array(columns + 1).fill(Infinity);
+    const steps = new Array(columns + 1).fill(0);
+    for (let j = Math.max(1, i - band); j <= Math.min(columns, i + band); j += 1) {
+      const options = [[previous[j - 1], previousSteps[j - 1]], [previous[j], previousSteps[j]], [current[j - 1], steps[j - 1]]];
+      const [best, bestSteps] = options.reduce((min, option) => (option[0] < min[0] ? option : min));
+      current[j] = best + cost(i - 1, j - 1);
+      steps[j] = bestSteps + 1;
+    }
+    previous = current;
+    previousSteps = steps;
+  }
+
+  return previous[columns] / Math.max(previousSteps[columns], 1);
+};
+
+/**
+ * Frames ({ time, channels }) resampled at the gesture rate, linearly between frames
+ */
+const resampleChannels = (frames) => {
+  const end = frames[frames.length - 1].time;
+  const count = Math.floor((end - frames[0].time) * GESTURE_SAMPLE_RATE + 1e-6) + 1;
+  let index = 0;
+
+  return Array.from({ length: count }, (_, sample) => {
+    const time = end - (count - 1 - sample) / GESTURE_SAMPLE_RATE;
+    while (index < frames.length - 2 && frames[index + 1].time < time) index += 1;
+    const before = frames[index];
+    const after = frames[index + 1];
+    const alpha = clamp((time - before.time) / (after.time - before.time), 0, 1);
+
+    const channels = {};
+    Object.keys(after.channels).forEach((name) => {
+      channels[name] = before.channels[name] + (after.channels[name] - before.channels[name]) * alpha;
+    });
+    return channels;
+  });
+};
+
+/**
+ * Detects gestures in a live stream of poses. Each push matches every
+ * template against the last moments, at a few window lengths around the
+ * template's. A match is held back while it keeps getting closer and fires
+ * once it stops improving, so it reports the whole gesture; the next one
+ * must start after it ended.
+ */
+export class GestureDetector {
+  constructor(templates = GESTURE_TEMPLATES) {
+    this.templates = templates;
+    this.frames = [];
+    this.pending = {};
+    this.lastEnds = {};
+    this.maxDuration = Math.max(...templates.map(({ variants }) => variants[0].length / GESTURE_SAMPLE_RATE)) * 1.5 + 0.2;
+  }
+
+  reset() {
+    this.frames = [];
+    this.pending = {};
+    this.lastEnds = {};
+  }
+
+  /**
+   * Best match for a template in the last moments, or null
+   */
+  matchTemplate(template, samples, time) {
+    const best = [0.75, 1, 1.5]
+      .map((stretch) => Math.round(template.variants[0].length * stretch))
+      .filter((length) => length <= samples.length)
+      .map((length) => samples.slice(-length))
+      .filter((window) => template.requires(window) && template.channels.every((name) => {
+        const values = channelValues(window, name);
+        return values.length > 0 && Math.max(...values) - Math.min(...values) >= template.minRange;
+      }))
+      .map((window) => {
+        const vectors = normalizeChannels(window.map((sample) => template.channels.map((name) => sample[name])));
+        return { length: window.length, distance: Math.min(...template.variants.map((values) => dtwDistance(vectors, values))) };
+      })
+      .reduce((min, candidate) => (!min || candidate.distance < min.distance ? candidate : min), null);
+
+    if (!best || best.distance > template.threshold) return null;
+    return {
+      gesture: template.gesture,
+      side: template.side,
+      distance: best.distance,
+      score: clamp(1 - best.distance / template.threshold, 0, 1),
+      start: time - (best.length - 1) / GESTURE_SAMPLE_RATE,
+      end: time
+    };
+  }
+
+  /**
+   * Fire a held match unless it overlaps the last gesture of its kind
+   */
+  release(key) {
+    const detection = { ...this.pending[key] };
+    delete detection.distance;
+    delete this.pending[key];
+    if (detection.start <= (this.lastEnds[key] ?? -Infinity)) return [];
+
+    this.lastEnds[key] = detection.end;
+    return [detection];
+  }
+
+  /**
+   * Fire every held match, e.g. at the end of a recording
+   */
+  flush() {
+    return Object.keys(this.pending).flatMap((key) => this.release(key));
+  }
+
+  /**
+   * Add a pose (keypoints, time in seconds) and return the gestures that
+   * finished: [{ gesture, side, score, start, end }], score 0..1
+   */
+  push(keypoints, time) {
+    const last = this.frames[this.frames.length - 1];
+    if (last && time <= last.time) return [];
+
+    const detections = [];
+    if (last && time - last.time > MAX_FRAME_GAP) {
+      detections.push(...this.flush());
+      this.reset();
+    }
+
+    this.frames.push({ time, channels: getGestureChannels(normalizePose(keypoints)) });
+    while (this.frames.length > 2 && time - this.frames[1].time > this.maxDuration) this.frames.shift();
+    if (this.frames.length < 2) return detections;
+
+    const samples = resampleChannels(this.frames);
+    this.templates.forEach((template) => {
+      const key = `${template.gesture}:${template.side}`;
+      const match = this.matchTemplate(template, samples, time);
+      const pending = this.pending[key];
+
+      if (match && (!pending || match.distance <= pending.distance)) {
+        this.pending[key] = match;
+      } else if (pending) {
+        detections.push(...this.release(key));
+      }
+    });
+
+    return detections;
+  }
+}
+
+/**
+ * Gestures in a recorded sequence of poses ({ keypoints, time } in seconds,
+ * or timestamp in ms), in order
+ */
+export const detectGestures = (poses, templates = GESTURE_TEMPLATES) => {
+  const detector = new GestureDetector(templates);
+  const detections = poses.flatMap((pose) => detector.push(pose.keypoints, pose.time ?? pose.timestamp / 1000));
+  return [...detections, ...detector.flush()];
+};
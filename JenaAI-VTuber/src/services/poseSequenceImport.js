@@ -0,0 +1,251 @@
+import { KEYPOINT_LAYOUTS, normalizeKeypoints, bakePoseClip } from './poseSolver.js';
+
+/**
+ * Pose Sequence Import
+ * Reads body tracking from video analysis: OpenPose's per-frame
+ * *_keypoints.json files (picked one by one, as a folder or as a zip) or
+ * MediaPipe pose landmark JSON. Frames are smoothed over time and solved into
+ * a keyframe clip through poseSolver.js.
+ */
+
+export const POSE_SEQUENCE_EXTENSIONS = ['.json', '.zip'];
+
+// OpenPose writes one file per video frame without timestamps
+export const DEFAULT_FRAME_RATE = 30;
+
+// Frames on each side a keypoint is averaged over
+export const DEFAULT_SMOOTHING = 2;
+
+/**
+ * Text files in a zip archive as [{ name, text }]. Deflated entries are
+ * inflated with the browser's DecompressionStream.
+ */
+const readZip = async (buffer) => {
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder();
+
+  // The end of central directory record is the last thing in the file, before an optional comment
+  let end = buffer.byteLength - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end -= 1;
+  if (end < 0) throw new Error('Not a zip archive');
+
+  const entries = [];
+  let offset = view.getUint32(end + 16, true);
+
+  for (let i = 0; i < view.getUint16(end + 10, true); i += 1) {
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const headerOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+
+    if (name.endsWith('/')) continue;
+
+    const dataStart = headerOffset + 30 + view.getUint16(headerOffset + 26, true) + view.getUint16(headerOffset + 28, true);
+    const bytes = new Uint8Array(buffer, dataStart, compressedSize);
+
+    if (method === 0) {
+      entries.push({ name, text: decoder.decode(bytes) });
+    } else if (method === 8) {
+      const inflated = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      entries.push({ name, text: await new Response(inflated).text() });
+    } else {
+      console.warn(`Skipping ${name}: unsupported zip compression`);
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Frame number in an OpenPose file name (video_000000000012_keypoints.json)
+ */
+const getFrameNumber = (name) => {
+  const match = name.match(/(\d+)(?:_keypoints)?\.json$/i);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * The most confident person in an OpenPose frame
+ */
+const readOpenPosePerson = (json) => {
+  const people = (json.people || [])
+    .map((person) => normalizeKeypoints(person))
+    .filter(Boolean);
+
+  const total = ({ points }) => points.reduce((sum, { confidence }) => sum + confidence, 0);
+  return people.reduce((best, person) => (!best || total(person) > total(best) ? person : best), null);
+};
+
+/**
+ * Landmarks of the first pose in a MediaPipe result: legacy solutions write
+ * poseLandmarks, the tasks API a list of poses under landmarks. Normalized x
+ * and z are stretched by the aspect ratio so they match y.
+ */
+const readMediaPipeLandmarks = (frame, aspectRatio) => {
+  let landmarks = frame.poseLandmarks ?? frame.pose_landmarks ?? frame.landmarks;
+  if (Array.isArray(landmarks?.[0])) landmarks = landmarks[0];
+  if (!Array.isArray(landmarks)) landmarks = landmarks?.landmark;
+  if (!Array.isArray(landmarks)) return null;
+
+  return normalizeKeypoints(landmarks.map((landmark) => ({
+    x: landmark.x * aspectRatio,
+    y: landmark.y,
+    z: landmark.z === undefined ? null : landmark.z * aspectRatio,
+    confidence: landmark.visibility ?? landmark.presence ?? 1
+  })));
+};
+
+const readFrameTime = (frame) => {
+  if (typeof frame.time === 'number') return frame.time;
+  const timestamp = frame.timestamp ?? frame.timestampMs ?? frame.timestamp_ms;
+  return typeof timestamp === 'number' ? timestamp / 1000 : null;
+};
+
+const isMediaPipeFrame = (frame) => Boolean(frame) && typeof frame === 'object'
+  && ['poseLandmarks', 'pose_landmarks', 'landmarks'].some((key) => key in frame);
+
+/**
+ * Frames in a MediaPipe file: one result, a list of them (or under frames),
+ * or lists of landmarks
+ */
+const readMediaPipeFrames = (json) => {
+  const list = Array.isArray(json) ? json : json?.frames;
+  if (!Array.isArray(list)) return [json];
+
+  // A bare list of landmarks is a single frame
+  if (typeof list[0]?.x === 'number') return [{ landmarks: list }];
+  return list.map((frame) => (Array.isArray(frame) ? { landmarks: frame } : frame));
+};
+
+/**
+ * Read files (loose OpenPose frames, zips of them, or MediaPipe JSON) into
+ * { format, frames: [{ time, pose }] }. time is in seconds where the data has
+ * it and null otherwise; pose is { layout, points } or null when nobody was
+ * detected. Frames are in order.
+ */
+export const loadPoseSequence = async (files, options = {}) => {
+  const { aspectRatio = 16 / 9 } = options;
+  const documents = [];
+
+  for (const file of files) {
+    const fileName = file.name.toLowerCase();
+    if (fileName.endsWith('.zip')) {
+      const entries = await readZip(await file.arrayBuffer());
+      documents.push(...entries.filter(({ name }) => name.toLowerCase().endsWith('.json')));
+    } else if (fileName.endsWith('.json')) {
+      documents.push({ name: file.webkitRelativePath || file.name, text: await file.text() });
+    }
+  }
+
+  const parsed = documents
+    .map(({ name, text }) => {
+      try {
+        return { name, json: JSON.parse(text) };
+      } catch (error) {
+        console.warn(`Skipping ${name}: not valid JSON`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  const openPose = parsed.filter(({ json }) => Array.isArray(json?.people));
+  if (openPose.length > 0) {
+    const frames = openPose
+      .map(({ name, json }) => ({ number: getFrameNumber(name), name, pose: readOpenPosePerson(json) }))
+      .sort((a, b) => (a.number ?? 0) - (b.number ?? 0) || a.name.localeCompare(b.name, undefined, { numeric: true }));
+    return { format: 'openpose', frames: frames.map(({ pose }) => ({ time: null, pose })) };
+  }
+
+  // MediaPipe: a file per frame, or a file holding a list of frames
+  const frames = parsed
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+    .flatMap(({ json }) => readMediaPipeFrames(json))
+    .filter(isMediaPipeFrame)
+    .map((frame) => ({ time: readFrameTime(frame), pose: readMediaPipeLandmarks(frame, aspectRatio) }));
+
+  return { format: frames.length > 0 ? 'mediapipe' : null, frames };
+};
+
+/**
+ * Average confidence of the keypoints the solver uses, over all frames;
+ * frames without a person count as zero
+ */
+export const getSequenceConfidence = (frames) => {
+  if (frames.length === 0) return 0;
+
+  const perFrame = frames.map(({ pose }) => {
+    if (!pose) return 0;
+    const used = Object.values(KEYPOINT_LAYOUTS[pose.layout].joints);
+    return used.reduce((sum, index) => sum + (pose.points[index]?.confidence || 0), 0) / used.length;
+  });
+
+  return perFrame.reduce((sum, value) => sum + value, 0) / perFrame.length;
+};
+
+/**
+ * Average each keypoint over `radius` frames either side, weighted by
+ * confidence and a triangular window, so jitter settles and a keypoint the
+ * detector misses for a frame or two is filled in from its neighbours
+ */
+export const smoothPoseFrames = (frames, radius = DEFAULT_SMOOTHING) => {
+  const layout = frames.find(({ pose }) => pose)?.pose.layout;
+  if (!layout) return frames;
+
+  const poses = frames.map(({ pose }) => (pose?.layout === layout ? pose : null));
+  const count = poses.find(Boolean).points.length;
+
+  return frames.map((frame, index) => {
+    if (radius <= 0) return { ...frame, pose: poses[index] };
+
+    const points = Array.from({ length: count }, (_, point) => {
+      let weight = 0;
+      let window = 0;
+      const sum = { x: 0, y: 0, z: 0, confidence: 0 };
+      let hasDepth = false;
+
+      for (let offset = -radius; offset <= radius; offset += 1) {
+        const neighbour = poses[index + offset]?.points[point];
+        const falloff = 1 - Math.abs(offset) / (radius + 1);
+        window += falloff;
+        if (!neighbour || !(neighbour.confidence > 0)) continue;
+
+        const w = falloff * neighbour.confidence;
+        sum.x += neighbour.x * w;
+        sum.y += neighbour.y * w;
+        sum.z += (neighbour.z ?? 0) * w;
+        sum.confidence += neighbour.confidence * falloff;
+        hasDepth = hasDepth || neighbour.z !== null;
+        weight += w;
+      }
+
+      return weight > 0
+        ? { x: sum.x / weight, y: sum.y / weight, z: hasDepth ? sum.z / weight : null, confidence: sum.confidence / window }
+        : { x: 0, y: 0, z: null, confidence: 0 };
+    });
+
+    return { ...frame, pose: { layout, points } };
+  });
+};
+
+/**
+ * Smooth and solve a loaded sequence into { data, confidence }. Frames
+ * without a time are spaced at `frameRate`.
+ */
+export const bakePoseSequence = (sequence, options = {}) => {
+  const { frameRate = DEFAULT_FRAME_RATE, smoothing = DEFAULT_SMOOTHING, ...solverOptions } = options;
+  const frames = sequence.frames.map((frame, index) => ({ ...frame, time: frame.time ?? index / frameRate }));
+  const start = frames[0]?.time ?? 0;
+
+  const poses = smoothPoseFrames(frames, smoothing).map(({ time, pose }) => ({
+    time: time - start,
+    keypoints: pose?.points ?? null
+  }));
+
+  return {
+    data: bakePoseClip(poses, solverOptions),
+    confidence: getSequenceConfidence(sequence.frames),
+    poses
+  };
+};
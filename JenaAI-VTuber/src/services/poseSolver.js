@@ -0,0 +1,351 @@
+import * as THREE from 'three';
+import { bakeKeyframes } from './keyframeBaking.js';
+
+/**
+ * Pose Solver
+ * Turns OpenPose body keypoints (BODY_25, COCO 18 or the 17-point MS COCO
+ * layout) or MediaPipe's 33 pose landmarks into skeletalControls rotations for the hips, spine, neck, head,
+ * shoulders, upper arms and forearms. Keypoints are image coordinates (+x
+ * right, +y down) with an optional z away from the camera; without z the
+ * limbs are solved in the image plane and the head's turn and nod are
+ * estimated from the nose. Rotations come out in the humanoid rig's
+ * normalized space, assuming the avatar rests in a T-pose.
+ *
+ * Each bone blends from its previous rotation toward the solved one by the
+ * confidence of the keypoints it needs, so a joint the detector loses holds
+ * its last rotation instead of snapping.
+ */
+
+// Keypoint index per joint; COCO layouts have no neck or mid hip, which are
+// put between the shoulders and hips
+export const KEYPOINT_LAYOUTS = {
+  body25: {
+    count: 25,
+    joints: {
+      nose: 0, neck: 1, rightShoulder: 2, rightElbow: 3, rightWrist: 4, leftShoulder: 5, leftElbow: 6, leftWrist: 7,
+      midHip: 8, rightHip: 9, leftHip: 12, rightEye: 15, leftEye: 16, rightEar: 17, leftEar: 18
+    }
+  },
+  coco: {
+    count: 18,
+    joints: {
+      nose: 0, neck: 1, rightShoulder: 2, rightElbow: 3, rightWrist: 4, leftShoulder: 5, leftElbow: 6, leftWrist: 7,
+      rightHip: 8, leftHip: 11, rightEye: 14, leftEye: 15, rightEar: 16, leftEar: 17
+    }
+  },
+  coco17: {
+    count: 17,
+    joints: {
+      nose: 0, leftEye: 1, rightEye: 2, leftEar: 3, rightEar: 4, leftShoulder: 5, rightShoulder: 6,
+      leftElbow: 7, rightElbow: 8, leftWrist: 9, rightWrist: 10, leftHip: 11, rightHip: 12
+    }
+  },
+  mediapipe: {
+    count: 33,
+    joints: {
+      nose: 0, leftEye: 2, rightEye: 5, leftEar: 7, rightEar: 8, leftShoulder: 11, rightShoulder: 12,
+      leftElbow: 13, rightElbow: 14, leftWrist: 15, rightWrist: 16, leftHip: 23, rightHip: 24
+    }
+  }
+};
+
+export const DEFAULT_SOLVER_OPTIONS = {
+  // Below this a joint holds its previous rotation; at fullConfidence it follows completely
+  minConfidence: 0.3,
+  fullConfidence: 0.7,
+  // Flip left and right, for mirrored webcam images
+  mirror: false,
+  // Converts z (or depth) to the units of x and y
+  depthScale: 1
+};
+
+// Face proportions in eye distances, for the head's turn and nod from 2D keypoints:
+// how far the nose sits in front of and below the eyes
+const NOSE_DEPTH = 0.45;
+const NOSE_DROP = 0.6;
+
+// The bones solved, parents before children: skeletalControls key -> parent key
+const SOLVED_BONES = {
+  hips: null,
+  spine: 'hips',
+  neck: 'spine',
+  head: 'neck',
+  leftShoulder: 'spine',
+  rightShoulder: 'spine',
+  leftArm: 'leftShoulder',
+  rightArm: 'rightShoulder',
+  leftForearm: 'leftArm',
+  rightForearm: 'rightArm'
+};
+
+const X_AXIS = new THREE.Vector3(1, 0, 0);
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+const NEGATIVE_X_AXIS = new THREE.Vector3(-1, 0, 0);
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * One keypoint as { x, y, z, confidence }; z is null for 2D keypoints
+ */
+const readKeypoint = (entry) => {
+  if (Array.isArray(entry)) {
+    return entry.length >= 4
+      ? { x: entry[0], y: entry[1], z: entry[2], confidence: entry[3] }
+      : { x: entry[0], y: entry[1], z: null, confidence: entry[2] ?? 1 };
+  }
+
+  return {
+    x: entry?.x ?? 0,
+    y: entry?.y ?? 0,
+    z: entry?.z ?? null,
+    confidence: entry?.confidence ?? entry?.score ?? entry?.c ?? entry?.visibility ?? (entry ? 1 : 0)
+  };
+};
+
+const findLayout = (count) => Object.keys(KEYPOINT_LAYOUTS).find((name) => KEYPOINT_LAYOUTS[name].count === count) || null;
+
+/**
+ * Keypoints in any of the shapes OpenPose tools produce: a flat
+ * [x, y, c, ...] or [x, y, z, c, ...] array, an array of [x, y, c] or
+ * { x, y, z, confidence } points (MediaPipe's visibility counts as confidence),
+ * or an OpenPose person with
+ * pose_keypoints_2d/pose_keypoints_3d. Returns { layout, points } or null.
+ */
+export const normalizeKeypoints = (keypoints) => {
+  if (!keypoints) return null;
+
+  if (!Array.isArray(keypoints)) {
+    const flat = keypoints.pose_keypoints_3d?.length > 0 ? keypoints.pose_keypoints_3d : keypoints.pose_keypoints_2d;
+    return flat ? normalizeKeypoints(flat) : null;
+  }
+
+  if (keypoints.every((value) => typeof value === 'number')) {
+    const stride = [3, 4].find((size) => keypoints.length % size === 0 && findLayout(keypoints.length / size));
+    if (!stride) return null;
+
+    const points = [];
+    for (let i = 0; i < keypoints.length; i += stride) {
+      points.push(readKeypoint(keypoints.slice(i, i + stride)));
+    }
+    return { layout: findLayout(points.length), points };
+  }
+
+  const layout = findLayout(keypoints.length);
+  return layout ? { layout, points: keypoints.map(readKeypoint) } : null;
+};
+
+/**
+ * Rotation whose X and Y axes point along `x` and `y`, made orthogonal
+ * keeping the `keep` axis exact
+ */
+const frameRotation = (x, y, keep = 'y') => {
+  const xAxis = x.clone().normalize();
+  const yAxis = y.clone().normalize();
+
+  if (keep === 'y') {
+    xAxis.addScaledVector(yAxis, -xAxis.dot(yAxis)).normalize();
+  } else {
+    yAxis.addScaledVector(xAxis, -yAxis.dot(xAxis)).normalize();
+  }
+
+  const zAxis = new THREE.Vector3().crossVectors(xAxis, yAxis);
+  return new THREE.Quaternion().setFromRotationMatrix(new THREE.Matrix4().makeBasis(xAxis, yAxis, zAxis));
+};
+
+/**
+ * Local rotation that swings a bone's rest direction onto `direction`,
+ * given its parent's rotation relative to the model
+ */
+const swingTowards = (restDirection, direction, parentWorld) => {
+  const local = direction.clone().applyQuaternion(parentWorld.clone().invert()).normalize();
+  return new THREE.Quaternion().setFromUnitVectors(restDirection, local);
+};
+
+export class PoseSolver {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_SOLVER_OPTIONS, ...options };
+    this.rotations = new Map(Object.keys(SOLVED_BONES).map((bone) => [bone, new THREE.Quaternion()]));
+    this.weights = {};
+  }
+
+  reset() {
+    this.rotations.forEach((rotation) => rotation.identity());
+    this.weights = {};
+  }
+
+  /**
+   * Joint name -> { position (model space), confidence }, with neck and midHip
+   * filled in where the layout lacks them
+   */
+  readJoints({ layout, points }) {
+    const { mirror, depthScale } = this.options;
+    const joints = {};
+
+    Object.entries(KEYPOINT_LAYOUTS[layout].joints).forEach(([name, index]) => {
+      const point = points[index];
+      if (!point || !(point.confidence > 0)) return;
+
+      // Image axes to the model's: +X is the avatar's left, which faces the camera
+      joints[name] = {
+        position: new THREE.Vector3(mirror ? -point.x : point.x, -point.y, point.z === null ? 0 : -point.z * depthScale),
+        confidence: point.confidence,
+        hasDepth: point.z !== null
+      };
+    });
+
+    const between = (a, b) => (joints[a] && joints[b]
+      ? {
+        position: joints[a].position.clone().add(joints[b].position).multiplyScalar(0.5),
+        confidence: Math.min(joints[a].confidence, joints[b].confidence),
+        hasDepth: joints[a].hasDepth && joints[b].hasDepth
+      }
+      : null);
+
+    if (!joints.neck) joints.neck = between('leftShoulder', 'rightShoulder');
+    if (!joints.midHip) joints.midHip = between('leftHip', 'rightHip');
+    if (mirror) {
+      // Mirrored images show the left side where the right should be
+      ['Shoulder', 'Elbow', 'Wrist', 'Hip', 'Eye', 'Ear'].forEach((part) => {
+        [joints[`left${part}`], joints[`right${part}`]] = [joints[`right${part}`], joints[`left${part}`]];
+      });
+    }
+
+    return joints;
+  }
+
+  /**
+   * Head rotation relative to the model from the face keypoints
+   */
+  solveHead(joints) {
+    const { leftEye, rightEye, leftEar, rightEar, nose } = joints;
+    const eyeLine = leftEye.position.clone().sub(rightEye.position);
+    const eyeMiddle = leftEye.position.clone().add(rightEye.position).multiplyScalar(0.5);
+
+    if (leftEye.hasDepth && rightEye.hasDepth && (leftEar?.hasDepth && rightEar?.hasDepth || nose?.hasDepth)) {
+      const forward = leftEar && rightEar
+        ? eyeMiddle.clone().sub(leftEar.position.clone().add(rightEar.position).multiplyScalar(0.5))
+        : nose.position.clone().sub(eyeMiddle);
+      return frameRotation(eyeLine, new THREE.Vector3().crossVectors(forward, eyeLine), 'x');
+    }
+
+    // In 2D the eye line gives the roll; the nose's offset from between the eyes the turn and nod
+    const eyeDistance = eyeLine.length();
+    const roll = Math.atan2(eyeLine.y, eyeLine.x);
+    let yaw = 0;
+    let pitch = 0;
+
+    if (nose && eyeDistance > 0) {
+      const across = eyeLine.clone().normalize();
+      const down = new THREE.Vector3(across.y, -across.x, 0);
+      const offset = nose.position.clone().sub(eyeMiddle);
+      yaw = Math.atan(offset.dot(across) / (eyeDistance * NOSE_DEPTH));
+      pitch = Math.atan((offset.dot(down) / eyeDistance - NOSE_DROP) / NOSE_DEPTH);
+    }
+
+    return new THREE.Quaternion().setFromEuler(new THREE.Euler(pitch, yaw, roll, 'ZYX'));
+  }
+
+  /**
+   * Solved local rotation per bone, with the joints it depends on
+   */
+  solveBone(bone, joints, world) {
+    const { neck, midHip, leftHip, rightHip, leftShoulder, rightShoulder, leftEar, rightEar, leftEye, rightEye, nose } = joints;
+    const parentWorld = world[SOLVED_BONES[bone]] || new THREE.Quaternion();
+    const limbs = {
+      leftShoulder: [X_AXIS, neck, leftShoulder],
+      rightShoulder: [NEGATIVE_X_AXIS, neck, rightShoulder],
+      leftArm: [X_AXIS, leftShoulder, joints.leftElbow],
+      rightArm: [NEGATIVE_X_AXIS, rightShoulder, joints.rightElbow],
+      leftForearm: [X_AXIS, joints.leftElbow, joints.leftWrist],
+      rightForearm: [NEGATIVE_X_AXIS, joints.rightElbow, joints.rightWrist]
+    };
+
+    if (limbs[bone]) {
+      const [rest, from, to] = limbs[bone];
+      return [from, to].every(Boolean)
+        ? { rotation: swingTowards(rest, to.position.clone().sub(from.position), parentWorld), sources: [from, to] }
+        : null;
+    }
+
+    if (bone === 'hips') {
+      return leftHip && rightHip
+        ? { rotation: frameRotation(leftHip.position.clone().sub(rightHip.position), Y_AXIS, 'x'), sources: [leftHip, rightHip] }
+        : null;
+    }
+
+    if (bone === 'spine') {
+      if (!neck || !midHip) return null;
+      const across = leftShoulder && rightShoulder
+        ? leftShoulder.position.clone().sub(rightShoulder.position)
+        : X_AXIS.clone().applyQuaternion(parentWorld);
+      const spineWorld = frameRotation(across, neck.position.clone().sub(midHip.position), 'y');
+      return { rotation: parentWorld.clone().invert().multiply(spineWorld), sources: [neck, midHip] };
+    }
+
+    const headCenter = [[leftEar, rightEar], [leftEye, rightEye]]
+      .filter(([left, right]) => left && right)
+      .map(([left, right]) => ({
+        position: left.position.clone().add(right.position).multiplyScalar(0.5),
+        confidence: Math.min(left.confidence, right.confidence)
+      }))[0] || nose;
+
+    if (bone === 'neck') {
+      return neck && headCenter
+        ? { rotation: swingTowards(Y_AXIS, headCenter.position.clone().sub(neck.position), parentWorld), sources: [neck, headCenter] }
+        : null;
+    }
+
+    if (bone === 'head') {
+      return leftEye && rightEye
+        ? { rotation: parentWorld.clone().invert().multiply(this.solveHead(joints)), sources: [leftEye, rightEye] }
+        : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Solve one frame of keypoints to skeletalControls ({ x, y, z } radians
+   * per bone). `weights` holds how far each bone followed this frame.
+   */
+  solve(keypoints) {
+    const normalized = normalizeKeypoints(keypoints);
+    const { minConfidence, fullConfidence } = this.options;
+    const joints = normalized ? this.readJoints(normalized) : {};
+    const world = {};
+    const controls = {};
+
+    Object.keys(SOLVED_BONES).forEach((bone) => {
+      const solved = this.solveBone(bone, joints, world);
+      const confidence = solved ? Math.min(...solved.sources.map((joint) => joint.confidence)) : 0;
+      const weight = clamp((confidence - minConfidence) / Math.max(fullConfidence - minConfidence, 1e-6), 0, 1);
+
+      const rotation = this.rotations.get(bone);
+      if (weight > 0) rotation.slerp(solved.rotation, weight);
+      this.weights[bone] = weight;
+
+      world[bone] = (world[SOLVED_BONES[bone]] || new THREE.Quaternion()).clone().multiply(rotation);
+      const euler = new THREE.Euler().setFromQuaternion(rotation);
+      controls[bone] = { x: euler.x, y: euler.y, z: euler.z };
+    });
+
+    return controls;
+  }
+}
+
+/**
+ * Solve a sequence of poses ({ keypoints, time } in seconds, or timestamp in
+ * ms) with a fresh solver and bake it into keyframe data
+ */
+export const bakePoseClip = (poses, options = {}) => {
+  if (poses.length === 0) return null;
+
+  const solver = new PoseSolver(options);
+  const start = poses[0].time ?? poses[0].timestamp / 1000;
+  const samples = poses.map((pose) => ({
+    t: (pose.time ?? pose.timestamp / 1000) - start,
+    skeletalControls: solver.solve(pose.keypoints)
+  }));
+
+  return bakeKeyframes(samples, samples[samples.length - 1].t, options);
+};
@@ -0,0 +1,218 @@
+import { EventEmitter } from 'events';
+import * as THREE from 'three';
+import {
+  VRMSpringBoneManager,
+  VRMSpringBoneJoint,
+  VRMSpringBoneCollider,
+  VRMSpringBoneColliderShapeSphere
+} from '@pixiv/three-vrm';
+
+/**
+ * Spring Bone Physics
+ * Secondary motion for hair, tails and clothing. VRM models bring their own
+ * springBone (0.x) or VRMC_springBone (1.0) setup; plain glTF models use the
+ * chains and collider spheres saved in the avatar's settings. Both run on
+ * three-vrm's spring bone solver from the render loop.
+ */
+
+// Solver substeps per rendered frame
+export const SPRING_BONE_QUALITY = {
+  low: 1,
+  medium: 2,
+  high: 4
+};
+
+export const DEFAULT_CHAIN_SETTINGS = {
+  stiffness: 1,
+  gravityPower: 0.2,
+  dragForce: 0.4,
+  hitRadius: 0.02
+};
+
+export const DEFAULT_SPRING_BONE_SETTINGS = {
+  enabled: true,
+  quality: 'medium',
+  // Plain glTF only: [{ root: boneName, stiffness, gravityPower, dragForce, hitRadius }]
+  chains: [],
+  // Plain glTF only: [{ bone: boneName, radius, offset: [x, y, z] }]
+  colliders: []
+};
+
+// A long frame (tab in the background) would fling every chain
+const MAX_FRAME_DELTA = 1 / 30;
+
+/**
+ * Bones from the chain root down its first bone child, e.g. Hair1 -> Hair1_1 -> Hair1_2
+ */
+const collectChain = (root) => {
+  const bones = [];
+  let bone = root;
+
+  while (bone) {
+    bones.push(bone);
+    bone = bone.children.find((child) => child.isBone) || null;
+  }
+
+  return bones;
+};
+
+class SpringBonePhysics extends EventEmitter {
+  constructor() {
+    super();
+    this.model = null;
+    this.manager = null;
+    this.source = null;
+    this.settings = { ...DEFAULT_SPRING_BONE_SETTINGS };
+    this.colliderObjects = [];
+  }
+
+  /**
+   * Take over a newly loaded model. The VRM's own spring bones are moved out
+   * of vrm.update() so that the toggle and quality setting apply to them.
+   */
+  attach(model, vrm = null) {
+    this.detach();
+    this.model = model;
+
+    if (vrm?.springBoneManager) {
+      this.manager = vrm.springBoneManager;
+      this.source = 'vrm';
+      vrm.springBoneManager = undefined;
+      // Tails were captured before Scene3D moved and scaled the model
+      this.reset();
+    } else {
+      this.buildChains();
+    }
+
+    this.emit('springbones:attached', this.getStatus());
+  }
+
+  detach() {
+    if (this.source === 'chains') this.removeChains();
+    this.model = null;
+    this.manager = null;
+    this.source = null;
+  }
+
+  /**
+   * Apply per-avatar settings; chains are rebuilt when they change
+   */
+  configure(settings = {}) {
+    const chainsChanged = (settings.chains && settings.chains !== this.settings.chains)
+      || (settings.colliders && settings.colliders !== this.settings.colliders);
+
+    this.settings = { ...DEFAULT_SPRING_BONE_SETTINGS, ...this.settings, ...settings };
+
+    if (chainsChanged && this.model && this.source !== 'vrm') {
+      this.removeChains();
+      this.buildChains();
+    }
+
+    if (!this.settings.enabled) this.reset();
+
+    this.emit('springbones:configured', this.getStatus());
+    return this.getStatus();
+  }
+
+  buildChains() {
+    const { chains, colliders } = this.settings;
+    if (!this.model || chains.length === 0) return;
+
+    const manager = new VRMSpringBoneManager();
+
+    const colliderGroup = {
+      name: 'avatar',
+      colliders: colliders.map(({ bone, radius, offset }) => {
+        const node = this.model.getObjectByName(bone);
+        if (!node) return null;
+
+        const collider = new VRMSpringBoneCollider(new VRMSpringBoneColliderShapeSphere({
+          offset: new THREE.Vector3().fromArray(offset || [0, 0, 0]),
+          radius
+        }));
+        node.add(collider);
+        this.colliderObjects.push(collider);
+        return collider;
+      }).filter(Boolean)
+    };
+
+    chains.forEach((chain) => {
+      const root = this.model.getObjectByName(chain.root);
+      if (!root) {
+        console.warn(`Spring bone chain root ${chain.root} not found in model`);
+        return;
+      }
+
+      const settings = { ...DEFAULT_CHAIN_SETTINGS, ...chain };
+      const bones = collectChain(root);
+
+      // The last bone gets no child and swings a fixed 7cm tail, as in VRM 0.x
+      bones.forEach((bone, index) => {
+        manager.addJoint(new VRMSpringBoneJoint(bone, bones[index + 1] || null, {
+          stiffness: settings.stiffness,
+          gravityPower: settings.gravityPower,
+          dragForce: settings.dragForce,
+          hitRadius: settings.hitRadius,
+          gravityDir: new THREE.Vector3(0, -1, 0)
+        }, [colliderGroup]));
+      });
+    });
+
+    this.model.updateMatrixWorld(true);
+    manager.setInitState();
+    this.manager = manager;
+    this.source = 'chains';
+  }
+
+  /**
+   * Put chain bones back under three.js control; joints freeze their matrices
+   */
+  removeChains() {
+    if (this.manager) {
+      this.manager.reset();
+      this.manager.joints.forEach((joint) => {
+        joint.bone.matrixAutoUpdate = true;
+      });
+    }
+
+    this.colliderObjects.forEach((collider) => collider.removeFromParent());
+    this.colliderObjects = [];
+    this.manager = null;
+    this.source = null;
+  }
+
+  /**
+   * Step the solver; call once per rendered frame after bones are posed
+   */
+  update(delta) {
+    if (!this.manager || !this.settings.enabled) return;
+
+    const steps = SPRING_BONE_QUALITY[this.settings.quality] || SPRING_BONE_QUALITY.medium;
+    const step = Math.min(delta, MAX_FRAME_DELTA) / steps;
+
+    for (let i = 0; i < steps; i++) {
+      this.manager.update(step);
+    }
+  }
+
+  /**
+   * Drop accumulated motion, e.g. after the model is moved or rescaled
+   */
+  reset() {
+    if (!this.manager) return;
+    this.model.updateMatrixWorld(true);
+    this.manager.reset();
+  }
+
+  getStatus() {
+    return {
+      source: this.source,
+      enabled: this.settings.enabled,
+      quality: this.settings.quality,
+      joints: this.manager ? this.manager.joints.size : 0,
+      colliders: this.manager ? this.manager.colliders.length : 0
+    };
+  }
+}
+
+export const springBonePhysics = new SpringBonePhysics();
@@ -0,0 +1,172 @@
+import { EventEmitter } from 'events';
+import { useAvatarStore } from '../store/avatarStore.js';
+import { vrTrackingSystem } from './vrTrackingSystem.js';
+import { animationService } from './animationService.js';
+import { bakeKeyframes } from './keyframeBaking.js';
+import { decodeUnifiedExpression } from './vrcftUnifiedExpressions.js';
+
+/**
+ * Take Recorder
+ * Records a performance as the timestamped stream of skeletalControls,
+ * facialExpressions and eyeGaze changes (from the UI, VMC or the headset)
+ * plus face tracking parameters VRChat sends back over OSC, and bakes it into
+ * keyframe data AnimationService can replay (see keyframeBaking.js).
+ */
+
+// Long takes at tracking rates get big; recording stops here
+const MAX_SAMPLES = 100000;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Face tracking shapes (VRCFT Unified Expressions v2, float or bit-packed) -> avatar state.
+// EyeLid is 0 closed, 0.75 open and 1 wide.
+const UNIFIED_EXPRESSION_STATE = {
+  JawOpen: (value) => ({ facialExpressions: { jawOpen: value } }),
+  JawForward: (value) => ({ facialExpressions: { jawForward: value } }),
+  JawX: (value) => ({ facialExpressions: { jawLeft: Math.max(0, -value), jawRight: Math.max(0, value) } }),
+  MouthX: (value) => ({ facialExpressions: { mouthLeft: Math.max(0, -value), mouthRight: Math.max(0, value) } }),
+  MouthSmile: (value) => ({ facialExpressions: { mouthSmile: value } }),
+  MouthSad: (value) => ({ facialExpressions: { mouthFrown: value } }),
+  LipPucker: (value) => ({ facialExpressions: { mouthPucker: value } }),
+  LipFunnel: (value) => ({ facialExpressions: { mouthFunnel: value } }),
+  LipSuckUpper: (value) => ({ facialExpressions: { lipRollUpper: value } }),
+  LipSuckLower: (value) => ({ facialExpressions: { lipRollLower: value } }),
+  CheekPuff: (value) => ({ facialExpressions: { cheekPuff: value } }),
+  CheekSquint: (value) => ({ facialExpressions: { cheekSquint: value } }),
+  TongueOut: (value) => ({ facialExpressions: { tongueOut: value } }),
+  EyeLidLeft: (value) => ({ facialExpressions: { blinkLeft: clamp(1 - value / 0.75, 0, 1) } }),
+  EyeLidRight: (value) => ({ facialExpressions: { blinkRight: clamp(1 - value / 0.75, 0, 1) } }),
+  EyeX: (value) => ({ eyeGaze: { x: value } }),
+  EyeY: (value) => ({ eyeGaze: { y: value } })
+};
+
+class TakeRecorder extends EventEmitter {
+  constructor() {
+    super();
+    this.recording = false;
+    this.samples = [];
+    this.clockStart = 0;
+    this.duration = 0;
+    this.tracked = { facialExpressions: {}, eyeGaze: {} };
+    this.unsubscribe = null;
+
+    vrTrackingSystem.on('avatar:parameter', ({ name }) => this.captureTracking(name));
+  }
+
+  /**
+   * Start a take from the avatar's current state
+   */
+  start() {
+    if (this.recording) return false;
+
+    this.samples = [];
+    this.tracked = { facialExpressions: {}, eyeGaze: {} };
+    this.clockStart = performance.now();
+    this.duration = 0;
+    this.recording = true;
+    this.capture();
+
+    this.unsubscribe = useAvatarStore.subscribe((state, previous) => {
+      if (state.skeletalControls !== previous.skeletalControls
+        || state.facialExpressions !== previous.facialExpressions
+        || state.eyeGaze !== previous.eyeGaze) {
+        this.capture();
+      }
+    });
+
+    this.emit('take:started');
+    return true;
+  }
+
+  /**
+   * Stop recording without baking; the take can still be saved
+   */
+  finish() {
+    if (!this.recording) return;
+    this.recording = false;
+    this.duration = (performance.now() - this.clockStart) / 1000;
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    this.emit('take:stopped', { duration: this.duration, samples: this.samples.length });
+  }
+
+  /**
+   * Stop, bake and save the take as a clip; resolves to its keyframe data,
+   * or null when nothing moved or saving failed
+   */
+  async stop(name, options = {}) {
+    this.finish();
+    if (this.samples.length === 0) return null;
+
+    const data = bakeKeyframes(this.samples, this.duration, options);
+    if (data.tracks.length === 0) {
+      this.clear();
+      this.emit('take:empty');
+      return null;
+    }
+
+    if (!(await animationService.loadAnimation(name, data))) {
+      this.emit('take:error', new Error(`Failed to save take ${name}`));
+      return null;
+    }
+
+    // Only a failed save leaves the take around to try again
+    this.clear();
+    this.emit('take:saved', { name, data });
+    return data;
+  }
+
+  cancel() {
+    this.finish();
+    this.clear();
+  }
+
+  clear() {
+    this.samples = [];
+    this.duration = 0;
+  }
+
+  capture() {
+    if (!this.recording) return;
+
+    const { skeletalControls, facialExpressions, eyeGaze } = useAvatarStore.getState();
+    this.samples.push({
+      t: (performance.now() - this.clockStart) / 1000,
+      skeletalControls,
+      facialExpressions: { ...facialExpressions, ...this.tracked.facialExpressions },
+      eyeGaze: { ...eyeGaze, ...this.tracked.eyeGaze }
+    });
+
+    if (this.samples.length >= MAX_SAMPLES) {
+      console.warn(`Take reached ${MAX_SAMPLES} samples and was stopped`);
+      this.finish();
+    }
+  }
+
+  /**
+   * Face tracking received over OSC takes over its keys for the rest of the take
+   */
+  captureTracking(name) {
+    if (!this.recording) return;
+
+    const { avatarParameters, vrcft } = vrTrackingSystem;
+    const decoded = decodeUnifiedExpression(name, avatarParameters, vrcft?.expressionLayout);
+    const toState = decoded && UNIFIED_EXPRESSION_STATE[decoded.shape];
+    if (!toState) return;
+
+    const { facialExpressions = {}, eyeGaze = {} } = toState(decoded.value);
+    Object.assign(this.tracked.facialExpressions, facialExpressions);
+    Object.assign(this.tracked.eyeGaze, eyeGaze);
+    this.capture();
+  }
+
+  getStatus() {
+    return {
+      recording: this.recording,
+      samples: this.samples.length,
+      duration: this.recording ? (performance.now() - this.clockStart) / 1000 : this.duration
+    };
+  }
+}
+
+export const takeRecorder = new TakeRecorder();
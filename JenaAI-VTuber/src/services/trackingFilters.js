@@ -0,0 +1,417 @@
+import { EventEmitter } from 'events';
+import * as THREE from 'three';
+import { normalizeKeypoints } from './poseSolver.js';
+
+/**
+ * Tracking Filters
+ * Smooths incoming tracking before it reaches the avatar: SteamVR tracker
+ * positions and rotations, VRCFT face values and pose keypoints. Each channel
+ * picks its own filter (One Euro, exponential or constant-velocity Kalman for
+ * values, slerp-based for rotations) and keeps state per tracker, face value
+ * or keypoint. Parameters are read on every sample, so tuning applies live.
+ */
+
+export const FILTER_TYPES = ['none', 'oneEuro', 'exponential', 'kalman'];
+export const ROTATION_FILTER_TYPES = ['none', 'slerp', 'oneEuro'];
+export const FILTER_CHANNELS = ['trackers', 'face', 'pose'];
+
+/**
+ * minCutoff (Hz) and beta (cutoff per unit/s of speed) are One Euro's;
+ * timeConstant (s) is the exponential filter's and slerp's;
+ * processNoise (acceleration, units/s²) and measurementNoise (units) are
+ * the Kalman filter's standard deviations. Trackers are in metres, face
+ * values 0-1 and pose keypoints in body heights. Rotations use the same
+ * cutoffs on angular speed (rad/s).
+ */
+export const DEFAULT_FILTER_SETTINGS = {
+  trackers: {
+    type: 'oneEuro',
+    rotation: 'slerp',
+    minCutoff: 1,
+    beta: 0.7,
+    dCutoff: 1,
+    timeConstant: 0.05,
+    processNoise: 10,
+    measurementNoise: 0.005
+  },
+  face: {
+    type: 'exponential',
+    minCutoff: 2,
+    beta: 0.5,
+    dCutoff: 1,
+    timeConstant: 0.04,
+    processNoise: 30,
+    measurementNoise: 0.03
+  },
+  pose: {
+    type: 'oneEuro',
+    minCutoff: 1.5,
+    beta: 0.5,
+    dCutoff: 1,
+    timeConstant: 0.06,
+    processNoise: 10,
+    measurementNoise: 0.01
+  }
+};
+
+// A stream that pauses this long (s) starts over instead of easing across the gap
+const MAX_GAP = 0.5;
+
+// Share of each new sample in the jitter and latency averages
+const STATS_DECAY = 0.02;
+
+// Smoothing factor of a first-order low-pass at `cutoff` Hz
+const smoothingFactor = (dt, cutoff) => {
+  const r = 2 * Math.PI * cutoff * dt;
+  return r / (r + 1);
+};
+
+/**
+ * One Euro filter (Casiez et al.): a low-pass whose cutoff rises with speed,
+ * so slow drift is smoothed heavily and fast moves keep up
+ */
+export class OneEuroFilter {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.derivative = 0;
+  }
+
+  filter(value, dt, { minCutoff, beta, dCutoff }) {
+    if (this.value === null) {
+      this.value = value;
+      return value;
+    }
+
+    this.derivative += smoothingFactor(dt, dCutoff) * ((value - this.value) / dt - this.derivative);
+    const cutoff = minCutoff + beta * Math.abs(this.derivative);
+    this.value += smoothingFactor(dt, cutoff) * (value - this.value);
+    return this.value;
+  }
+}
+
+/**
+ * Exponential moving average with a time constant, so it behaves the same at
+ * any sample rate
+ */
+export class ExponentialFilter {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+  }
+
+  filter(value, dt, { timeConstant }) {
+    if (this.value === null || timeConstant <= 0) {
+      this.value = value;
+      return value;
+    }
+
+    this.value += (1 - Math.exp(-dt / timeConstant)) * (value - this.value);
+    return this.value;
+  }
+}
+
+/**
+ * Kalman filter tracking position and velocity under random acceleration
+ */
+export class KalmanFilter {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.velocity = 0;
+    this.covariance = [0, 0, 0, 0];
+  }
+
+  filter(value, dt, { processNoise, measurementNoise }) {
+    const r = measurementNoise * measurementNoise;
+    if (this.value === null) {
+      this.value = value;
+      this.velocity = 0;
+      this.covariance = [r, 0, 0, r];
+      return value;
+    }
+
+    // Predict: P = F P Fᵀ + Q for F = [1 dt; 0 1]
+    const [p00, p01, p10, p11] = this.covariance;
+    const q = processNoise * processNoise;
+    const dt2 = dt * dt;
+    const a00 = p00 + dt * (p10 + p01) + dt2 * p11 + q * dt2 * dt2 / 4;
+    const a01 = p01 + dt * p11 + q * dt2 * dt / 2;
+    const a10 = p10 + dt * p11 + q * dt2 * dt / 2;
+    const a11 = p11 + q * dt2;
+    const predicted = this.value + this.velocity * dt;
+
+    // Update with the measured position
+    const gain0 = a00 / (a00 + r);
+    const gain1 = a10 / (a00 + r);
+    const residual = value - predicted;
+    this.value = predicted + gain0 * residual;
+    this.velocity += gain1 * residual;
+    this.covariance = [(1 - gain0) * a00, (1 - gain0) * a01, a10 - gain1 * a00, a11 - gain1 * a01];
+    return this.value;
+  }
+}
+
+const FILTERS = {
+  oneEuro: OneEuroFilter,
+  exponential: ExponentialFilter,
+  kalman: KalmanFilter
+};
+
+/**
+ * Slerps towards each new rotation: by a fixed time constant ('slerp'), or
+ * One Euro style with a cutoff that rises with angular speed ('oneEuro')
+ */
+export class RotationFilter {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.speed = 0;
+  }
+
+  filter(rotation, dt, mode, { minCutoff, beta, dCutoff, timeConstant }) {
+    if (this.value === null) {
+      this.value = rotation.clone();
+      return this.value;
+    }
+
+    let t;
+    if (mode === 'oneEuro') {
+      this.speed += smoothingFactor(dt, dCutoff) * (this.value.angleTo(rotation) / dt - this.speed);
+      t = smoothingFactor(dt, minCutoff + beta * this.speed);
+    } else {
+      t = timeConstant > 0 ? 1 - Math.exp(-dt / timeConstant) : 1;
+    }
+
+    this.value.slerp(rotation, t);
+    return this.value;
+  }
+}
+
+/**
+ * Running jitter and latency of one channel. Jitter is the RMS second
+ * difference between samples, before and after filtering. Latency is the lag
+ * that best explains the filtered signal trailing the raw one
+ * (raw - filtered ≈ lag × velocity), in least squares.
+ */
+class FilterStats {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.history = new Map();
+    this.samples = 0;
+    this.rawJitter = 0;
+    this.jitter = 0;
+    this.lagProduct = 0;
+    this.speedSquared = 0;
+  }
+
+  add(key, raw, filtered, dt) {
+    const previous = this.history.get(key);
+    this.history.set(key, { raw, filtered, previous: previous && { raw: previous.raw, filtered: previous.filtered } });
+    if (!previous?.previous) return;
+
+    const { previous: before } = previous;
+    const decay = this.samples === 0 ? 1 : STATS_DECAY;
+    const velocity = (filtered - previous.filtered) / dt;
+    const blend = (average, value) => average + decay * (value - average);
+
+    this.rawJitter = blend(this.rawJitter, (raw - 2 * previous.raw + before.raw) ** 2);
+    this.jitter = blend(this.jitter, (filtered - 2 * previous.filtered + before.filtered) ** 2);
+    this.lagProduct = blend(this.lagProduct, (raw - filtered) * velocity);
+    this.speedSquared = blend(this.speedSquared, velocity * velocity);
+    this.samples += 1;
+  }
+
+  forget(key) {
+    this.history.delete(key);
+  }
+
+  get() {
+    return {
+      samples: this.samples,
+      rawJitter: Math.sqrt(this.rawJitter),
+      jitter: Math.sqrt(this.jitter),
+      latency: this.speedSquared > 0 ? Math.max(0, this.lagProduct / this.speedSquared) * 1000 : 0
+    };
+  }
+}
+
+class TrackingFilters extends EventEmitter {
+  constructor() {
+    super();
+    this.settings = JSON.parse(JSON.stringify(DEFAULT_FILTER_SETTINGS));
+    this.state = {};
+    this.stats = {};
+    FILTER_CHANNELS.forEach((channel) => {
+      this.state[channel] = new Map();
+      this.stats[channel] = new FilterStats();
+    });
+    this.poseLayout = null;
+    this.poseScale = null;
+  }
+
+  /**
+   * Merge per-channel settings; changing a channel's filter type starts it over
+   */
+  configure(settings = {}) {
+    FILTER_CHANNELS.forEach((channel) => {
+      if (!settings[channel]) return;
+
+      const previous = this.settings[channel];
+      const next = { ...previous, ...settings[channel] };
+      this.settings[channel] = next;
+      if (next.type !== previous.type || next.rotation !== previous.rotation) this.reset(channel);
+    });
+
+    this.emit('filters:configured', this.settings);
+  }
+
+  reset(channel) {
+    (channel ? [channel] : FILTER_CHANNELS).forEach((name) => {
+      this.state[name].clear();
+      this.stats[name].reset();
+    });
+    if (!channel || channel === 'pose') {
+      this.poseLayout = null;
+      this.poseScale = null;
+    }
+  }
+
+  /**
+   * Seconds since this key's last sample, or null when it should start over
+   */
+  step(channel, key, time) {
+    const states = this.state[channel];
+    const entry = states.get(key);
+    const dt = entry ? time - entry.time : null;
+
+    if (dt === null || dt > MAX_GAP || dt < 0) {
+      states.set(key, { time, filters: {} });
+      this.stats[channel].forget(key);
+      return null;
+    }
+
+    entry.time = time;
+    return Math.max(dt, 1e-3);
+  }
+
+  filterValue(channel, key, value, dt) {
+    const settings = this.settings[channel];
+    const Filter = FILTERS[settings.type];
+    if (!Filter || !Number.isFinite(value)) return value;
+
+    const [entryKey, axis] = Array.isArray(key) ? key : [key, 'value'];
+    const { filters } = this.state[channel].get(entryKey);
+    filters[axis] = filters[axis] || new Filter();
+
+    const filtered = filters[axis].filter(value, dt ?? 1 / 60, settings);
+    if (dt !== null) this.stats[channel].add(`${entryKey}.${axis}`, value, filtered, dt);
+    return filtered;
+  }
+
+  /**
+   * Filter a tracker's { x, y, z } position and { x, y, z, w } rotation
+   */
+  filterTracker(name, position, rotation, time = performance.now()) {
+    const { type, rotation: rotationType } = this.settings.trackers;
+    if (type === 'none' && rotationType === 'none') return { position, rotation };
+
+    const dt = this.step('trackers', name, time / 1000);
+    const filteredPosition = { ...position };
+    ['x', 'y', 'z'].forEach((axis) => {
+      if (axis in position) filteredPosition[axis] = this.filterValue('trackers', [name, axis], position[axis], dt);
+    });
+
+    let filteredRotation = rotation;
+    if (rotationType !== 'none' && rotation) {
+      const { filters } = this.state.trackers.get(name);
+      filters.rotation = filters.rotation || new RotationFilter();
+      const target = new THREE.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w ?? 1).normalize();
+      const { x, y, z, w } = filters.rotation.filter(target, dt ?? 1 / 60, rotationType, this.settings.trackers);
+      filteredRotation = { x, y, z, w };
+    }
+
+    return { position: filteredPosition, rotation: filteredRotation };
+  }
+
+  /**
+   * Filter every number in a flat face tracking object
+   */
+  filterFace(faceData, time = performance.now()) {
+    if (this.settings.face.type === 'none' || !faceData) return faceData;
+
+    const seconds = time / 1000;
+    return Object.fromEntries(Object.entries(faceData).map(([key, value]) => {
+      if (typeof value !== 'number') return [key, value];
+      return [key, this.filterValue('face', key, value, this.step('face', key, seconds))];
+    }));
+  }
+
+  /**
+   * Filter pose keypoints, returned as normalized points. Coordinates are
+   * filtered in body heights so the parameters hold for pixels and for
+   * normalized landmarks alike. Keypoints the detector lost pass through and
+   * leave their filter alone.
+   */
+  filterKeypoints(keypoints, time = Date.now()) {
+    if (this.settings.pose.type === 'none') return keypoints;
+
+    const normalized = normalizeKeypoints(keypoints);
+    if (!normalized) return keypoints;
+
+    if (normalized.layout !== this.poseLayout) {
+      this.reset('pose');
+      this.poseLayout = normalized.layout;
+    }
+
+    const seen = normalized.points.filter(({ confidence }) => confidence > 0);
+    if (seen.length < 2) return normalized.points;
+
+    const ys = seen.map(({ y }) => y);
+    const xs = seen.map(({ x }) => x);
+    const size = Math.max(Math.max(...ys) - Math.min(...ys), Math.max(...xs) - Math.min(...xs));
+    if (!(size > 0)) return normalized.points;
+    // The scale settles slowly so it doesn't pass its own jitter on
+    this.poseScale = this.poseScale === null ? size : this.poseScale + 0.05 * (size - this.poseScale);
+
+    const scale = this.poseScale;
+    const seconds = time / 1000;
+    return normalized.points.map((point, index) => {
+      if (!(point.confidence > 0)) return point;
+
+      const dt = this.step('pose', index, seconds);
+      const filtered = { ...point };
+      ['x', 'y', 'z'].forEach((axis) => {
+        if (typeof point[axis] === 'number') {
+          filtered[axis] = this.filterValue('pose', [index, axis], point[axis] / scale, dt) * scale;
+        }
+      });
+      return filtered;
+    });
+  }
+
+  /**
+   * Per channel: { samples, rawJitter, jitter, latency (ms) }. Jitter is in
+   * the channel's units (metres, face value, body heights).
+   */
+  getStats() {
+    return Object.fromEntries(FILTER_CHANNELS.map((channel) => [channel, this.stats[channel].get()]));
+  }
+}
+
+export const trackingFilters = new TrackingFilters();
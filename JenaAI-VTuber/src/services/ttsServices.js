@@ -92,7 +92,8 @@ class TTSService {
 
 class WebSpeechTTSService {
   constructor() {
-    this.synthesis = window.speechSynthesis;
+    // Outside a browser (tests, tooling) there is no speech synthesis
+    this.synthesis = typeof window !== 'undefined' ? window.speechSynthesis : null;
     this.voices = [];
     this.currentVoice = null;
     this.initialized = false;
@@ -321,11 +322,43 @@ export class TTSServiceManager {
       rvc: rvcTTSService
     };
     this.currentService = 'piper';
+    this.speechListeners = new Set();
   }
 
   async speak(text, options = {}) {
     const service = this.services[this.currentService];
-    return await service.speak(text, options);
+
+    // Web Speech resolves once it has finished talking, so announce the line up front
+    if (this.currentService === 'webSpeech') {
+      this.notifySpeech(text, null, options);
+      return await service.speak(text, options);
+    }
+
+    const audio = await service.speak(text, options);
+    this.notifySpeech(text, audio, options);
+    return audio;
+  }
+
+  /**
+   * Register a listener for every spoken line (e.g. chatbox subtitles). Returns an unsubscribe function.
+   */
+  onSpeech(listener) {
+    this.speechListeners.add(listener);
+    return () => this.speechListeners.delete(listener);
+  }
+
+  /**
+   * Tell listeners a line is being spoken, with the audio element playing it when there is one.
+   * Engines that know their phoneme timings pass them as options.phonemes ([{ phoneme, start, end }], seconds) for lip sync.
+   */
+  notifySpeech(text, audio = null, options = {}) {
+    this.speechListeners.forEach((listener) => {
+      try {
+        listener(text, audio, options);
+      } catch (error) {
+        console.error('Speech listener failed:', error);
+      }
+    });
   }
 
   async sing(text, options = {}) {
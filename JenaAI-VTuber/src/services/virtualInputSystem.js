@@ -1,4 +1,7 @@
 import { EventEmitter } from 'events';
+import { oscBridge } from './oscBridge.js';
+import { vrchatChatbox } from './vrchatChatbox.js';
+import { trackerEmulator } from './vrchatTrackers.js';
 
 /**
  * Virtual Input System for AI Avatar
@@ -150,10 +153,12 @@ class VirtualInputSystem extends EventEmitter {
                 try {
                     // Initialize OSC client for VRChat communication
                     console.log('Initializing OSC connection...');
+                    await oscBridge.connect({ address: this.oscClient.address, port: this.oscClient.port });
                     this.oscClient.isConnected = true;
                     this.emit('osc:connected');
                 } catch (error) {
                     console.error('Failed to connect OSC:', error);
+                    this.oscClient.isConnected = false;
                     this.emit('osc:error', error);
                 }
             },
@@ -163,22 +168,21 @@ class VirtualInputSystem extends EventEmitter {
                 
                 // Send avatar parameters to VRChat via OSC
                 Object.entries(parameters).forEach(([param, value]) => {
-                    this.sendOSCMessage(`/avatar/parameters/${param}`, value);
+                    this.oscClient.sendOSCMessage(`/avatar/parameters/${param}`, value);
                 });
             },
 
             sendTrackingData: (trackingData) => {
                 if (!this.oscClient.isConnected) return;
                 
-                // Send tracking data to VRChat
-                this.sendOSCMessage('/tracking/trackers/head/position', trackingData.head.position);
-                this.sendOSCMessage('/tracking/trackers/head/rotation', trackingData.head.rotation);
-                // ... send other tracking data
+                // Head, hip, chest, feet, knees and elbows go out as VRChat OSC trackers
+                // at the emulator's update rate, converted to Unity space
+                trackerEmulator.update(trackingData);
+                trackerEmulator.start();
             },
 
             sendOSCMessage: (address, data) => {
-                // Implementation would use an OSC library
-                console.log(`OSC: ${address}`, data);
+                oscBridge.send(address, data);
                 this.emit('osc:message', { address, data });
             }
         };
@@ -215,9 +219,11 @@ class VirtualInputSystem extends EventEmitter {
                 }
             },
 
-            sendChatMessage: (message) => {
-                // Send chat message to VRChat
+            sendChatMessage: (message, options = {}) => {
+                // Send chat message to VRChat's chatbox
+                const pages = vrchatChatbox.send(message, options);
                 this.emit('vrchat:chat_message', message);
+                return pages;
             },
 
             playAnimation: (animationName) => {
@@ -567,8 +573,12 @@ class VRChatController {
         this.updateAvatarParameter('Expression', expression);
     }
 
-    sendChatMessage(message) {
-        this.inputSystem.vrchatClient.sendChatMessage(message);
+    sendChatMessage(message, options = {}) {
+        return this.inputSystem.vrchatClient.sendChatMessage(message, options);
+    }
+
+    setTyping(typing) {
+        vrchatChatbox.setTyping(typing);
     }
 }
 
@@ -0,0 +1,328 @@
+import { EventEmitter } from 'events';
+import * as THREE from 'three';
+import { vmcBridge, oscFloat, oscInt, oscString } from './oscBridge.js';
+import { useAvatarStore } from '../store/avatarStore.js';
+import { getVRMBoneNode } from './vrmAvatar.js';
+import { idleBehavior, IDLE_CHANNELS } from './idleBehavior.js';
+
+/**
+ * VMC Protocol Service
+ * Sends Jena's bones and blendshapes to VMC protocol apps (VSeeFace, VNyan,
+ * Warudo, ...) and applies VMC received from external trackers to the avatar store
+ */
+
+// skeletalControls key -> Unity HumanBodyBones name used by VMC
+export const VMC_BONES = {
+  hips: 'Hips',
+  spine: 'Spine',
+  neck: 'Neck',
+  head: 'Head',
+  leftShoulder: 'LeftShoulder',
+  rightShoulder: 'RightShoulder',
+  leftArm: 'LeftUpperArm',
+  rightArm: 'RightUpperArm',
+  leftForearm: 'LeftLowerArm',
+  rightForearm: 'RightLowerArm'
+};
+
+// facialExpressions key -> VRM preset and perfect sync (ARKit) blendshape clips
+export const VMC_BLENDSHAPES = {
+  happy: ['Joy'],
+  angry: ['Angry'],
+  sad: ['Sorrow'],
+  smile: ['Fun'],
+  surprised: ['Surprised'],
+  frown: ['BrowDownLeft', 'BrowDownRight'],
+  mouthOpen: ['A'],
+  mouthPucker: ['U', 'MouthPucker'],
+  mouthFunnel: ['O', 'MouthFunnel'],
+  mouthSmile: ['MouthSmileLeft', 'MouthSmileRight'],
+  mouthFrown: ['MouthFrownLeft', 'MouthFrownRight'],
+  mouthLeft: ['MouthLeft'],
+  mouthRight: ['MouthRight'],
+  jawOpen: ['JawOpen'],
+  jawForward: ['JawForward'],
+  jawLeft: ['JawLeft'],
+  jawRight: ['JawRight'],
+  cheekPuff: ['CheekPuff'],
+  cheekSquint: ['CheekSquintLeft', 'CheekSquintRight'],
+  tongueOut: ['TongueOut'],
+  lipRollUpper: ['MouthRollUpper'],
+  lipRollLower: ['MouthRollLower'],
+  blink: ['Blink'],
+  blinkLeft: ['Blink_L', 'EyeBlinkLeft'],
+  blinkRight: ['Blink_R', 'EyeBlinkRight']
+};
+
+const BONE_KEYS = Object.fromEntries(Object.entries(VMC_BONES).map(([key, bone]) => [bone, key]));
+
+// Clip names are matched case-insensitively; several clips can feed one expression
+const BLENDSHAPE_KEYS = Object.entries(VMC_BLENDSHAPES).reduce((keys, [key, clips]) => {
+  clips.forEach((clip) => {
+    keys[clip.toLowerCase()] = [...(keys[clip.toLowerCase()] || []), key];
+  });
+  return keys;
+}, {});
+
+/**
+ * VMC uses Unity's left-handed axes; mirroring X converts to and from three.js
+ */
+export const unityToThreePosition = (x, y, z) => new THREE.Vector3(-x, y, z);
+export const unityToThreeQuaternion = (x, y, z, w) => new THREE.Quaternion(x, -y, -z, w);
+export const threeToUnityPosition = (position) => [-position.x, position.y, position.z];
+export const threeToUnityQuaternion = (quaternion) => [quaternion.x, -quaternion.y, -quaternion.z, quaternion.w];
+
+class VMCService extends EventEmitter {
+  constructor() {
+    super();
+    this.sending = false;
+    this.receiving = false;
+    this.target = { address: '127.0.0.1', port: 39539 };
+    // 39540 keeps clear of the marionette app's own 39539 on the same PC
+    this.receivePort = 39540;
+    this.sendRate = 30;
+    this.applyRate = 30;
+    this.sendTimer = null;
+    this.applyTimer = null;
+    this.pendingBones = {};
+    this.pendingBlendshapes = {};
+    this.framesSent = 0;
+    this.messagesReceived = 0;
+    this.lastReceived = null;
+
+    vmcBridge.onMessage((message) => {
+      if (this.receiving) this.handleMessage(message);
+    });
+  }
+
+  /**
+   * Start streaming the avatar to a VMC receiver
+   */
+  async startSending(options = {}) {
+    this.target = { ...this.target, ...options };
+    if (options.rate) this.sendRate = options.rate;
+
+    try {
+      await vmcBridge.connect({ address: this.target.address, port: this.target.port });
+    } catch (error) {
+      console.error('Failed to connect VMC sender:', error);
+      this.emit('vmc:error', error);
+      return false;
+    }
+
+    clearInterval(this.sendTimer);
+    this.sendTimer = setInterval(() => this.sendFrame(), 1000 / this.sendRate);
+    this.sending = true;
+    this.emit('vmc:sending', this.target);
+    return true;
+  }
+
+  stopSending() {
+    clearInterval(this.sendTimer);
+    this.sendTimer = null;
+    this.sending = false;
+    this.emit('vmc:stopped', 'sending');
+  }
+
+  /**
+   * Start applying VMC from external trackers to the avatar store
+   */
+  async startReceiving(options = {}) {
+    if (options.port) this.receivePort = Number(options.port);
+
+    try {
+      await vmcBridge.listen(this.receivePort);
+    } catch (error) {
+      console.error(`Failed to listen for VMC on port ${this.receivePort}:`, error);
+      this.emit('vmc:error', error);
+      return false;
+    }
+
+    this.receiving = true;
+    this.emit('vmc:receiving', this.receivePort);
+    return true;
+  }
+
+  async stopReceiving() {
+    this.receiving = false;
+    clearTimeout(this.applyTimer);
+    this.applyTimer = null;
+    this.pendingBones = {};
+    this.pendingBlendshapes = {};
+    idleBehavior.release(IDLE_CHANNELS, 'vmc');
+    await vmcBridge.stopListening();
+    this.emit('vmc:stopped', 'receiving');
+  }
+
+  async stop() {
+    this.stopSending();
+    if (this.receiving) await this.stopReceiving();
+    await vmcBridge.disconnect();
+  }
+
+  /**
+   * Sum of the head's base rotation and its tilt/nod/shake offsets, as Scene3D applies them
+   */
+  getBoneRotation(skeletalControls, key) {
+    const rotation = skeletalControls[key] || { x: 0, y: 0, z: 0 };
+    if (key !== 'head') return rotation;
+
+    const { headTilt, headNod, headShake } = skeletalControls;
+    return {
+      x: rotation.x + headTilt.x + headNod.x,
+      y: rotation.y + headTilt.y + headShake.y,
+      z: rotation.z + headTilt.z + headShake.z
+    };
+  }
+
+  /**
+   * Local bone offsets come from the VRM humanoid, or from the model's humanoid rig
+   */
+  getBonePosition(model, boneName, vrm = null) {
+    const humanoidBone = boneName.charAt(0).toLowerCase() + boneName.slice(1);
+    if (vrm) {
+      const node = getVRMBoneNode(vrm, humanoidBone);
+      return node ? node.position : new THREE.Vector3();
+    }
+
+    const { humanoidRig } = useAvatarStore.getState();
+    const bone = humanoidRig?.model === model ? humanoidRig.getBoneNode(humanoidBone) : null;
+    return bone ? bone.position : new THREE.Vector3();
+  }
+
+  /**
+   * One frame of VMC messages built from the current avatar store state
+   */
+  buildFrame() {
+    const { skeletalControls, facialExpressions, model, vrm } = useAvatarStore.getState();
+    const euler = new THREE.Euler();
+    const quaternion = new THREE.Quaternion();
+    const floats = (values) => values.map(oscFloat);
+
+    const rootPosition = model ? model.position : new THREE.Vector3();
+    const rootQuaternion = model ? model.quaternion : new THREE.Quaternion();
+
+    const elements = [
+      { address: '/VMC/Ext/OK', args: [oscInt(1)] },
+      { address: '/VMC/Ext/T', args: [oscFloat(performance.now() / 1000)] },
+      {
+        address: '/VMC/Ext/Root/Pos',
+        args: [oscString('root'), ...floats(threeToUnityPosition(rootPosition)), ...floats(threeToUnityQuaternion(rootQuaternion))]
+      }
+    ];
+
+    Object.entries(VMC_BONES).forEach(([key, boneName]) => {
+      const rotation = this.getBoneRotation(skeletalControls, key);
+      quaternion.setFromEuler(euler.set(rotation.x, rotation.y, rotation.z));
+
+      elements.push({
+        address: '/VMC/Ext/Bone/Pos',
+        args: [
+          oscString(boneName),
+          ...floats(threeToUnityPosition(this.getBonePosition(model, boneName, vrm))),
+          ...floats(threeToUnityQuaternion(quaternion))
+        ]
+      });
+    });
+
+    Object.entries(VMC_BLENDSHAPES).forEach(([key, clips]) => {
+      clips.forEach((clip) => {
+        elements.push({ address: '/VMC/Ext/Blend/Val', args: [oscString(clip), oscFloat(facialExpressions[key] || 0)] });
+      });
+    });
+
+    elements.push({ address: '/VMC/Ext/Blend/Apply', args: [] });
+    return elements;
+  }
+
+  sendFrame() {
+    try {
+      if (vmcBridge.sendBundle(this.buildFrame())) {
+        this.framesSent++;
+      }
+    } catch (error) {
+      console.error('Failed to send VMC frame:', error);
+      this.emit('vmc:error', error);
+    }
+  }
+
+  /**
+   * Collect bone and blendshape updates; they are applied to the store at applyRate
+   */
+  handleMessage(message) {
+    const values = message.args.map((arg) => arg.value);
+    this.messagesReceived++;
+    this.lastReceived = Date.now();
+
+    switch (message.address) {
+      case '/VMC/Ext/Bone/Pos': {
+        const key = BONE_KEYS[values[0]];
+        if (!key || values.length < 8) return;
+
+        const euler = new THREE.Euler().setFromQuaternion(unityToThreeQuaternion(...values.slice(4, 8)));
+        this.pendingBones[key] = { x: euler.x, y: euler.y, z: euler.z };
+        this.scheduleApply();
+        break;
+      }
+
+      case '/VMC/Ext/Blend/Val': {
+        const keys = BLENDSHAPE_KEYS[String(values[0]).toLowerCase()];
+        if (!keys) return;
+
+        const value = Math.max(0, Math.min(1, Number(values[1]) || 0));
+        keys.forEach((key) => {
+          this.pendingBlendshapes[key] = Math.max(this.pendingBlendshapes[key] ?? 0, value);
+        });
+        break;
+      }
+
+      case '/VMC/Ext/Blend/Apply':
+        this.scheduleApply();
+        break;
+
+      case '/VMC/Ext/Root/Pos':
+        if (values.length < 8) return;
+        this.emit('vmc:root', {
+          position: unityToThreePosition(...values.slice(1, 4)),
+          rotation: unityToThreeQuaternion(...values.slice(4, 8))
+        });
+        break;
+    }
+  }
+
+  scheduleApply() {
+    if (this.applyTimer) return;
+
+    this.applyTimer = setTimeout(() => {
+      this.applyTimer = null;
+      const { setSkeletalControls, setFacialExpressions } = useAvatarStore.getState();
+
+      // Tracked motion replaces the idle layer's breathing, sway and blinks
+      if (Object.keys(this.pendingBones).length > 0) {
+        idleBehavior.suppress(['breathing', 'headSway'], 'vmc');
+        setSkeletalControls(this.pendingBones);
+        this.pendingBones = {};
+      }
+
+      if (Object.keys(this.pendingBlendshapes).length > 0) {
+        idleBehavior.suppress('blink', 'vmc');
+        setFacialExpressions(this.pendingBlendshapes);
+        this.pendingBlendshapes = {};
+      }
+    }, 1000 / this.applyRate);
+  }
+
+  getStatus() {
+    return {
+      sending: this.sending,
+      receiving: this.receiving,
+      target: this.target,
+      receivePort: this.receivePort,
+      framesSent: this.framesSent,
+      messagesReceived: this.messagesReceived,
+      lastReceived: this.lastReceived
+    };
+  }
+}
+
+export const vmcService = new VMCService();
@@ -1,4 +1,11 @@
 import { EventEmitter } from 'events';
+import { oscBridge, oscFloat, oscInt } from './oscBridge.js';
+import { avatarSchemaRegistry, validateParameters, parseOSCQueryAvatar } from './avatarParameterSchema.js';
+import { vrchatChatbox } from './vrchatChatbox.js';
+import { trackerEmulator } from './vrchatTrackers.js';
+import { computeUnifiedExpressions, detectVRCFTLayout, encodeUnifiedExpressions } from './vrcftUnifiedExpressions.js';
+import { trackingFilters } from './trackingFilters.js';
+import { lipSync } from './lipSync.js';
 
 /**
  * VR Tracking System for AI Avatar
@@ -23,6 +30,13 @@ class VRTrackingSystem extends EventEmitter {
         this.initializeOSC();
         this.initializeVRChat();
         this.initializeVRCFT();
+        
+        // Receive avatar state from VRChat
+        oscBridge.onMessage((message) => this.handleOSCMessage(message));
+        oscBridge.onVRChatFound((peer) => this.handleOSCQueryPeer(peer));
+        
+        // Speech visemes drive VRChat's Viseme parameter (Oculus order, 0-14)
+        lipSync.on('lipsync:viseme', ({ index }) => this.osc.sendTypedParameters({ Viseme: oscInt(index) }));
     }
 
     /**
@@ -36,17 +50,17 @@ class VRTrackingSystem extends EventEmitter {
             // Create virtual skeleton
             createSkeleton: () => {
                 const skeleton = {
-                    head: this.createTracker('head', { x: 0, y: 1.6, z: 0 }, { x: 0, y: 0, z: 0, w: 1 }),
-                    leftHand: this.createTracker('left_hand', { x: -0.3, y: 1.2, z: 0.3 }, { x: 0, y: 0, z: 0, w: 1 }),
-                    rightHand: this.createTracker('right_hand', { x: 0.3, y: 1.2, z: 0.3 }, { x: 0, y: 0, z: 0, w: 1 }),
-                    leftFoot: this.createTracker('left_foot', { x: -0.1, y: 0, z: 0 }, { x: 0, y: 0, z: 0, w: 1 }),
-                    rightFoot: this.createTracker('right_foot', { x: 0.1, y: 0, z: 0 }, { x: 0, y: 0, z: 0, w: 1 }),
-                    hip: this.createTracker('hip', { x: 0, y: 0.9, z: 0 }, { x: 0, y: 0, z: 0, w: 1 }),
-                    chest: this.createTracker('chest', { x: 0, y: 1.3, z: 0 }, { x: 0, y: 0, z: 0, w: 1 }),
-                    leftElbow: this.createTracker('left_elbow', { x: -0.2, y: 1.0, z: 0.2 }, { x: 0, y: 0, z: 0, w: 1 }),
-                    rightElbow: this.createTracker('right_elbow', { x: 0.2, y: 1.0, z: 0.2 }, { x: 0, y: 0, z: 0, w: 1 }),
-                    leftKnee: this.createTracker('left_knee', { x: -0.1, y: 0.5, z: 0 }, { x: 0, y: 0, z: 0, w: 1 }),
-                    rightKnee: this.createTracker('right_knee', { x: 0.1, y: 0.5, z: 0 }, { x: 0, y: 0, z: 0, w: 1 })
+                    head: this.steamVR.createTracker('head', { x: 0, y: 1.6, z: 0 }, { x: 0, y: 0, z: 0, w: 1 }),
+                    leftHand: this.steamVR.createTracker('left_hand', { x: -0.3, y: 1.2, z: 0.3 }, { x: 0, y: 0, z: 0, w: 1 }),
+                    rightHand: this.steamVR.createTracker('right_hand', { x: 0.3, y: 1.2, z: 0.3 }, { x: 0, y: 0, z: 0, w: 1 }),
+                    leftFoot: this.steamVR.createTracker('left_foot', { x: -0.1, y: 0, z: 0 }, { x: 0, y: 0, z: 0, w: 1 }),
+                    rightFoot: this.steamVR.createTracker('right_foot', { x: 0.1, y: 0, z: 0 }, { x: 0, y: 0, z: 0, w: 1 }),
+                    hip: this.steamVR.createTracker('hip', { x: 0, y: 0.9, z: 0 }, { x: 0, y: 0, z: 0, w: 1 }),
+                    chest: this.steamVR.createTracker('chest', { x: 0, y: 1.3, z: 0 }, { x: 0, y: 0, z: 0, w: 1 }),
+                    leftElbow: this.steamVR.createTracker('left_elbow', { x: -0.2, y: 1.0, z: 0.2 }, { x: 0, y: 0, z: 0, w: 1 }),
+                    rightElbow: this.steamVR.createTracker('right_elbow', { x: 0.2, y: 1.0, z: 0.2 }, { x: 0, y: 0, z: 0, w: 1 }),
+                    leftKnee: this.steamVR.createTracker('left_knee', { x: -0.1, y: 0.5, z: 0 }, { x: 0, y: 0, z: 0, w: 1 }),
+                    rightKnee: this.steamVR.createTracker('right_knee', { x: 0.1, y: 0.5, z: 0 }, { x: 0, y: 0, z: 0, w: 1 })
                 };
                 
                 this.skeleton = skeleton;
@@ -74,8 +88,9 @@ class VRTrackingSystem extends EventEmitter {
             updateTracker: (trackerId, position, rotation, confidence = 1.0) => {
                 const tracker = this.steamVR.trackers.get(trackerId);
                 if (tracker) {
-                    tracker.position = { ...position };
-                    tracker.rotation = { ...rotation };
+                    const filtered = trackingFilters.filterTracker(tracker.name, position, rotation);
+                    tracker.position = { ...filtered.position };
+                    tracker.rotation = { ...filtered.rotation };
                     tracker.confidence = confidence;
                     tracker.lastUpdate = Date.now();
                     
@@ -119,48 +134,118 @@ class VRTrackingSystem extends EventEmitter {
     initializeOSC() {
         this.osc = {
             port: 9000,
+            receivePort: 9001,
             address: '127.0.0.1',
             client: null,
             
             connect: async () => {
                 try {
-                    // Initialize OSC client
-                    console.log('Connecting to OSC server...');
+                    // Open the UDP transport in the Electron main process
+                    console.log(`Connecting to OSC server at ${this.osc.address}:${this.osc.port}...`);
+                    await oscBridge.connect({ address: this.osc.address, port: this.osc.port });
                     this.oscConnected = true;
                     this.emit('osc:connected');
                 } catch (error) {
                     console.error('Failed to connect OSC:', error);
+                    this.oscConnected = false;
+                    this.emit('osc:error', error);
+                    return;
+                }
+
+                // Sending still works if another app already owns the receive port.
+                // With OSCQuery any free port will do, since VRChat finds it over mDNS.
+                try {
+                    let status;
+                    try {
+                        status = await oscBridge.listen(this.osc.receivePort);
+                    } catch (error) {
+                        if (!oscBridge.hasOSCQuery()) throw error;
+                        console.warn(`OSC port ${this.osc.receivePort} is in use, listening on a free port instead`);
+                        status = await oscBridge.listen(0);
+                    }
+                    this.emit('osc:listening', status.receivePort);
+                } catch (error) {
+                    console.error(`Failed to listen for OSC on port ${this.osc.receivePort}:`, error);
                     this.emit('osc:error', error);
+                    return;
+                }
+
+                await this.osc.startOSCQuery();
+            },
+
+            // Advertise our receive port and look for VRChat's OSCQuery server
+            startOSCQuery: async () => {
+                if (!oscBridge.hasOSCQuery()) return;
+
+                try {
+                    const status = await oscBridge.startOSCQuery();
+                    this.emit('oscquery:started', status);
+                } catch (error) {
+                    console.error('Failed to start OSCQuery:', error);
+                    this.emit('osc:error', error);
+                }
+            },
+
+            // Read the live avatar's parameters from VRChat's OSCQuery tree
+            queryAvatarSchema: async () => {
+                try {
+                    const avatarNode = await oscBridge.queryVRChat('/avatar');
+                    if (!avatarNode) return null;
+
+                    const { schema, values } = parseOSCQueryAvatar(avatarNode);
+                    const imported = avatarSchemaRegistry.get(schema.avatarId);
+                    if (imported) schema.avatarName = imported.avatarName;
+
+                    avatarSchemaRegistry.add(schema);
+                    values.forEach((value, name) => this.avatarParameters.set(name, value));
+                    return schema;
+                } catch (error) {
+                    console.error('Failed to query VRChat avatar over OSCQuery:', error);
+                    return null;
                 }
             },
 
+            disconnect: async () => {
+                this.oscConnected = false;
+                trackerEmulator.stop();
+                await oscBridge.disconnect();
+                this.emit('osc:disconnected');
+            },
+
             // Send avatar parameters to VRChat
             sendAvatarParameters: (parameters) => {
                 if (!this.oscConnected) return;
                 
                 Object.entries(parameters).forEach(([param, value]) => {
-                    this.sendOSCMessage(`/avatar/parameters/${param}`, value);
+                    this.osc.sendOSCMessage(`/avatar/parameters/${param}`, value);
                 });
             },
 
-            // Send tracking data to VRChat
+            // Send face tracking parameters, which VRChat always expects as floats
+            sendVRCFTParameters: (parameters) => {
+                if (!this.oscConnected) return;
+
+                Object.entries(parameters).forEach(([param, value]) => {
+                    this.osc.sendOSCMessage(`/avatar/parameters/${param}`, oscFloat(value));
+                });
+            },
+
+            // Send parameters that are already typed OSC arguments
+            sendTypedParameters: (parameters) => {
+                if (!this.oscConnected) return;
+
+                Object.entries(parameters).forEach(([param, arg]) => {
+                    this.osc.sendOSCMessage(`/avatar/parameters/${param}`, arg);
+                });
+            },
+
+            // Send tracking data to VRChat; the emulator maps it onto tracker slots 1-8
+            // and streams it at its own rate
             sendTrackingData: (trackingData) => {
                 if (!this.oscConnected) return;
                 
-                Object.entries(trackingData).forEach(([trackerName, data]) => {
-                    this.sendOSCMessage(`/tracking/trackers/${trackerName}/position`, [
-                        data.position.x,
-                        data.position.y,
-                        data.position.z
-                    ]);
-                    
-                    this.sendOSCMessage(`/tracking/trackers/${trackerName}/rotation`, [
-                        data.rotation.x,
-                        data.rotation.y,
-                        data.rotation.z,
-                        data.rotation.w
-                    ]);
-                });
+                trackerEmulator.update(trackingData);
+                trackerEmulator.start();
             },
 
             // Send face tracking data
@@ -183,17 +268,52 @@ class VRTrackingSystem extends EventEmitter {
                     'MouthFrownRight': faceData.mouthFrownRight || 0
                 };
                 
-                this.sendAvatarParameters(faceParams);
+                this.osc.sendVRCFTParameters(faceParams);
             },
 
             // Send OSC message
             sendOSCMessage: (address, data) => {
-                console.log(`OSC: ${address}`, data);
+                oscBridge.send(address, data);
                 this.emit('osc:message', { address, data });
             }
         };
     }
 
+    /**
+     * Handle a message VRChat sent back on the OSC output port
+     */
+    handleOSCMessage(message) {
+        const { address, args } = message;
+        const value = args.length > 0 ? args[0].value : undefined;
+
+        if (address === '/avatar/change') {
+            // Parameters belong to the previous avatar; VRChat resends the new ones
+            this.avatarParameters.clear();
+            this.vrchat.loadAvatar(value);
+        } else if (address.startsWith('/avatar/parameters/') && value !== undefined) {
+            const name = address.slice('/avatar/parameters/'.length);
+            this.avatarParameters.set(name, value);
+            this.emit('avatar:parameter', { name, value });
+        }
+
+        this.emit('osc:received', message);
+    }
+
+    /**
+     * VRChat's OSCQuery server was found; the main process already sends to its
+     * advertised port, so record it and load the live avatar
+     */
+    async handleOSCQueryPeer(peer) {
+        this.osc.address = peer.oscAddress;
+        this.osc.port = peer.oscPort;
+        this.emit('oscquery:vrchat_found', peer);
+
+        const schema = await this.osc.queryAvatarSchema();
+        if (schema && schema.avatarId && schema.avatarId !== this.vrchat.avatarId) {
+            this.vrchat.loadAvatar(schema.avatarId);
+        }
+    }
+
     /**
      * Initialize VRChat Integration
      */
@@ -202,6 +322,7 @@ class VRTrackingSystem extends EventEmitter {
             isConnected: false,
             avatarId: null,
             worldId: null,
+            parameterSchema: null,
             
             connect: async () => {
                 try {
@@ -218,18 +339,73 @@ class VRTrackingSystem extends EventEmitter {
             loadAvatar: (avatarId) => {
                 this.vrchat.avatarId = avatarId;
                 this.emit('vrchat:avatar_loaded', avatarId);
+                this.vrchat.selectParameterSchema(avatarId).catch((error) => {
+                    console.error(`Failed to load parameter schema for ${avatarId}:`, error);
+                });
+            },
+
+            // Pick the imported schema for this avatar, reading VRChat's OSC folder
+            // and then its OSCQuery tree if needed. A lookup that finishes after
+            // the avatar changed again is dropped.
+            selectParameterSchema: async (avatarId) => {
+                let schema = avatarSchemaRegistry.get(avatarId);
+                if (!schema) {
+                    await avatarSchemaRegistry.importFromVRChatFolder();
+                    schema = avatarSchemaRegistry.get(avatarId);
+                }
+                if (!schema) {
+                    const live = await this.osc.queryAvatarSchema();
+                    schema = live && live.avatarId === avatarId ? live : null;
+                }
+                
+                if (this.vrchat.avatarId !== avatarId) return;
+                this.vrchat.setParameterSchema(schema);
+            },
+
+            setParameterSchema: (schema) => {
+                this.vrchat.parameterSchema = schema;
+                this.emit('vrchat:schema_changed', schema);
             },
 
-            // Update avatar parameters
+            // Import avatar OSC config files from a file or folder picker
+            importAvatarConfigs: async (files) => {
+                const schemas = await avatarSchemaRegistry.importFiles(files);
+                if (schemas.length > 0) {
+                    const current = schemas.find(schema => schema.avatarId === this.vrchat.avatarId);
+                    this.vrchat.setParameterSchema(current || schemas[schemas.length - 1]);
+                }
+                return schemas;
+            },
+
+            // Update avatar parameters, validated against the avatar's schema when one is loaded
             updateAvatarParameters: (parameters) => {
-                if (this.osc && this.oscConnected) {
+                if (!this.osc || !this.oscConnected) return;
+                
+                const schema = this.vrchat.parameterSchema;
+                if (!schema) {
                     this.osc.sendAvatarParameters(parameters);
+                    return;
                 }
+                
+                const { messages, rejected } = validateParameters(schema, parameters);
+                rejected.forEach(({ name, reason }) => {
+                    console.warn(`Skipping avatar parameter ${name}: ${reason}`);
+                });
+                messages.forEach(({ address, arg }) => {
+                    this.osc.sendOSCMessage(address, arg);
+                });
             },
 
-            // Send chat message
-            sendChatMessage: (message) => {
+            // Send chat message to the chatbox; long messages are paged
+            sendChatMessage: (message, options = {}) => {
+                const pages = vrchatChatbox.send(message, options);
                 this.emit('vrchat:chat_message', message);
+                return pages;
+            },
+
+            // Show or hide the chatbox typing bubble
+            setTyping: (typing) => {
+                vrchatChatbox.setTyping(typing);
             },
 
             // Play animation
@@ -266,13 +442,15 @@ class VRTrackingSystem extends EventEmitter {
       oscAddress: '127.0.0.1',
       trackingModules: new Map(),
       calibrationData: null,
+      expressionLayout: null,
+      lastSent: new Map(),
       
       connect: async () => {
         try {
           console.log('Connecting to VRCFT...');
           
           // Initialize VRCFT connection
-          await this.initializeVRCFTConnection();
+          await this.vrcft.initializeVRCFTConnection();
           
           this.vrcftConnected = true;
           this.emit('vrcft:connected');
@@ -290,7 +468,7 @@ class VRTrackingSystem extends EventEmitter {
         
         // VRCFT sends data to VRChat via OSC
         // We can intercept and process this data
-        this.setupVRCFTOSCListener();
+        this.vrcft.setupVRCFTOSCListener();
       },
 
       // Setup OSC listener for VRCFT data
@@ -300,97 +478,120 @@ class VRTrackingSystem extends EventEmitter {
       },
 
       // Update face tracking data with VRCFT parameters
-      updateFaceTracking: (faceData) => {
+      updateFaceTracking: (rawFaceData) => {
+        const faceData = trackingFilters.filterFace(rawFaceData);
         this.vrcft.faceTrackingData = faceData;
         
-        // Process VRCFT-specific parameters
-        const vrcftParams = this.processVRCFTParameters(faceData);
-        
-        // Send to VRChat via OSC
+        // Send to VRChat via OSC, as Unified Expressions v2 when the avatar has them
         if (this.osc && this.oscConnected) {
-          this.osc.sendVRCFTParameters(vrcftParams);
+          if (this.vrcft.expressionLayout) {
+            this.osc.sendTypedParameters(this.vrcft.processUnifiedExpressions(faceData));
+          } else {
+            this.osc.sendVRCFTParameters(this.vrcft.processVRCFTParameters(faceData));
+          }
         }
         
         this.emit('vrcft:updated', faceData);
       },
 
+      // Pick float or bit-packed v2 encodings from the avatar's parameter schema
+      setExpressionLayout: (schema) => {
+        this.vrcft.expressionLayout = detectVRCFTLayout(schema);
+        this.vrcft.lastSent.clear();
+        this.emit('vrcft:layout', this.vrcft.expressionLayout);
+      },
+
+      // Encode face data for the avatar's v2 layout, keeping only values that changed
+      processUnifiedExpressions: (faceData) => {
+        const encoded = encodeUnifiedExpressions(this.vrcft.expressionLayout, computeUnifiedExpressions(faceData));
+        const changed = {};
+        
+        Object.entries(encoded).forEach(([param, arg]) => {
+          if (this.vrcft.lastSent.get(param) === arg.value) return;
+          this.vrcft.lastSent.set(param, arg.value);
+          changed[param] = arg;
+        });
+        
+        return changed;
+      },
+
       // Process face data into VRCFT parameters
       processVRCFTParameters: (faceData) => {
         return {
           // Eye tracking parameters
-          'EyeLookLeft': this.clampValue(faceData.eyeLookLeft || 0, 0, 1),
-          'EyeLookRight': this.clampValue(faceData.eyeLookRight || 0, 0, 1),
-          'EyeLookUp': this.clampValue(faceData.eyeLookUp || 0, 0, 1),
-          'EyeLookDown': this.clampValue(faceData.eyeLookDown || 0, 0, 1),
-          'EyeBlinkLeft': this.clampValue(faceData.eyeBlinkLeft || 0, 0, 1),
-          'EyeBlinkRight': this.clampValue(faceData.eyeBlinkRight || 0, 0, 1),
-          'EyeSquintLeft': this.clampValue(faceData.eyeSquintLeft || 0, 0, 1),
-          'EyeSquintRight': this.clampValue(faceData.eyeSquintRight || 0, 0, 1),
-          'EyeWideLeft': this.clampValue(faceData.eyeWideLeft || 0, 0, 1),
-          'EyeWideRight': this.clampValue(faceData.eyeWideRight || 0, 0, 1),
+          'EyeLookLeft': this.vrcft.clampValue(faceData.eyeLookLeft || 0, 0, 1),
+          'EyeLookRight': this.vrcft.clampValue(faceData.eyeLookRight || 0, 0, 1),
+          'EyeLookUp': this.vrcft.clampValue(faceData.eyeLookUp || 0, 0, 1),
+          'EyeLookDown': this.vrcft.clampValue(faceData.eyeLookDown || 0, 0, 1),
+          'EyeBlinkLeft': this.vrcft.clampValue(faceData.eyeBlinkLeft || 0, 0, 1),
+          'EyeBlinkRight': this.vrcft.clampValue(faceData.eyeBlinkRight || 0, 0, 1),
+          'EyeSquintLeft': this.vrcft.clampValue(faceData.eyeSquintLeft || 0, 0, 1),
+          'EyeSquintRight': this.vrcft.clampValue(faceData.eyeSquintRight || 0, 0, 1),
+          'EyeWideLeft': this.vrcft.clampValue(faceData.eyeWideLeft || 0, 0, 1),
+          'EyeWideRight': this.vrcft.clampValue(faceData.eyeWideRight || 0, 0, 1),
           
           // Mouth parameters
-          'JawOpen': this.clampValue(faceData.jawOpen || 0, 0, 1),
-          'JawLeft': this.clampValue(faceData.jawLeft || 0, 0, 1),
-          'JawRight': this.clampValue(faceData.jawRight || 0, 0, 1),
-          'JawForward': this.clampValue(faceData.jawForward || 0, 0, 1),
-          'MouthSmileLeft': this.clampValue(faceData.mouthSmileLeft || 0, 0, 1),
-          'MouthSmileRight': this.clampValue(faceData.mouthSmileRight || 0, 0, 1),
-          'MouthFrownLeft': this.clampValue(faceData.mouthFrownLeft || 0, 0, 1),
-          'MouthFrownRight': this.clampValue(faceData.mouthFrownRight || 0, 0, 1),
-          'MouthPucker': this.clampValue(faceData.mouthPucker || 0, 0, 1),
-          'MouthFunnel': this.clampValue(faceData.mouthFunnel || 0, 0, 1),
-          'MouthRollLower': this.clampValue(faceData.mouthRollLower || 0, 0, 1),
-          'MouthRollUpper': this.clampValue(faceData.mouthRollUpper || 0, 0, 1),
-          'MouthShrugLower': this.clampValue(faceData.mouthShrugLower || 0, 0, 1),
-          'MouthShrugUpper': this.clampValue(faceData.mouthShrugUpper || 0, 0, 1),
-          'MouthClose': this.clampValue(faceData.mouthClose || 0, 0, 1),
-          'MouthUpperUpLeft': this.clampValue(faceData.mouthUpperUpLeft || 0, 0, 1),
-          'MouthUpperUpRight': this.clampValue(faceData.mouthUpperUpRight || 0, 0, 1),
-          'MouthLowerDownLeft': this.clampValue(faceData.mouthLowerDownLeft || 0, 0, 1),
-          'MouthLowerDownRight': this.clampValue(faceData.mouthLowerDownRight || 0, 0, 1),
-          'MouthPressLeft': this.clampValue(faceData.mouthPressLeft || 0, 0, 1),
-          'MouthPressRight': this.clampValue(faceData.mouthPressRight || 0, 0, 1),
-          'MouthDimpleLeft': this.clampValue(faceData.mouthDimpleLeft || 0, 0, 1),
-          'MouthDimpleRight': this.clampValue(faceData.mouthDimpleRight || 0, 0, 1),
-          'MouthStretchLeft': this.clampValue(faceData.mouthStretchLeft || 0, 0, 1),
-          'MouthStretchRight': this.clampValue(faceData.mouthStretchRight || 0, 0, 1),
+          'JawOpen': this.vrcft.clampValue(faceData.jawOpen || 0, 0, 1),
+          'JawLeft': this.vrcft.clampValue(faceData.jawLeft || 0, 0, 1),
+          'JawRight': this.vrcft.clampValue(faceData.jawRight || 0, 0, 1),
+          'JawForward': this.vrcft.clampValue(faceData.jawForward || 0, 0, 1),
+          'MouthSmileLeft': this.vrcft.clampValue(faceData.mouthSmileLeft || 0, 0, 1),
+          'MouthSmileRight': this.vrcft.clampValue(faceData.mouthSmileRight || 0, 0, 1),
+          'MouthFrownLeft': this.vrcft.clampValue(faceData.mouthFrownLeft || 0, 0, 1),
+          'MouthFrownRight': this.vrcft.clampValue(faceData.mouthFrownRight || 0, 0, 1),
+          'MouthPucker': this.vrcft.clampValue(faceData.mouthPucker || 0, 0, 1),
+          'MouthFunnel': this.vrcft.clampValue(faceData.mouthFunnel || 0, 0, 1),
+          'MouthRollLower': this.vrcft.clampValue(faceData.mouthRollLower || 0, 0, 1),
+          'MouthRollUpper': this.vrcft.clampValue(faceData.mouthRollUpper || 0, 0, 1),
+          'MouthShrugLower': this.vrcft.clampValue(faceData.mouthShrugLower || 0, 0, 1),
+          'MouthShrugUpper': this.vrcft.clampValue(faceData.mouthShrugUpper || 0, 0, 1),
+          'MouthClose': this.vrcft.clampValue(faceData.mouthClose || 0, 0, 1),
+          'MouthUpperUpLeft': this.vrcft.clampValue(faceData.mouthUpperUpLeft || 0, 0, 1),
+          'MouthUpperUpRight': this.vrcft.clampValue(faceData.mouthUpperUpRight || 0, 0, 1),
+          'MouthLowerDownLeft': this.vrcft.clampValue(faceData.mouthLowerDownLeft || 0, 0, 1),
+          'MouthLowerDownRight': this.vrcft.clampValue(faceData.mouthLowerDownRight || 0, 0, 1),
+          'MouthPressLeft': this.vrcft.clampValue(faceData.mouthPressLeft || 0, 0, 1),
+          'MouthPressRight': this.vrcft.clampValue(faceData.mouthPressRight || 0, 0, 1),
+          'MouthDimpleLeft': this.vrcft.clampValue(faceData.mouthDimpleLeft || 0, 0, 1),
+          'MouthDimpleRight': this.vrcft.clampValue(faceData.mouthDimpleRight || 0, 0, 1),
+          'MouthStretchLeft': this.vrcft.clampValue(faceData.mouthStretchLeft || 0, 0, 1),
+          'MouthStretchRight': this.vrcft.clampValue(faceData.mouthStretchRight || 0, 0, 1),
           
           // Tongue parameters
-          'TongueOut': this.clampValue(faceData.tongueOut || 0, 0, 1),
-          'TongueUp': this.clampValue(faceData.tongueUp || 0, 0, 1),
-          'TongueDown': this.clampValue(faceData.tongueDown || 0, 0, 1),
-          'TongueLeft': this.clampValue(faceData.tongueLeft || 0, 0, 1),
-          'TongueRight': this.clampValue(faceData.tongueRight || 0, 0, 1),
-          'TongueRoll': this.clampValue(faceData.tongueRoll || 0, 0, 1),
+          'TongueOut': this.vrcft.clampValue(faceData.tongueOut || 0, 0, 1),
+          'TongueUp': this.vrcft.clampValue(faceData.tongueUp || 0, 0, 1),
+          'TongueDown': this.vrcft.clampValue(faceData.tongueDown || 0, 0, 1),
+          'TongueLeft': this.vrcft.clampValue(faceData.tongueLeft || 0, 0, 1),
+          'TongueRight': this.vrcft.clampValue(faceData.tongueRight || 0, 0, 1),
+          'TongueRoll': this.vrcft.clampValue(faceData.tongueRoll || 0, 0, 1),
           
           // Cheek parameters
-          'CheekPuffLeft': this.clampValue(faceData.cheekPuffLeft || 0, 0, 1),
-          'CheekPuffRight': this.clampValue(faceData.cheekPuffRight || 0, 0, 1),
-          'CheekSquintLeft': this.clampValue(faceData.cheekSquintLeft || 0, 0, 1),
-          'CheekSquintRight': this.clampValue(faceData.cheekSquintRight || 0, 0, 1),
+          'CheekPuffLeft': this.vrcft.clampValue(faceData.cheekPuffLeft || 0, 0, 1),
+          'CheekPuffRight': this.vrcft.clampValue(faceData.cheekPuffRight || 0, 0, 1),
+          'CheekSquintLeft': this.vrcft.clampValue(faceData.cheekSquintLeft || 0, 0, 1),
+          'CheekSquintRight': this.vrcft.clampValue(faceData.cheekSquintRight || 0, 0, 1),
           
           // Nose parameters
-          'NoseSneerLeft': this.clampValue(faceData.noseSneerLeft || 0, 0, 1),
-          'NoseSneerRight': this.clampValue(faceData.noseSneerRight || 0, 0, 1),
+          'NoseSneerLeft': this.vrcft.clampValue(faceData.noseSneerLeft || 0, 0, 1),
+          'NoseSneerRight': this.vrcft.clampValue(faceData.noseSneerRight || 0, 0, 1),
           
           // Viseme parameters (for speech)
-          'Viseme': this.clampValue(faceData.viseme || 0, 0, 1),
-          'VisemeSil': this.clampValue(faceData.visemeSil || 0, 0, 1),
-          'VisemePP': this.clampValue(faceData.visemePP || 0, 0, 1),
-          'VisemeFF': this.clampValue(faceData.visemeFF || 0, 0, 1),
-          'VisemeTH': this.clampValue(faceData.visemeTH || 0, 0, 1),
-          'VisemeDD': this.clampValue(faceData.visemeDD || 0, 0, 1),
-          'VisemeKK': this.clampValue(faceData.visemeKK || 0, 0, 1),
-          'VisemeCH': this.clampValue(faceData.visemeCH || 0, 0, 1),
-          'VisemeSS': this.clampValue(faceData.visemeSS || 0, 0, 1),
-          'VisemeNN': this.clampValue(faceData.visemeNN || 0, 0, 1),
-          'VisemeRR': this.clampValue(faceData.visemeRR || 0, 0, 1),
-          'VisemeAA': this.clampValue(faceData.visemeAA || 0, 0, 1),
-          'VisemeE': this.clampValue(faceData.visemeE || 0, 0, 1),
-          'VisemeI': this.clampValue(faceData.visemeI || 0, 0, 1),
-          'VisemeO': this.clampValue(faceData.visemeO || 0, 0, 1),
-          'VisemeU': this.clampValue(faceData.visemeU || 0, 0, 1)
+          'Viseme': this.vrcft.clampValue(faceData.viseme || 0, 0, 1),
+          'VisemeSil': this.vrcft.clampValue(faceData.visemeSil || 0, 0, 1),
+          'VisemePP': this.vrcft.clampValue(faceData.visemePP || 0, 0, 1),
+          'VisemeFF': this.vrcft.clampValue(faceData.visemeFF || 0, 0, 1),
+          'VisemeTH': this.vrcft.clampValue(faceData.visemeTH || 0, 0, 1),
+          'VisemeDD': this.vrcft.clampValue(faceData.visemeDD || 0, 0, 1),
+          'VisemeKK': this.vrcft.clampValue(faceData.visemeKK || 0, 0, 1),
+          'VisemeCH': this.vrcft.clampValue(faceData.visemeCH || 0, 0, 1),
+          'VisemeSS': this.vrcft.clampValue(faceData.visemeSS || 0, 0, 1),
+          'VisemeNN': this.vrcft.clampValue(faceData.visemeNN || 0, 0, 1),
+          'VisemeRR': this.vrcft.clampValue(faceData.visemeRR || 0, 0, 1),
+          'VisemeAA': this.vrcft.clampValue(faceData.visemeAA || 0, 0, 1),
+          'VisemeE': this.vrcft.clampValue(faceData.visemeE || 0, 0, 1),
+          'VisemeI': this.vrcft.clampValue(faceData.visemeI || 0, 0, 1),
+          'VisemeO': this.vrcft.clampValue(faceData.visemeO || 0, 0, 1),
+          'VisemeU': this.vrcft.clampValue(faceData.visemeU || 0, 0, 1)
         };
       },
 
@@ -487,10 +688,14 @@ class VRTrackingSystem extends EventEmitter {
           oscAddress: this.vrcft.oscAddress,
           trackingModules: Array.from(this.vrcft.trackingModules.keys()),
           hasCalibration: this.vrcft.calibrationData !== null,
+          expressionEncoding: this.vrcft.expressionLayout?.encoding || 'legacy',
           lastUpdate: this.vrcft.faceTrackingData ? Date.now() : null
         };
       }
     };
+    
+    // Re-detect the expression layout whenever the avatar's schema changes
+    this.on('vrchat:schema_changed', (schema) => this.vrcft.setExpressionLayout(schema));
   }
 
     /**
@@ -507,6 +712,7 @@ class VRTrackingSystem extends EventEmitter {
             
             // Create virtual skeleton
             this.steamVR.createSkeleton();
+            this.osc.sendTrackingData(this.steamVR.getTrackingData());
             
             this.emit('system:started');
             console.log('VR Tracking System started successfully');
@@ -521,6 +727,7 @@ class VRTrackingSystem extends EventEmitter {
      */
     stop() {
         this.isActive = false;
+        trackerEmulator.stop();
         this.steamVRConnected = false;
         this.oscConnected = false;
         this.vrchatConnected = false;
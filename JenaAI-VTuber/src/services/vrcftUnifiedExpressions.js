@@ -0,0 +1,275 @@
+import { oscBool, oscFloat } from './oscBridge.js';
+
+/**
+ * VRCFT Unified Expressions v2
+ * Maps ARKit-style face data onto VRCFaceTracking's Unified Expressions
+ * (v2/*) parameters, detects from the avatar's parameter schema whether each
+ * one is a float or bit-packed into Bool parameters, and encodes to match
+ * (or decodes what VRChat reports back).
+ */
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const average = (...values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const BINARY_BITS = [1, 2, 4, 8, 16, 32, 64, 128];
+
+/**
+ * Base and combined v2 shapes from face data keyed like processVRCFTParameters' input.
+ * Signed shapes (JawX, SmileFrownLeft, ...) range -1..1, everything else 0..1.
+ */
+export const computeUnifiedExpressions = (faceData = {}) => {
+  const get = (name) => clamp(Number(faceData[name]) || 0, 0, 1);
+
+  const left = {
+    eyeOpen: 1 - get('eyeBlinkLeft'),
+    eyeSquint: get('eyeSquintLeft'),
+    eyeWide: get('eyeWideLeft'),
+    browDown: get('browDownLeft'),
+    browInnerUp: get('browInnerUp'),
+    browOuterUp: get('browOuterUpLeft'),
+    cheekPuff: get('cheekPuffLeft'),
+    cheekSuck: get('cheekSuckLeft'),
+    cheekSquint: get('cheekSquintLeft'),
+    noseSneer: get('noseSneerLeft'),
+    smile: get('mouthSmileLeft'),
+    frown: get('mouthFrownLeft'),
+    upperUp: get('mouthUpperUpLeft'),
+    lowerDown: get('mouthLowerDownLeft'),
+    stretch: get('mouthStretchLeft'),
+    press: get('mouthPressLeft'),
+    dimple: get('mouthDimpleLeft')
+  };
+
+  const right = {
+    eyeOpen: 1 - get('eyeBlinkRight'),
+    eyeSquint: get('eyeSquintRight'),
+    eyeWide: get('eyeWideRight'),
+    browDown: get('browDownRight'),
+    browInnerUp: get('browInnerUp'),
+    browOuterUp: get('browOuterUpRight'),
+    cheekPuff: get('cheekPuffRight'),
+    cheekSuck: get('cheekSuckRight'),
+    cheekSquint: get('cheekSquintRight'),
+    noseSneer: get('noseSneerRight'),
+    smile: get('mouthSmileRight'),
+    frown: get('mouthFrownRight'),
+    upperUp: get('mouthUpperUpRight'),
+    lowerDown: get('mouthLowerDownRight'),
+    stretch: get('mouthStretchRight'),
+    press: get('mouthPressRight'),
+    dimple: get('mouthDimpleRight')
+  };
+
+  const expressions = {};
+
+  [['Left', left], ['Right', right]].forEach(([side, face]) => {
+    // EyeLid: 0 closed, 0.75 open, 1 wide
+    expressions[`EyeLid${side}`] = face.eyeOpen * 0.75 + face.eyeWide * 0.25;
+    expressions[`EyeSquint${side}`] = face.eyeSquint;
+    expressions[`EyeWide${side}`] = face.eyeWide;
+    expressions[`BrowDown${side}`] = face.browDown;
+    expressions[`BrowInnerUp${side}`] = face.browInnerUp;
+    expressions[`BrowOuterUp${side}`] = face.browOuterUp;
+    expressions[`BrowExpression${side}`] = clamp(average(face.browInnerUp, face.browOuterUp) - face.browDown, -1, 1);
+    expressions[`CheekPuff${side}`] = face.cheekPuff;
+    expressions[`CheekSuck${side}`] = face.cheekSuck;
+    expressions[`CheekPuffSuck${side}`] = face.cheekPuff - face.cheekSuck;
+    expressions[`CheekSquint${side}`] = face.cheekSquint;
+    expressions[`NoseSneer${side}`] = face.noseSneer;
+    expressions[`MouthSmile${side}`] = face.smile;
+    expressions[`MouthFrown${side}`] = face.frown;
+    expressions[`MouthSad${side}`] = face.frown;
+    expressions[`SmileFrown${side}`] = face.smile - face.frown;
+    expressions[`SmileSad${side}`] = face.smile - face.frown;
+    expressions[`MouthUpperUp${side}`] = face.upperUp;
+    expressions[`MouthLowerDown${side}`] = face.lowerDown;
+    expressions[`MouthStretch${side}`] = face.stretch;
+    expressions[`MouthPress${side}`] = face.press;
+    expressions[`MouthDimple${side}`] = face.dimple;
+  });
+
+  const eyeX = get('eyeLookRight') - get('eyeLookLeft');
+  const eyeY = get('eyeLookUp') - get('eyeLookDown');
+
+  const pairs = [
+    'EyeLid', 'EyeSquint', 'EyeWide', 'BrowDown', 'BrowInnerUp', 'BrowOuterUp', 'BrowExpression',
+    'CheekPuff', 'CheekSuck', 'CheekPuffSuck', 'CheekSquint', 'NoseSneer', 'MouthSmile', 'MouthSad',
+    'SmileFrown', 'SmileSad', 'MouthUpperUp', 'MouthLowerDown', 'MouthStretch', 'MouthPress', 'MouthDimple'
+  ];
+
+  // Combined shapes average the two sides
+  pairs.forEach((shape) => {
+    expressions[shape] = average(expressions[`${shape}Left`], expressions[`${shape}Right`]);
+  });
+
+  return {
+    ...expressions,
+    BrowUp: average(left.browInnerUp, left.browOuterUp, right.browInnerUp, right.browOuterUp),
+    EyeX: eyeX,
+    EyeY: eyeY,
+    EyeLeftX: eyeX,
+    EyeLeftY: eyeY,
+    EyeRightX: eyeX,
+    EyeRightY: eyeY,
+    JawOpen: get('jawOpen'),
+    JawForward: get('jawForward'),
+    JawX: get('jawRight') - get('jawLeft'),
+    JawZ: get('jawForward'),
+    MouthClosed: get('mouthClose'),
+    MouthX: get('mouthRight') - get('mouthLeft'),
+    MouthRaiserUpper: get('mouthShrugUpper'),
+    MouthRaiserLower: get('mouthShrugLower'),
+    LipFunnel: get('mouthFunnel'),
+    LipPucker: get('mouthPucker'),
+    LipSuckUpper: get('mouthRollUpper'),
+    LipSuckLower: get('mouthRollLower'),
+    LipSuck: average(get('mouthRollUpper'), get('mouthRollLower')),
+    TongueOut: get('tongueOut'),
+    TongueUp: get('tongueUp'),
+    TongueDown: get('tongueDown'),
+    TongueRoll: get('tongueRoll'),
+    TongueX: get('tongueRight') - get('tongueLeft'),
+    TongueY: get('tongueUp') - get('tongueDown')
+  };
+};
+
+/**
+ * Split a v2 parameter name (optionally under FT/) into its shape and how it
+ * is encoded: the Float itself, one bit of a bit-packed value, or the sign
+ * bool. Returns null for anything else.
+ */
+export const parseUnifiedParameter = (parameterName, type) => {
+  const match = parameterName.match(/^(?:FT\/)?v2\/(.+)$/);
+  if (!match) return null;
+
+  const shape = match[1];
+  const binary = shape.match(/^(.+?)(1|2|4|8|16|32|64|128)$/);
+
+  if (type === 'Bool' && shape.endsWith('Negative')) {
+    return { shape: shape.slice(0, -'Negative'.length), kind: 'negative' };
+  }
+  if (type === 'Bool' && binary) {
+    return { shape: binary[1], kind: 'bit', bit: Number(binary[2]) };
+  }
+  if (type === 'Float') {
+    return { shape, kind: 'float' };
+  }
+  return null;
+};
+
+/**
+ * Work out which v2 parameters the avatar has and how each is encoded.
+ * Returns null when the schema has no v2 parameters (legacy ARKit-named avatars).
+ */
+export const detectVRCFTLayout = (schema) => {
+  if (!schema?.parameters) return null;
+
+  const expressions = new Map();
+  const entry = (name) => {
+    if (!expressions.has(name)) {
+      expressions.set(name, { name, float: null, bits: [], negative: null });
+    }
+    return expressions.get(name);
+  };
+
+  schema.parameters.forEach((parameter, parameterName) => {
+    const parsed = parameter.writable ? parseUnifiedParameter(parameterName, parameter.type) : null;
+    if (!parsed) return;
+
+    if (parsed.kind === 'negative') {
+      entry(parsed.shape).negative = parameterName;
+    } else if (parsed.kind === 'bit') {
+      entry(parsed.shape).bits.push({ bit: parsed.bit, parameter: parameterName });
+    } else {
+      entry(parsed.shape).float = parameterName;
+    }
+  });
+
+  if (expressions.size === 0) return null;
+
+  expressions.forEach((expression) => expression.bits.sort((a, b) => a.bit - b.bit));
+
+  const values = Array.from(expressions.values());
+  const hasBinary = values.some((expression) => expression.bits.length > 0);
+  const hasFloat = values.some((expression) => expression.float);
+
+  return {
+    expressions,
+    encoding: hasBinary && hasFloat ? 'mixed' : hasBinary ? 'binary' : 'float'
+  };
+};
+
+/**
+ * Encode a bit-packed value. N bits give 2^N - 1 steps over 0..1; the sign goes in the Negative bool.
+ */
+export const encodeBinaryExpression = (expression, value) => {
+  const args = {};
+  const signed = expression.negative !== null;
+  const magnitude = clamp(signed ? Math.abs(value) : value, 0, 1);
+  const steps = expression.bits.reduce((sum, { bit }) => sum + bit, 0);
+  const level = Math.round(magnitude * steps);
+
+  expression.bits.forEach(({ bit, parameter }) => {
+    args[parameter] = oscBool((level & bit) !== 0);
+  });
+
+  if (signed) {
+    args[expression.negative] = oscBool(value < 0 && level > 0);
+  }
+
+  return args;
+};
+
+/**
+ * Encode expression values for an avatar layout as { parameterName: typed OSC arg }
+ */
+export const encodeUnifiedExpressions = (layout, values) => {
+  const args = {};
+
+  layout.expressions.forEach((expression, shape) => {
+    if (values[shape] === undefined) return;
+    const value = values[shape];
+
+    if (expression.float) {
+      args[expression.float] = oscFloat(clamp(value, -1, 1));
+    }
+
+    if (expression.bits.length > 0) {
+      Object.assign(args, encodeBinaryExpression(expression, value));
+    }
+  });
+
+  return args;
+};
+
+/**
+ * Read a v2 shape back from the avatar's current parameters after one of them
+ * changed. Bit-packed shapes are rebuilt from all their bools, scaled by the
+ * layout's bit count when known, else by the bits VRChat has reported so far.
+ * Returns { shape, value } or null when the parameter isn't a v2 one.
+ */
+export const decodeUnifiedExpression = (parameterName, parameters, layout = null) => {
+  const current = parameters.get(parameterName);
+  const parsed = parseUnifiedParameter(parameterName, typeof current === 'boolean' ? 'Bool' : 'Float');
+  if (!parsed) return null;
+
+  const { shape } = parsed;
+  if (parsed.kind === 'float') {
+    return typeof current === 'number' ? { shape, value: current } : null;
+  }
+
+  const prefix = parameterName.slice(0, parameterName.indexOf('v2/') + 'v2/'.length);
+  const expression = layout?.expressions.get(shape);
+  const bits = expression?.bits.length > 0
+    ? expression.bits
+    : BINARY_BITS
+      .map((bit) => ({ bit, parameter: `${prefix}${shape}${bit}` }))
+      .filter(({ parameter }) => parameters.has(parameter));
+  if (bits.length === 0) return null;
+
+  const steps = bits.reduce((sum, { bit }) => sum + bit, 0);
+  const level = bits.reduce((sum, { bit, parameter }) => sum + (parameters.get(parameter) === true ? bit : 0), 0);
+  const negative = parameters.get(expression?.negative || `${prefix}${shape}Negative`) === true;
+
+  return { shape, value: (negative ? -level : level) / steps };
+};
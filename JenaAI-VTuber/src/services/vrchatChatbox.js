@@ -0,0 +1,205 @@
+import { EventEmitter } from 'events';
+import { oscBridge, oscBool, oscString } from './oscBridge.js';
+import { ttsServiceManager } from './ttsServices.js';
+
+/**
+ * VRChat Chatbox
+ * Queues text for VRChat's /chatbox/input, splitting it into pages that fit
+ * the 144-character limit and spacing them out to respect the rate limit.
+ * Spoken lines can be mirrored as subtitles, paged along with the audio.
+ */
+
+export const CHATBOX_MAX_LENGTH = 144;
+
+// VRChat drops chatbox messages that arrive faster than this
+const MIN_SEND_INTERVAL = 1500;
+
+// Fallbacks when the real audio duration isn't known
+const SPOKEN_CHARS_PER_SECOND = 15;
+const READING_MS_PER_CHAR = 60;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Split text into chatbox pages, preferring sentence and then word boundaries.
+ * Multi-page text gets a " (n/N)" counter, which is reserved out of the limit.
+ */
+export const paginateChatboxText = (text, limit = CHATBOX_MAX_LENGTH) => {
+  const clean = String(text).replace(/\s+/g, ' ').trim();
+  if (!clean) return [];
+  if (clean.length <= limit) return [clean];
+
+  const pageLimit = limit - ' (99/99)'.length;
+  const pages = [];
+  let current = '';
+
+  const pushPiece = (piece) => {
+    const joined = current ? `${current} ${piece}` : piece;
+    if (joined.length <= pageLimit) {
+      current = joined;
+      return;
+    }
+
+    if (current) pages.push(current);
+    current = piece;
+  };
+
+  clean.match(/.*?[.!?]+(?=\s|$)|.+$/g).map((sentence) => sentence.trim()).filter(Boolean).forEach((sentence) => {
+    if (sentence.length <= pageLimit) {
+      pushPiece(sentence);
+      return;
+    }
+
+    sentence.split(' ').forEach((word) => {
+      // Words longer than a page (URLs, spam) are hard-split
+      for (let i = 0; i < word.length; i += pageLimit) {
+        pushPiece(word.slice(i, i + pageLimit));
+      }
+    });
+  });
+
+  if (current) pages.push(current);
+
+  return pages.length === 1 ? pages : pages.map((page, index) => `${page} (${index + 1}/${pages.length})`);
+};
+
+/**
+ * Resolve an audio element's duration in seconds, or null if it never loads
+ */
+const getAudioDuration = (audio, timeout = 1000) => {
+  if (!audio) return Promise.resolve(null);
+  if (Number.isFinite(audio.duration) && audio.duration > 0) return Promise.resolve(audio.duration);
+  if (!audio.src) return Promise.resolve(null);
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(null), timeout);
+    audio.addEventListener('loadedmetadata', () => {
+      clearTimeout(timer);
+      resolve(Number.isFinite(audio.duration) ? audio.duration : null);
+    }, { once: true });
+  });
+};
+
+class VRChatChatbox extends EventEmitter {
+  constructor() {
+    super();
+    this.queue = [];
+    this.processing = false;
+    this.nextSendAt = 0;
+    this.minInterval = MIN_SEND_INTERVAL;
+    this.typing = false;
+    this.mirrorSpeech = false;
+    this.notify = true;
+
+    ttsServiceManager.onSpeech((text, audio, options) => {
+      if (this.mirrorSpeech) this.sendSpoken(text, audio, options);
+    });
+  }
+
+  /**
+   * Queue a message; long text is paged with enough time between pages to read it
+   */
+  send(text, options = {}) {
+    const pages = paginateChatboxText(text);
+    const paged = pages.length > 1;
+
+    pages.forEach((page, index) => {
+      this.queue.push({
+        text: page,
+        source: options.source || 'chat',
+        // Only the first page plays the notification sound
+        notify: index === 0 && (options.notify ?? this.notify),
+        displayTime: paged ? page.length * READING_MS_PER_CHAR : 0
+      });
+    });
+
+    this.emit('chatbox:queued', pages);
+    this.processQueue();
+    return pages;
+  }
+
+  /**
+   * Show a spoken line as subtitles, giving each page its share of the audio's length
+   */
+  async sendSpoken(text, audio = null, options = {}) {
+    const rate = options.speed || options.rate || 1;
+    const duration = await getAudioDuration(audio);
+    const totalMs = ((duration || String(text).length / SPOKEN_CHARS_PER_SECOND) / rate) * 1000;
+
+    // A new line replaces subtitles still waiting from the previous one
+    this.queue = this.queue.filter((page) => page.source !== 'speech');
+
+    const pages = paginateChatboxText(text);
+    const totalChars = pages.reduce((sum, page) => sum + page.length, 0);
+
+    pages.forEach((page) => {
+      this.queue.push({
+        text: page,
+        source: 'speech',
+        notify: false,
+        displayTime: totalMs * (page.length / totalChars)
+      });
+    });
+
+    this.emit('chatbox:queued', pages);
+    this.processQueue();
+    return pages;
+  }
+
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    while (this.queue.length > 0) {
+      const wait = this.nextSendAt - Date.now();
+      if (wait > 0) {
+        await delay(wait);
+        continue;
+      }
+
+      const page = this.queue.shift();
+      oscBridge.send('/chatbox/input', [oscString(page.text), oscBool(true), oscBool(page.notify)]);
+      this.emit('chatbox:sent', page);
+
+      this.nextSendAt = Date.now() + Math.max(this.minInterval, page.displayTime);
+    }
+
+    this.processing = false;
+    this.setTyping(false);
+  }
+
+  /**
+   * Show or hide the typing bubble, e.g. while the AI is generating a reply
+   */
+  setTyping(typing) {
+    if (this.typing === typing) return;
+    this.typing = typing;
+    oscBridge.send('/chatbox/typing', [oscBool(typing)]);
+    this.emit('chatbox:typing', typing);
+  }
+
+  setMirrorSpeech(enabled) {
+    this.mirrorSpeech = enabled;
+    this.emit('chatbox:mirror_speech', enabled);
+  }
+
+  /**
+   * Drop pending pages and blank the chatbox
+   */
+  clear() {
+    this.queue = [];
+    oscBridge.send('/chatbox/input', [oscString(''), oscBool(true), oscBool(false)]);
+    this.setTyping(false);
+    this.emit('chatbox:cleared');
+  }
+
+  getStatus() {
+    return {
+      queued: this.queue.length,
+      typing: this.typing,
+      mirrorSpeech: this.mirrorSpeech
+    };
+  }
+}
+
+export const vrchatChatbox = new VRChatChatbox();
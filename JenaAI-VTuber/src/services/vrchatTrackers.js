@@ -0,0 +1,174 @@
+import { EventEmitter } from 'events';
+import * as THREE from 'three';
+import { oscBridge, oscFloat } from './oscBridge.js';
+
+/**
+ * VRChat OSC Tracker Emulation
+ * Streams the virtual skeleton to VRChat's OSC trackers API
+ * (/tracking/trackers/1-8 and /tracking/trackers/head) at a fixed rate,
+ * smoothing it and converting from OpenVR to Unity space on the way
+ */
+
+// VRChat takes up to 8 body trackers; hands stay on the controllers unless remapped
+export const DEFAULT_TRACKER_SLOTS = {
+  hip: 1,
+  chest: 2,
+  leftFoot: 3,
+  rightFoot: 4,
+  leftKnee: 5,
+  rightKnee: 6,
+  leftElbow: 7,
+  rightElbow: 8
+};
+
+/**
+ * OpenVR is right-handed with -Z forward, Unity left-handed with +Z forward.
+ * Flipping Z is its own inverse, so the same functions convert back.
+ */
+export const openVRToUnityPosition = ({ x, y, z }) => new THREE.Vector3(x, y, -z);
+export const openVRToUnityQuaternion = ({ x, y, z, w }) => new THREE.Quaternion(-x, -y, z, w).normalize();
+export const unityToOpenVRPosition = openVRToUnityPosition;
+export const unityToOpenVRQuaternion = openVRToUnityQuaternion;
+
+/**
+ * VRChat wants Euler angles in degrees, applied Z then X then Y like Unity (three.js order 'YXZ')
+ */
+export const quaternionToUnityEuler = (quaternion) => {
+  const euler = new THREE.Euler().setFromQuaternion(quaternion, 'YXZ');
+  return [euler.x, euler.y, euler.z].map(THREE.MathUtils.radToDeg);
+};
+
+// Skeleton trackers are named left_foot in the SteamVR system and leftFoot in the UI
+const normalizeTrackerName = (name) => name.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+
+class TrackerEmulator extends EventEmitter {
+  constructor() {
+    super();
+    this.rate = 30;
+    this.smoothing = 0.5;
+    this.slots = { ...DEFAULT_TRACKER_SLOTS };
+    this.space = 'openvr';
+    this.sendHead = true;
+    this.running = false;
+    this.timer = null;
+    this.targets = new Map();
+    this.state = new Map();
+  }
+
+  /**
+   * Update rate (Hz), smoothing (0 = raw, towards 1 = heavier), slot mapping and source space
+   */
+  configure(options = {}) {
+    if (options.rate !== undefined) this.rate = Math.max(1, Math.min(120, Number(options.rate)));
+    if (options.smoothing !== undefined) this.smoothing = Math.max(0, Math.min(0.99, Number(options.smoothing)));
+    if (options.slots) this.slots = { ...options.slots };
+    if (options.space) this.space = options.space;
+    if (options.sendHead !== undefined) this.sendHead = !!options.sendHead;
+
+    if (this.running) {
+      this.stop();
+      this.start();
+    }
+
+    this.emit('trackers:configured', this.getConfig());
+    return this.getConfig();
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.timer = setInterval(() => this.tick(), 1000 / this.rate);
+    this.emit('trackers:started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.running = false;
+    this.emit('trackers:stopped');
+  }
+
+  /**
+   * Set the latest pose for any trackers in { name: { position, rotation } }
+   */
+  update(trackingData) {
+    Object.entries(trackingData).forEach(([name, data]) => {
+      if (!data?.position || !data?.rotation) return;
+
+      const rotation = new THREE.Quaternion(data.rotation.x, data.rotation.y, data.rotation.z, data.rotation.w ?? 1);
+      if (rotation.lengthSq() === 0) rotation.identity();
+
+      this.targets.set(normalizeTrackerName(name), {
+        position: new THREE.Vector3(data.position.x, data.position.y, data.position.z),
+        rotation: rotation.normalize()
+      });
+    });
+  }
+
+  /**
+   * Ease every tracker toward its target, then send one bundle
+   */
+  tick() {
+    const alpha = 1 - this.smoothing;
+
+    this.targets.forEach((target, name) => {
+      const current = this.state.get(name);
+      if (!current) {
+        this.state.set(name, { position: target.position.clone(), rotation: target.rotation.clone() });
+        return;
+      }
+
+      current.position.lerp(target.position, alpha);
+      current.rotation.slerp(target.rotation, alpha);
+    });
+
+    const elements = this.buildMessages();
+    if (elements.length > 0 && oscBridge.sendBundle(elements)) {
+      this.emit('trackers:sent', elements.length);
+    }
+  }
+
+  buildMessages() {
+    const elements = [];
+
+    const pushTracker = (id, pose) => {
+      const position = this.space === 'openvr' ? openVRToUnityPosition(pose.position) : pose.position;
+      const rotation = this.space === 'openvr' ? openVRToUnityQuaternion(pose.rotation) : pose.rotation;
+
+      elements.push({ address: `/tracking/trackers/${id}/position`, args: [position.x, position.y, position.z].map(oscFloat) });
+      elements.push({ address: `/tracking/trackers/${id}/rotation`, args: quaternionToUnityEuler(rotation).map(oscFloat) });
+    };
+
+    Object.entries(this.slots).forEach(([name, slot]) => {
+      const pose = this.state.get(name);
+      if (pose) pushTracker(slot, pose);
+    });
+
+    // The head isn't driven; VRChat uses it to line the trackers up with the player
+    if (this.sendHead && this.state.has('head')) {
+      pushTracker('head', this.state.get('head'));
+    }
+
+    return elements;
+  }
+
+  /**
+   * Forget every pose, e.g. after a recalibration
+   */
+  reset() {
+    this.targets.clear();
+    this.state.clear();
+  }
+
+  getConfig() {
+    return {
+      rate: this.rate,
+      smoothing: this.smoothing,
+      slots: { ...this.slots },
+      space: this.space,
+      sendHead: this.sendHead
+    };
+  }
+}
+
+export const trackerEmulator = new TrackerEmulator();
@@ -0,0 +1,129 @@
+import { VRMLoaderPlugin, VRMUtils } from '@pixiv/three-vrm';
+
+/**
+ * VRM Avatar
+ * Loads VRM 0.x and 1.0 models through GLTFLoader and drives them from the
+ * avatar store by expression preset instead of by name. Bones are posed
+ * through a HumanoidRig over the normalized bones (see humanoidRetargeting.js).
+ */
+
+// VRM 1.0 expression preset -> facialExpressions keys; the strongest one wins.
+// three-vrm renames VRM 0.x presets (joy, sorrow, fun, a, i, u, e, o) to these.
+export const VRM_EXPRESSION_SOURCES = {
+  happy: ['happy', 'smile'],
+  angry: ['angry'],
+  sad: ['sad'],
+  relaxed: ['relaxed'],
+  surprised: ['surprised'],
+  aa: ['aa', 'mouthOpen', 'jawOpen'],
+  ih: ['ih'],
+  ou: ['ou', 'mouthPucker'],
+  ee: ['ee'],
+  oh: ['oh', 'mouthFunnel'],
+  blink: ['blink'],
+  blinkLeft: ['blinkLeft'],
+  blinkRight: ['blinkRight']
+};
+
+const RAD2DEG = 180 / Math.PI;
+
+// Custom (e.g. perfect sync) expressions by lowercased name, per VRM
+const customExpressionCache = new WeakMap();
+
+/**
+ * Let a GLTFLoader read VRM extensions; the VRM ends up in gltf.userData.vrm
+ */
+export const registerVRMLoader = (loader) => {
+  loader.register((parser) => new VRMLoaderPlugin(parser));
+  return loader;
+};
+
+/**
+ * Prepare a loaded VRM for the scene. VRM 0.x faces -Z and is turned to face +Z like 1.0.
+ */
+export const setupVRM = (vrm) => {
+  VRMUtils.removeUnnecessaryVertices(vrm.scene);
+  VRMUtils.rotateVRM0(vrm);
+
+  vrm.scene.userData.vrm = vrm;
+  vrm.scene.traverse((child) => {
+    child.frustumCulled = false;
+  });
+
+  return vrm;
+};
+
+export const disposeVRM = (vrm) => {
+  VRMUtils.deepDispose(vrm.scene);
+};
+
+/**
+ * VRM version as shown to the user: '0.x' or '1.0'
+ */
+export const getVRMVersion = (vrm) => (vrm.meta?.metaVersion === '0' ? '0.x' : '1.0');
+
+const getCustomExpressions = (vrm) => {
+  if (!customExpressionCache.has(vrm)) {
+    const presets = new Set(Object.keys(VRM_EXPRESSION_SOURCES));
+    const custom = new Map();
+
+    (vrm.expressionManager?.expressions || []).forEach((expression) => {
+      if (!presets.has(expression.expressionName)) {
+        custom.set(expression.expressionName.toLowerCase(), expression.expressionName);
+      }
+    });
+
+    customExpressionCache.set(vrm, custom);
+  }
+
+  return customExpressionCache.get(vrm);
+};
+
+/**
+ * Expression name -> weight for the presets and custom expressions that
+ * facialExpressions' keys drive. Keys matching a custom expression on the
+ * model (perfect sync avatars) drive it directly.
+ */
+export const getVRMExpressionWeights = (vrm, facialExpressions) => {
+  const manager = vrm.expressionManager;
+  const weights = new Map();
+  if (!manager) return weights;
+
+  Object.entries(VRM_EXPRESSION_SOURCES).forEach(([preset, sources]) => {
+    if (!manager.getExpression(preset) || !sources.some((key) => key in facialExpressions)) return;
+    weights.set(preset, Math.max(0, ...sources.map((key) => facialExpressions[key] || 0)));
+  });
+
+  const custom = getCustomExpressions(vrm);
+  Object.entries(facialExpressions).forEach(([key, value]) => {
+    const name = custom.get(key.toLowerCase());
+    if (name) weights.set(name, value);
+  });
+
+  return weights;
+};
+
+/**
+ * Set expression weights from facialExpressions
+ */
+export const applyVRMExpressions = (vrm, facialExpressions) => {
+  getVRMExpressionWeights(vrm, facialExpressions).forEach((weight, name) => {
+    vrm.expressionManager.setValue(name, weight);
+  });
+};
+
+/**
+ * Aim the eyes with VRM lookAt; eyeGaze -1..1 spans ±range radians (+x to screen right, +y up)
+ */
+export const applyVRMLookAt = (vrm, eyeGaze, range) => {
+  if (!vrm.lookAt) return;
+
+  // three-vrm's yaw turns toward +X like eyeGaze.x, but positive pitch looks down
+  vrm.lookAt.yaw = eyeGaze.x * range * RAD2DEG;
+  vrm.lookAt.pitch = -eyeGaze.y * range * RAD2DEG;
+};
+
+/**
+ * Raw (skinned) bone for a humanoid bone name, for world-space lookups
+ */
+export const getVRMBoneNode = (vrm, boneName) => vrm.humanoid?.getRawBoneNode(boneName) || null;
@@ -1,11 +1,38 @@
 import { create } from 'zustand';
 import * as db from './indexedDB.js';
+import { DEFAULT_SPRING_BONE_SETTINGS } from '../services/springBonePhysics.js';
+import { DEFAULT_IDLE_SETTINGS } from '../services/idleBehavior.js';
+import { DEFAULT_FILTER_SETTINGS, FILTER_CHANNELS } from '../services/trackingFilters.js';
+
+// Saved filter settings over the defaults, channel by channel
+const mergeFilterSettings = (saved = {}) => Object.fromEntries(
+  FILTER_CHANNELS.map((channel) => [channel, { ...DEFAULT_FILTER_SETTINGS[channel], ...saved[channel] }])
+);
+
+// Sliders change settings every tick and each save appends a record, so a
+// setting is written once its value has settled
+const SETTINGS_SAVE_DELAY = 500;
+const saveTimers = new Map();
+
+const saveAvatarConfigLater = (label, config) => {
+  const key = `${label}:${config.avatarKey ?? ''}`;
+  clearTimeout(saveTimers.get(key));
+  saveTimers.set(key, setTimeout(() => {
+    saveTimers.delete(key);
+    db.saveAvatarConfig(config).catch((error) => console.error(`Failed to save ${label}:`, error));
+  }, SETTINGS_SAVE_DELAY));
+};
 
 export const useAvatarStore = create((set, get) => ({
   // Model state
   modelUrl: null,
+  // Per-avatar settings are saved under this name (the uploaded file's name)
+  modelName: null,
   model: null,
   mixer: null,
+  vrm: null,
+  // Humanoid bone map for the loaded model (see humanoidRetargeting.js)
+  humanoidRig: null,
   isLoading: false,
   
   // Eye gaze control
@@ -35,6 +62,16 @@ export const useAvatarStore = create((set, get) => ({
     tongueOut: 0,
     lipRollUpper: 0,
     lipRollLower: 0,
+    // VRM presets without an ARKit-style equivalent
+    relaxed: 0,
+    blink: 0,
+    blinkLeft: 0,
+    blinkRight: 0,
+    aa: 0,
+    ih: 0,
+    ou: 0,
+    ee: 0,
+    oh: 0,
   },
   
   // Skeletal controls (bone rotations)
@@ -64,20 +101,40 @@ export const useAvatarStore = create((set, get) => ({
     type: 'normal'
   },
   
+  // Spring bone physics, per avatar
+  springBoneSettings: { ...DEFAULT_SPRING_BONE_SETTINGS },
+  
+  // Blendshape mapping profile, per avatar; null uses the one detected from the model
+  blendshapeProfile: null,
+  
+  // Humanoid bone -> bone name overrides on top of detection, per avatar
+  humanoidBoneOverrides: {},
+  
+  // Procedural idle motion (blinks, breathing, saccades, head sway)
+  idleSettings: { ...DEFAULT_IDLE_SETTINGS },
+  
+  // Tracker, face and pose tracking filters, per avatar
+  filterSettings: mergeFilterSettings(),
+  
   // Animation history
   animationHistory: [],
   
   // Actions
-  setModelUrl: (url) => {
-    set({ modelUrl: url });
+  setModelUrl: (url, name = url) => {
+    set({ modelUrl: url, modelName: name });
     // Save to IndexedDB
-    db.saveAvatarConfig({ modelUrl: url });
+    db.saveAvatarConfig({ modelUrl: url, modelName: name });
+    get().loadAvatarSettings();
   },
   
   setModel: (model) => set({ model }),
   
   setMixer: (mixer) => set({ mixer }),
   
+  setVrm: (vrm) => set({ vrm }),
+  
+  setHumanoidRig: (humanoidRig) => set({ humanoidRig }),
+  
   setIsLoading: (loading) => set({ isLoading: loading }),
   
   setEyeGaze: (gaze) => {
@@ -107,12 +164,44 @@ export const useAvatarStore = create((set, get) => ({
     db.saveVoiceSettings(settings);
   },
   
+  setSpringBoneSettings: (settings) => {
+    set((state) => ({ springBoneSettings: { ...state.springBoneSettings, ...settings } }));
+    // Save per avatar to IndexedDB
+    saveAvatarConfigLater('spring bone settings', { avatarKey: get().modelName, springBones: get().springBoneSettings });
+  },
+  
+  setBlendshapeProfile: (profile) => {
+    set({ blendshapeProfile: profile });
+    // Save per avatar to IndexedDB
+    saveAvatarConfigLater('blendshape profile', { avatarKey: get().modelName, blendshapeProfile: profile });
+  },
+  
+  setHumanoidBoneOverrides: (overrides) => {
+    set({ humanoidBoneOverrides: overrides });
+    // Save per avatar to IndexedDB
+    db.saveAvatarConfig({ avatarKey: get().modelName, humanoidBones: overrides });
+  },
+  
+  setIdleSettings: (settings) => {
+    set((state) => ({ idleSettings: { ...state.idleSettings, ...settings } }));
+    // Save to IndexedDB
+    saveAvatarConfigLater('idle settings', { idleSettings: get().idleSettings });
+  },
+  
+  setFilterSettings: (channel, settings) => {
+    set((state) => ({
+      filterSettings: { ...state.filterSettings, [channel]: { ...state.filterSettings[channel], ...settings } }
+    }));
+    // Save per avatar to IndexedDB; the filters themselves follow the store live
+    saveAvatarConfigLater('tracking filters', { avatarKey: get().modelName, trackingFilters: get().filterSettings });
+  },
+  
   addToAnimationHistory: (animation) => {
     set((state) => ({ 
       animationHistory: [...state.animationHistory, animation].slice(-100) // Keep last 100
     }));
     // Save animation to IndexedDB
-    db.saveAnimation(animation);
+    return db.saveAnimation(animation);
   },
   
   resetAvatar: () => {
@@ -141,6 +230,15 @@ export const useAvatarStore = create((set, get) => ({
         tongueOut: 0,
         lipRollUpper: 0,
         lipRollLower: 0,
+        relaxed: 0,
+        blink: 0,
+        blinkLeft: 0,
+        blinkRight: 0,
+        aa: 0,
+        ih: 0,
+        ou: 0,
+        ee: 0,
+        oh: 0,
       },
       skeletalControls: {
         head: { x: 0, y: 0, z: 0 },
@@ -168,16 +266,42 @@ export const useAvatarStore = create((set, get) => ({
     });
   },
   
+  // Load the current avatar's saved settings; the latest record wins
+  loadAvatarSettings: async () => {
+    try {
+      const { modelName } = get();
+      const avatarConfigs = await db.getAvatarConfig();
+      const configs = avatarConfigs.filter((config) => config.avatarKey === modelName);
+      const springBones = configs.filter((config) => config.springBones).pop();
+      const blendshapes = configs.filter((config) => 'blendshapeProfile' in config).pop();
+      const humanoidBones = configs.filter((config) => config.humanoidBones).pop();
+      const filters = configs.filter((config) => config.trackingFilters).pop();
+      
+      set({
+        springBoneSettings: { ...DEFAULT_SPRING_BONE_SETTINGS, ...springBones?.springBones },
+        blendshapeProfile: blendshapes?.blendshapeProfile || null,
+        humanoidBoneOverrides: humanoidBones?.humanoidBones || {},
+        filterSettings: mergeFilterSettings(filters?.trackingFilters)
+      });
+    } catch (error) {
+      console.error('Failed to load avatar settings:', error);
+    }
+  },
+  
   // Load data from IndexedDB
   loadFromIndexedDB: async () => {
     try {
-      // Load avatar config
+      // Load avatar config; settings records don't carry a modelUrl
       const avatarConfigs = await db.getAvatarConfig();
-      if (avatarConfigs.length > 0) {
-        const latestConfig = avatarConfigs[avatarConfigs.length - 1];
-        if (latestConfig.modelUrl) {
-          set({ modelUrl: latestConfig.modelUrl });
-        }
+      const latestConfig = avatarConfigs.filter((config) => config.modelUrl).pop();
+      if (latestConfig) {
+        set({ modelUrl: latestConfig.modelUrl, modelName: latestConfig.modelName || latestConfig.modelUrl });
+        await get().loadAvatarSettings();
+      }
+      
+      const idleConfig = avatarConfigs.filter((config) => config.idleSettings).pop();
+      if (idleConfig) {
+        set({ idleSettings: { ...DEFAULT_IDLE_SETTINGS, ...idleConfig.idleSettings } });
       }
       
       // Load voice settings
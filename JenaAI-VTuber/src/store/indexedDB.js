@@ -1,5 +1,5 @@
 const DB_NAME = 'AvatarStorageDB';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 const STORES = {
   MOVEMENTS: 'movements',
   ANIMATIONS: 'animations',
@@ -7,7 +7,8 @@ const STORES = {
   OPENPOSE: 'openpose',
   TTS: 'tts',
   VOICE_SETTINGS: 'voiceSettings',
-  AVATAR_CONFIG: 'avatarConfig'
+  AVATAR_CONFIG: 'avatarConfig',
+  OSC_RECORDINGS: 'oscRecordings'
 };
 
 let db = null;
@@ -69,6 +70,12 @@ export const initDB = () => {
         const avatarConfigStore = db.createObjectStore(STORES.AVATAR_CONFIG, { keyPath: 'id', autoIncrement: true });
         avatarConfigStore.createIndex('timestamp', 'timestamp', { unique: false });
       }
+      
+      if (!db.objectStoreNames.contains(STORES.OSC_RECORDINGS)) {
+        const oscRecordingsStore = db.createObjectStore(STORES.OSC_RECORDINGS, { keyPath: 'id', autoIncrement: true });
+        oscRecordingsStore.createIndex('timestamp', 'timestamp', { unique: false });
+        oscRecordingsStore.createIndex('name', 'name', { unique: false });
+      }
     };
   });
 };
@@ -187,7 +194,8 @@ export const saveOpenPose = (openposeData) => {
   });
 };
 
-export const getOpenPose = (limit = 50) => {
+// Newest first; only records passing `filter` count toward the limit
+export const getOpenPose = (limit = 50, filter = () => true) => {
   return new Promise((resolve, reject) => {
     const transaction = db.transaction([STORES.OPENPOSE], 'readonly');
     const store = transaction.objectStore(STORES.OPENPOSE);
@@ -200,9 +208,11 @@ export const getOpenPose = (limit = 50) => {
     request.onsuccess = (event) => {
       const cursor = event.target.result;
       if (cursor && count < limit) {
-        results.push(cursor.value);
+        if (filter(cursor.value)) {
+          results.push(cursor.value);
+          count++;
+        }
         cursor.continue();
-        count++;
       } else {
         resolve(results);
       }
@@ -300,6 +310,43 @@ export const getAvatarConfig = () => {
   });
 };
 
+export const saveOSCRecording = (recording) => {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.OSC_RECORDINGS], 'readwrite');
+    const store = transaction.objectStore(STORES.OSC_RECORDINGS);
+    
+    const request = store.add({
+      ...recording,
+      timestamp: Date.now()
+    });
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+export const getOSCRecordings = () => {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.OSC_RECORDINGS], 'readonly');
+    const store = transaction.objectStore(STORES.OSC_RECORDINGS);
+    
+    const request = store.getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+export const deleteOSCRecording = (id) => {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.OSC_RECORDINGS], 'readwrite');
+    const store = transaction.objectStore(STORES.OSC_RECORDINGS);
+    
+    const request = store.delete(id);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+};
+
 export const clearAllData = () => {
   return new Promise((resolve, reject) => {
     const transaction = db.transaction([
@@ -309,7 +356,8 @@ export const clearAllData = () => {
       STORES.OPENPOSE,
       STORES.TTS,
       STORES.VOICE_SETTINGS,
-      STORES.AVATAR_CONFIG
+      STORES.AVATAR_CONFIG,
+      STORES.OSC_RECORDINGS
     ], 'readwrite');
     
     transaction.oncomplete = () => resolve();
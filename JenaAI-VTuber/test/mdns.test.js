@@ -0,0 +1,134 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MDNS, encodePacket, decodePacket, TYPE_A, TYPE_PTR, TYPE_SRV, TYPE_TXT } from '../electron/osc/mdns.js';
+
+const SERVICE_TYPE = '_oscjson._tcp';
+const FQDN = `VRChat-Client-1A2B3C.${SERVICE_TYPE}.local`;
+const RINFO = { address: '192.168.1.20', port: 5353 };
+
+const label = (text) => [text.length, ...Buffer.from(text)];
+
+// Browsing instance that records its queries instead of multicasting them
+const createBrowser = () => {
+  const mdns = new MDNS();
+  const sent = [];
+  const events = [];
+
+  mdns.send = (packet) => sent.push(packet);
+  mdns.on('service', (service) => events.push(['up', service]));
+  mdns.on('service-down', (service) => events.push(['down', service]));
+  mdns.browse(SERVICE_TYPE, 0);
+  sent.length = 0;
+
+  const receive = (packet) => mdns.handlePacket(decodePacket(encodePacket({ response: true, ...packet })), RINFO);
+  return { mdns, sent, events, receive };
+};
+
+const pointer = (ttl = 120) => ({ name: `${SERVICE_TYPE}.local`, type: TYPE_PTR, ttl, data: FQDN });
+const srv = (ttl = 120) => ({ name: FQDN, type: TYPE_SRV, ttl, data: { port: 9060, target: 'vrchat-host.local' } });
+const txt = () => ({ name: FQDN, type: TYPE_TXT, ttl: 120, data: ['txtvers=1'] });
+
+test('round-trips questions and every record type', () => {
+  const packet = {
+    id: 7,
+    response: true,
+    questions: [{ name: `${SERVICE_TYPE}.local`, type: TYPE_PTR }],
+    answers: [pointer()],
+    additionals: [srv(), txt(), { name: 'vrchat-host.local', type: TYPE_A, ttl: 120, data: '192.168.1.20' }]
+  };
+
+  const decoded = decodePacket(encodePacket(packet));
+
+  assert.equal(decoded.id, 7);
+  assert.equal(decoded.response, true);
+  assert.deepEqual(decoded.questions, [{ name: `${SERVICE_TYPE}.local`, type: TYPE_PTR, unicast: false }]);
+  assert.deepEqual(decoded.answers, [pointer()]);
+  assert.deepEqual(decoded.additionals, [
+    { ...srv(), data: { priority: 0, weight: 0, port: 9060, target: 'vrchat-host.local' } },
+    txt(),
+    { name: 'vrchat-host.local', type: TYPE_A, ttl: 120, data: '192.168.1.20' }
+  ]);
+});
+
+test('follows compressed names', () => {
+  // One PTR answer whose data points back at the question's name (offset 12)
+  const question = [...label('_oscjson'), ...label('_tcp'), ...label('local'), 0];
+  const data = [...label('VRChat'), 0xc0, 12];
+  const buffer = Buffer.from([
+    0, 0, 0x84, 0, 0, 1, 0, 1, 0, 0, 0, 0,
+    ...question, 0, TYPE_PTR, 0, 1,
+    0xc0, 12, 0, TYPE_PTR, 0, 1, 0, 0, 0, 120, 0, data.length, ...data
+  ]);
+
+  const decoded = decodePacket(buffer);
+
+  assert.equal(decoded.questions[0].name, '_oscjson._tcp.local');
+  assert.deepEqual(decoded.answers, [{ name: '_oscjson._tcp.local', type: TYPE_PTR, ttl: 120, data: 'VRChat._oscjson._tcp.local' }]);
+});
+
+test('rejects compression loops', () => {
+  const buffer = Buffer.from([0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0xc0, 12, 0, 1, 0, 1]);
+  assert.throws(() => decodePacket(buffer), /compression loop/);
+});
+
+test('resolves a service answered in one packet', () => {
+  const { sent, events, receive } = createBrowser();
+
+  receive({ answers: [pointer()], additionals: [srv(), txt(), { name: 'vrchat-host.local', type: TYPE_A, data: '10.0.0.5' }] });
+
+  assert.equal(sent.length, 0);
+  assert.equal(events.length, 1);
+  assert.deepEqual(events[0], ['up', {
+    name: 'VRChat-Client-1A2B3C',
+    type: SERVICE_TYPE,
+    fqdn: FQDN,
+    host: 'vrchat-host.local',
+    address: '10.0.0.5',
+    port: 9060,
+    txt: ['txtvers=1']
+  }]);
+});
+
+test('asks for SRV and TXT when a pointer arrives alone', () => {
+  const { sent, events, receive } = createBrowser();
+
+  receive({ answers: [pointer()] });
+  assert.deepEqual(sent, [{ questions: [{ name: FQDN, type: TYPE_SRV }, { name: FQDN, type: TYPE_TXT }] }]);
+  assert.equal(events.length, 0);
+
+  // Repeated pointers don't repeat the question
+  receive({ answers: [pointer()] });
+  assert.equal(sent.length, 1);
+
+  receive({ answers: [srv()], additionals: [txt()] });
+  assert.deepEqual(events.map(([kind, service]) => [kind, service.address, service.port]), [['up', RINFO.address, 9060]]);
+});
+
+test('takes a service down on a pointer goodbye without SRV', () => {
+  const { mdns, events, receive } = createBrowser();
+
+  receive({ answers: [pointer()], additionals: [srv()] });
+  receive({ answers: [pointer(0)] });
+
+  assert.deepEqual(events.map(([kind]) => kind), ['up', 'down']);
+  assert.equal(events[1][1].fqdn, FQDN);
+  assert.equal(mdns.discovered.size, 0);
+});
+
+test('takes a service down on an SRV goodbye', () => {
+  const { events, receive } = createBrowser();
+
+  receive({ answers: [pointer()], additionals: [srv()] });
+  receive({ answers: [srv(0)] });
+
+  assert.deepEqual(events.map(([kind]) => kind), ['up', 'down']);
+});
+
+test('ignores pointers for types it is not browsing', () => {
+  const { sent, events, receive } = createBrowser();
+
+  receive({ answers: [{ name: '_http._tcp.local', type: TYPE_PTR, ttl: 120, data: 'Printer._http._tcp.local' }] });
+
+  assert.equal(sent.length, 0);
+  assert.equal(events.length, 0);
+});
@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  IMMEDIATELY,
+  toTimetag,
+  fromTimetag,
+  encodeMessage,
+  encodePacket,
+  decodePacket,
+  flattenPacket
+} from '../electron/osc/oscCodec.js';
+
+const roundTrip = (packet) => decodePacket(encodePacket(packet));
+
+test('encodes a message byte for byte', () => {
+  const buffer = encodeMessage('/a', [{ type: 'i', value: 1 }, { type: 's', value: 'hi' }]);
+
+  assert.deepEqual([...buffer], [
+    0x2f, 0x61, 0, 0,
+    0x2c, 0x69, 0x73, 0,
+    0, 0, 0, 1,
+    0x68, 0x69, 0, 0
+  ]);
+});
+
+test('pads strings to four bytes, always keeping a terminator', () => {
+  assert.equal(encodeMessage('/ab', []).length, 4 + 4);
+  assert.equal(encodeMessage('/abc', []).length, 8 + 4);
+  assert.equal(encodeMessage('/abcdefg', []).length, 12 + 4);
+});
+
+test('round-trips every type tag', () => {
+  const args = [
+    { type: 'i', value: -42 },
+    { type: 'f', value: 0.5 },
+    { type: 's', value: 'héllo' },
+    { type: 'b', value: new Uint8Array([1, 2, 3, 4, 5]) },
+    { type: 'T', value: true },
+    { type: 'F', value: false },
+    { type: 'N', value: null },
+    { type: 'I', value: Infinity }
+  ];
+
+  const decoded = roundTrip({ address: '/avatar/parameters/Test', args });
+
+  assert.equal(decoded.address, '/avatar/parameters/Test');
+  assert.deepEqual(decoded.args, args);
+});
+
+test('pads blobs after their size prefix', () => {
+  const buffer = encodeMessage('/b', [{ type: 'b', value: new Uint8Array([9, 9, 9, 9, 9]) }]);
+
+  // address, ",b", size, five bytes padded to eight
+  assert.equal(buffer.length, 4 + 4 + 4 + 8);
+  assert.deepEqual(roundTrip({ address: '/b', args: [{ type: 'b', value: new Uint8Array([]) }] }).args[0].value, new Uint8Array([]));
+});
+
+test('infers types for plain values', () => {
+  const decoded = roundTrip({ address: '/plain', args: [3, 1.25, 'x', true, false, null] });
+
+  assert.deepEqual(decoded.args.map(({ type }) => type), ['i', 'f', 's', 'T', 'F', 'N']);
+  assert.equal(decoded.args[1].value, 1.25);
+});
+
+test('round-trips nested bundles with their timetags', () => {
+  const time = Date.UTC(2024, 0, 1, 12, 0, 0, 250);
+  const packet = {
+    timetag: time,
+    elements: [
+      { address: '/tracking/trackers/1/position', args: [{ type: 'f', value: 1 }, { type: 'f', value: 2 }, { type: 'f', value: 3 }] },
+      { timetag: null, elements: [{ address: '/inner', args: [{ type: 'i', value: 7 }] }] }
+    ]
+  };
+
+  const decoded = roundTrip(packet);
+
+  assert.equal(Math.round(decoded.time), time);
+  assert.equal(decoded.elements.length, 2);
+  assert.deepEqual(decoded.elements[0].args.map(({ value }) => value), [1, 2, 3]);
+  assert.deepEqual(decoded.elements[1].timetag, IMMEDIATELY);
+  assert.equal(decoded.elements[1].time, null);
+
+  const messages = flattenPacket(decoded);
+  assert.deepEqual(messages.map(({ address }) => address), ['/tracking/trackers/1/position', '/inner']);
+  assert.equal(Math.round(messages[0].time), time);
+});
+
+test('converts timetags to and from milliseconds', () => {
+  assert.deepEqual(toTimetag(undefined), IMMEDIATELY);
+  assert.equal(fromTimetag(IMMEDIATELY), null);
+
+  const time = 1700000000123;
+  assert.equal(Math.round(fromTimetag(toTimetag(time))), time);
+  assert.equal(Math.round(fromTimetag(toTimetag(new Date(time)))), time);
+});
+
+test('rejects malformed packets', () => {
+  assert.throws(() => decodePacket(Buffer.from([0x2f, 0x61, 0])), RangeError);
+  assert.throws(() => decodePacket(Buffer.from('abc\0')), TypeError);
+  assert.throws(() => encodeMessage('no-slash'), TypeError);
+
+  const truncated = Buffer.concat([Buffer.from('#bundle\0'), Buffer.alloc(8), Buffer.from([0, 0, 0, 64])]);
+  assert.throws(() => decodePacket(truncated), RangeError);
+});
@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseUnifiedParameter,
+  detectVRCFTLayout,
+  encodeBinaryExpression,
+  encodeUnifiedExpressions,
+  decodeUnifiedExpression
+} from '../src/services/vrcftUnifiedExpressions.js';
+
+const schemaOf = (parameters) => ({
+  parameters: new Map(Object.entries(parameters).map(([name, type]) => [name, { type, writable: true }]))
+});
+
+const bools = (prefix, shape, bits, negative = false) => ({
+  ...Object.fromEntries(bits.map((bit) => [`${prefix}${shape}${bit}`, 'Bool'])),
+  ...(negative ? { [`${prefix}${shape}Negative`]: 'Bool' } : {})
+});
+
+// What VRChat would report back after receiving the encoded arguments
+const toParameters = (args) => new Map(Object.entries(args).map(([name, arg]) => [name, arg.value]));
+
+test('parses float, bit and sign parameter names', () => {
+  assert.deepEqual(parseUnifiedParameter('v2/JawOpen', 'Float'), { shape: 'JawOpen', kind: 'float' });
+  assert.deepEqual(parseUnifiedParameter('FT/v2/JawOpen4', 'Bool'), { shape: 'JawOpen', kind: 'bit', bit: 4 });
+  assert.deepEqual(parseUnifiedParameter('v2/JawXNegative', 'Bool'), { shape: 'JawX', kind: 'negative' });
+  assert.equal(parseUnifiedParameter('JawOpen', 'Float'), null);
+  assert.equal(parseUnifiedParameter('v2/JawOpen', 'Int'), null);
+});
+
+test('detects float, binary and mixed layouts', () => {
+  assert.equal(detectVRCFTLayout(schemaOf({ 'v2/JawOpen': 'Float' })).encoding, 'float');
+  assert.equal(detectVRCFTLayout(schemaOf(bools('v2/', 'JawOpen', [1, 2, 4]))).encoding, 'binary');
+  assert.equal(detectVRCFTLayout(schemaOf({ 'v2/EyeX': 'Float', ...bools('FT/v2/', 'JawOpen', [1, 2]) })).encoding, 'mixed');
+  assert.equal(detectVRCFTLayout(schemaOf({ JawOpen: 'Float' })), null);
+
+  const layout = detectVRCFTLayout(schemaOf(bools('v2/', 'JawX', [4, 1, 2], true)));
+  assert.deepEqual(layout.expressions.get('JawX').bits.map(({ bit }) => bit), [1, 2, 4]);
+  assert.equal(layout.expressions.get('JawX').negative, 'v2/JawXNegative');
+});
+
+test('packs values into bits', () => {
+  const layout = detectVRCFTLayout(schemaOf(bools('v2/', 'JawOpen', [1, 2, 4, 8])));
+  const jawOpen = layout.expressions.get('JawOpen');
+  const levels = (value) => Object.values(encodeBinaryExpression(jawOpen, value)).map(({ value: bit }) => bit);
+
+  assert.deepEqual(levels(0), [false, false, false, false]);
+  assert.deepEqual(levels(1), [true, true, true, true]);
+  // 0.5 of 15 steps rounds to 8
+  assert.deepEqual(levels(0.5), [false, false, false, true]);
+  assert.deepEqual(levels(2), [true, true, true, true]);
+});
+
+test('puts the sign in the Negative bool', () => {
+  const layout = detectVRCFTLayout(schemaOf(bools('v2/', 'JawX', [1, 2, 4], true)));
+  const args = encodeBinaryExpression(layout.expressions.get('JawX'), -0.4);
+
+  // 0.4 of 7 steps rounds to 3
+  assert.deepEqual(toParameters(args), new Map([
+    ['v2/JawX1', true],
+    ['v2/JawX2', true],
+    ['v2/JawX4', false],
+    ['v2/JawXNegative', true]
+  ]));
+
+  const zero = encodeBinaryExpression(layout.expressions.get('JawX'), -0.01);
+  assert.equal(zero['v2/JawXNegative'].value, false);
+});
+
+test('decodes what it encodes, to the precision of the bits', () => {
+  const layout = detectVRCFTLayout(schemaOf({
+    'v2/EyeX': 'Float',
+    ...bools('FT/v2/', 'JawOpen', [1, 2, 4, 8]),
+    ...bools('FT/v2/', 'JawX', [1, 2, 4], true)
+  }));
+
+  [
+    { JawOpen: 0, JawX: 0, EyeX: 0 },
+    { JawOpen: 1, JawX: -1, EyeX: -0.25 },
+    { JawOpen: 0.6, JawX: 0.3, EyeX: 0.75 },
+    { JawOpen: 0.33, JawX: -0.72, EyeX: 1 }
+  ].forEach((values) => {
+    const parameters = toParameters(encodeUnifiedExpressions(layout, values));
+    const decode = (name) => decodeUnifiedExpression(name, parameters, layout);
+
+    assert.deepEqual(decode('FT/v2/JawOpen4'), { shape: 'JawOpen', value: Math.round(values.JawOpen * 15) / 15 });
+    assert.equal(decode('FT/v2/JawXNegative').shape, 'JawX');
+    assert.ok(Math.abs(decode('FT/v2/JawXNegative').value - Math.round(values.JawX * 7) / 7) < 1e-12);
+    assert.deepEqual(decode('v2/EyeX'), { shape: 'EyeX', value: values.EyeX });
+    assert.deepEqual(encodeUnifiedExpressions(layout, Object.fromEntries(
+      ['JawOpen', 'JawX', 'EyeX'].map((shape) => [shape, decode(parameters.has(`v2/${shape}`) ? `v2/${shape}` : `FT/v2/${shape}1`).value])
+    )), encodeUnifiedExpressions(layout, values));
+  });
+});
+
+test('decodes bit-packed values without a layout from the bits reported so far', () => {
+  const parameters = new Map([['v2/JawOpen1', true], ['v2/JawOpen2', false], ['v2/JawOpen4', true]]);
+
+  assert.deepEqual(decodeUnifiedExpression('v2/JawOpen2', parameters), { shape: 'JawOpen', value: 5 / 7 });
+  assert.equal(decodeUnifiedExpression('v2/Unknown', new Map([['v2/Unknown', 'text']])), null);
+  assert.equal(decodeUnifiedExpression('Other', new Map([['Other', 1]])), null);
+});
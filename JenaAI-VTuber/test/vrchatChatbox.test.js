@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { paginateChatboxText, CHATBOX_MAX_LENGTH } from '../src/services/vrchatChatbox.js';
+
+const COUNTER = / \((\d+)\/(\d+)\)$/;
+const stripCounter = (page) => page.replace(COUNTER, '');
+
+test('keeps short text on one page without a counter', () => {
+  assert.deepEqual(paginateChatboxText('  Hello   there\nVRChat  '), ['Hello there VRChat']);
+  assert.deepEqual(paginateChatboxText('x'.repeat(CHATBOX_MAX_LENGTH)), ['x'.repeat(CHATBOX_MAX_LENGTH)]);
+  assert.deepEqual(paginateChatboxText('   '), []);
+});
+
+test('splits long text into numbered pages within the limit', () => {
+  const words = Array.from({ length: 120 }, (_, index) => `word${index}`);
+  const pages = paginateChatboxText(words.join(' '));
+
+  assert.ok(pages.length > 1);
+  pages.forEach((page, index) => {
+    assert.ok(page.length <= CHATBOX_MAX_LENGTH, `page ${index + 1} is ${page.length} characters`);
+    assert.deepEqual(page.match(COUNTER).slice(1).map(Number), [index + 1, pages.length]);
+  });
+  assert.equal(pages.map(stripCounter).join(' '), words.join(' '));
+});
+
+test('breaks at sentence ends before word boundaries', () => {
+  const first = `${'a'.repeat(90)}.`;
+  const second = `${'b'.repeat(90)}!`;
+
+  assert.deepEqual(paginateChatboxText(`${first} ${second}`).map(stripCounter), [first, second]);
+});
+
+test('hard-splits words longer than a page', () => {
+  const url = `https://example.com/${'x'.repeat(300)}`;
+  const pages = paginateChatboxText(url);
+
+  assert.ok(pages.every((page) => page.length <= CHATBOX_MAX_LENGTH));
+  assert.equal(pages.map(stripCounter).join(''), url);
+});
+
+test('honours a custom limit', () => {
+  const pages = paginateChatboxText('one two three four five six seven eight nine ten', 20);
+
+  assert.ok(pages.every((page) => page.length <= 20));
+  assert.equal(pages.map(stripCounter).join(' '), 'one two three four five six seven eight nine ten');
+});